@@ -0,0 +1,98 @@
+// FILE: /js/aggregate.js
+// Purpose: merge part records from several sources, resolve field conflicts by precedence rules, keep provenance
+
+import { flatten, unflatten } from './catalogue-format.js';
+
+// "MSI GeForce RTX 4060 Ti" and "msi  geforce rtx-4060ti" normalise to the same key
+export function normaliseName(text) {
+    return String(text ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+export const MATCHERS = {
+    id: record => (record.id === undefined || record.id === null ? null : `id:${record.id}`),
+    name: record => {
+        const name = normaliseName(record.name);
+        return name ? `name:${name}|${normaliseName(record.manufacturer)}` : null;
+    }
+};
+
+function sameValue(a, b) {
+    if (typeof a === 'string' && typeof b === 'string') return a.trim() === b.trim();
+    return a === b;
+}
+
+// rule: array of source names (first listed that has the field wins), or 'min' / 'max' for numbers
+function pickValue(candidates, rule, sourceOrder) {
+    if (rule === 'min' || rule === 'max') {
+        const numeric = candidates.filter(c => typeof c.value === 'number');
+        if (numeric.length) {
+            return numeric.reduce((best, c) => (rule === 'min' ? c.value < best.value : c.value > best.value) ? c : best);
+        }
+    }
+    const order = Array.isArray(rule) ? [...rule, ...sourceOrder] : sourceOrder;
+    const rank = source => (order.includes(source) ? order.indexOf(source) : Infinity);
+    return [...candidates].sort((a, b) => rank(a.source) - rank(b.source))[0];
+}
+
+/*
+ * sources: [{ name, records }] in default precedence order (first wins)
+ * options.matchBy: 'id' | 'name'
+ * options.precedence: { '*': [sourceNames], price: 'min', 'specifications.cores': [...] }
+ *
+ * -> { items: [{ key, record, provenance: { field: source }, sources }], conflicts: [...], stats }
+ * Matching by name keeps the first record per source for each key and counts the rest in stats.duplicatesSkipped.
+ */
+export function aggregate(sources, { matchBy = 'id', precedence = {} } = {}) {
+    const keyOf = Object.hasOwn(MATCHERS, matchBy) ? MATCHERS[matchBy] : null;
+    if (!keyOf) throw new Error(`Unknown matchBy "${matchBy}" (use ${Object.keys(MATCHERS).join(' or ')})`);
+    // listed sources first, then the rest in the order they were given
+    const sourceOrder = [...new Set([...(precedence['*'] || []), ...sources.map(s => s.name)])];
+
+    const stats = { keys: 0, conflicts: 0, duplicatesSkipped: 0, bySource: {}, byField: {} };
+    sources.forEach(s => { stats.bySource[s.name] = { records: s.records.length, fieldsWon: 0, disagreements: 0 }; });
+
+    // key -> { field -> [{ source, value }] }; one record per source per key, later repeats are skipped
+    const groups = new Map();
+    sources.forEach(({ name, records }) => {
+        records.forEach((record, index) => {
+            const key = keyOf(record) ?? `unmatched:${name}#${index}`;
+            if (!groups.has(key)) groups.set(key, { fields: new Map(), sources: [] });
+            const group = groups.get(key);
+            if (group.sources.includes(name)) { stats.duplicatesSkipped++; return; }
+            group.sources.push(name);
+            for (const [field, value] of Object.entries(flatten(record))) {
+                if (value === undefined || value === null) continue;
+                if (!group.fields.has(field)) group.fields.set(field, []);
+                group.fields.get(field).push({ source: name, value });
+            }
+        });
+    });
+
+    const items = [];
+    const conflicts = [];
+
+    for (const [key, group] of groups) {
+        const flat = {};
+        const provenance = {};
+        for (const [field, candidates] of group.fields) {
+            const rule = (Object.hasOwn(precedence, field) && precedence[field]) || precedence['*'];
+            const chosen = pickValue(candidates, rule, sourceOrder);
+            flat[field] = chosen.value;
+            provenance[field] = chosen.source;
+            stats.bySource[chosen.source].fieldsWon++;
+
+            const distinct = candidates.filter((c, i) => candidates.findIndex(o => sameValue(o.value, c.value)) === i);
+            if (distinct.length > 1) {
+                conflicts.push({ key, field, chosen: chosen.source, values: candidates });
+                candidates.filter(c => !sameValue(c.value, chosen.value))
+                    .forEach(c => { stats.bySource[c.source].disagreements++; });
+                stats.byField[field] = (stats.byField[field] || 0) + 1;
+            }
+        }
+        items.push({ key, record: unflatten(flat), provenance, sources: group.sources });
+    }
+
+    stats.keys = items.length;
+    stats.conflicts = conflicts.length;
+    return { items, conflicts, stats };
+}
@@ -0,0 +1,214 @@
+// FILE: /js/build-configurator.js
+// Purpose: BuildConfigurator.html — pick parts per type, live compatibility checks, save/share builds, quote export
+//
+// Open BuildConfigurator.html?build=<id> to load a shared build. Edit tokens for builds saved from this
+// browser are kept in localStorage, so only the creator's browser can update a build in place.
+
+import { formatPrice } from './currency.js';
+
+// Same base as js/script.js
+const API_BASE = 'http://localhost:3000';
+const TOKEN_KEY = 'build-edit-tokens';
+
+const state = {
+    slots: {},          // type -> { min, max }
+    buildId: new URLSearchParams(location.search).get('build')
+};
+
+function el(id) {
+    return document.getElementById(id);
+}
+
+function currency() {
+    return el('build-currency').value;
+}
+
+function editTokens() {
+    try {
+        return JSON.parse(localStorage.getItem(TOKEN_KEY)) || {};
+    } catch {
+        return {};
+    }
+}
+
+async function api(path, options = {}) {
+    const response = await fetch(`${API_BASE}${path}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json', ...options.headers }
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) throw new Error(data.error || `HTTP error! Status: ${response.status}`);
+    return data;
+}
+
+// Each type's parts, cheapest first; the socket/form factor in the label helps pick compatible parts
+async function loadOptions(type) {
+    const params = new URLSearchParams({ type, sort: 'price', limit: '1000', currency: currency() });
+    const parts = await api(`/parts?${params}`);
+    return parts.map(p => {
+        const s = p.specifications || {};
+        const hint = [s.socket, s.chipset, s.memoryType, s.capacity, s.wattage && `${s.wattage} W`, s.formFactor].filter(Boolean).join(', ');
+        return { id: p.id, label: `${p.name} (${p.manufacturer})${hint ? ` — ${hint}` : ''} — ${formatPrice(p.price, currency())}` };
+    });
+}
+
+function buildSlotRow(type, { max }, options) {
+    const row = el('build-slots').insertRow();
+    row.insertCell().textContent = type;
+
+    const select = document.createElement('select');
+    select.id = `slot-${type}`;
+    select.dataset.type = type;
+    select.add(new Option('— none —', ''));
+    options.forEach(o => select.add(new Option(o.label, o.id)));
+    select.addEventListener('change', checkBuild);
+    row.insertCell().appendChild(select);
+
+    const qty = document.createElement('input');
+    qty.type = 'number';
+    qty.id = `qty-${type}`;
+    qty.min = 1;
+    qty.max = max;
+    qty.value = 1;
+    qty.disabled = max === 1;
+    qty.addEventListener('change', checkBuild);
+    row.insertCell().appendChild(qty);
+}
+
+function selectedItems() {
+    return Object.keys(state.slots)
+        .map(type => ({ partId: Number(el(`slot-${type}`).value), quantity: Number(el(`qty-${type}`).value) || 1 }))
+        .filter(item => item.partId);
+}
+
+function render(result) {
+    const money = n => formatPrice(n, result.currency);
+    const status = el('build-status');
+    status.textContent = `${result.compatible ? 'Compatible' : 'Not compatible'} · ${result.complete ? 'complete' : 'incomplete'} · `
+        + `Total ${money(result.total)} · ${result.available ? `in stock (enough for ${result.buildable})` : 'some parts out of stock'}`;
+    status.className = `build-status ${result.compatible ? 'ok' : 'error'}`;
+
+    const findings = el('build-findings');
+    findings.innerHTML = '';
+    result.findings.forEach(f => {
+        const li = document.createElement('li');
+        li.className = f.level;
+        li.textContent = `${f.level === 'error' ? '✗' : '!'} ${f.message}`;
+        findings.appendChild(li);
+    });
+
+    const table = el('build-lines');
+    table.innerHTML = '';
+    const head = table.createTHead().insertRow();
+    ['Type', 'Part', 'Qty', 'Unit', 'Line total', 'Stock'].forEach(h => {
+        const th = document.createElement('th');
+        th.textContent = h;
+        head.appendChild(th);
+    });
+    const body = table.createTBody();
+    result.lines.forEach(l => {
+        const tr = body.insertRow();
+        [l.type, l.name, l.quantity, money(l.unitPrice), money(l.lineTotal), l.available ? `${l.inStock} in stock` : `only ${l.inStock}`]
+            .forEach(c => { tr.insertCell().textContent = c; });
+    });
+}
+
+async function checkBuild() {
+    try {
+        render(await api(`/builds/check?currency=${currency()}`, {
+            method: 'POST',
+            body: JSON.stringify({ items: selectedItems() })
+        }));
+    } catch (error) {
+        console.error('Error checking build:', error);
+        el('build-status').textContent = `Could not check the build: ${error.message}`;
+    }
+}
+
+function showShareLinks(id) {
+    const share = `${location.origin}${location.pathname}?build=${encodeURIComponent(id)}`;
+    el('build-share').textContent = `Share: ${share}`;
+    for (const format of ['text', 'csv', 'json']) {
+        el(`quote-${format}`).href = `${API_BASE}/builds/${encodeURIComponent(id)}/quote?format=${format}&currency=${currency()}`;
+    }
+    el('build-export').hidden = false;
+}
+
+// Updates in place when this browser holds the build's edit token, otherwise saves a new copy
+async function saveBuild() {
+    const tokens = editTokens();
+    const body = JSON.stringify({ name: el('build-name').value.trim() || undefined, items: selectedItems() });
+    try {
+        let saved;
+        if (state.buildId && tokens[state.buildId]) {
+            saved = await api(`/builds/${encodeURIComponent(state.buildId)}?currency=${currency()}`, {
+                method: 'PUT',
+                headers: { 'X-Edit-Token': tokens[state.buildId] },
+                body
+            });
+        } else {
+            saved = await api(`/builds?currency=${currency()}`, { method: 'POST', body });
+            tokens[saved.id] = saved.editToken;
+            localStorage.setItem(TOKEN_KEY, JSON.stringify(tokens));
+            state.buildId = saved.id;
+            history.replaceState(null, '', `?build=${encodeURIComponent(saved.id)}`);
+        }
+        render(saved);
+        showShareLinks(saved.id);
+    } catch (error) {
+        console.error('Error saving build:', error);
+        el('build-status').textContent = `Could not save the build: ${error.message}`;
+    }
+}
+
+async function loadBuild(id) {
+    const build = await api(`/builds/${encodeURIComponent(id)}?currency=${currency()}`);
+    el('build-name').value = build.name;
+    for (const item of build.items) {
+        const line = build.lines.find(l => l.partId === item.partId);
+        const select = line && el(`slot-${line.type}`);
+        if (!select) continue;
+        select.value = String(item.partId);
+        el(`qty-${line.type}`).value = item.quantity;
+    }
+    render(build);
+    showShareLinks(build.id);
+}
+
+// `keep` restores the current picks after the rows are rebuilt (e.g. to relabel prices in another currency)
+async function init(keep = null) {
+    try {
+        const { slots } = await api('/builds/rules');
+        state.slots = slots;
+        const options = await Promise.all(Object.keys(slots).map(loadOptions));
+        el('build-slots').innerHTML = '';
+        Object.entries(slots).forEach(([type, slot], i) => buildSlotRow(type, slot, options[i]));
+
+        if (keep) {
+            keep.forEach(({ type, partId, quantity }) => {
+                el(`slot-${type}`).value = partId;
+                el(`qty-${type}`).value = quantity;
+            });
+            await checkBuild();
+            if (state.buildId) showShareLinks(state.buildId);
+        } else if (state.buildId) {
+            await loadBuild(state.buildId);
+        } else {
+            await checkBuild();
+        }
+    } catch (error) {
+        console.error('Error loading configurator:', error);
+        el('build-status').textContent = 'Could not load parts. Is the parts API running?';
+    }
+}
+
+el('save-build').addEventListener('click', saveBuild);
+el('build-currency').addEventListener('change', () => {
+    init(Object.keys(state.slots).map(type => ({
+        type,
+        partId: el(`slot-${type}`).value,
+        quantity: el(`qty-${type}`).value
+    })));
+});
+
+init();
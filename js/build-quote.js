@@ -0,0 +1,71 @@
+// FILE: /js/build-quote.js
+// Purpose: turns an evaluated build into a customer quote (JSON, CSV or plain text)
+
+import { writeCsv } from './csv.js';
+import { formatPrice } from './currency.js';
+
+export const QUOTE_FORMATS = {
+    json: 'application/json',
+    csv: 'text/csv',
+    text: 'text/plain'
+};
+
+// Quotes are valid for this many days from issue
+export const QUOTE_VALID_DAYS = 14;
+
+// "Corsair RM750e", without doubling a brand the name already starts with
+function describe(line) {
+    return line.name.toLowerCase().startsWith(line.manufacturer.toLowerCase()) ? line.name : `${line.manufacturer} ${line.name}`;
+}
+
+// build: saved build; evaluation: evaluateBuild() output with prices already in `currency`
+export function createQuote(build, evaluation, currency, issuedAt = new Date()) {
+    return {
+        buildId: build.id,
+        name: build.name,
+        issuedAt: issuedAt.toISOString(),
+        validUntil: new Date(issuedAt.getTime() + QUOTE_VALID_DAYS * 86400000).toISOString(),
+        currency,
+        lines: evaluation.lines.map(l => ({
+            partId: l.partId,
+            type: l.type,
+            description: describe(l),
+            quantity: l.quantity,
+            unitPrice: l.unitPrice,
+            lineTotal: l.lineTotal,
+            available: l.available
+        })),
+        total: evaluation.total,
+        available: evaluation.available,
+        compatible: evaluation.compatible,
+        notes: evaluation.findings.map(f => `${f.level}: ${f.message}`)
+    };
+}
+
+export function quoteToCsv(quote) {
+    return writeCsv([
+        ['partId', 'type', 'description', 'quantity', 'unitPrice', 'lineTotal', 'inStock'],
+        ...quote.lines.map(l => [l.partId, l.type, l.description, l.quantity, l.unitPrice, l.lineTotal, l.available ? 'yes' : 'no']),
+        ['', '', `Total (${quote.currency})`, '', '', quote.total, quote.available ? 'yes' : 'no']
+    ]);
+}
+
+export function quoteToText(quote) {
+    const money = n => formatPrice(n, quote.currency);
+    const rows = quote.lines.map(l => [
+        `${l.quantity} ×`,
+        `${l.type}: ${l.description}${l.available ? '' : ' (on order)'}`,
+        money(l.lineTotal)
+    ]);
+    const width = Math.max(20, ...rows.map(r => r[1].length));
+    const out = [
+        `Quote for build "${quote.name}" (${quote.buildId})`,
+        `Issued ${quote.issuedAt.slice(0, 10)}, valid until ${quote.validUntil.slice(0, 10)}`,
+        '',
+        ...rows.map(([qty, desc, total]) => `${qty.padStart(4)} ${desc.padEnd(width)}  ${total.padStart(12)}`),
+        '',
+        `${'Total'.padStart(5 + width)}  ${money(quote.total).padStart(12)}`
+    ];
+    if (quote.notes.length) out.push('', 'Notes:', ...quote.notes.map(n => `  - ${n}`));
+    return out.join('\n') + '\n';
+}
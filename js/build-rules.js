@@ -0,0 +1,178 @@
+// FILE: /js/build-rules.js
+// Purpose: PC build compatibility rules, price total and stock availability (shared by the API and the configurator page)
+//
+// A selection is [{ part, quantity }] with full part records. Rules return findings:
+//   { rule, level: 'error' | 'warning', message, partIds }
+// 'error' means the build cannot work; 'warning' means it might not, or a spec needed to check is missing.
+
+import { FORM_FACTORS, parseList } from './part-schema.js';
+
+// How many of each type a build may hold (quantities summed); min 0 = optional
+export const BUILD_SLOTS = {
+    CPU: { min: 1, max: 1 },
+    Motherboard: { min: 1, max: 1 },
+    RAM: { min: 1, max: 4 },
+    GPU: { min: 0, max: 4 },
+    Storage: { min: 1, max: 8 },
+    PSU: { min: 1, max: 1 },
+    Case: { min: 0, max: 1 }
+};
+
+// Board, RAM, drives and fans, on top of the CPU/GPU figures
+export const BASE_SYSTEM_DRAW = 75;
+// Recommend a PSU this much above the estimated draw
+export const PSU_HEADROOM = 0.2;
+
+function ofType(selection, type) {
+    return selection.filter(s => s.part.type === type);
+}
+
+function count(lines) {
+    return lines.reduce((sum, s) => sum + s.quantity, 0);
+}
+
+function ids(lines) {
+    return lines.map(s => s.part.id);
+}
+
+function finding(rule, level, message, lines) {
+    return { rule, level, message, partIds: ids(lines) };
+}
+
+export const COMPATIBILITY_RULES = [
+    {
+        id: 'slots',
+        description: 'One CPU per board, one board and one PSU per build, and the parts every build needs',
+        check(selection) {
+            const out = [];
+            for (const [type, { min, max }] of Object.entries(BUILD_SLOTS)) {
+                const lines = ofType(selection, type);
+                const n = count(lines);
+                if (n > max) out.push(finding('slots', 'error', `${n} × ${type} selected; a build takes at most ${max}`, lines));
+                else if (n < min) out.push(finding('slots', 'warning', `No ${type} selected yet`, lines));
+            }
+            const unknown = selection.filter(s => !Object.hasOwn(BUILD_SLOTS, s.part.type));
+            if (unknown.length) out.push(finding('slots', 'error', `Not a build component: ${unknown.map(s => s.part.type).join(', ')}`, unknown));
+            return out;
+        }
+    },
+    {
+        id: 'cpu-socket',
+        description: 'The CPU socket matches the motherboard socket',
+        check(selection) {
+            const [cpu] = ofType(selection, 'CPU');
+            const [board] = ofType(selection, 'Motherboard');
+            if (!cpu || !board) return [];
+            const cpuSocket = cpu.part.specifications?.socket;
+            const boardSocket = board.part.specifications?.socket;
+            if (!cpuSocket) return [finding('cpu-socket', 'warning', `${cpu.part.name} has no socket listed; check it fits ${boardSocket}`, [cpu])];
+            if (cpuSocket.toUpperCase() !== String(boardSocket).toUpperCase()) {
+                return [finding('cpu-socket', 'error', `${cpu.part.name} (${cpuSocket}) does not fit ${board.part.name} (${boardSocket})`, [cpu, board])];
+            }
+            return [];
+        }
+    },
+    {
+        id: 'cpu-chipset',
+        description: "The motherboard chipset is one the CPU supports (when the CPU lists them)",
+        check(selection) {
+            const [cpu] = ofType(selection, 'CPU');
+            const [board] = ofType(selection, 'Motherboard');
+            const supported = parseList(cpu?.part.specifications?.chipsets).map(c => c.toUpperCase());
+            if (!cpu || !board || !supported.length) return [];
+            const chipset = String(board.part.specifications?.chipset ?? '').toUpperCase();
+            if (!supported.includes(chipset)) {
+                return [finding('cpu-chipset', 'error', `${cpu.part.name} supports ${supported.join(', ')} boards, not ${chipset}`, [cpu, board])];
+            }
+            return [];
+        }
+    },
+    {
+        id: 'memory',
+        description: 'RAM matches the board memory type and fits its slots',
+        check(selection) {
+            const [board] = ofType(selection, 'Motherboard');
+            const ram = ofType(selection, 'RAM');
+            if (!board || !ram.length) return [];
+            const out = [];
+            const type = board.part.specifications?.memoryType;
+            const wrong = ram.filter(s => s.part.specifications?.memoryType !== type);
+            if (wrong.length) out.push(finding('memory', 'error', `${board.part.name} takes ${type}; ${wrong.map(s => s.part.name).join(', ')} is not`, wrong));
+            const modules = ram.reduce((sum, s) => sum + (s.part.specifications?.modules ?? 1) * s.quantity, 0);
+            const slots = board.part.specifications?.memorySlots;
+            if (slots && modules > slots) out.push(finding('memory', 'error', `${modules} memory modules but ${board.part.name} has ${slots} slots`, ram));
+            return out;
+        }
+    },
+    {
+        id: 'psu-wattage',
+        description: `The PSU covers CPU + GPU draw plus ${BASE_SYSTEM_DRAW} W for the rest, with ${PSU_HEADROOM * 100}% headroom`,
+        check(selection) {
+            const [psu] = ofType(selection, 'PSU');
+            if (!psu) return [];
+            const consumers = selection.filter(s => s.part.type === 'CPU' || s.part.type === 'GPU');
+            const unknown = consumers.filter(s => !s.part.specifications?.powerDraw);
+            const draw = BASE_SYSTEM_DRAW + consumers.reduce((sum, s) => sum + (s.part.specifications?.powerDraw ?? 0) * s.quantity, 0);
+            const wattage = psu.part.specifications?.wattage ?? 0;
+            const recommended = Math.ceil(draw * (1 + PSU_HEADROOM));
+            const out = [];
+            if (unknown.length) {
+                out.push(finding('psu-wattage', 'warning', `No power draw listed for ${unknown.map(s => s.part.name).join(', ')}; the estimate leaves them out`, unknown));
+            }
+            if (draw > wattage) out.push(finding('psu-wattage', 'error', `Estimated draw ${draw} W exceeds the ${wattage} W PSU`, [psu, ...consumers]));
+            else if (recommended > wattage) out.push(finding('psu-wattage', 'warning', `Estimated draw ${draw} W; a ${recommended} W PSU is recommended`, [psu, ...consumers]));
+            return out;
+        }
+    },
+    {
+        id: 'form-factor',
+        description: 'The motherboard fits the case',
+        check(selection) {
+            const [board] = ofType(selection, 'Motherboard');
+            const [pcCase] = ofType(selection, 'Case');
+            if (!board || !pcCase) return [];
+            const boardSize = FORM_FACTORS.indexOf(board.part.specifications?.formFactor);
+            const caseSize = FORM_FACTORS.indexOf(pcCase.part.specifications?.formFactor);
+            if (boardSize < caseSize) {
+                return [finding('form-factor', 'error', `${board.part.name} (${board.part.specifications.formFactor}) does not fit a ${pcCase.part.specifications.formFactor} case`, [board, pcCase])];
+            }
+            return [];
+        }
+    }
+];
+
+export function checkBuild(selection, rules = COMPATIBILITY_RULES) {
+    return rules.flatMap(rule => rule.check(selection));
+}
+
+// Price total and how many complete copies of the build current stock allows
+export function summarizeBuild(selection) {
+    const lines = selection.map(({ part, quantity }) => ({
+        partId: part.id,
+        type: part.type,
+        name: part.name,
+        manufacturer: part.manufacturer,
+        quantity,
+        unitPrice: part.price,
+        lineTotal: Math.round(part.price * quantity * 100) / 100,
+        inStock: part.quantity,
+        available: part.quantity >= quantity
+    }));
+    return {
+        lines,
+        total: Math.round(lines.reduce((sum, l) => sum + l.lineTotal, 0) * 100) / 100,
+        available: lines.length > 0 && lines.every(l => l.available),
+        buildable: lines.length ? Math.min(...selection.map(s => Math.floor(s.part.quantity / s.quantity))) : 0
+    };
+}
+
+// Full evaluation: compatible = no errors (warnings are allowed)
+export function evaluateBuild(selection, rules = COMPATIBILITY_RULES) {
+    const findings = checkBuild(selection, rules);
+    return {
+        compatible: !findings.some(f => f.level === 'error'),
+        complete: !findings.some(f => f.rule === 'slots'),
+        findings,
+        ...summarizeBuild(selection)
+    };
+}
@@ -0,0 +1,115 @@
+// FILE: /js/catalogue-format.js
+// Purpose: convert the parts catalogue between JSON, the <dataset><record> XML format and flat CSV
+
+import { parseXml, objectToXml, elementToObject, XmlParseError } from './xml.js';
+import { parseCsv, writeCsv } from './csv.js';
+import { coercePart } from './part-schema.js';
+
+export const FORMATS = {
+    json: 'application/json',
+    xml: 'application/xml',
+    csv: 'text/csv'
+};
+
+// ---------- JSON ----------
+
+// One record per line, like data/data.json
+export function toJson(parts) {
+    return '[' + parts.map(p => JSON.stringify(p)).join(',\n') + ']';
+}
+
+export function fromJson(text) {
+    const data = JSON.parse(text);
+    return Array.isArray(data) ? data : [data];
+}
+
+// ---------- XML ----------
+
+export function recordToXml(part) {
+    return objectToXml('record', part);
+}
+
+export function toXml(parts) {
+    return `<?xml version='1.0' encoding='UTF-8'?>\n<dataset>\n${parts.map(recordToXml).join('\n')}</dataset>`;
+}
+
+// Accepts a <dataset> of <record>s or a single <record>
+export function fromXml(text) {
+    const root = parseXml(text);
+    if (root.name !== 'record' && root.name !== 'dataset') {
+        throw new XmlParseError(`Expected <dataset> or <record> root, found <${root.name}>`);
+    }
+    const records = root.name === 'record' ? [root] : root.children.filter(el => el.name === 'record');
+    return records.map(el => coercePart(elementToObject(el)));
+}
+
+// ---------- CSV ----------
+
+// Nested objects become dotted columns: specifications.cores
+export function flatten(obj, prefix = '', out = {}) {
+    for (const [key, value] of Object.entries(obj)) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (value && typeof value === 'object' && !Array.isArray(value)) flatten(value, path, out);
+        else out[path] = Array.isArray(value) ? JSON.stringify(value) : value;
+    }
+    return out;
+}
+
+// Missing (undefined) values are left out rather than written as empty fields
+export function unflatten(flat) {
+    const out = {};
+    for (const [path, value] of Object.entries(flat)) {
+        if (value === undefined) continue;
+        const keys = path.split('.');
+        let target = out;
+        keys.slice(0, -1).forEach(k => { target = target[k] = target[k] || {}; });
+        target[keys[keys.length - 1]] = value;
+    }
+    return out;
+}
+
+export function toCsv(parts) {
+    const rows = parts.map(p => flatten(p));
+    const columns = [];
+    rows.forEach(r => Object.keys(r).forEach(k => { if (!columns.includes(k)) columns.push(k); }));
+    return writeCsv([columns, ...rows.map(r => columns.map(c => r[c]))]);
+}
+
+// An empty cell means the record has no such field (toCsv writes one for every column some other record has);
+// a quoted "" is an empty string
+export function fromCsv(text) {
+    const [header, ...rows] = parseCsv(text, { missing: null });
+    if (!header) return [];
+    return rows
+        .filter(r => r.some(cell => cell))
+        .map(r => {
+            const flat = {};
+            header.forEach((column, i) => { flat[column ?? ''] = r[i] ?? undefined; });
+            return coercePart(unflatten(flat));
+        });
+}
+
+// ---------- dispatch ----------
+
+export function serialize(parts, format) {
+    switch (format) {
+        case 'json': return toJson(parts);
+        case 'xml': return toXml(parts);
+        case 'csv': return toCsv(parts);
+        default: throw new Error(`Unknown format "${format}"`);
+    }
+}
+
+export function deserialize(text, format) {
+    switch (format) {
+        case 'json': return fromJson(text);
+        case 'xml': return fromXml(text);
+        case 'csv': return fromCsv(text);
+        default: throw new Error(`Unknown format "${format}"`);
+    }
+}
+
+export function formatFromFilename(name) {
+    const ext = String(name).split('.').pop().toLowerCase();
+    return FORMATS[ext] ? ext : null;
+}
@@ -0,0 +1,65 @@
+// FILE: /js/catalogue-offline.js
+// Purpose: offline wiring shared by the parts pages — the service worker, the "stale since" line, and sending
+// parts that were added while the API could not be reached (js/offline-store.js keeps them)
+
+import { revalidate, syncOutbox } from './offline-store.js';
+import { dec } from './crypto-core.js';
+
+// sw.js keeps the pages, styles and scripts so they open offline; the data itself lives in IndexedDB.
+// Service workers need http(s), so pages opened from disk simply go without.
+export function registerOfflineWorker() {
+    if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+    navigator.serviceWorker.register(new URL('../sw.js', import.meta.url))
+        .catch(error => console.warn('Service worker not registered:', error));
+}
+
+const when = iso => new Date(iso).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' });
+
+/*
+ * One line for the page: how fresh the catalogue on screen is, and what is waiting in the outbox.
+ *   state:     'checking' (saved copy shown, network check running) | 'fresh' | 'stale'
+ *   checkedAt: the last time the server confirmed the catalogue (null: never)
+ *   queued / conflicts: outbox counts
+ *   sent:      parts the last sync sent from the outbox
+ */
+export function freshnessText({ state, checkedAt = null, queued = 0, conflicts = 0, sent = 0 }) {
+    const lines = [];
+    if (state === 'fresh') {
+        lines.push(checkedAt ? `Catalogue up to date (checked ${when(checkedAt)}).` : 'Catalogue up to date.');
+    } else if (state === 'checking') {
+        lines.push(checkedAt ? `Showing the catalogue saved ${when(checkedAt)}; checking for updates...` : 'Checking for updates...');
+    } else {
+        lines.push(checkedAt
+            ? `Offline: showing the saved catalogue, stale since ${when(checkedAt)}.`
+            : 'Offline, and no catalogue has been saved in this browser yet.');
+    }
+    if (sent) lines.push(`${sent} added part${sent === 1 ? '' : 's'} sent.`);
+    if (queued) lines.push(`${queued} added part${queued === 1 ? '' : 's'} waiting to be sent.`);
+    if (conflicts) lines.push(`${conflicts} added part${conflicts === 1 ? ' needs' : 's need'} attention on the Add Data page.`);
+    return lines.join(' ');
+}
+
+const sameText = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+// A listed part with the same type, name and manufacturer as `part` (ignoring case), or null
+export function findDuplicatePart(parts, part) {
+    return parts.find(p => sameText(p.type, part.type) && sameText(p.name, part.name) && sameText(p.manufacturer, part.manufacturer)) || null;
+}
+
+// Sends queued parts to `${apiBase}/parts`. A new part that someone else added while this one waited in the queue
+// (same type, name and manufacturer) is held back as a conflict instead of being saved twice; so is a second
+// queued copy of a part this sync has just sent. fetch is injectable for tests.
+export async function syncQueuedParts(db, apiBase, { fetch = globalThis.fetch } = {}) {
+    let current = null;
+    const check = async edit => {
+        if (edit.method !== 'POST') return null;
+        current ??= JSON.parse(dec.decode((await revalidate(db, `${apiBase}/parts`, { fetch })).bytes));
+        const existing = findDuplicatePart(current, edit.body);
+        return existing && { message: `Part #${existing.id} with this type, name and manufacturer was added meanwhile`, existing };
+    };
+    // The list was fetched before this sync sent anything, so each part it sends is added to it
+    const onSent = (edit, result) => {
+        if (edit.method === 'POST') current?.push({ ...edit.body, ...result });
+    };
+    return syncOutbox(db, { fetch, check, onSent });
+}
@@ -0,0 +1,145 @@
+// FILE: /js/catalogue-release.js
+// Purpose: signed catalogue releases — the manifest format, its ECDSA signature, and verified loading with a
+// fallback to the last verified copy (shared by the parts page and the server's source loader)
+//
+// Manifest (data/release/manifest.json, written by tools/sign-release.js):
+//   { type: 'catalogue-release', v: 1, version, publishedAt, signer, files: { name: { sha256, size } }, sig }
+//     signer: SHA-256 fingerprint of the publisher's SPKI; sig: base64 raw ECDSA P-256 over canonicalReleaseData
+// Clients pin the publisher's public key (js/release-key.js): a manifest signed by any other key is rejected,
+// and a data file is only used when its hash is the one in a manifest that verified.
+
+import { b64, ub64, enc, dec, sha256, toHex, ecdsaSign, ecdsaVerify, importSpki, keyFingerprint, publicSpkiOf } from './crypto-core.js';
+
+export const MANIFEST_FILE = 'manifest.json';
+
+export class ReleaseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReleaseError';
+    }
+}
+
+const asBytes = data => (typeof data === 'string' ? enc.encode(data) : data);
+
+// Files in name order, so the encoding does not depend on how the manifest object was built
+export function canonicalReleaseData({ v, version, publishedAt, signer, files }) {
+    const list = Object.keys(files).sort().map(name => [name, files[name].sha256, files[name].size]);
+    return enc.encode(JSON.stringify(['catalogue-release', v, version, publishedAt, signer, list]));
+}
+
+// files: { 'data.json': bytes | string, ... }; privateKey: extractable ECDSA P-256 key
+export async function createReleaseManifest(privateKey, files, { version, publishedAt = new Date() } = {}) {
+    if (!version || typeof version !== 'string') throw new ReleaseError('A release needs a version');
+    const entries = {};
+    for (const [name, data] of Object.entries(files)) {
+        const bytes = asBytes(data);
+        entries[name] = { sha256: toHex(await sha256(bytes)), size: bytes.length };
+    }
+    const manifest = {
+        type: 'catalogue-release',
+        v: 1,
+        version,
+        publishedAt: new Date(publishedAt).toISOString(),
+        signer: await keyFingerprint(await publicSpkiOf(privateKey)),
+        files: entries
+    };
+    return { ...manifest, sig: b64(await ecdsaSign(privateKey, canonicalReleaseData(manifest))) };
+}
+
+function checkShape(manifest) {
+    const { type, v, version, publishedAt, signer, files, sig } = manifest || {};
+    if (type !== 'catalogue-release') throw new ReleaseError('Not a catalogue release manifest');
+    if (v !== 1) throw new ReleaseError(`Unsupported release manifest version ${v}`);
+    if (![version, publishedAt, signer, sig].every(f => typeof f === 'string') || !files || typeof files !== 'object'
+        || !Object.values(files).every(f => /^[0-9a-f]{64}$/.test(f?.sha256 ?? '') && Number.isInteger(f.size))) {
+        throw new ReleaseError('Damaged release manifest');
+    }
+}
+
+// manifest: parsed object or JSON text; pinnedKey: the publisher's SPKI (bytes or base64). -> the manifest
+export async function verifyReleaseManifest(manifest, pinnedKey) {
+    let parsed = manifest;
+    if (typeof manifest === 'string') {
+        try {
+            parsed = JSON.parse(manifest);
+        } catch {
+            throw new ReleaseError('Damaged release manifest');
+        }
+    }
+    checkShape(parsed);
+    const spki = typeof pinnedKey === 'string' ? ub64(pinnedKey) : pinnedKey;
+    if (parsed.signer !== await keyFingerprint(spki)) {
+        throw new ReleaseError(`Release ${parsed.version} is signed by an unknown key (${parsed.signer.slice(0, 16)}…)`);
+    }
+    let sig;
+    try {
+        sig = ub64(parsed.sig);
+    } catch {
+        throw new ReleaseError('Damaged release manifest');
+    }
+    if (!await ecdsaVerify(await importSpki(spki), canonicalReleaseData(parsed), sig)) {
+        throw new ReleaseError(`Release ${parsed.version} has a bad signature`);
+    }
+    return parsed;
+}
+
+// Throws unless `data` is exactly the file the (already verified) manifest lists under `name`
+export async function verifyReleaseFile(manifest, name, data) {
+    const entry = manifest.files[name];
+    if (!entry) throw new ReleaseError(`${name} is not part of release ${manifest.version}`);
+    const bytes = asBytes(data);
+    if (bytes.length !== entry.size || toHex(await sha256(bytes)) !== entry.sha256) {
+        throw new ReleaseError(`${name} does not match release ${manifest.version} (SHA-256 differs)`);
+    }
+}
+
+/*
+ * Loads one file of a release and checks it; on any failure falls back to the last copy that verified.
+ *   name:   file name in the manifest ('data.json')
+ *   io:     { readBytes(name) } — the manifest and data file by name, from wherever the release is published;
+ *           bytes rather than text, so the hash is over exactly what was published (no BOM or newline changes)
+ *   cache:  { get(name) -> entry | null, set(name, entry) }, entry { version, publishedAt, text } — verified copies only
+ * -> { text, version, verified: true }
+ *  | { text, version, verified: false, error } (the cached copy; `error` says why the fresh one was refused)
+ * Throws the original error only when nothing verified was ever cached. A correctly signed release that is older
+ * than the cached one is refused too, so an old release cannot be replayed to roll the catalogue back.
+ */
+export async function loadVerifiedReleaseFile(name, { readBytes, publicKey, cache = null }) {
+    try {
+        const manifest = await verifyReleaseManifest(dec.decode(await readBytes(MANIFEST_FILE)), publicKey);
+        const previous = await cache?.get(name);
+        if (previous?.publishedAt && manifest.publishedAt < previous.publishedAt) {
+            throw new ReleaseError(`Release ${manifest.version} is older than the cached ${previous.version}`);
+        }
+        const bytes = await readBytes(name);
+        await verifyReleaseFile(manifest, name, bytes);
+        const text = dec.decode(bytes);
+        await cache?.set(name, { version: manifest.version, publishedAt: manifest.publishedAt, text });
+        return { text, version: manifest.version, verified: true };
+    } catch (e) {
+        const cached = await cache?.get(name);
+        if (!cached) throw e;
+        return { text: cached.text, version: cached.version, verified: false, error: e.message };
+    }
+}
+
+// Cache for loadVerifiedReleaseFile in a Storage (localStorage); entries are JSON under `${prefix}${name}`
+export function storageReleaseCache(storage, prefix = 'catalogue-release:') {
+    return {
+        get(name) {
+            try {
+                const entry = JSON.parse(storage.getItem(prefix + name));
+                return typeof entry?.text === 'string' ? entry : null;
+            } catch {
+                return null;
+            }
+        },
+        set(name, entry) {
+            try {
+                storage.setItem(prefix + name, JSON.stringify(entry));
+            } catch {
+                // quota exceeded: keep whatever was cached before
+            }
+        }
+    };
+}
@@ -0,0 +1,90 @@
+// FILE: /js/catalogue-sources.js
+// Purpose: load part records from configured sources (local files, HTTP URLs, XML feeds) for aggregation
+
+import { deserialize, formatFromFilename } from './catalogue-format.js';
+import { partsXmlMapper } from './xml-mapper.js';
+import { loadVerifiedReleaseFile, MANIFEST_FILE } from './catalogue-release.js';
+import { RELEASE_PUBLIC_KEY } from './release-key.js';
+
+const isRemote = url => /^https?:\/\//i.test(url);
+
+// "data/release/data.json" -> ["data/release/", "data.json"]
+function splitPath(url) {
+    const i = url.lastIndexOf('/') + 1;
+    return [url.slice(0, i), url.slice(i)];
+}
+
+// A `signed` source: url must be a file of a signed release, with manifest.json beside it
+async function loadSignedText(source, { fetchImpl, readBytes, publicKey, releaseCache }) {
+    const [dir, name] = splitPath(source.url);
+    const read = async file => {
+        const url = dir + file;
+        if (!isRemote(url) && readBytes) return readBytes(url);
+        const response = await fetchImpl(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return new Uint8Array(await response.arrayBuffer());
+    };
+    // Cached per source, so two releases with a data.json each do not overwrite each other
+    const cache = releaseCache && {
+        get: file => releaseCache.get(`${source.name}/${file}`),
+        set: (file, entry) => releaseCache.set(`${source.name}/${file}`, entry)
+    };
+    if (name === MANIFEST_FILE) throw new Error('A signed source must name a data file, not the manifest');
+    return loadVerifiedReleaseFile(name, { readBytes: read, publicKey, cache });
+}
+
+function formatFromContentType(type) {
+    if (/xml/i.test(type || '')) return 'xml';
+    if (/csv/i.test(type || '')) return 'csv';
+    if (/json/i.test(type || '')) return 'json';
+    return null;
+}
+
+/*
+ * source: { name, url, format?, signed? }  — url is http(s) or a path handed to io.readText
+ * io: { fetch, readText(path), readBytes(path), publicKey, releaseCache }
+ *   Node passes fs readers; browsers can rely on fetch for everything.
+ *   signed: true checks the file against the release manifest beside it, signed with `publicKey` (the pinned
+ *   RELEASE_PUBLIC_KEY by default); see js/catalogue-release.js. When the check fails, the last verified copy in
+ *   `releaseCache` is used and `release.warning` says why; without one the source fails like a feed that is down.
+ *
+ * Never throws: a feed that is down comes back with `error` and no records.
+ */
+export async function loadSource(source, {
+    fetch: fetchImpl = globalThis.fetch, readText, readBytes, publicKey = RELEASE_PUBLIC_KEY, releaseCache = null
+} = {}) {
+    const result = { name: source.name, url: source.url, records: [], errors: [], error: null };
+    try {
+        let text, contentType = null;
+        if (source.signed) {
+            const release = await loadSignedText(source, { fetchImpl, readBytes, publicKey, releaseCache });
+            text = release.text;
+            result.release = { version: release.version, verified: release.verified, warning: release.error ?? null };
+        } else if (isRemote(source.url) || !readText) {
+            const response = await fetchImpl(source.url);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            contentType = response.headers.get('content-type');
+            text = await response.text();
+        } else {
+            text = await readText(source.url);
+        }
+
+        const format = source.format || formatFromFilename(source.url) || formatFromContentType(contentType) || 'json';
+        if (format === 'xml') {
+            const mapped = partsXmlMapper.map(text);
+            result.records = mapped.records;
+            result.errors = mapped.errors;
+            const fatal = mapped.errors.find(e => e.index === null);
+            if (fatal) result.error = fatal.message;
+        } else {
+            result.records = deserialize(text, format);
+        }
+    } catch (e) {
+        result.error = e.message;
+    }
+    return result;
+}
+
+export function loadSources(sources, io) {
+    return Promise.all(sources.map(s => loadSource(s, io)));
+}
@@ -0,0 +1,9 @@
+// FILE: /js/crypto-browser.js
+// Purpose: browser-only helpers that go with crypto-core.js (they need `document`)
+
+export function download(filename, bytes){
+    const blob = new Blob([bytes], {type:'application/octet-stream'});
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a'); a.href = url; a.download = filename; a.click();
+    URL.revokeObjectURL(url);
+}
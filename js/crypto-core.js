@@ -0,0 +1,297 @@
+// FILE: /js/crypto-core.js
+// Purpose: Web Crypto helpers (PBKDF2, HKDF, AES-GCM, HMAC, ECDSA, ECDH), base64 utils — no DOM, runs in browsers
+// and in Node (node --test test/). Browser-only helpers are in crypto-browser.js; pages import crypto-utils.js.
+
+// Web Crypto is globalThis.crypto in browsers and in Node 20+; resolved once so nothing else touches the global
+const webcrypto = globalThis.crypto;
+const { subtle } = webcrypto;
+
+// base64 (RFC 4648, with padding) in plain JS: btoa/atob are not everywhere, and String.fromCharCode(...bytes)
+// overflows the call stack on multi-MB arrays. Encoding works through the bytes in slices.
+const B64_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+const B64_VALUES = new Uint8Array(128).fill(255);
+for (let i = 0; i < B64_ALPHABET.length; i++) B64_VALUES[B64_ALPHABET.charCodeAt(i)] = i;
+const B64_SLICE = 3 * 0x2000;   // whole 3-byte groups, so only the last slice needs padding
+
+export function b64(u8){
+    const parts = [];
+    for (let start = 0; start < u8.length; start += B64_SLICE) {
+        const end = Math.min(start + B64_SLICE, u8.length);
+        const chars = [];
+        for (let i = start; i < end; i += 3) {
+            const n = (u8[i] << 16) | ((i + 1 < end ? u8[i + 1] : 0) << 8) | (i + 2 < end ? u8[i + 2] : 0);
+            chars.push(
+                B64_ALPHABET[n >> 18],
+                B64_ALPHABET[(n >> 12) & 63],
+                i + 1 < end ? B64_ALPHABET[(n >> 6) & 63] : '=',
+                i + 2 < end ? B64_ALPHABET[n & 63] : '='
+            );
+        }
+        parts.push(chars.join(''));
+    }
+    return parts.join('');
+}
+
+// Like atob: ignores whitespace and accepts missing padding; anything else that is not base64 throws
+export function ub64(s){
+    const text = String(s).replace(/[\t\n\f\r ]+/g, '').replace(/={1,2}$/, '');
+    if (text.length % 4 === 1 || /[^A-Za-z0-9+/]/.test(text)) throw new Error('Invalid base64');
+    const out = new Uint8Array(Math.floor(text.length * 3 / 4));
+    const value = i => (i < text.length ? B64_VALUES[text.charCodeAt(i)] : 0);
+    for (let i = 0, o = 0; i < text.length; i += 4) {
+        const n = (value(i) << 18) | (value(i + 1) << 12) | (value(i + 2) << 6) | value(i + 3);
+        out[o++] = n >> 16;
+        if (o < out.length) out[o++] = (n >> 8) & 255;
+        if (o < out.length) out[o++] = n & 255;
+    }
+    return out;
+}
+export const enc = new TextEncoder();
+export const dec = new TextDecoder();
+
+
+export async function pbkdf2Key(password, salt, iterations = 150000, usage=['encrypt','decrypt']){
+    const material = await subtle.importKey('raw', enc.encode(password), 'PBKDF2', false, ['deriveKey']);
+    return subtle.deriveKey(
+        { name:'PBKDF2', salt, iterations, hash:'SHA-256' },
+        material,
+        { name:'AES-GCM', length:256 },
+        false,
+        usage
+        );
+}
+
+export async function pbkdf2Bits(password, salt, iterations=150000){
+    const material = await subtle.importKey('raw', enc.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await subtle.deriveBits({ name:'PBKDF2', salt, iterations, hash:'SHA-256' }, material, 256);
+    return new Uint8Array(bits);
+}
+
+// Password KDFs. The algorithm and its parameters are stored next to whatever they protect
+// ({ alg, iterations } in vault envelopes and .secure headers), so the defaults can be raised later
+// without breaking anything already encrypted. `iterations` = current recommendation per algorithm.
+export const KDF_ALGORITHMS = {
+    'PBKDF2-SHA-256': { hash:'SHA-256', iterations: 600000 },
+    'PBKDF2-SHA-512': { hash:'SHA-512', iterations: 210000 }
+};
+export const DEFAULT_KDF = { alg:'PBKDF2-SHA-256', iterations: 600000 };
+// What everything used before parameters were recorded
+export const LEGACY_KDF = { alg:'PBKDF2-SHA-256', iterations: 150000 };
+const MAX_ITERATIONS = 10000000;
+
+// Own keys only, so "constructor" or "__proto__" never pass for an algorithm
+const kdfAlgorithm = alg => (Object.hasOwn(KDF_ALGORITHMS, alg) ? KDF_ALGORITHMS[alg] : null);
+
+// Validates KDF parameters read from a file or the server; bounds keep a hostile header from stalling the page
+export function normalizeKdf(kdf = LEGACY_KDF){
+    const algorithm = kdfAlgorithm(kdf?.alg);
+    if (!algorithm) throw new Error(`Unsupported KDF "${kdf?.alg}" (supported: ${Object.keys(KDF_ALGORITHMS).join(', ')})`);
+    const iterations = kdf.iterations;
+    if (!Number.isInteger(iterations) || iterations < LEGACY_KDF.iterations || iterations > MAX_ITERATIONS) {
+        throw new Error(`KDF iterations must be an integer from ${LEGACY_KDF.iterations} to ${MAX_ITERATIONS}`);
+    }
+    return { alg: kdf.alg, iterations };
+}
+
+// Recommended settings for an algorithm (DEFAULT_KDF's algorithm when none is given)
+export function recommendedKdf(alg = DEFAULT_KDF.alg){
+    return normalizeKdf({ alg, iterations: kdfAlgorithm(alg)?.iterations });
+}
+
+// True when `kdf` is at least as strong as the recommendation for its own algorithm
+export function kdfIsCurrent(kdf){
+    const algorithm = kdfAlgorithm(kdf?.alg);
+    return Boolean(algorithm) && kdf.iterations >= algorithm.iterations;
+}
+
+// Stable text form, e.g. for binding the parameters into a MAC
+export function kdfLabel(kdf){
+    const { alg, iterations } = normalizeKdf(kdf);
+    return `${alg};iterations=${iterations}`;
+}
+
+export async function kdfBits(password, salt, kdf = DEFAULT_KDF, length=256){
+    const { alg, iterations } = normalizeKdf(kdf);
+    const material = await subtle.importKey('raw', enc.encode(password), 'PBKDF2', false, ['deriveBits']);
+    const bits = await subtle.deriveBits({ name:'PBKDF2', salt, iterations, hash: KDF_ALGORITHMS[alg].hash }, material, length);
+    return new Uint8Array(bits);
+}
+
+// HKDF-SHA-256: expands one secret into independent keys, one per `info` label
+export async function hkdfBits(ikm, info, length=256, salt=new Uint8Array(32)){
+    const material = await subtle.importKey('raw', ikm, 'HKDF', false, ['deriveBits']);
+    const bits = await subtle.deriveBits({ name:'HKDF', hash:'SHA-256', salt, info: enc.encode(info) }, material, length);
+    return new Uint8Array(bits);
+}
+
+// HMAC-SHA-256 with a raw key (for challenge/response proofs)
+export async function hmacRaw(keyBytes, bytes){
+    const key = await subtle.importKey('raw', keyBytes, { name:'HMAC', hash:'SHA-256' }, false, ['sign']);
+    return new Uint8Array(await subtle.sign('HMAC', key, bytes));
+}
+
+export function randomBytes(n){ const u = new Uint8Array(n); webcrypto.getRandomValues(u); return u; }
+
+// Encrypt a JS object with AES-GCM and return base64 { iv, ciphertext }
+export async function aesGcmEncryptJSON(obj, key) {
+    // make a fresh random IV for this encryption
+    const iv = randomBytes(12);
+
+    // encode the object to bytes
+    const plaintextBytes = enc.encode(JSON.stringify(obj));
+
+    // run AES-GCM
+    const ciphertextBuf = await subtle.encrypt(
+        { name: "AES-GCM", iv },
+        key,
+        plaintextBytes
+    );
+
+    // convert results to base64 so we can store/send as text
+    return {
+        iv: b64(iv),
+        ciphertext: b64(new Uint8Array(ciphertextBuf))
+    };
+}
+
+// Decrypt { iv, ciphertext } with AES-GCM and parse back to JS object
+export async function aesGcmDecryptJSON(encrypted, key) {
+    const { iv, ciphertext } = encrypted;
+
+    // convert base64 -> Uint8Array
+    const ivBytes = ub64(iv);
+    const ctBytes = ub64(ciphertext);
+
+    // decrypt
+    const plaintextBuf = await subtle.decrypt(
+        { name: "AES-GCM", iv: ivBytes },
+        key,
+        ctBytes
+    );
+
+    // decode bytes -> string -> object
+    const jsonStr = dec.decode(plaintextBuf);
+    return JSON.parse(jsonStr);
+}
+
+// aad: optional associated data, authenticated but not encrypted (must be the same when decrypting)
+export async function aesGcmEncryptBytes(bytes, key, aad){
+    const iv = randomBytes(12);
+    const ct = new Uint8Array(await subtle.encrypt({name:'AES-GCM', iv, ...(aad && { additionalData: aad })}, key, bytes));
+    return { iv, ciphertext: ct };
+}
+
+
+export async function aesGcmDecryptBytes(iv, ct, key, aad){
+    const pt = await subtle.decrypt({name:'AES-GCM', iv, ...(aad && { additionalData: aad })}, key, ct);
+    return new Uint8Array(pt);
+}
+
+
+export async function genFileKey(){
+    return subtle.generateKey({ name:'AES-GCM', length:256 }, true, ['encrypt','decrypt']);
+}
+
+
+export async function exportRawKey(key){
+    const raw = new Uint8Array(await subtle.exportKey('raw', key));
+    return raw;
+}
+
+
+export async function importRawAesKey(raw){
+    return subtle.importKey('raw', raw, {name:'AES-GCM'}, false, ['encrypt','decrypt']);
+}
+
+
+// kdf: { alg, iterations } (a bare number is taken as PBKDF2-SHA-256 iterations, as before)
+export async function deriveEncAndMac(password, salt, kdf=LEGACY_KDF){
+    const { alg, iterations } = normalizeKdf(typeof kdf === 'number' ? { alg:'PBKDF2-SHA-256', iterations: kdf } : kdf);
+    const material = await subtle.importKey('raw', enc.encode(password), 'PBKDF2', false, ['deriveKey']);
+    const params = { name:'PBKDF2', salt, iterations, hash: KDF_ALGORITHMS[alg].hash };
+    const aesKey = await subtle.deriveKey(params, material, {name:'AES-GCM', length:256}, false, ['encrypt','decrypt']);
+    const macKey = await subtle.deriveKey(params, material, {name:'HMAC', hash:'SHA-256', length:256}, false, ['sign','verify']);
+    return { aesKey, macKey };
+}
+
+
+export async function hmac(macKey, bytes){
+    const sig = await subtle.sign('HMAC', macKey, bytes);
+    return new Uint8Array(sig);
+}
+
+
+export async function hmacVerify(macKey, bytes, sig){
+    return subtle.verify('HMAC', macKey, sig, bytes);
+}
+
+
+export function concatBytes(...arrs){
+    const len = arrs.reduce((a,b)=>a+b.length,0);
+    const out = new Uint8Array(len); let o=0; for(const a of arrs){ out.set(a,o); o+=a.length; }
+    return out;
+}
+
+
+// ECDSA (P-256)
+export async function genEcdsaKeyPair(){
+    return subtle.generateKey({ name:'ECDSA', namedCurve:'P-256' }, true, ['sign','verify']);
+}
+
+
+export async function ecdsaSign(privateKey, dataBytes){
+    return new Uint8Array(await subtle.sign({ name:'ECDSA', hash:'SHA-256' }, privateKey, dataBytes));
+}
+
+
+export async function ecdsaVerify(publicKey, dataBytes, signature){
+    return subtle.verify({ name:'ECDSA', hash:'SHA-256' }, publicKey, signature, dataBytes);
+}
+
+
+export async function exportSpki(pub){
+    return new Uint8Array(await subtle.exportKey('spki', pub));
+}
+export async function exportPkcs8(priv){
+    return new Uint8Array(await subtle.exportKey('pkcs8', priv));
+}
+export async function importSpki(spki){
+    return subtle.importKey('spki', spki, {name:'ECDSA', namedCurve:'P-256'}, true, ['verify']);
+}
+export async function importPkcs8(pkcs8){
+    return subtle.importKey('pkcs8', pkcs8, {name:'ECDSA', namedCurve:'P-256'}, true, ['sign']);
+}
+
+// ECDH (P-256) key agreement, e.g. for .secure recipients. EC P-256 SPKI / PKCS#8 files are the same
+// whether the key is used for ECDSA or ECDH; these import them for ECDH.
+export async function genEcdhKeyPair(){
+    return subtle.generateKey({ name:'ECDH', namedCurve:'P-256' }, true, ['deriveBits']);
+}
+export async function importEcdhSpki(spki){
+    return subtle.importKey('spki', spki, {name:'ECDH', namedCurve:'P-256'}, true, []);
+}
+export async function importEcdhPkcs8(pkcs8){
+    return subtle.importKey('pkcs8', pkcs8, {name:'ECDH', namedCurve:'P-256'}, true, ['deriveBits']);
+}
+export async function ecdhBits(privateKey, publicKey){
+    return new Uint8Array(await subtle.deriveBits({ name:'ECDH', public: publicKey }, privateKey, 256));
+}
+
+// The public half of an extractable EC P-256 private key (ECDSA or ECDH), as SPKI
+export async function publicSpkiOf(privateKey){
+    const { kty, crv, x, y } = await subtle.exportKey('jwk', privateKey);
+    const { name, namedCurve } = privateKey.algorithm;
+    const publicKey = await subtle.importKey('jwk', { kty, crv, x, y }, { name, namedCurve }, true, name === 'ECDSA' ? ['verify'] : []);
+    return exportSpki(publicKey);
+}
+
+export async function sha256(bytes){
+    return new Uint8Array(await subtle.digest('SHA-256', bytes));
+}
+
+export const toHex = u8 => Array.from(u8, b => b.toString(16).padStart(2, '0')).join('');
+
+// SHA-256 of an SPKI public key, lower-case hex: how keys are named in headers and lists
+export async function keyFingerprint(spki){
+    return toHex(await sha256(spki));
+}
@@ -0,0 +1,44 @@
+// FILE: /js/csv.js
+// Purpose: RFC 4180 CSV read/write (quoted fields, embedded commas, quotes and newlines)
+
+// An empty string is written quoted ("") so readers can tell it from a missing value, which is written as nothing
+export function escapeCsv(value) {
+    if (value === '') return '""';
+    const s = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(s) || /^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+export function writeCsv(rows) {
+    return rows.map(row => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+// Returns an array of rows (arrays of strings); a trailing newline does not add an empty row.
+// missing: what an empty, unquoted cell reads as (a quoted "" is always the empty string)
+export function parseCsv(text, { missing = '' } = {}) {
+    const src = String(text).replace(/^\uFEFF/, '');
+    const rows = [];
+    let row = [], field = '', quoted = false, wasQuoted = false, i = 0;
+    const cell = () => (field === '' && !wasQuoted ? missing : field);
+
+    while (i < src.length) {
+        const c = src[i];
+        if (quoted) {
+            if (c === '"' && src[i + 1] === '"') { field += '"'; i += 2; continue; }
+            if (c === '"') { quoted = false; i++; continue; }
+            field += c; i++;
+            continue;
+        }
+        if (c === '"' && field === '') { quoted = wasQuoted = true; i++; continue; }
+        if (c === ',') { row.push(cell()); field = ''; wasQuoted = false; i++; continue; }
+        if (c === '\r' || c === '\n') {
+            row.push(cell()); rows.push(row);
+            row = []; field = ''; wasQuoted = false;
+            i += c === '\r' && src[i + 1] === '\n' ? 2 : 1;
+            continue;
+        }
+        field += c; i++;
+    }
+    if (quoted) throw new Error('CSV ends inside a quoted field');
+    if (field !== '' || wasQuoted || row.length) { row.push(cell()); rows.push(row); }
+    return rows;
+}
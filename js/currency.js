@@ -0,0 +1,48 @@
+// FILE: /js/currency.js
+// Purpose: exchange-rate table, price conversion and formatting (shared by server and pages)
+// Catalogue prices are stored in the table's base currency (EUR, as data/data.json always was).
+
+export const BASE_CURRENCY = 'EUR';
+
+export class CurrencyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CurrencyError';
+    }
+}
+
+// Checks a parsed rates file: { base, updated?, rates: { CODE: units per 1 base } }
+export function parseRates(table) {
+    if (!table || typeof table !== 'object' || !table.rates || typeof table.rates !== 'object') {
+        throw new CurrencyError('Exchange-rate table must look like { "base": "EUR", "rates": { "GBP": 0.86 } }');
+    }
+    const base = String(table.base || BASE_CURRENCY).toUpperCase();
+    const rates = { [base]: 1 };
+    for (const [code, rate] of Object.entries(table.rates)) {
+        if (!/^[A-Za-z]{3}$/.test(code)) throw new CurrencyError(`Invalid currency code: ${code}`);
+        if (typeof rate !== 'number' || !(rate > 0)) throw new CurrencyError(`Rate for ${code} must be a positive number`);
+        rates[code.toUpperCase()] = rate;
+    }
+    return { base, updated: table.updated ?? null, rates };
+}
+
+export function isSupported(rates, currency) {
+    return typeof currency === 'string' && Object.hasOwn(rates.rates, currency.toUpperCase());
+}
+
+// Converts through the base currency and rounds to cents
+export function convert(amount, from, to, rates) {
+    from = from.toUpperCase();
+    to = to.toUpperCase();
+    if (!isSupported(rates, from)) throw new CurrencyError(`No exchange rate for ${from}`);
+    if (!isSupported(rates, to)) throw new CurrencyError(`No exchange rate for ${to}`);
+    if (from === to) return amount;
+    const value = amount / rates.rates[from] * rates.rates[to];
+    return Math.round(value * 100) / 100;
+}
+
+// "€127.34", "£109.51", "$138.80"
+export function formatPrice(amount, currency = BASE_CURRENCY, locale = 'en-GB') {
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) return '';
+    return new Intl.NumberFormat(locale, { style: 'currency', currency, currencyDisplay: 'narrowSymbol' }).format(amount);
+}
@@ -0,0 +1,346 @@
+// FILE: /js/dashboard-page.js
+// Purpose: ChartForJason.html dashboard — live catalogue from the parts API, filter controls, D3 charts,
+// drill-down from a bar or point to its parts, and PNG/SVG export. The numbers come from js/dashboard.js.
+
+import { DASHBOARD_CHARTS, EMPTY_FILTERS, applyFilters, filterOptions, describeFilters, drillDown } from './dashboard.js';
+import { formatPrice } from './currency.js';
+
+const API_BASE = 'http://localhost:3000';
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const WIDTH = 560, HEIGHT = 300;
+const MARGIN = { top: 16, right: 16, bottom: 56, left: 56 };
+const BAR_COLOR = '#4b8fd6';
+
+const state = { parts: [], filtered: [], currency: 'EUR' };
+
+const form = document.getElementById('dashboard-filters');
+const statusLine = document.getElementById('dashboard-status');
+const chartsBox = document.getElementById('dashboard-charts');
+const drillBox = document.getElementById('dashboard-drill');
+
+// ---- data ---------------------------------------------------------------------------------------------
+
+async function loadCatalogue(currency) {
+    statusLine.textContent = 'Loading catalogue...';
+    const response = await fetch(`${API_BASE}/parts?${new URLSearchParams({ currency })}`);
+    if (!response.ok) {
+        throw new Error(`HTTP error! Status: ${response.status}`);
+    }
+    return response.json();
+}
+
+// ---- filter controls ----------------------------------------------------------------------------------
+
+function checkboxList(target, name, values) {
+    target.replaceChildren(...values.map(value => {
+        const label = document.createElement('label');
+        const box = document.createElement('input');
+        box.type = 'checkbox';
+        box.name = name;
+        box.value = value;
+        label.append(box, ` ${value}`);
+        return label;
+    }));
+}
+
+function buildFilterControls(parts) {
+    const options = filterOptions(parts);
+    checkboxList(document.getElementById('filter-types'), 'type', options.types);
+    checkboxList(document.getElementById('filter-manufacturers'), 'manufacturer', options.manufacturers);
+    for (const field of ['price', 'cores']) {
+        form.elements[`${field}-min`].placeholder = String(Math.floor(options[field].min));
+        form.elements[`${field}-max`].placeholder = String(Math.ceil(options[field].max));
+    }
+}
+
+function readFilters() {
+    const checked = name => [...form.querySelectorAll(`input[name="${name}"]:checked`)].map(box => box.value);
+    const bound = name => {
+        const value = form.elements[name].value;
+        return value === '' ? undefined : Number(value);
+    };
+    return {
+        ...EMPTY_FILTERS,
+        types: checked('type'),
+        manufacturers: checked('manufacturer'),
+        price: { min: bound('price-min'), max: bound('price-max') },
+        cores: { min: bound('cores-min'), max: bound('cores-max') }
+    };
+}
+
+// ---- charts -------------------------------------------------------------------------------------------
+
+function chartFrame(target, spec) {
+    const svg = d3.select(target).append('svg')
+        .attr('width', WIDTH)
+        .attr('height', HEIGHT)
+        .attr('viewBox', `0 0 ${WIDTH} ${HEIGHT}`)
+        .attr('font-family', 'Segoe UI, sans-serif');
+    // Painted background, so an exported image does not depend on the page behind it
+    svg.append('rect').attr('width', WIDTH).attr('height', HEIGHT).attr('fill', '#ffffff');
+    svg.append('text')
+        .attr('x', (MARGIN.left + WIDTH - MARGIN.right) / 2).attr('y', HEIGHT - 6)
+        .attr('text-anchor', 'middle').attr('font-size', 12).text(spec.x);
+    svg.append('text')
+        .attr('transform', `translate(14,${(MARGIN.top + HEIGHT - MARGIN.bottom) / 2}) rotate(-90)`)
+        .attr('text-anchor', 'middle').attr('font-size', 12).text(spec.y);
+    return svg;
+}
+
+// Bars and points are focusable buttons: click, Enter or Space opens the drill-down
+function drillable(selection, chartId) {
+    selection
+        .attr('tabindex', 0)
+        .attr('role', 'button')
+        .style('cursor', 'pointer')
+        .on('click', item => showDrillDown(chartId, item))
+        .on('keydown', item => {
+            if (d3.event.key === 'Enter' || d3.event.key === ' ') {
+                d3.event.preventDefault();
+                showDrillDown(chartId, item);
+            }
+        });
+    selection.append('title').text(item => `${item.label}: ${item.value ?? `${item.x} cores, ${formatPrice(item.y, state.currency)}`}`);
+}
+
+function drawBars(target, chartId, spec) {
+    const svg = chartFrame(target, spec);
+    const x = d3.scaleBand()
+        .domain(spec.items.map(item => item.key))
+        .range([MARGIN.left, WIDTH - MARGIN.right])
+        .padding(0.15);
+    const y = d3.scaleLinear()
+        .domain([0, d3.max(spec.items, item => item.value) || 1]).nice()
+        .range([HEIGHT - MARGIN.bottom, MARGIN.top]);
+    const labels = new Map(spec.items.map(item => [item.key, item.label]));
+
+    svg.append('g')
+        .attr('transform', `translate(0,${HEIGHT - MARGIN.bottom})`)
+        .call(d3.axisBottom(x).tickFormat(key => labels.get(key)))
+        .selectAll('text')
+        .attr('text-anchor', 'end')
+        .attr('transform', 'rotate(-30)');
+    svg.append('g')
+        .attr('transform', `translate(${MARGIN.left},0)`)
+        .call(d3.axisLeft(y).ticks(5));
+
+    svg.append('g').selectAll('rect')
+        .data(spec.items)
+        .enter()
+        .append('rect')
+        .attr('x', item => x(item.key))
+        .attr('y', item => y(item.value))
+        .attr('width', x.bandwidth())
+        .attr('height', item => y(0) - y(item.value))
+        .attr('fill', BAR_COLOR)
+        .call(drillable, chartId);
+}
+
+function drawScatter(target, chartId, spec) {
+    const svg = chartFrame(target, spec);
+    const x = d3.scaleLinear()
+        .domain(d3.extent(spec.items, item => item.x)).nice()
+        .range([MARGIN.left, WIDTH - MARGIN.right]);
+    const y = d3.scaleLinear()
+        .domain(d3.extent(spec.items, item => item.y)).nice()
+        .range([HEIGHT - MARGIN.bottom, MARGIN.top]);
+    const color = d3.scaleOrdinal(d3.schemeCategory10).domain([...new Set(spec.items.map(item => item.type))].sort());
+
+    svg.append('g')
+        .attr('transform', `translate(0,${HEIGHT - MARGIN.bottom})`)
+        .call(d3.axisBottom(x).ticks(8));
+    svg.append('g')
+        .attr('transform', `translate(${MARGIN.left},0)`)
+        .call(d3.axisLeft(y).ticks(5));
+
+    svg.append('g').selectAll('circle')
+        .data(spec.items)
+        .enter()
+        .append('circle')
+        .attr('cx', item => x(item.x))
+        .attr('cy', item => y(item.y))
+        .attr('r', 4)
+        .attr('fill', item => color(item.type))
+        .attr('fill-opacity', 0.7)
+        .call(drillable, chartId);
+
+    const legend = svg.append('g').attr('font-size', 11);
+    color.domain().forEach((type, i) => {
+        const row = legend.append('g').attr('transform', `translate(${WIDTH - MARGIN.right - 90},${MARGIN.top + i * 15})`);
+        row.append('circle').attr('r', 4).attr('cy', -4).attr('fill', color(type));
+        row.append('text').attr('x', 8).text(type);
+    });
+}
+
+function renderCharts() {
+    for (const [id, chart] of Object.entries(DASHBOARD_CHARTS)) {
+        const target = chartsBox.querySelector(`[data-chart="${id}"] .chart-body`);
+        target.replaceChildren();
+        const spec = chart.build(state.filtered);
+        if (!spec.items.length) {
+            target.textContent = 'No parts match the filters.';
+            continue;
+        }
+        (chart.kind === 'scatter' ? drawScatter : drawBars)(target, id, spec);
+    }
+}
+
+// One <figure> per chart in DASHBOARD_CHARTS, with its export buttons
+function buildChartFrames() {
+    chartsBox.replaceChildren(...Object.entries(DASHBOARD_CHARTS).map(([id, chart]) => {
+        const figure = document.createElement('figure');
+        figure.className = 'dashboard-chart';
+        figure.dataset.chart = id;
+        const caption = document.createElement('figcaption');
+        const title = document.createElement('span');
+        title.textContent = chart.title;
+        caption.append(title);
+        for (const format of ['png', 'svg']) {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = format.toUpperCase();
+            button.title = `Save "${chart.title}" as ${format.toUpperCase()}`;
+            button.addEventListener('click', () => exportChart(id, format).catch(error => {
+                console.error('Export failed:', error);
+                statusLine.textContent = `Could not export the chart: ${error.message}`;
+            }));
+            caption.append(button);
+        }
+        const body = document.createElement('div');
+        body.className = 'chart-body';
+        figure.append(caption, body);
+        return figure;
+    }));
+}
+
+// ---- drill-down ---------------------------------------------------------------------------------------
+
+const DRILL_COLUMNS = [
+    ['ID', part => part.id],
+    ['Type', part => part.type],
+    ['Name', part => part.name],
+    ['Manufacturer', part => part.manufacturer],
+    ['Price', part => (typeof part.price === 'number' ? formatPrice(part.price, state.currency) : '')],
+    ['Quantity', part => part.quantity],
+    ['Cores', part => part.specifications?.cores ?? '']
+];
+
+function showDrillDown(chartId, item) {
+    const parts = drillDown(state.filtered, item);
+    const table = document.createElement('table');
+    table.className = 'data-table';
+    const head = table.createTHead().insertRow();
+    for (const [label] of DRILL_COLUMNS) {
+        const th = document.createElement('th');
+        th.textContent = label;
+        head.append(th);
+    }
+    const body = table.createTBody();
+    for (const part of parts) {
+        const row = body.insertRow();
+        for (const [, value] of DRILL_COLUMNS) row.insertCell().textContent = String(value(part) ?? '');
+    }
+
+    document.getElementById('drill-title').textContent =
+        `${DASHBOARD_CHARTS[chartId].title}: ${item.label} — ${parts.length} part${parts.length === 1 ? '' : 's'}`;
+    document.getElementById('drill-table').replaceChildren(table);
+    drillBox.hidden = false;
+    drillBox.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+}
+
+// ---- export -------------------------------------------------------------------------------------------
+
+function saveBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// The chart as a standalone SVG document; tooltips and focus attributes are left out
+function chartSvgText(id) {
+    const svg = chartsBox.querySelector(`[data-chart="${id}"] svg`);
+    if (!svg) throw new Error('Nothing to export: no parts match the filters');
+    const copy = svg.cloneNode(true);
+    copy.querySelectorAll('title').forEach(title => title.remove());
+    copy.querySelectorAll('[tabindex]').forEach(el => {
+        el.removeAttribute('tabindex');
+        el.removeAttribute('role');
+        el.style.removeProperty('cursor');
+    });
+    const caption = document.createElementNS(SVG_NS, 'title');
+    caption.textContent = `${DASHBOARD_CHARTS[id].title} (${describeFilters(readFilters())})`;
+    copy.prepend(caption);
+    return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(copy)}`;
+}
+
+// PNG: the same SVG drawn onto a canvas at twice the size
+async function svgToPng(text, scale = 2) {
+    const url = URL.createObjectURL(new Blob([text], { type: 'image/svg+xml' }));
+    try {
+        const image = new Image();
+        image.src = url;
+        await image.decode();
+        const canvas = document.createElement('canvas');
+        canvas.width = WIDTH * scale;
+        canvas.height = HEIGHT * scale;
+        const context = canvas.getContext('2d');
+        context.scale(scale, scale);
+        context.drawImage(image, 0, 0, WIDTH, HEIGHT);
+        return await new Promise((resolve, reject) => canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png'));
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+}
+
+async function exportChart(id, format) {
+    const text = chartSvgText(id);
+    const filename = `${id}-chart-${new Date().toISOString().slice(0, 10)}.${format}`;
+    if (format === 'svg') saveBlob(new Blob([text], { type: 'image/svg+xml' }), filename);
+    else saveBlob(await svgToPng(text), filename);
+}
+
+// ---- wiring -------------------------------------------------------------------------------------------
+
+function update() {
+    const filters = readFilters();
+    state.filtered = applyFilters(state.parts, filters);
+    statusLine.textContent = `${state.filtered.length} of ${state.parts.length} parts · ${describeFilters(filters)} · prices in ${state.currency}`;
+    drillBox.hidden = true;
+    renderCharts();
+}
+
+async function load() {
+    state.currency = form.elements.currency.value;
+    try {
+        state.parts = await loadCatalogue(state.currency);
+        buildFilterControls(state.parts);
+        update();
+    } catch (error) {
+        console.error('Error fetching catalogue:', error);
+        statusLine.textContent = 'Could not load the catalogue. Check that the parts API is running (node server/server.js).';
+    }
+}
+
+form.addEventListener('input', event => {
+    // A new currency means new prices, and so new price filters
+    if (event.target.name === 'currency') {
+        form.elements['price-min'].value = '';
+        form.elements['price-max'].value = '';
+        load();
+    } else if (state.parts.length) {
+        update();
+    }
+});
+// Reset clears the inputs after this event, so redraw once it has happened (reloading if the currency changed)
+form.addEventListener('reset', () => setTimeout(() => {
+    if (form.elements.currency.value !== state.currency) load();
+    else update();
+}, 0));
+form.addEventListener('submit', event => event.preventDefault());
+document.getElementById('drill-close').addEventListener('click', () => { drillBox.hidden = true; });
+
+buildChartFrames();
+load();
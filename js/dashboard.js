@@ -0,0 +1,138 @@
+// FILE: /js/dashboard.js
+// Purpose: catalogue dashboard data (no DOM): composable filters, one chart per metric, and drill-down to parts
+//
+// filters: { types: [], manufacturers: [], price: { min, max }, cores: { min, max } }
+//   Every filter that is set must match (an empty list or a missing bound means "any"), so they combine freely.
+// DASHBOARD_CHARTS: chart id -> { title, kind, build(parts) -> { x, y, items } }
+//   kind 'bar':     items are [{ key, label, value, ids }] (one bar each)
+//   kind 'scatter': items are [{ key, label, x, y, ids }] (one point each)
+//   ids are the part ids behind an item; drillDown(parts, item) turns them back into records.
+
+export const EMPTY_FILTERS = Object.freeze({ types: [], manufacturers: [], price: {}, cores: {} });
+
+const coresOf = part => part.specifications?.cores;
+
+function inRange(value, { min, max } = {}) {
+    if (min === undefined && max === undefined) return true;
+    if (typeof value !== 'number') return false;
+    return (min === undefined || value >= min) && (max === undefined || value <= max);
+}
+
+// Each entry tests one field; applyFilters keeps the parts every entry accepts
+const FILTER_TESTS = [
+    (part, f) => !f.types?.length || f.types.includes(part.type),
+    (part, f) => !f.manufacturers?.length || f.manufacturers.includes(part.manufacturer),
+    (part, f) => inRange(part.price, f.price),
+    (part, f) => inRange(coresOf(part), f.cores)
+];
+
+export function applyFilters(parts, filters = EMPTY_FILTERS) {
+    return parts.filter(part => FILTER_TESTS.every(test => test(part, filters)));
+}
+
+function extent(values) {
+    const numbers = values.filter(v => typeof v === 'number' && Number.isFinite(v));
+    if (!numbers.length) return { min: 0, max: 0 };
+    return numbers.reduce((r, v) => ({ min: Math.min(r.min, v), max: Math.max(r.max, v) }), { min: Infinity, max: -Infinity });
+}
+
+// Choices for the filter controls: every type and manufacturer present, and the price and core ranges
+export function filterOptions(parts) {
+    const sorted = values => [...new Set(values.filter(Boolean))].sort((a, b) => a.localeCompare(b));
+    return {
+        types: sorted(parts.map(p => p.type)),
+        manufacturers: sorted(parts.map(p => p.manufacturer)),
+        price: extent(parts.map(p => p.price)),
+        cores: extent(parts.map(coresOf))
+    };
+}
+
+// Short text for a caption, e.g. "GPU · AMD, NVIDIA · price 100–500"
+export function describeFilters(filters = EMPTY_FILTERS) {
+    const range = (name, { min, max } = {}) => {
+        if (min === undefined && max === undefined) return null;
+        if (max === undefined) return `${name} ≥ ${min}`;
+        if (min === undefined) return `${name} ≤ ${max}`;
+        return `${name} ${min}–${max}`;
+    };
+    const parts = [
+        filters.types?.length ? filters.types.join(', ') : null,
+        filters.manufacturers?.length ? filters.manufacturers.join(', ') : null,
+        range('price', filters.price),
+        range('cores', filters.cores)
+    ].filter(Boolean);
+    return parts.length ? parts.join(' · ') : 'All parts';
+}
+
+// 1, 2 or 5 times a power of ten, at least `raw`: bin widths people can read
+function niceStep(raw) {
+    if (!(raw > 0)) return 1;
+    const power = 10 ** Math.floor(Math.log10(raw));
+    return [1, 2, 5, 10].map(m => m * power).find(step => step >= raw);
+}
+
+// Histogram of prices in about `binCount` equal, round-numbered bins; empty bins are kept so gaps show
+export function priceDistribution(parts, binCount = 10) {
+    const priced = parts.filter(p => typeof p.price === 'number' && Number.isFinite(p.price));
+    if (!priced.length) return [];
+    const { min, max } = extent(priced.map(p => p.price));
+    const step = niceStep((max - min) / binCount);
+    const start = Math.floor(min / step) * step;
+    const count = Math.max(1, Math.floor((max - start) / step) + 1);
+    // toPrecision drops float noise such as 0.30000000000000004 from fractional steps
+    const round = n => Number(n.toPrecision(12));
+    const bins = Array.from({ length: count }, (_, i) => {
+        const from = round(start + i * step), to = round(start + (i + 1) * step);
+        return { key: String(i), label: `${from}–${to}`, from, to, value: 0, ids: [] };
+    });
+    for (const part of priced) {
+        const bin = bins[Math.min(count - 1, Math.floor((part.price - start) / step))];
+        bin.value += 1;
+        bin.ids.push(part.id);
+    }
+    return bins;
+}
+
+// Units in stock per manufacturer, largest first
+export function stockByManufacturer(parts) {
+    const groups = new Map();
+    for (const part of parts) {
+        const name = part.manufacturer || 'Unknown';
+        if (!groups.has(name)) groups.set(name, { key: name, label: name, value: 0, ids: [] });
+        const group = groups.get(name);
+        group.value += Number.isFinite(part.quantity) ? part.quantity : 0;
+        group.ids.push(part.id);
+    }
+    return [...groups.values()].sort((a, b) => b.value - a.value || a.label.localeCompare(b.label));
+}
+
+// One point per part that has both a core count and a price
+export function coresVsPrice(parts) {
+    return parts
+        .filter(p => typeof coresOf(p) === 'number' && typeof p.price === 'number')
+        .map(p => ({ key: String(p.id), label: p.name, x: coresOf(p), y: p.price, type: p.type, ids: [p.id] }));
+}
+
+export const DASHBOARD_CHARTS = {
+    price: {
+        title: 'Price distribution',
+        kind: 'bar',
+        build: parts => ({ x: 'Price', y: 'Parts', items: priceDistribution(parts) })
+    },
+    stock: {
+        title: 'Stock by manufacturer',
+        kind: 'bar',
+        build: parts => ({ x: 'Manufacturer', y: 'Units in stock', items: stockByManufacturer(parts) })
+    },
+    cores: {
+        title: 'Cores vs price',
+        kind: 'scatter',
+        build: parts => ({ x: 'Cores', y: 'Price', items: coresVsPrice(parts) })
+    }
+};
+
+// The records behind a bar or point, in catalogue order
+export function drillDown(parts, item) {
+    const ids = new Set(item.ids);
+    return parts.filter(p => ids.has(p.id));
+}
@@ -0,0 +1,84 @@
+// FILE: /js/data-quality.js
+// Purpose: consistency report for a list of part records (schema errors, name/type/vendor mismatches, duplicates)
+
+import { validatePart, parseClockSpeed } from './part-schema.js';
+
+// What a product name tells us about the chip vendor and the part type
+export const NAME_RULES = [
+    { pattern: /\bintel\b|\bcore i[3579]\b/i, manufacturer: 'Intel', type: 'CPU' },
+    { pattern: /\bryzen\b|\bthreadripper\b/i, manufacturer: 'AMD', type: 'CPU' },
+    { pattern: /\bradeon\b|\brx ?\d{3,4}/i, manufacturer: 'AMD', type: 'GPU' },
+    { pattern: /\bgeforce\b|\b[rg]tx ?\d{3,4}/i, manufacturer: 'NVIDIA', type: 'GPU' }
+];
+
+export function inferFromName(name) {
+    const rule = NAME_RULES.find(r => r.pattern.test(name || ''));
+    return rule ? { manufacturer: rule.manufacturer, type: rule.type } : null;
+}
+
+// Key order independent JSON, so {a,b} and {b,a} compare equal
+function canonical(value) {
+    if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+// Everything but the id, so re-keyed copies of a record compare equal
+function contentKey(part) {
+    const { id, ...rest } = part;
+    return canonical(rest);
+}
+
+export function qualityReport(parts) {
+    const invalid = [];
+    const mismatches = [];
+    const clockSpeeds = [];
+    const byId = new Map();
+    const byContent = new Map();
+
+    parts.forEach((part, index) => {
+        const errors = validatePart(part);
+        if (errors.length) invalid.push({ index, id: part?.id, errors });
+        if (!part || typeof part !== 'object') return;
+
+        const inferred = inferFromName(part.name);
+        if (inferred) {
+            for (const field of ['manufacturer', 'type']) {
+                if (part[field] !== inferred[field]) {
+                    mismatches.push({ id: part.id, field, actual: part[field], expected: inferred[field], name: part.name });
+                }
+            }
+        }
+
+        const clock = part.specifications?.clockSpeed;
+        if (clock !== undefined && parseClockSpeed(clock) === null) clockSpeeds.push({ id: part.id, value: clock });
+
+        if (!byId.has(part.id)) byId.set(part.id, []);
+        byId.get(part.id).push(index);
+
+        const key = contentKey(part);
+        if (!byContent.has(key)) byContent.set(key, []);
+        byContent.get(key).push(part.id);
+    });
+
+    const duplicateIds = [...byId].filter(([, idx]) => idx.length > 1).map(([id, indexes]) => ({ id, indexes }));
+    const duplicateRecords = [...byContent.values()].filter(ids => ids.length > 1);
+
+    return {
+        summary: {
+            records: parts.length,
+            valid: parts.length - invalid.length,
+            invalid: invalid.length,
+            mismatches: mismatches.length,
+            duplicateIds: duplicateIds.length,
+            duplicateRecords: duplicateRecords.length,
+            unparsedClockSpeeds: clockSpeeds.length
+        },
+        invalid,
+        mismatches,
+        duplicates: { ids: duplicateIds, records: duplicateRecords },
+        clockSpeeds
+    };
+}
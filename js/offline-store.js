@@ -0,0 +1,207 @@
+// FILE: /js/offline-store.js
+// Purpose: offline cache in IndexedDB — last good copies of API responses (revalidated with ETags), verified
+// catalogue releases, and an outbox of edits made while the API could not be reached
+//
+// Database 'catalogue-offline':
+//   responses: { url, etag, bytes, savedAt, checkedAt }
+//     savedAt: when these bytes arrived; checkedAt: the last time the server confirmed them (200 or 304).
+//     A failed check leaves checkedAt alone, so it is the "stale since" time.
+//   releases:  { name, version, publishedAt, text }, verified copies for loadVerifiedReleaseFile
+//   outbox:    { id, method, url, body, summary, queuedAt, status: 'pending' | 'conflict', force, conflict }
+// Every function takes the handle from openOfflineDb. That handle is null when the browser has no IndexedDB
+// (or refuses it, as some private modes do); responses then still work, just without a saved copy.
+
+export const OFFLINE_DB = 'catalogue-offline';
+const DB_VERSION = 1;
+
+const done = request => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+// -> { get(store, key), put(store, value), delete(store, key), all(store) } | null
+export async function openOfflineDb(factory = globalThis.indexedDB) {
+    if (!factory) return null;
+    let db;
+    try {
+        const request = factory.open(OFFLINE_DB, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const upgrade = request.result;
+            upgrade.createObjectStore('responses', { keyPath: 'url' });
+            upgrade.createObjectStore('releases', { keyPath: 'name' });
+            upgrade.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+        };
+        db = await done(request);
+    } catch (e) {
+        console.warn('Offline cache unavailable:', e);
+        return null;
+    }
+    const store = (name, mode = 'readonly') => db.transaction(name, mode).objectStore(name);
+    return {
+        get: (name, key) => done(store(name).get(key)).then(value => value ?? null),
+        put: (name, value) => done(store(name, 'readwrite').put(value)),
+        delete: (name, key) => done(store(name, 'readwrite').delete(key)),
+        all: name => done(store(name).getAll())
+    };
+}
+
+const sameBytes = (a, b) => a.length === b.length && a.every((byte, i) => byte === b[i]);
+
+// The saved copy of `url`, or null
+export async function cachedResponse(db, url) {
+    return db ? db.get('responses', url) : null;
+}
+
+/*
+ * GETs `url`, sending the saved copy's ETag as If-None-Match; a 304 keeps the saved bytes.
+ * -> { url, etag, bytes, savedAt, checkedAt, changed } (changed: the bytes differ from the saved copy)
+ * Throws when the server cannot be reached (TypeError, from fetch) or answers with an error; the saved copy is
+ * left as it was, so cachedResponse() still has the last good one.
+ */
+export async function revalidate(db, url, { fetch = globalThis.fetch, headers = {} } = {}) {
+    const saved = await cachedResponse(db, url);
+    // no-store: this cache does the revalidating, so the browser's HTTP cache must not answer for the server
+    const response = await fetch(url, {
+        cache: 'no-store',
+        headers: saved?.etag ? { ...headers, 'If-None-Match': saved.etag } : headers
+    });
+    const checkedAt = new Date().toISOString();
+    if (response.status === 304 && saved) {
+        const entry = { ...saved, checkedAt };
+        await db.put('responses', entry);
+        return { ...entry, changed: false };
+    }
+    if (!response.ok) {
+        throw new Error(`HTTP error! Status: ${response.status}`);
+    }
+    const bytes = new Uint8Array(await response.arrayBuffer());
+    const changed = !saved || !sameBytes(saved.bytes, bytes);
+    const entry = { url, etag: response.headers.get('ETag'), bytes, savedAt: changed ? checkedAt : saved.savedAt, checkedAt };
+    await db?.put('responses', entry);
+    return { ...entry, changed };
+}
+
+// Cache for loadVerifiedReleaseFile (same contract as storageReleaseCache). Entries found only in `legacy`,
+// e.g. the localStorage cache earlier versions of the page used, are moved over the first time they are read.
+export function offlineReleaseCache(db, legacy = null) {
+    return {
+        async get(name) {
+            const entry = await db.get('releases', name);
+            if (entry) return entry;
+            const old = await legacy?.get(name);
+            if (!old) return null;
+            await this.set(name, old);
+            return old;
+        },
+        async set(name, entry) {
+            try {
+                await db.put('releases', { ...entry, name });
+            } catch (e) {
+                // quota exceeded: keep whatever was cached before
+                console.warn('Could not save release copy:', e);
+            }
+        }
+    };
+}
+
+// Queues a request to send later; body is JSON-serialisable. summary: one line for the page to list it by.
+export async function queueEdit(db, { method, url, body, summary }) {
+    const edit = { method, url, body, summary, queuedAt: new Date().toISOString(), status: 'pending', force: false };
+    edit.id = await db.put('outbox', edit);
+    return edit;
+}
+
+// Queued edits, oldest first
+export async function listEdits(db) {
+    return db ? db.all('outbox') : [];
+}
+
+export async function discardEdit(db, id) {
+    await db.delete('outbox', id);
+}
+
+// "Send anyway" for an edit in conflict: the next sync sends it without checking again
+export async function retryEdit(db, id) {
+    const edit = await db.get('outbox', id);
+    if (!edit) return null;
+    const { conflict, ...rest } = edit;
+    const retried = { ...rest, status: 'pending', force: true };
+    await db.put('outbox', retried);
+    return retried;
+}
+
+const conflictOf = (status, data, existing = null) => ({
+    status,
+    message: data?.error || `HTTP ${status}`,
+    details: data?.details ?? null,
+    existing,
+    at: new Date().toISOString()
+});
+
+/*
+ * Sends the pending edits in queue order.
+ *   check(edit) -> null | { message, existing }: a conflict spotted before sending (skipped for `force` edits)
+ *   onSent(edit, result): called as each accepted edit leaves the queue, before the next one is checked
+ * Each edit ends up
+ *   sent      the API accepted it; it leaves the queue
+ *   conflict  the API refused it (409, 412, 422 or any other 4xx) or check() found one; it stays, with `conflict`,
+ *             until the user sends it anyway or discards it
+ *   pending   the API could not be reached or failed (5xx); it and every later edit wait for the next sync
+ * -> { sent: [{ edit, result }], conflicts: [edit], pending: [edit] }
+ * Pages in other tabs may sync at the same moment, so the queue is held under a Web Lock where there is one.
+ */
+export async function syncOutbox(db, { fetch = globalThis.fetch, check = null, onSent = null } = {}) {
+    const outcome = { sent: [], conflicts: [], pending: [] };
+    if (!db) return outcome;
+
+    const run = async () => {
+        let reachable = true;
+        for (const edit of await listEdits(db)) {
+            if (edit.status === 'conflict') {
+                outcome.conflicts.push(edit);
+                continue;
+            }
+            if (!reachable) {
+                outcome.pending.push(edit);
+                continue;
+            }
+            let response;
+            try {
+                const found = edit.force || !check ? null : await check(edit);
+                if (found) {
+                    const flagged = { ...edit, status: 'conflict', conflict: conflictOf(409, { error: found.message }, found.existing) };
+                    await db.put('outbox', flagged);
+                    outcome.conflicts.push(flagged);
+                    continue;
+                }
+                response = await fetch(edit.url, {
+                    method: edit.method,
+                    headers: { 'Content-Type': 'application/json' },
+                    body: edit.body === undefined ? undefined : JSON.stringify(edit.body)
+                });
+            } catch (e) {
+                console.warn('Outbox sync stopped:', e);
+                reachable = false;
+                outcome.pending.push(edit);
+                continue;
+            }
+            const data = await response.json().catch(() => null);
+            if (response.ok) {
+                await db.delete('outbox', edit.id);
+                outcome.sent.push({ edit, result: data });
+                await onSent?.(edit, data);
+            } else if (response.status >= 500) {
+                reachable = false;
+                outcome.pending.push(edit);
+            } else {
+                const flagged = { ...edit, status: 'conflict', conflict: conflictOf(response.status, data) };
+                await db.put('outbox', flagged);
+                outcome.conflicts.push(flagged);
+            }
+        }
+        return outcome;
+    };
+
+    const locks = globalThis.navigator?.locks;
+    return locks ? locks.request(`${OFFLINE_DB}-outbox`, run) : run();
+}
@@ -0,0 +1,314 @@
+// FILE: /js/part-list.js
+// Purpose: part list component — a sortable, virtually scrolled table with a detail view, built with DOM calls only
+//
+// const list = createPartList(container, { label: 'Parts (JSON)' });
+// list.setLoading(); list.setParts(parts, { currency: 'GBP' }); list.setError('Could not load parts');
+// list.showDetail(12); list.sortBy('price', 'desc');
+//
+// Every value goes in through textContent, so markup in a feed (a `name` of "<img onerror=…>") shows as text.
+// Only the rows in view (plus OVERSCAN either side) exist in the DOM; spacer rows keep the scrollbar honest.
+// Keys, with a row focused: ↑/↓, Page Up/Down, Home/End move; Enter opens the detail view; Escape closes it.
+
+import { BASE_CURRENCY, formatPrice } from './currency.js';
+
+export const ROW_HEIGHT = 32;
+const OVERSCAN = 8;
+// Rows rendered when the list has no laid-out height yet (hidden, or not in a document)
+const FALLBACK_ROWS = 20;
+
+// key: sort key; value(part): what sorts; text(part, ctx): what shows (defaults to value)
+export const PART_COLUMNS = [
+    { key: 'id', label: 'ID', numeric: true, value: p => p.id },
+    { key: 'name', label: 'Name', value: p => p.name },
+    { key: 'type', label: 'Type', value: p => p.type },
+    { key: 'manufacturer', label: 'Manufacturer', value: p => p.manufacturer },
+    {
+        key: 'price', label: 'Price', numeric: true, value: p => p.price,
+        text: (p, { currency }) => (typeof p.price === 'number' ? formatPrice(p.price, currency) : '')
+    },
+    { key: 'quantity', label: 'Qty', numeric: true, value: p => p.quantity },
+    { key: 'cores', label: 'Cores', numeric: true, value: p => p.specifications?.cores },
+    { key: 'clockSpeed', label: 'Clock', value: p => p.specifications?.clockSpeed }
+];
+
+const isMissing = v => v === undefined || v === null || v === '';
+
+// Missing values sort last in both directions; ties keep their original order
+function comparator(column, direction) {
+    const sign = direction === 'desc' ? -1 : 1;
+    return (a, b) => {
+        const x = column.value(a.part), y = column.value(b.part);
+        if (isMissing(x) || isMissing(y)) return (isMissing(x) - isMissing(y)) || a.index - b.index;
+        const order = column.numeric && typeof x === 'number' && typeof y === 'number'
+            ? x - y
+            : String(x).localeCompare(String(y), undefined, { numeric: true, sensitivity: 'base' });
+        return order * sign || a.index - b.index;
+    };
+}
+
+function el(tag, className, text) {
+    const node = document.createElement(tag);
+    if (className) node.className = className;
+    if (text !== undefined) node.textContent = text;
+    return node;
+}
+
+function displayValue(value) {
+    if (isMissing(value)) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+export function createPartList(container, { columns = PART_COLUMNS, label = 'Parts', onSelect } = {}) {
+    const state = {
+        parts: [],
+        rows: [],              // [{ part, index }] in display order
+        currency: BASE_CURRENCY,
+        sort: null,            // { key, direction }
+        active: 0,             // row with the roving tabindex
+        detailId: null
+    };
+
+    const root = el('div', 'part-list');
+    const status = el('p', 'part-list-status');
+    status.setAttribute('role', 'status');
+    const scroller = el('div', 'part-list-scroll');
+    const table = el('table', 'part-list-table');
+    table.setAttribute('role', 'grid');
+    table.setAttribute('aria-label', label);
+    const head = table.createTHead().insertRow();
+    const body = table.createTBody();
+    const detail = el('section', 'part-detail');
+    detail.hidden = true;
+    detail.setAttribute('aria-label', `${label}: selected part`);
+    const detailTitle = el('h3');
+    const detailClose = el('button', 'part-detail-close', 'Close');
+    detailClose.type = 'button';
+    const detailFields = el('dl');
+    detail.append(detailTitle, detailFields, detailClose);
+    scroller.append(table);
+    root.append(status, scroller, detail);
+    container.replaceChildren(root);
+
+    head.setAttribute('aria-rowindex', '1');
+    for (const column of columns) {
+        const th = el('th');
+        th.scope = 'col';
+        th.dataset.key = column.key;
+        if (column.numeric) th.className = 'numeric';
+        const button = el('button', 'part-list-sort', column.label);
+        button.type = 'button';
+        button.addEventListener('click', () => {
+            const direction = state.sort?.key === column.key && state.sort.direction === 'asc' ? 'desc' : 'asc';
+            api.sortBy(column.key, direction);
+        });
+        th.append(button);
+        head.append(th);
+    }
+
+    function setStatus(kind, message) {
+        root.dataset.state = kind;
+        status.textContent = message;
+        status.hidden = !message;
+        scroller.hidden = kind !== 'ready';
+    }
+
+    function viewportRows() {
+        return scroller.clientHeight ? Math.ceil(scroller.clientHeight / ROW_HEIGHT) : FALLBACK_ROWS;
+    }
+
+    function spacer(height) {
+        const row = body.insertRow();
+        row.className = 'part-list-spacer';
+        row.setAttribute('aria-hidden', 'true');
+        row.style.height = `${height}px`;
+        row.insertCell().colSpan = columns.length;
+        return row;
+    }
+
+    function renderRow(position) {
+        const { part } = state.rows[position];
+        const row = body.insertRow();
+        row.className = 'part-list-row';
+        row.style.height = `${ROW_HEIGHT}px`;
+        row.dataset.position = String(position);
+        row.setAttribute('aria-rowindex', String(position + 2));
+        row.tabIndex = position === state.active ? 0 : -1;
+        if (part.id === state.detailId) row.setAttribute('aria-selected', 'true');
+        for (const column of columns) {
+            const cell = row.insertCell();
+            cell.textContent = column.text ? column.text(part, state) : displayValue(column.value(part));
+            if (column.numeric) cell.className = 'numeric';
+        }
+    }
+
+    // Rebuilds only the rows around the scroll position
+    function render() {
+        const total = state.rows.length;
+        table.setAttribute('aria-rowcount', String(total + 1));
+        const first = Math.max(0, Math.floor(scroller.scrollTop / ROW_HEIGHT) - OVERSCAN);
+        const last = Math.min(total, first + viewportRows() + 2 * OVERSCAN);
+        body.replaceChildren();
+        if (first > 0) spacer(first * ROW_HEIGHT);
+        for (let position = first; position < last; position++) renderRow(position);
+        if (last < total) spacer((total - last) * ROW_HEIGHT);
+    }
+
+    let frame = null;
+    scroller.addEventListener('scroll', () => {
+        if (frame !== null) return;
+        frame = requestAnimationFrame(() => { frame = null; render(); });
+    });
+
+    function rowElement(position) {
+        return body.querySelector(`tr[data-position="${position}"]`);
+    }
+
+    // Moves the roving tabindex, scrolling the row into view (and into the DOM) first
+    function focusRow(position) {
+        if (!state.rows.length) return;
+        state.active = Math.max(0, Math.min(state.rows.length - 1, position));
+        const top = state.active * ROW_HEIGHT;
+        const headHeight = table.tHead.offsetHeight || 0;
+        if (top < scroller.scrollTop) scroller.scrollTop = top;
+        else if (top + ROW_HEIGHT > scroller.scrollTop + scroller.clientHeight - headHeight) {
+            scroller.scrollTop = top + ROW_HEIGHT - scroller.clientHeight + headHeight;
+        }
+        render();
+        rowElement(state.active)?.focus();
+    }
+
+    const KEY_MOVES = {
+        ArrowDown: p => p + 1,
+        ArrowUp: p => p - 1,
+        PageDown: p => p + Math.max(1, viewportRows() - 1),
+        PageUp: p => p - Math.max(1, viewportRows() - 1),
+        Home: () => 0,
+        End: () => state.rows.length - 1
+    };
+
+    body.addEventListener('keydown', event => {
+        const row = event.target.closest('tr.part-list-row');
+        if (!row) return;
+        const position = Number(row.dataset.position);
+        if (KEY_MOVES[event.key]) {
+            event.preventDefault();
+            focusRow(KEY_MOVES[event.key](position));
+        } else if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            api.showDetail(state.rows[position].part.id);
+        }
+    });
+
+    body.addEventListener('click', event => {
+        const row = event.target.closest('tr.part-list-row');
+        if (!row) return;
+        state.active = Number(row.dataset.position);
+        api.showDetail(state.rows[state.active].part.id);
+    });
+
+    root.addEventListener('keydown', event => {
+        if (event.key === 'Escape' && !detail.hidden) api.closeDetail();
+    });
+    detailClose.addEventListener('click', () => api.closeDetail());
+
+    function applySort() {
+        state.rows = state.parts.map((part, index) => ({ part, index }));
+        if (state.sort) {
+            const column = columns.find(c => c.key === state.sort.key);
+            state.rows.sort(comparator(column, state.sort.direction));
+        }
+        for (const th of head.cells) {
+            if (th.dataset.key === state.sort?.key) th.setAttribute('aria-sort', state.sort.direction === 'asc' ? 'ascending' : 'descending');
+            else th.removeAttribute('aria-sort');
+        }
+    }
+
+    function fillDetail(part) {
+        detailTitle.textContent = `${displayValue(part.name) || 'Part'} (ID ${displayValue(part.id)})`;
+        const fields = [];
+        const shown = new Set(['id', 'name', 'specifications']);
+        for (const column of columns) {
+            if (column.key === 'id' || column.key === 'name') continue;
+            const text = column.text ? column.text(part, state) : displayValue(column.value(part));
+            if (text !== '') fields.push([column.label, text]);
+            shown.add(column.key);
+        }
+        // Whatever else the record carries, so the detail view shows the full part
+        for (const [key, value] of Object.entries(part)) {
+            if (!shown.has(key) && !isMissing(value)) fields.push([key, displayValue(value)]);
+        }
+        for (const [key, value] of Object.entries(part.specifications || {})) {
+            if (!shown.has(key) && !isMissing(value)) fields.push([key, displayValue(value)]);
+        }
+        detailFields.replaceChildren(...fields.flatMap(([name, value]) => [el('dt', null, name), el('dd', null, value)]));
+    }
+
+    const api = {
+        get parts() {
+            return state.parts;
+        },
+
+        // parts: an array, or a single record
+        setParts(parts, { currency = state.currency } = {}) {
+            state.parts = Array.isArray(parts) ? parts : parts && typeof parts === 'object' ? [parts] : [];
+            state.currency = currency;
+            state.active = 0;
+            applySort();
+            scroller.scrollTop = 0;
+            if (!state.parts.length) {
+                setStatus('empty', 'No parts to show.');
+            } else {
+                setStatus('ready', `${state.parts.length} part${state.parts.length === 1 ? '' : 's'}`);
+            }
+            render();
+            // Keep an open detail view if its part is still listed
+            const open = state.parts.find(p => p.id === state.detailId);
+            if (open) fillDetail(open);
+            else api.closeDetail();
+        },
+
+        setLoading(message = 'Loading parts...') {
+            api.closeDetail();
+            setStatus('loading', message);
+        },
+
+        setError(message = 'Could not load parts.') {
+            api.closeDetail();
+            setStatus('error', message);
+        },
+
+        sortBy(key, direction = 'asc') {
+            if (!columns.some(c => c.key === key)) throw new Error(`Unknown column: ${key}`);
+            state.sort = { key, direction };
+            applySort();
+            render();
+        },
+
+        // -> false when no listed part has that id
+        showDetail(id) {
+            const position = state.rows.findIndex(r => String(r.part.id) === String(id));
+            if (position === -1) return false;
+            const { part } = state.rows[position];
+            state.detailId = part.id;
+            state.active = position;
+            fillDetail(part);
+            detail.hidden = false;
+            focusRow(position);
+            onSelect?.(part);
+            return true;
+        },
+
+        closeDetail() {
+            const wasOpen = !detail.hidden;
+            state.detailId = null;
+            detail.hidden = true;
+            if (wasOpen) {
+                render();
+                rowElement(state.active)?.focus();
+            }
+        }
+    };
+
+    setStatus('empty', '');
+    return api;
+}
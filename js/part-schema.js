@@ -0,0 +1,171 @@
+// FILE: /js/part-schema.js
+// Purpose: schema for a part record + validator, shared by the API, the offline validator and the Add Data form
+
+export const PART_TYPES = ['CPU', 'GPU', 'Motherboard', 'RAM', 'PSU', 'Storage', 'Case'];
+
+export const MEMORY_TYPES = ['DDR4', 'DDR5'];
+
+// Largest first: a case takes its own form factor and anything smaller
+export const FORM_FACTORS = ['ATX', 'Micro-ATX', 'Mini-ITX'];
+
+// Every specification field a part may carry; which ones are required depends on the type (SPEC_REQUIRED_BY_TYPE).
+// Power figures are watts. `chipsets` on a CPU is an optional comma-separated list of supported board chipsets.
+export const SPEC_PROPERTIES = {
+    cores: { type: 'integer', minimum: 1, maximum: 256 },
+    clockSpeed: { type: 'string', pattern: '^\\d+(\\.\\d+)?\\s*(GHz|MHz)$' },
+    socket: { type: 'string', minLength: 1, maxLength: 20 },
+    chipset: { type: 'string', minLength: 1, maxLength: 20 },
+    chipsets: { type: 'string', minLength: 1, maxLength: 120 },
+    powerDraw: { type: 'integer', minimum: 1, maximum: 2000 },
+    wattage: { type: 'integer', minimum: 100, maximum: 3000 },
+    memoryType: { type: 'string', enum: MEMORY_TYPES },
+    memorySlots: { type: 'integer', minimum: 1, maximum: 16 },
+    modules: { type: 'integer', minimum: 1, maximum: 8 },
+    capacity: { type: 'string', pattern: '^\\d+(\\.\\d+)?\\s*(GB|TB)$' },
+    formFactor: { type: 'string', enum: FORM_FACTORS }
+};
+
+export const SPEC_REQUIRED_BY_TYPE = {
+    CPU: ['cores', 'clockSpeed'],
+    GPU: ['cores', 'clockSpeed'],
+    Motherboard: ['socket', 'chipset', 'memoryType', 'memorySlots', 'formFactor'],
+    RAM: ['memoryType', 'modules', 'capacity'],
+    PSU: ['wattage'],
+    Storage: ['capacity'],
+    Case: ['formFactor']
+};
+
+// JSON-Schema style, limited to the keywords validate() understands
+export const PART_SCHEMA = {
+    type: 'object',
+    required: ['type', 'name', 'manufacturer', 'price', 'quantity', 'specifications'],
+    additionalProperties: false,
+    properties: {
+        id: { type: 'integer', minimum: 1 },
+        type: { type: 'string', enum: PART_TYPES },
+        name: { type: 'string', minLength: 1, maxLength: 120 },
+        manufacturer: { type: 'string', minLength: 1, maxLength: 60 },
+        price: { type: 'number', minimum: 0 },
+        quantity: { type: 'integer', minimum: 0 },
+        specifications: {
+            type: 'object',
+            additionalProperties: false,
+            properties: SPEC_PROPERTIES
+        }
+    }
+};
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number' && !Number.isFinite(value)) return 'NaN';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+// Own keys only, so "constructor" or "toString" never look like schema entries
+const ownEntry = (table, key) => (table && Object.hasOwn(table, key) ? table[key] : undefined);
+
+function join(path, key) {
+    return path ? `${path}.${key}` : key;
+}
+
+// Returns [{ path, message }]; an empty array means the value is valid
+export function validate(value, schema, path = '', errors = []) {
+    const actual = typeOf(value);
+    const typeOk = schema.type === 'number' ? actual === 'number' || actual === 'integer' : actual === schema.type;
+    if (schema.type && !typeOk) {
+        errors.push({ path, message: `expected ${schema.type}, got ${actual}` });
+        return errors;
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+    }
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        errors.push({ path, message: schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ path, message: `does not match ${schema.pattern}` });
+
+    if (schema.type === 'object') {
+        for (const key of schema.required || []) {
+            if (value[key] === undefined) errors.push({ path: join(path, key), message: 'is required' });
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const sub = ownEntry(schema.properties, key);
+            if (sub) validate(child, sub, join(path, key), errors);
+            else if (schema.additionalProperties === false) errors.push({ path: join(path, key), message: 'is not allowed' });
+        }
+    }
+    return errors;
+}
+
+// Schema check plus the specification fields the part's type needs
+export function validatePart(part) {
+    const errors = validate(part, PART_SCHEMA);
+    const required = ownEntry(SPEC_REQUIRED_BY_TYPE, part?.type) || [];
+    const specs = part?.specifications;
+    if (specs && typeof specs === 'object' && !Array.isArray(specs)) {
+        for (const key of required) {
+            if (specs[key] === undefined) errors.push({ path: `specifications.${key}`, message: `is required for ${part.type}` });
+        }
+    }
+    return errors;
+}
+
+// "B650, X670" -> ['B650', 'X670']
+export function parseList(text) {
+    return String(text ?? '').split(',').map(s => s.trim()).filter(Boolean);
+}
+
+// "32 GB" / "2 TB" -> gigabytes; null when the text doesn't parse
+export function parseCapacity(text) {
+    const m = /^\s*(\d+(?:\.\d+)?)\s*(GB|TB)\s*$/i.exec(String(text ?? ''));
+    if (!m) return null;
+    const n = parseFloat(m[1]);
+    return m[2].toUpperCase() === 'TB' ? n * 1000 : n;
+}
+
+// "2.1 GHz" -> 2100 (MHz); null when the text doesn't parse
+export function parseClockSpeed(text) {
+    const m = /^\s*(\d+(?:\.\d+)?)\s*(GHz|MHz)\s*$/i.exec(String(text ?? ''));
+    if (!m) return null;
+    const n = parseFloat(m[1]);
+    return m[2].toLowerCase() === 'ghz' ? Math.round(n * 1000) : n;
+}
+
+// Restore JSON types on text-only input (XML, CSV) using the schema.
+// Values that don't convert are left as-is for validate() to report; "" numbers are dropped.
+export function coerce(value, schema) {
+    if (!schema || value === undefined || value === null) return value;
+    switch (schema.type) {
+        case 'integer':
+        case 'number': {
+            if (typeof value !== 'string') return value;
+            if (value.trim() === '') return undefined;
+            const n = Number(value);
+            return Number.isFinite(n) ? n : value;
+        }
+        case 'string':
+            return typeof value === 'object' ? value : String(value);
+        case 'object': {
+            if (value === '') return {};
+            if (typeof value !== 'object' || Array.isArray(value)) return value;
+            const out = {};
+            for (const [key, child] of Object.entries(value)) {
+                const coerced = coerce(child, ownEntry(schema.properties, key));
+                if (coerced !== undefined) out[key] = coerced;
+            }
+            return out;
+        }
+        default:
+            return value;
+    }
+}
+
+export function coercePart(raw) {
+    return coerce(raw, PART_SCHEMA);
+}
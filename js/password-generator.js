@@ -0,0 +1,73 @@
+// FILE: /js/password-generator.js
+// Purpose: random passwords from crypto.getRandomValues, with configurable length and character classes
+
+export const CHARACTER_SETS = {
+    lower: 'abcdefghijklmnopqrstuvwxyz',
+    upper: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+    digits: '0123456789',
+    symbols: '!#$%&()*+,-./:;<=>?@[]^_{|}~'
+};
+
+// Easy to misread when typed from a screen
+const AMBIGUOUS = new Set('Il1O0o|`\'"');
+
+export const GENERATOR_DEFAULTS = {
+    length: 20,
+    lower: true,
+    upper: true,
+    digits: true,
+    symbols: true,
+    excludeAmbiguous: false
+};
+
+export const MIN_LENGTH = 8;
+export const MAX_LENGTH = 128;
+
+// Uniform integer in [0, max) — rejection sampling, so no modulo bias
+function randomIndex(max) {
+    const limit = Math.floor(0x100000000 / max) * max;
+    const buf = new Uint32Array(1);
+    do crypto.getRandomValues(buf); while (buf[0] >= limit);
+    return buf[0] % max;
+}
+
+function shuffle(chars) {
+    for (let i = chars.length - 1; i > 0; i--) {
+        const j = randomIndex(i + 1);
+        [chars[i], chars[j]] = [chars[j], chars[i]];
+    }
+    return chars;
+}
+
+function selectedSets(options) {
+    return Object.keys(CHARACTER_SETS)
+        .filter(name => options[name])
+        .map(name => [...CHARACTER_SETS[name]].filter(c => !options.excludeAmbiguous || !AMBIGUOUS.has(c)).join(''));
+}
+
+export function normalizeGeneratorOptions(options = {}) {
+    const merged = { ...GENERATOR_DEFAULTS, ...options };
+    const length = Math.round(Number(merged.length));
+    return {
+        ...merged,
+        length: Number.isFinite(length) ? Math.min(MAX_LENGTH, Math.max(MIN_LENGTH, length)) : GENERATOR_DEFAULTS.length
+    };
+}
+
+// At least one character from every selected class, the rest from all of them, then shuffled
+export function generatePassword(options) {
+    const opts = normalizeGeneratorOptions(options);
+    const sets = selectedSets(opts);
+    if (!sets.length) throw new Error('Pick at least one character set');
+    const all = sets.join('');
+    const chars = sets.map(set => set[randomIndex(set.length)]);
+    while (chars.length < opts.length) chars.push(all[randomIndex(all.length)]);
+    return shuffle(chars).join('');
+}
+
+// Rough strength shown next to the generator: bits if every character were drawn from the full pool
+export function entropyBits(options) {
+    const opts = normalizeGeneratorOptions(options);
+    const pool = selectedSets(opts).join('').length;
+    return pool ? Math.floor(opts.length * Math.log2(pool)) : 0;
+}
@@ -0,0 +1,651 @@
+// FILE: /js/password-manager.js
+// Purpose: password-manager.html — register/login, then the vault: entries CRUD, search, copy, generator, auto-lock
+//
+// The vault key only lives in `session` below. Lock (button, idle timer or expired server session) drops it
+// together with the decrypted entries; logging in again is the only way back. Every change is re-encrypted
+// and uploaded with the version it was based on; a 409 means another tab/device saved first.
+// Vaults on weaker KDF settings than recommended are re-keyed right after login (same password, new salt).
+// Backups are separate files under their own password; restoring or importing is just another saved change.
+
+import {
+  b64, ub64, enc, aesGcmDecryptJSON, KDF_ALGORITHMS, DEFAULT_KDF, normalizeKdf, recommendedKdf, kdfIsCurrent, download
+} from './crypto-utils.js';
+import { deriveAccountKeys, newAccountKeys, sealVault, loginProof } from './pm-auth.js';
+import {
+  createVault, openVault, addEntry, updateEntry, removeEntry, searchEntries, allTags, mergeVaults, addEntries
+} from './pm-vault.js';
+import { GENERATOR_DEFAULTS, generatePassword, entropyBits, normalizeGeneratorOptions } from './password-generator.js';
+import { createBackup, openBackup, backupKey, BACKUP_SETTINGS } from './pm-backup.js';
+import { importPasswords } from './pm-import.js';
+import { openKeyring, KEYRING_STORAGE_KEY } from './signature.js';
+
+// ====== CONFIG ======
+// Base only — no trailing path like /register. `node server/server.js` serves the account API.
+const API_BASE = 'http://localhost:3000';
+// Safe join helper (avoids double slashes or double paths)
+const api = (p) => API_BASE.replace(/\/+$/, '') + '/' + String(p).replace(/^\/+/, '');
+
+const CLIPBOARD_CLEAR_MS = 20_000;
+const GENERATOR_KEY = 'pm-generator';
+const AUTOLOCK_KEY = 'pm-autolock-minutes';
+
+// Everything secret; replaced wholesale by lock()
+let session = null;     // { username, token, vaultKey, kdf, vault, vaultVersion }
+let editingId = null;
+let saving = Promise.resolve();
+let idleTimer = null;
+let clipboardTimer = null;
+
+// ====== HELPERS ======
+function el(id) {
+  return document.getElementById(id);
+}
+
+function msg(text, ok = false) {
+  const node = el('pm-auth-msg');
+  node.textContent = text;
+  node.style.color = ok ? 'green' : '';
+}
+
+function vaultMsg(text, ok = false) {
+  const node = el('pm-vault-msg');
+  node.textContent = text;
+  node.style.color = ok ? '' : '#ff8080';
+}
+
+function fillKdfSelect(select, selected = DEFAULT_KDF.alg) {
+  select.replaceChildren(...Object.keys(KDF_ALGORITHMS).map(alg => new Option(alg, alg, false, alg === selected)));
+}
+
+async function postJson(path, body, headers = {}) {
+  const r = await fetch(api(path), {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  return { r, data: await r.json().catch(() => ({})) };
+}
+
+// ====== REGISTER (with email verification) ======
+async function onRegister() {
+  try {
+    const username = el('reg-username').value.trim();
+    const email    = el('reg-email').value.trim();
+    const password = el('reg-password').value;
+
+    if (!username || !email || !password) {
+      msg('Please fill username, email, and password.');
+      return;
+    }
+
+    // 1) generate salt; derive the login key (sent as verifier) and the vault key (stays here)
+    const { salt, kdf, authKey, vaultKey } = await newAccountKeys(password, recommendedKdf(el('reg-kdf').value));
+
+    // 2) create empty vault and encrypt
+    const encVault = await sealVault(createVault(), vaultKey, kdf); // {iv, ciphertext, kdf}
+
+    // 3) send to server
+    const { r, data } = await postJson('register', { username, email, salt: b64(salt), verifier: b64(authKey), vault: encVault });
+    if (!r.ok) {
+      msg(data.error || 'Registration failed.');
+      return;
+    }
+    msg('Registration received. Check your email and click Activate.', true);
+  } catch (e) {
+    console.error(e);
+    msg(`Error during registration: ${e?.message || e}`);
+  }
+}
+
+// ====== LOGIN (blocked until activated) ======
+async function onLogin() {
+  try {
+    const username = el('login-username').value.trim();
+    const password = el('login-password').value;
+    if (!username || !password) {
+      msg('Missing credentials.');
+      return;
+    }
+
+    // 1) ask for a challenge: the salt plus a one-time nonce
+    const { r: c, data: challenge } = await postJson('login/challenge', { username });
+    if (!c.ok) { msg(challenge.error || 'Login failed.'); return; }
+
+    // 2) answer it with HMAC(authKey, ...); the verifier itself never comes back from the server
+    const kdf = normalizeKdf(challenge.kdf);
+    const { authKey, vaultKey } = await deriveAccountKeys(password, ub64(challenge.salt), kdf);
+    const proof = await loginProof(authKey, username, challenge.challengeId, challenge.nonce);
+    const { r, data } = await postJson('login', { username, challengeId: challenge.challengeId, proof: b64(proof) });
+    if (r.status === 403) { msg('Account not activated. Check your email.'); return; }
+    if (r.status === 429) { msg(data.error || 'Too many attempts. Try again later.'); return; }
+    if (!r.ok) { msg(data.error || 'Bad credentials.'); return; }
+
+    // data: { username, email, vault, vaultVersion, session, sessionExpires }
+    const vault = openVault(await aesGcmDecryptJSON(data.vault, vaultKey)); // throws if wrong
+    session = { username: data.username, token: data.session, vaultKey, kdf, vault, vaultVersion: data.vaultVersion };
+    el('login-password').value = '';
+    msg('');
+    showVault();
+    if (!kdfIsCurrent(kdf)) await upgradeKdf(password, kdf);
+  } catch (e) {
+    console.error(e);
+    msg('Login error.');
+  }
+}
+
+// ====== LOCK ======
+function lock(reason = 'Vault locked.') {
+  if (session) {
+    // Best effort: the server session dies anyway after 30 idle minutes
+    fetch(api('logout'), { method: 'POST', headers: { Authorization: `Bearer ${session.token}` } }).catch(() => {});
+  }
+  session = null;
+  editingId = null;
+  clearTimeout(idleTimer);
+  el('vault-entries').replaceChildren();
+  el('vault-tags').replaceChildren();
+  el('entry-form').reset();
+  el('entry-form').hidden = true;
+  el('password-form').reset();
+  el('backup-form').reset();
+  el('restore-form').reset();
+  el('import-form').reset();
+  el('restore-keys').replaceChildren();
+  el('vault-conflict').hidden = true;
+  el('vault-search').value = '';
+  el('vault').hidden = true;
+  el('auth').hidden = false;
+  msg(reason, true);
+}
+
+function autolockMs() {
+  return Number(el('autolock-minutes').value) * 60_000;
+}
+
+function resetIdleTimer() {
+  if (!session) return;
+  clearTimeout(idleTimer);
+  idleTimer = setTimeout(() => lock('Locked after inactivity. Log in again.'), autolockMs());
+}
+
+// ====== VAULT VIEW ======
+function showVault() {
+  el('auth').hidden = true;
+  el('vault').hidden = false;
+  el('vault-title').textContent = `${session.username}'s vault`;
+  vaultMsg('');
+  showKdf();
+  renderEntries();
+  resetIdleTimer();
+}
+
+function button(label, className, onClick) {
+  const b = document.createElement('button');
+  b.type = 'button';
+  b.textContent = label;
+  b.className = className;
+  b.addEventListener('click', onClick);
+  return b;
+}
+
+function renderEntries() {
+  const entries = searchEntries(session.vault.entries, el('vault-search').value);
+  const rows = entries.map(entry => {
+    const row = document.createElement('tr');
+    const cell = text => {
+      const td = document.createElement('td');
+      td.textContent = text;
+      row.appendChild(td);
+      return td;
+    };
+    cell(entry.site).title = entry.notes;
+    cell(entry.username);
+
+    // Masked until the field is focused; never put into the DOM as visible text
+    const password = document.createElement('input');
+    password.type = 'password';
+    password.readOnly = true;
+    password.value = entry.password;
+    password.addEventListener('focus', () => { password.type = 'text'; });
+    password.addEventListener('blur', () => { password.type = 'password'; });
+    cell('').appendChild(password);
+
+    cell(entry.tags.map(t => `#${t}`).join(' '));
+    const actions = cell('');
+    actions.append(
+      button('Copy', 'copy', () => copySecret(entry.password, entry.site)),
+      button('Edit', 'copy', () => openForm(entry)),
+      button('Del', 'del', () => onDelete(entry))
+    );
+    return row;
+  });
+  el('vault-entries').replaceChildren(...rows);
+  el('vault-empty').hidden = rows.length > 0;
+  el('vault-empty').textContent = session.vault.entries.length ? 'No entries match the search.' : 'No entries yet.';
+  el('vault-tags').replaceChildren(...allTags(session.vault.entries).map(t => new Option(t)));
+}
+
+// ====== CLIPBOARD ======
+async function copySecret(secret, site) {
+  try {
+    await navigator.clipboard.writeText(secret);
+  } catch (e) {
+    vaultMsg('Clipboard not available (the page must be served over http://localhost or https).');
+    return;
+  }
+  clearTimeout(clipboardTimer);
+  vaultMsg(`Password for ${site} copied; the clipboard is cleared in ${CLIPBOARD_CLEAR_MS / 1000} s.`, true);
+  clipboardTimer = setTimeout(async () => {
+    // Only clear if nothing else was copied meanwhile (when the browser lets us read the clipboard)
+    const current = await navigator.clipboard.readText().catch(() => secret);
+    if (current === secret) await navigator.clipboard.writeText('').catch(() => {});
+    if (session) vaultMsg('Clipboard cleared.', true);
+  }, CLIPBOARD_CLEAR_MS);
+}
+
+// ====== SYNC ======
+// Saves run one after another so each upload is based on the version the previous one produced
+function saveVault(nextVault, successText) {
+  session.vault = nextVault;
+  renderEntries();
+  saving = saving.then(() => upload(successText)).catch(e => {
+    console.error(e);
+    vaultMsg(`Could not save: ${e.message}`);
+  });
+  return saving;
+}
+
+async function upload(successText, { overwrite = false } = {}) {
+  if (!session) return;
+  const current = session;
+  const vault = await sealVault(current.vault, current.vaultKey, current.kdf);
+  const r = await fetch(api('vault'), {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${current.token}` },
+    body: JSON.stringify({ vault, baseVersion: current.vaultVersion })
+  });
+  const data = await r.json().catch(() => ({}));
+  if (current !== session) return;   // locked while uploading
+
+  if (r.status === 401) {
+    lock('Session expired; log in again. The last change was not saved.');
+    return;
+  }
+  if (r.status === 409 && !overwrite) {
+    showConflict(data.details);
+    return;
+  }
+  if (!r.ok) throw new Error(data.error || `HTTP ${r.status}`);
+  current.vaultVersion = data.vaultVersion;
+  el('vault-conflict').hidden = true;
+  vaultMsg(successText, true);
+}
+
+// Keep our entries (re-upload on top of theirs) or load theirs (our unsaved change is dropped)
+function showConflict(details) {
+  el('vault-conflict-text').textContent = `This vault was saved from another tab or device`
+    + `${details?.updatedAt ? ` at ${new Date(details.updatedAt).toLocaleString()}` : ''}. Your last change is not saved yet.`;
+  el('vault-conflict').hidden = false;
+  session.conflictVersion = details?.vaultVersion;
+  vaultMsg('');
+}
+
+async function onConflictReload() {
+  try {
+    const r = await fetch(api('vault'), { headers: { Authorization: `Bearer ${session.token}` } });
+    const data = await r.json().catch(() => ({}));
+    if (r.status === 401) { lock('Session expired; log in again.'); return; }
+    if (!r.ok) throw new Error(data.error || `HTTP ${r.status}`);
+    session.vault = openVault(await aesGcmDecryptJSON(data.vault, session.vaultKey));
+    session.vaultVersion = data.vaultVersion;
+    el('vault-conflict').hidden = true;
+    closeForm();
+    renderEntries();
+    vaultMsg('Loaded the latest saved vault.', true);
+  } catch (e) {
+    console.error(e);
+    vaultMsg(`Could not load the vault: ${e.message}`);
+  }
+}
+
+function onConflictOverwrite() {
+  session.vaultVersion = session.conflictVersion ?? session.vaultVersion;
+  saving = saving.then(() => upload('Saved your version over the other one.', { overwrite: true })).catch(e => {
+    console.error(e);
+    vaultMsg(`Could not save: ${e.message}`);
+  });
+}
+
+// ====== MASTER PASSWORD / KDF ======
+// Proves the current password with a fresh challenge, then swaps salt, verifier and re-encrypted vault in one
+// request. The old key stays in use until the server has accepted the new one, so a failure changes nothing.
+async function rekey(currentPassword, newPassword, kdf) {
+  const current = session;
+  const { r: c, data: challenge } = await postJson('login/challenge', { username: current.username });
+  if (!c.ok) throw new Error(challenge.error || 'Could not start the key change');
+  const old = await deriveAccountKeys(currentPassword, ub64(challenge.salt), normalizeKdf(challenge.kdf));
+  const proof = await loginProof(old.authKey, current.username, challenge.challengeId, challenge.nonce);
+
+  const next = await newAccountKeys(newPassword, kdf);
+  const vault = await sealVault(current.vault, next.vaultKey, next.kdf);
+  const { r, data } = await postJson('account/rekey', {
+    challengeId: challenge.challengeId,
+    proof: b64(proof),
+    salt: b64(next.salt),
+    verifier: b64(next.authKey),
+    vault,
+    baseVersion: current.vaultVersion
+  }, { Authorization: `Bearer ${current.token}` });
+  if (r.status === 401 && /session/i.test(data.error || '')) {
+    lock('Session expired; log in again. The password was not changed.');
+    return false;
+  }
+  if (!r.ok) throw new Error(r.status === 401 ? 'Current master password is wrong' : data.error || `HTTP ${r.status}`);
+  if (current !== session) return false;
+
+  Object.assign(current, { vaultKey: next.vaultKey, kdf: next.kdf, vaultVersion: data.vaultVersion, token: data.session });
+  return true;
+}
+
+// Queued behind pending saves so no upload goes out with the old key after the swap
+function queueRekey(currentPassword, newPassword, kdf) {
+  const result = saving.then(() => rekey(currentPassword, newPassword, kdf));
+  saving = result.catch(() => {});
+  return result;
+}
+
+async function upgradeKdf(password, kdf) {
+  const target = recommendedKdf(kdf.alg);
+  try {
+    if (await queueRekey(password, password, target)) {
+      showKdf();
+      vaultMsg(`Key derivation upgraded from ${kdf.iterations.toLocaleString()} to ${target.iterations.toLocaleString()} ${kdf.alg} iterations.`, true);
+    }
+  } catch (e) {
+    console.error(e);
+    vaultMsg(`Could not upgrade the key derivation settings (the vault still works): ${e.message}`);
+  }
+}
+
+async function onChangePassword(event) {
+  event.preventDefault();
+  const currentPassword = el('pw-current').value;
+  const newPassword = el('pw-new').value;
+  if (newPassword !== el('pw-confirm').value) {
+    vaultMsg('The new passwords do not match.');
+    return;
+  }
+  if (!el('vault-conflict').hidden) {
+    vaultMsg('Resolve the conflict above before changing the password.');
+    return;
+  }
+  const kdf = recommendedKdf(el('pw-kdf').value);
+  vaultMsg('Re-encrypting the vault…', true);
+  try {
+    if (await queueRekey(currentPassword, newPassword, kdf)) {
+      el('password-form').reset();
+      showKdf();
+      vaultMsg(`Master password changed (${kdf.alg}, ${kdf.iterations.toLocaleString()} iterations). Other sessions were logged out.`, true);
+    }
+  } catch (e) {
+    console.error(e);
+    vaultMsg(`Password not changed: ${e.message}`);
+  }
+}
+
+function showKdf() {
+  if (!session) return;
+  fillKdfSelect(el('pw-kdf'), session.kdf.alg);
+  el('pw-kdf-current').textContent = `Current key derivation: ${session.kdf.alg}, ${session.kdf.iterations.toLocaleString()} iterations.`;
+}
+
+// ====== ENTRY FORM ======
+function formValues() {
+  return {
+    site: el('entry-site').value,
+    username: el('entry-username').value,
+    password: el('entry-password').value,
+    notes: el('entry-notes').value,
+    tags: el('entry-tags').value
+  };
+}
+
+function openForm(entry) {
+  editingId = entry?.id ?? null;
+  el('entry-form-title').textContent = entry ? `Edit ${entry.site}` : 'New entry';
+  el('entry-site').value = entry?.site ?? '';
+  el('entry-username').value = entry?.username ?? '';
+  el('entry-password').value = entry?.password ?? '';
+  el('entry-password').type = 'password';
+  el('entry-notes').value = entry?.notes ?? '';
+  el('entry-tags').value = entry?.tags.join(', ') ?? '';
+  el('entry-form').hidden = false;
+  el('entry-site').focus();
+}
+
+function closeForm() {
+  editingId = null;
+  el('entry-form').reset();
+  el('entry-form').hidden = true;
+}
+
+function onSubmitEntry(event) {
+  event.preventDefault();
+  if (!el('vault-conflict').hidden) {
+    vaultMsg('Resolve the conflict above before making more changes.');
+    return;
+  }
+  try {
+    const { vault, entry } = editingId
+      ? updateEntry(session.vault, editingId, formValues())
+      : addEntry(session.vault, formValues());
+    const verb = editingId ? 'Updated' : 'Added';
+    closeForm();
+    saveVault(vault, `${verb} ${entry.site}.`);
+  } catch (e) {
+    vaultMsg(e.message);
+  }
+}
+
+function onDelete(entry) {
+  if (!el('vault-conflict').hidden) {
+    vaultMsg('Resolve the conflict above before making more changes.');
+    return;
+  }
+  if (!confirm(`Delete the entry for ${entry.site}?`)) return;
+  if (editingId === entry.id) closeForm();
+  saveVault(removeEntry(session.vault, entry.id), `Deleted ${entry.site}.`);
+}
+
+// ====== BACKUP / RESTORE / IMPORT ======
+function conflictPending() {
+  if (el('vault-conflict').hidden) return false;
+  vaultMsg('Resolve the conflict above before making more changes.');
+  return true;
+}
+
+function loadTrustedKeys() {
+  try {
+    return openKeyring(JSON.parse(localStorage.getItem(KEYRING_STORAGE_KEY)));
+  } catch {
+    return [];
+  }
+}
+
+async function onBackup(event) {
+  event.preventDefault();
+  const password = el('backup-password').value;
+  if (password !== el('backup-confirm').value) {
+    vaultMsg('The backup passwords do not match.');
+    return;
+  }
+  try {
+    const keys = await Promise.all([...el('backup-keys').files]
+      .map(async f => backupKey(f.name, new Uint8Array(await f.arrayBuffer()))));
+    const trustedKeys = el('backup-trusted').checked ? loadTrustedKeys() : [];
+    const settings = el('backup-settings').checked
+      ? Object.fromEntries(BACKUP_SETTINGS.map(k => [k, localStorage.getItem(k)]).filter(([, v]) => v !== null))
+      : {};
+    const text = await createBackup({ vault: session.vault, keys, trustedKeys, settings }, password, recommendedKdf(session.kdf.alg));
+    download(`vault-backup-${new Date().toISOString().slice(0, 10)}.pmbackup`, enc.encode(text));
+    el('backup-form').reset();
+    vaultMsg(`Backup downloaded: ${session.vault.entries.length} entries, ${keys.length} private keys, ${trustedKeys.length} trusted keys.`, true);
+  } catch (e) {
+    console.error(e);
+    vaultMsg(`Backup failed: ${e.message}`);
+  }
+}
+
+// Private keys come back as .pk8 downloads; nothing else on this page uses them
+function showRestoredKeys(keys) {
+  el('restore-keys').replaceChildren(...keys.map(key => {
+    const li = document.createElement('li');
+    li.append(`${key.name} (${key.fingerprint.slice(0, 16)}…) `);
+    li.appendChild(button('Download', 'pm-btn pm-btn-blue', () => download(key.name, ub64(key.pkcs8))));
+    return li;
+  }));
+}
+
+// Trusted keys are merged by fingerprint in both modes; settings are only taken over when replacing
+function restoreExtras(backup, mode) {
+  const keyring = loadTrustedKeys();
+  const known = new Set(keyring.map(k => k.fingerprint));
+  const fresh = openKeyring(backup.trustedKeys).filter(k => !known.has(k.fingerprint));
+  if (fresh.length) localStorage.setItem(KEYRING_STORAGE_KEY, JSON.stringify([...keyring, ...fresh]));
+
+  if (mode === 'replace') {
+    BACKUP_SETTINGS.filter(k => typeof backup.settings[k] === 'string').forEach(k => localStorage.setItem(k, backup.settings[k]));
+    el('autolock-minutes').value = localStorage.getItem(AUTOLOCK_KEY) || '5';
+    loadGeneratorOptions();
+    resetIdleTimer();
+  }
+  showRestoredKeys(backup.keys);
+  return fresh.length;
+}
+
+async function onRestore(event) {
+  event.preventDefault();
+  if (conflictPending()) return;
+  const mode = new FormData(el('restore-form')).get('restore-mode');
+  try {
+    const backup = await openBackup(await el('restore-file').files[0].text(), el('restore-password').value);
+    const from = new Date(backup.createdAt).toLocaleString();
+    let next, summary;
+    if (mode === 'replace') {
+      if (!confirm(`Replace all ${session.vault.entries.length} entries with the ${backup.vault.entries.length} from the backup of ${from}?`)) return;
+      next = backup.vault;
+      summary = `Vault replaced with the backup of ${from} (${next.entries.length} entries)`;
+    } else {
+      const merged = mergeVaults(session.vault, backup.vault);
+      next = merged.vault;
+      summary = `Merged the backup of ${from}: ${merged.added} added, ${merged.updated} updated`;
+    }
+    if (backup.invalid.length) summary += `, ${backup.invalid.length} damaged entries skipped`;
+    const trusted = restoreExtras(backup, mode);
+    el('restore-password').value = '';
+    closeForm();
+    saveVault(next, `${summary}; ${trusted} trusted keys added, ${backup.keys.length} private keys below.`);
+  } catch (e) {
+    console.error(e);
+    vaultMsg(`Restore failed: ${e.message}`);
+  }
+}
+
+async function onImport(event) {
+  event.preventDefault();
+  if (conflictPending()) return;
+  const file = el('import-file').files[0];
+  try {
+    const { format, entries, skipped } = importPasswords(await file.text(), file.name);
+    const { vault, added, duplicates, invalid } = addEntries(session.vault, entries);
+    const problems = [
+      ...skipped.map(s => `row ${s.row}: ${s.reason}`),
+      ...invalid.map(i => `${i.entry.site || 'entry'}: ${i.message}`)
+    ];
+    const detail = `${duplicates} already in the vault, ${problems.length} skipped`
+      + (problems.length ? ` (${problems.slice(0, 3).join('; ')}${problems.length > 3 ? '; …' : ''})` : '');
+    el('import-form').reset();
+    if (!added) {
+      vaultMsg(`${format}: nothing new to import; ${detail}.`);
+      return;
+    }
+    saveVault(vault, `Imported ${added} entries from ${format}; ${detail}.`);
+  } catch (e) {
+    console.error(e);
+    vaultMsg(`Import failed: ${e.message}`);
+  }
+}
+
+// ====== GENERATOR ======
+const GENERATOR_FIELDS = ['lower', 'upper', 'digits', 'symbols', 'excludeAmbiguous'];
+
+function generatorOptions() {
+  const options = { length: el('gen-length').value };
+  GENERATOR_FIELDS.forEach(f => { options[f] = el(`gen-${f}`).checked; });
+  return normalizeGeneratorOptions(options);
+}
+
+function loadGeneratorOptions() {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(GENERATOR_KEY)) || {};
+  } catch { /* defaults */ }
+  const options = normalizeGeneratorOptions({ ...GENERATOR_DEFAULTS, ...saved });
+  el('gen-length').value = options.length;
+  GENERATOR_FIELDS.forEach(f => { el(`gen-${f}`).checked = options[f]; });
+  showStrength();
+}
+
+function showStrength() {
+  const options = generatorOptions();
+  const bits = entropyBits(options);
+  el('gen-strength').textContent = bits ? `≈ ${bits} bits` : 'pick a character set';
+  localStorage.setItem(GENERATOR_KEY, JSON.stringify(options));
+}
+
+function onGenerate() {
+  try {
+    el('entry-password').value = generatePassword(generatorOptions());
+    el('entry-password').type = 'text';
+  } catch (e) {
+    vaultMsg(e.message);
+  }
+}
+
+// wire up buttons
+el('btn-register').addEventListener('click', onRegister);
+el('btn-login').addEventListener('click', onLogin);
+el('btn-lock').addEventListener('click', () => lock());
+el('btn-new-entry').addEventListener('click', () => openForm(null));
+el('btn-entry-cancel').addEventListener('click', closeForm);
+el('btn-entry-generate').addEventListener('click', onGenerate);
+el('btn-entry-show').addEventListener('click', () => {
+  const input = el('entry-password');
+  input.type = input.type === 'password' ? 'text' : 'password';
+});
+el('btn-conflict-reload').addEventListener('click', onConflictReload);
+el('btn-conflict-overwrite').addEventListener('click', onConflictOverwrite);
+el('entry-form').addEventListener('submit', onSubmitEntry);
+el('password-form').addEventListener('submit', onChangePassword);
+el('backup-form').addEventListener('submit', onBackup);
+el('restore-form').addEventListener('submit', onRestore);
+el('import-form').addEventListener('submit', onImport);
+el('vault-search').addEventListener('input', () => session && renderEntries());
+el('gen-length').addEventListener('change', showStrength);
+GENERATOR_FIELDS.forEach(f => el(`gen-${f}`).addEventListener('change', showStrength));
+
+el('autolock-minutes').value = localStorage.getItem(AUTOLOCK_KEY) || '5';
+el('autolock-minutes').addEventListener('change', () => {
+  localStorage.setItem(AUTOLOCK_KEY, el('autolock-minutes').value);
+  resetIdleTimer();
+});
+['pointerdown', 'keydown', 'scroll', 'mousemove'].forEach(type => {
+  document.addEventListener(type, resetIdleTimer, { passive: true });
+});
+loadGeneratorOptions();
+fillKdfSelect(el('reg-kdf'));
+
+// Optional banner if redirected after activation
+if (location.hash === '#activated') {
+  msg('Your account is activated. Please log in.', true);
+}
@@ -0,0 +1,45 @@
+// FILE: /js/pm-auth.js
+// Purpose: password-manager key derivation and login proof, shared by password-manager.html and the server
+//
+// KDF(password, salt) gives one master secret; HKDF splits it into
+//   authKey  - registered with the server as the `verifier`; only ever used to answer login challenges
+//   vaultKey - AES-GCM key for the vault; never leaves the browser
+// so the server (or anyone who steals its database) can check logins but cannot decrypt vaults.
+// The KDF settings are stored in the vault envelope { iv, ciphertext, kdf }; envelopes without them are LEGACY_KDF.
+
+import {
+    enc, hkdfBits, hmacRaw, importRawAesKey, randomBytes, aesGcmEncryptJSON,
+    kdfBits, normalizeKdf, DEFAULT_KDF, LEGACY_KDF
+} from './crypto-core.js';
+
+export function vaultKdf(envelope) {
+    return envelope?.kdf ? normalizeKdf(envelope.kdf) : LEGACY_KDF;
+}
+
+export async function deriveAccountKeys(password, salt, kdf = LEGACY_KDF) {
+    const master = await kdfBits(password, salt, kdf);
+    const authKey = await hkdfBits(master, 'pm-auth-v1');
+    const vaultKey = await importRawAesKey(await hkdfBits(master, 'pm-vault-v1'));
+    return { authKey, vaultKey };
+}
+
+// Fresh salt and keys, for registration and for a password or KDF change
+export async function newAccountKeys(password, kdf = DEFAULT_KDF) {
+    const salt = randomBytes(16);
+    const params = normalizeKdf(kdf);
+    return { salt, kdf: params, ...await deriveAccountKeys(password, salt, params) };
+}
+
+// Encrypted vault envelope, carrying the KDF settings needed to derive its key again
+export async function sealVault(vault, vaultKey, kdf) {
+    return { ...await aesGcmEncryptJSON(vault, vaultKey), kdf: normalizeKdf(kdf) };
+}
+
+// What the client signs for a challenge; binding the username and challenge id stops a proof being replayed elsewhere
+export function proofMessage(username, challengeId, nonce) {
+    return enc.encode(`pm-login-v1|${username.toLowerCase()}|${challengeId}|${nonce}`);
+}
+
+export async function loginProof(authKey, username, challengeId, nonce) {
+    return hmacRaw(authKey, proofMessage(username, challengeId, nonce));
+}
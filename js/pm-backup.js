@@ -0,0 +1,101 @@
+// FILE: /js/pm-backup.js
+// Purpose: password-protected backup file of the vault, private keys, trusted keys and page settings (no DOM)
+//
+// File (.pmbackup, UTF-8 JSON):
+//   { type: 'pm-backup', v: 1, createdAt, kdf, salt, iv, ciphertext, mac }
+//   ciphertext: AES-GCM (aesKey from deriveEncAndMac) of the contents as JSON:
+//     { vault, keys: [{ name, fingerprint, pkcs8 }], trustedKeys: [keyring entry], settings: { localStorage key: value } }
+//   mac: HMAC-SHA-256 (macKey) over type, v, createdAt, kdf, salt, iv and ciphertext, checked before decrypting,
+//        so a wrong password and an edited file are both caught without touching the ciphertext.
+// The backup password is independent of the master password; the server never sees either file.
+
+import {
+    b64, ub64, enc, dec, randomBytes, deriveEncAndMac, hmac, hmacVerify, aesGcmEncryptBytes, aesGcmDecryptBytes,
+    normalizeKdf, kdfLabel, DEFAULT_KDF, importPkcs8, publicSpkiOf, keyFingerprint
+} from './crypto-core.js';
+import { openVault, restoreVault } from './pm-vault.js';
+
+export const BACKUP_TYPE = 'pm-backup';
+
+// localStorage keys worth carrying to another browser: auto-lock, generator, and the Secure Storage KDF choice
+export const BACKUP_SETTINGS = ['pm-autolock-minutes', 'pm-generator', 'ss-kdf'];
+
+export class BackupError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BackupError';
+    }
+}
+
+function macInput({ type, v, createdAt, kdf, salt, iv, ciphertext }) {
+    return enc.encode(JSON.stringify([type, v, createdAt, kdfLabel(kdf), salt, iv, ciphertext]));
+}
+
+// A .pk8 file -> { name, fingerprint, pkcs8 } (EC P-256 only, as sign-verify.html and secure-storage.html make)
+export async function backupKey(name, pkcs8) {
+    let privateKey;
+    try {
+        privateKey = await importPkcs8(pkcs8);
+    } catch {
+        throw new BackupError(`${name} is not a P-256 private key (.pk8)`);
+    }
+    return { name, fingerprint: await keyFingerprint(await publicSpkiOf(privateKey)), pkcs8: b64(pkcs8) };
+}
+
+// contents: { vault, keys?, trustedKeys?, settings? } -> the backup file as text
+export async function createBackup(contents, password, kdf = DEFAULT_KDF) {
+    if (!password) throw new BackupError('A backup needs a password');
+    const params = normalizeKdf(kdf);
+    const salt = randomBytes(16);
+    const { aesKey, macKey } = await deriveEncAndMac(password, salt, params);
+    const payload = {
+        vault: openVault(contents.vault),
+        keys: contents.keys || [],
+        trustedKeys: contents.trustedKeys || [],
+        settings: contents.settings || {}
+    };
+    const { iv, ciphertext } = await aesGcmEncryptBytes(enc.encode(JSON.stringify(payload)), aesKey);
+    const file = {
+        type: BACKUP_TYPE,
+        v: 1,
+        createdAt: new Date().toISOString(),
+        kdf: params,
+        salt: b64(salt),
+        iv: b64(iv),
+        ciphertext: b64(ciphertext)
+    };
+    file.mac = b64(await hmac(macKey, macInput(file)));
+    return `${JSON.stringify(file, null, 2)}\n`;
+}
+
+// Backup text -> { createdAt, vault, invalid, keys, trustedKeys, settings }
+//   invalid: [{ entry, message }], entries left out of `vault` because they fail validateEntry
+export async function openBackup(text, password) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch {
+        throw new BackupError('Not a backup file');
+    }
+    if (file?.type !== BACKUP_TYPE) throw new BackupError('Not a backup file');
+    if (file.v !== 1) throw new BackupError(`Unsupported backup version ${file.v}`);
+    if (![file.createdAt, file.salt, file.iv, file.ciphertext, file.mac].every(f => typeof f === 'string')) {
+        throw new BackupError('Damaged backup file');
+    }
+
+    const kdf = normalizeKdf(file.kdf);
+    const { aesKey, macKey } = await deriveEncAndMac(password, ub64(file.salt), kdf);
+    if (!await hmacVerify(macKey, macInput({ ...file, kdf }), ub64(file.mac))) {
+        throw new BackupError('Wrong password or damaged backup file');
+    }
+    const payload = JSON.parse(dec.decode(await aesGcmDecryptBytes(ub64(file.iv), ub64(file.ciphertext), aesKey)));
+    const { vault, invalid } = restoreVault(payload.vault);
+    return {
+        createdAt: file.createdAt,
+        vault,
+        invalid,
+        keys: Array.isArray(payload.keys) ? payload.keys : [],
+        trustedKeys: Array.isArray(payload.trustedKeys) ? payload.trustedKeys : [],
+        settings: payload.settings && typeof payload.settings === 'object' ? payload.settings : {}
+    };
+}
@@ -0,0 +1,133 @@
+// FILE: /js/pm-import.js
+// Purpose: read password exports from other managers into vault entry inputs (no DOM; see addEntries in pm-vault.js)
+//
+// CSV: columns are matched by name, so Bitwarden, Chrome/Edge, Firefox, Safari, LastPass, 1Password and KeePass(XC)
+// exports all work without choosing a format. JSON: Bitwarden's unencrypted export, this vault's own
+// { entries } shape, or an array of objects with the same column names as the CSVs.
+// Every row is reported: -> { format, entries: [input], skipped: [{ row, reason }] }
+
+import { parseCsv } from './csv.js';
+
+// Column name (lower case) -> entry field; the first one present wins
+const COLUMNS = {
+    name: ['name', 'title'],
+    url: ['url', 'login_uri', 'website', 'web site', 'uri', 'login url'],
+    username: ['username', 'login_username', 'user name', 'login', 'email'],
+    password: ['password', 'login_password'],
+    notes: ['notes', 'note', 'extra', 'comments'],
+    group: ['folder', 'grouping', 'group', 'tags', 'category'],
+    type: ['type']
+};
+
+// Best guess at where a CSV came from, for the summary only
+function csvFormat(headers) {
+    const has = name => headers.includes(name);
+    if (has('login_password')) return 'Bitwarden CSV';
+    if (has('grouping') && has('extra')) return 'LastPass CSV';
+    if (has('httprealm') || has('formactionorigin')) return 'Firefox CSV';
+    if (has('group') && has('title')) return 'KeePass CSV';
+    if (has('otpauth')) return 'Safari / 1Password CSV';
+    if (has('name') && has('url')) return 'Chrome / Edge CSV';
+    return 'CSV';
+}
+
+function hostOf(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+        return '';
+    }
+}
+
+// "Root/Internet" and "Email\Work" become tags; KeePass's "Root" group is not one
+function groupTags(group) {
+    return String(group || '').split(/[\\/]/).map(g => g.trim()).filter(g => g && g.toLowerCase() !== 'root');
+}
+
+// One row as { name, url, username, password, notes, group, type } -> entry input or a skip reason
+function toEntry(row) {
+    if (row.type && !/^(login|1)$/i.test(row.type)) return { reason: `not a login (${row.type})` };
+    if (!row.password) return { reason: 'no password' };
+    const host = hostOf(row.url);
+    const site = (row.name || host || row.url || '').trim();
+    if (!site) return { reason: 'no site name or URL' };
+    // The vault has no URL field; keep it in the notes when the site name does not already say it
+    const url = row.url && row.url !== site && host !== site ? `URL: ${row.url}` : '';
+    return {
+        entry: {
+            site,
+            username: row.username || '',
+            password: row.password,
+            notes: [url, row.notes].filter(Boolean).join('\n'),
+            tags: groupTags(row.group)
+        }
+    };
+}
+
+// Object with any of the COLUMNS names (any case) -> normalised row
+function pickColumns(record) {
+    const lower = Object.fromEntries(Object.entries(record).map(([k, v]) => [k.trim().toLowerCase(), v]));
+    return Object.fromEntries(Object.entries(COLUMNS).map(([field, names]) => {
+        const key = names.find(n => lower[n] !== undefined && lower[n] !== null && lower[n] !== '');
+        return [field, key === undefined ? '' : String(lower[key])];
+    }));
+}
+
+function collect(rows, format, firstRow = 1) {
+    const entries = [], skipped = [];
+    rows.forEach((row, i) => {
+        const { entry, reason } = toEntry(row);
+        if (entry) entries.push(entry);
+        else skipped.push({ row: i + firstRow, reason });
+    });
+    return { format, entries, skipped };
+}
+
+function importCsv(text) {
+    const [header, ...rows] = parseCsv(text).filter(r => r.some(cell => cell.trim()));
+    if (!header) throw new Error('The CSV file is empty');
+    const headers = header.map(h => h.trim().toLowerCase());
+    if (!COLUMNS.password.some(name => headers.includes(name))) {
+        throw new Error('No password column found; is this a password export?');
+    }
+    const records = rows.map(cells => Object.fromEntries(headers.map((h, i) => [h, cells[i] ?? ''])));
+    // Row numbers as a spreadsheet shows them: the header is row 1
+    return collect(records.map(pickColumns), csvFormat(headers), 2);
+}
+
+function bitwardenRows(data) {
+    const folders = new Map((data.folders || []).map(f => [f.id, f.name]));
+    return data.items.map(item => ({
+        name: item.name || '',
+        url: item.login?.uris?.[0]?.uri || '',
+        username: item.login?.username || '',
+        password: item.login?.password || '',
+        notes: item.notes || '',
+        group: folders.get(item.folderId) || '',
+        type: item.type === 1 ? 'login' : `type ${item.type}`
+    }));
+}
+
+function importJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('Not valid JSON');
+    }
+    if (data?.encrypted) throw new Error('This is an encrypted export; export it again unencrypted');
+    if (Array.isArray(data?.items)) return collect(bitwardenRows(data), 'Bitwarden JSON');
+    if (Array.isArray(data?.entries)) {
+        const rows = data.entries.map(e => ({ ...pickColumns(e), name: e.site ?? '', group: (e.tags || []).join('/') }));
+        return collect(rows, 'Vault JSON');
+    }
+    if (Array.isArray(data)) return collect(data.map(r => pickColumns(r || {})), 'JSON');
+    throw new Error('Unrecognised JSON export');
+}
+
+// text: file contents; filename decides CSV vs JSON (content is sniffed when the extension says neither)
+export function importPasswords(text, filename = '') {
+    const ext = filename.toLowerCase().split('.').pop();
+    if (ext === 'json' || (ext !== 'csv' && /^\s*[[{]/.test(text))) return importJson(text);
+    return importCsv(text);
+}
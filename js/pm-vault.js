@@ -0,0 +1,154 @@
+// FILE: /js/pm-vault.js
+// Purpose: the decrypted vault — entry validation, add/edit/delete, search, and merging backups and imports (no DOM, no network)
+//
+// Vault: { version: 1, entries: [entry] }
+//   entry: { id, site, username, password, notes, tags: [string], createdAt, updatedAt }
+// Changes return a new vault object; the page encrypts and uploads whatever these return.
+
+export const VAULT_FORMAT = 1;
+
+const LIMITS = { site: 200, username: 200, password: 1000, notes: 5000, tag: 40, tags: 20 };
+
+export function createVault() {
+    return { version: VAULT_FORMAT, entries: [] };
+}
+
+// Vaults registered before entries existed have the same shape, just empty
+export function openVault(data) {
+    if (!data || !Array.isArray(data.entries)) throw new Error('Decrypted data is not a vault');
+    return { ...data, version: data.version ?? VAULT_FORMAT, entries: data.entries.map(e => ({ ...e, tags: e.tags || [] })) };
+}
+
+// A vault read back from a file (js/pm-backup.js): every entry is validated as addEntries does, keeping its id and
+// dates; entries that fail are left out. -> { vault, invalid: [{ entry, message }] }
+export function restoreVault(data) {
+    const vault = openVault(data);
+    const entries = [], invalid = [];
+    const now = new Date().toISOString();
+    const text = (value, fallback) => (typeof value === 'string' && value ? value : fallback);
+    for (const input of vault.entries) {
+        const { entry, errors } = validateEntry(input);
+        if (!entry) {
+            invalid.push({ entry: input, message: errors.map(e => `${e.field} ${e.message}`).join('; ') });
+            continue;
+        }
+        const createdAt = text(input.createdAt, now);
+        entries.push({ id: text(input.id, newId()), ...entry, createdAt, updatedAt: text(input.updatedAt, createdAt) });
+    }
+    return { vault: { ...vault, entries }, invalid };
+}
+
+// "work, Email ,work" -> ['work', 'email']
+export function parseTags(input) {
+    const list = Array.isArray(input) ? input : String(input ?? '').split(',');
+    return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+// -> { entry, errors }; entry fields are trimmed (except the password) and tags normalised
+export function validateEntry(input) {
+    const errors = [];
+    const text = (name, { trim = true } = {}) => {
+        const value = input?.[name] ?? '';
+        if (typeof value !== 'string') { errors.push({ field: name, message: 'must be text' }); return ''; }
+        if (value.length > LIMITS[name]) errors.push({ field: name, message: `must be at most ${LIMITS[name]} characters` });
+        return trim ? value.trim() : value;
+    };
+    const entry = {
+        site: text('site'),
+        username: text('username'),
+        password: text('password', { trim: false }),
+        notes: text('notes'),
+        tags: parseTags(input?.tags)
+    };
+    if (!entry.site) errors.push({ field: 'site', message: 'is required' });
+    if (!entry.password) errors.push({ field: 'password', message: 'is required' });
+    if (entry.tags.length > LIMITS.tags) errors.push({ field: 'tags', message: `at most ${LIMITS.tags} tags` });
+    if (entry.tags.some(t => t.length > LIMITS.tag)) errors.push({ field: 'tags', message: `each tag at most ${LIMITS.tag} characters` });
+    return { entry: errors.length ? null : entry, errors };
+}
+
+function checked(input) {
+    const { entry, errors } = validateEntry(input);
+    if (!entry) throw new Error(errors.map(e => `${e.field} ${e.message}`).join('; '));
+    return entry;
+}
+
+function newId() {
+    return crypto.randomUUID ? crypto.randomUUID() : Array.from(crypto.getRandomValues(new Uint8Array(16)), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function addEntry(vault, input) {
+    const now = new Date().toISOString();
+    const entry = { id: newId(), ...checked(input), createdAt: now, updatedAt: now };
+    return { vault: { ...vault, entries: [...vault.entries, entry] }, entry };
+}
+
+export function updateEntry(vault, id, input) {
+    const existing = vault.entries.find(e => e.id === id);
+    if (!existing) throw new Error('Entry no longer exists');
+    const entry = { ...existing, ...checked(input), updatedAt: new Date().toISOString() };
+    return { vault: { ...vault, entries: vault.entries.map(e => (e.id === id ? entry : e)) }, entry };
+}
+
+export function removeEntry(vault, id) {
+    return { ...vault, entries: vault.entries.filter(e => e.id !== id) };
+}
+
+// Space-separated terms, all must match; "#tag" matches a tag exactly, anything else is a
+// case-insensitive substring of site, username, notes or a tag. Passwords are never searched.
+export function searchEntries(entries, query) {
+    const terms = String(query ?? '').toLowerCase().split(/\s+/).filter(Boolean);
+    const sorted = [...entries].sort((a, b) => a.site.localeCompare(b.site, undefined, { sensitivity: 'base' }));
+    if (!terms.length) return sorted;
+    return sorted.filter(e => terms.every(term => {
+        if (term.startsWith('#') && term.length > 1) return e.tags.includes(term.slice(1));
+        return [e.site, e.username, e.notes, ...e.tags].some(field => field.toLowerCase().includes(term));
+    }));
+}
+
+export function allTags(entries) {
+    return [...new Set(entries.flatMap(e => e.tags))].sort();
+}
+
+// Same login: site (case-insensitive), username and password all equal — how imports spot duplicates
+export function isSameLogin(a, b) {
+    return a.site.localeCompare(b.site, undefined, { sensitivity: 'base' }) === 0
+        && a.username === b.username && a.password === b.password;
+}
+
+// Restoring a backup on top of the current vault: entries match by id and the later `updatedAt` wins;
+// entries only one side has are kept. -> { vault, added, updated }
+export function mergeVaults(current, incoming) {
+    const byId = new Map(current.entries.map(e => [e.id, e]));
+    let added = 0, updated = 0;
+    for (const entry of openVault(incoming).entries) {
+        const mine = byId.get(entry.id);
+        if (!mine) {
+            byId.set(entry.id, entry);
+            added++;
+        } else if ((entry.updatedAt || '') > (mine.updatedAt || '')) {
+            byId.set(entry.id, entry);
+            updated++;
+        }
+    }
+    return { vault: { ...current, entries: [...byId.values()] }, added, updated };
+}
+
+// Entries from another password manager (see js/pm-import.js): validated, new ids, exact duplicates of an
+// existing login skipped. -> { vault, added, duplicates, invalid: [{ entry, message }] }
+export function addEntries(vault, inputs) {
+    let next = vault, added = 0, duplicates = 0;
+    const invalid = [];
+    for (const input of inputs) {
+        const { entry, errors } = validateEntry(input);
+        if (!entry) {
+            invalid.push({ entry: input, message: errors.map(e => `${e.field} ${e.message}`).join('; ') });
+        } else if (next.entries.some(e => isSameLogin(e, entry))) {
+            duplicates++;
+        } else {
+            next = addEntry(next, entry).vault;
+            added++;
+        }
+    }
+    return { vault: next, added, duplicates, invalid };
+}
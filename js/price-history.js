@@ -0,0 +1,44 @@
+// FILE: /js/price-history.js
+// Purpose: price-history windows and min/max/avg statistics (shared by server and pages)
+// A point is { at: ISO timestamp, price }; each price holds until the next point.
+
+function byTime(a, b) {
+    return a.at.localeCompare(b.at);
+}
+
+// Points inside [since, until]. The price already in effect at `since` is carried in as a point at `since`,
+// so a window that starts between two changes still knows its opening price.
+export function priceWindow(points, { since, until } = {}) {
+    const sorted = [...points].sort(byTime);
+    const inside = sorted.filter(p => (!since || p.at >= since) && (!until || p.at <= until));
+    if (since) {
+        const before = sorted.filter(p => p.at < since).pop();
+        if (before && (!until || since <= until) && inside[0]?.at !== since) inside.unshift({ ...before, at: since });
+    }
+    return inside;
+}
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+// { count, min, max, avg, first, last, change, changePercent } over a window; null values when empty.
+// avg is the plain mean of the prices that were in effect, not weighted by how long each lasted.
+export function priceStats(points) {
+    if (!points.length) {
+        return { count: 0, min: null, max: null, avg: null, first: null, last: null, change: null, changePercent: null };
+    }
+    const prices = points.map(p => p.price);
+    const first = prices[0];
+    const last = prices[prices.length - 1];
+    return {
+        count: prices.length,
+        min: Math.min(...prices),
+        max: Math.max(...prices),
+        avg: round2(prices.reduce((sum, p) => sum + p, 0) / prices.length),
+        first,
+        last,
+        change: round2(last - first),
+        changePercent: first ? round2((last - first) / first * 100) : null
+    };
+}
@@ -0,0 +1,6 @@
+// FILE: /js/release-key.js
+// Purpose: the catalogue publisher's public key (base64 SPKI), pinned by every client of data/release/
+// Replace it with the line `node tools/sign-release.js --generate-key` prints when the publisher's key changes;
+// releases signed by the old key stop verifying, so re-sign the current release in the same commit.
+
+export const RELEASE_PUBLIC_KEY = 'MFkwEwYHKoZIzj0CAQYIKoZIzj0DAQcDQgAED8hfMsKquiOnuuKLvxuBtrILxxF5zm3/VZ9d9zQb+jRThGoKWgBG0j/nZRmkfAG55MLsVc0eeueSegFRr0XkxQ==';
@@ -1,276 +1,578 @@
-// Sample external API endpoints
-const jsonApiEndpoint = 'https://raw.githubusercontent.com/AndreiRetsja104/API-of-Computer-parts/main/data.json';
-const xmlApiEndpoint = 'https://raw.githubusercontent.com/AndreiRetsja104/API-of-Computer-parts/main/data.xml';
-
-/*
-* Nov 25, 2023 by
-*
-*@ refernece  https://developer.mozilla.org/en-US/docs/Web/API/fetch
-* Author MDN contributors
-*
-*/
-// Function to fetch data from the external JSON API
-function fetchJsonData() {
-    fetch(jsonApiEndpoint)
-        .then(response => response.json())
-        .then(data => {
-            console.log('Fetched JSON data:', data); // Add this line for debugging
-            displayComputerParts(data, '#computer-parts-info-json');
-            visualizeData(data);
-        })
-        .catch(error => console.error('Error fetching JSON data:', error));
-}
-
-/*
-* Nov 25, 2023 by
-*
-*@ refernece  https://developer.mozilla.org/en-US/docs/Web/API/fetch
-* Author MDN contributors
-*
-*/
-// Function to fetch data from the external XML API
-function fetchXmlData() {
-    return fetch(xmlApiEndpoint)
-        .then(response => response.text())
-        .then(data => {
-            const parser = new DOMParser();
-            const xmlDoc = parser.parseFromString(data, 'application/xml');
-            const parts = parseXmlData(xmlDoc);
-            displayComputerParts(parts, '#computer-parts-info-xml');
-        })
-        .catch(error => {
-            console.error('Error fetching XML data:', error);
-            // Display an error message on the webpage
-            document.querySelector('#computer-parts-info-xml').innerHTML = 'Error fetching XML data. Please try again later.';
-            throw error; // Re-throw the error to keep it consistent with the promise chain
-        });
-}
-
-/*
-* Dec 20, 2023 
-*
-* @ reference  https://developer.mozilla.org/en-US/docs/Web/XML/Parsing_and_serializing_XML 
-*
-* Author MDN contributors
-*/
-// Function to parse XML data
-function parseXmlData(xmlDoc) {
-    const parts = [];
-    const items = xmlDoc.querySelectorAll('part');
-    
-    items.forEach(item => {
-        const part = {
-            name: item.querySelector('name').textContent,
-            type: item.querySelector('type').textContent,
-            price: parseFloat(item.querySelector('price').textContent),
-            manufacturer: item.querySelector('manufacturer').textContent,
-            stock: parseInt(item.querySelector('stock').textContent),
-        };
-        parts.push(part);
-    });
-
-    return parts;
-}
-
-/*
-* Oct 5, 2023
-*
-* @ reference https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Functions 
-*
-* Author MDN contributors
-*/
-//  Displays computer parts information on the webpage
-function displayComputerParts(parts, targetElement) {
-    const computerPartsInfo = document.querySelector(targetElement);
-
-    // Check if the target element exists
-    if (!computerPartsInfo) {
-        console.error('Target element not found:', targetElement);
-        return;
-    }
-
-    // Clear existing content
-    computerPartsInfo.innerHTML = '';
-
-    // If parts is an array, iterate over each part and display information
-    if (Array.isArray(parts)) {
-        parts.forEach(part => {
-            const partInfo = createPartInfo(part);
-            computerPartsInfo.innerHTML += partInfo;
-        });
-    } else if (typeof parts === 'object') {
-        // If parts is a single object, display information for that part
-        const partInfo = createPartInfo(parts);
-        computerPartsInfo.innerHTML = partInfo;
-    } else {
-        console.error('Invalid parts data:', parts);
-    }
-}
-
-
-//Creates HTML markup for displaying information about a computer part
-function createPartInfo(part) {
-    // Create a string containing HTML markup with information about the part
-    const stockInfo = part.stock !== undefined ? `<p>Stock: ${part.stock}</p>` : '';
-    const quantityInfo = part.quantity !== undefined ? `<p>Quantity: ${part.quantity}</p>` : ''; // Add this line for quantity
-    const specificationsInfo = part.specifications
-        ? `<p>Cores: ${part.specifications.cores}</p><p>Clock Speed: ${part.specifications.clockSpeed}</p>`
-        : '';
-
-    return `
-        <div class="part">
-            <h2>ID: ${part.id}</h2>
-            <h2>${part.name}</h2>
-            <p>Type: ${part.type}</p>
-            <p>Price: € ${part.price}</p>
-            <p>Manufacturer: ${part.manufacturer}</p>
-            ${quantityInfo}
-            ${stockInfo}
-            ${specificationsInfo}
-        </div>
-    `;
-}
-
-/*
-* Oct 5, 2023
-*
-* @ reference https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Functions 
-*
-* Author MDN contributors
-*/
-// Function to perform a search based on user input and display filtered results
-function performSearch() {
-// Fetch JSON data from the external API
-    fetchJsonData()
-        .then(data => {
-	    // Get user input values
-            const typeInput = document.getElementById('type-input').value.trim().toLowerCase();
-            const manufacturerInput = document.getElementById('manufacturer-input').value.trim().toLowerCase();
-            const priceInput = document.getElementById('price-input').value.trim();
-
-            // Extract min and max values from the priceInput
-            const [minPrice, maxPrice] = priceInput.split('-').map(val => parseFloat(val.trim()));
-           
-	     // Filter data based on user input
-            const filteredData = data.filter(part => {
-                const matchType = !typeInput || part.type.toLowerCase().includes(typeInput);
-		    const matchManufacturer = !manufacturerInput || part.manufacturer.toLowerCase().includes(manufacturerInput);
-
-                // Check if the price is within the specified range
-                const matchPrice = isNaN(minPrice) || isNaN(maxPrice) ||
-                    (minPrice <= part.price && part.price <= maxPrice);
-
-		 // Return true if all conditions are met, indicating a match    
-                return matchType && matchManufacturer && matchPrice;
-            });
-            // Display the filtered data on the webpage
-            displayComputerParts(filteredData, '#computer-parts-info-json');
-        })
-        .catch(error => console.error('Error performing search:', error));
-}
-
-document.addEventListener('DOMContentLoaded', async function () {
-    try {
-        // Fetch JSON data
-        const jsonData = await fetchJsonData();
-        // Display and visualize JSON data
-        displayComputerParts(jsonData, '#computer-parts-info-json');
-        visualizeData(jsonData);
-
-        // Fetch XML data
-        const xmlData = await fetchXmlData();
-        
-		// Display XML data
-        displayComputerParts(xmlData, '#computer-parts-info-xml');
-    } catch (error) {
-        
-		// Handle errors
-        console.error('Error:', error);
-        document.querySelector('#computer-parts-info-json').innerHTML = 'Error fetching JSON data. Please try again later.';
-        document.querySelector('#computer-parts-info-xml').innerHTML = 'Error fetching XML data. Please try again later.';
-    }
-});
-
-/*
-* January 25, 2023
-*
-*@ reference https://dmitripavlutin.com/javascript-fetch-async-await/
-* 
-* Author  Dmitri Pavlutin
-*/
-// async Fetches data from the external Json API 
-async function fetchJsonData() {
-    const response = await fetch(jsonApiEndpoint);
-    if (!response.ok) {
-        throw new Error(`HTTP error! Status: ${response.status}`);
-    }
-    return response.json();
-}
-
-/*
-* January 25, 2023
-*
-*@ reference https://dmitripavlutin.com/javascript-fetch-async-await/
-* 
-* Author  Dmitri Pavlutin
-*/
-// async Fetches data from the external XML API 
-async function fetchXmlData() {
-    try {
-        const response = await fetch(xmlApiEndpoint);
-        if (!response.ok) {
-            throw new Error(`HTTP error! Status: ${response.status}`);
-        }
-        const data = await response.text();
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(data, 'application/xml');
-        return parseXmlData(xmlDoc);
-    } catch (error) {
-        console.error('Error fetching XML data:', error);
-        throw error; // Propagate the error to the caller
-    }
-}
-
-/*
-* NOVEMBER 24, 2021
-*
-*@ reference https://www.freecodecamp.org/news/d3js-tutorial-data-visualization-for-beginners/
-*
-* Author  Spruce Emmanuel 
-*/
-// Function for data visualization using D3.js
-function visualizeData(data) {
-    // Example: Create a bar chart of stock levels using D3.js
-    const svg = d3.select('#computer-parts-info')
-        .append('svg')
-        .attr('width', 400)
-        .attr('height', 200);
-
-    const stockValues = data.map(part => part.stock);
-
-    const xScale = d3.scaleLinear()
-        .domain([0, d3.max(stockValues)])
-        .range([0, 400]);
-
-    svg.selectAll('rect')
-        .data(stockValues)
-        .enter()
-        .append('rect')
-        .attr('x', 10)
-        .attr('y', (d, i) => i * 40)
-        .attr('width', d => xScale(d))
-        .attr('height', 30)
-        .attr('fill', 'blue');
-}
-
-// Fetch data on page load
-document.addEventListener('DOMContentLoaded', function() {
-    fetchJsonData();
-    fetchXmlData();
-});
-
-// Function for Add the data connector will added here in the future 
-
-// Function for connector between MySql main fork will added here in the future 
-
-
+import { partsXmlMapper } from './xml-mapper.js';
+import { BASE_CURRENCY, parseRates, convert } from './currency.js';
+import { loadVerifiedReleaseFile, storageReleaseCache, MANIFEST_FILE } from './catalogue-release.js';
+import { RELEASE_PUBLIC_KEY } from './release-key.js';
+import { stockByManufacturer } from './dashboard.js';
+import { createPartList } from './part-list.js';
+import { openOfflineDb, offlineReleaseCache, revalidate, cachedResponse, listEdits } from './offline-store.js';
+import { registerOfflineWorker, freshnessText, syncQueuedParts } from './catalogue-offline.js';
+
+// Local parts API (run `node server/server.js`). The lists shown on load come from the signed catalogue
+// release (data/release/, see tools/sign-release.js); searches still go to the live API. Parts added through the
+// API therefore show in searches at once but in the lists only after the next signed release.
+const API_BASE = 'http://localhost:3000';
+const jsonApiEndpoint = `${API_BASE}/parts`;
+const releaseBase = `${API_BASE}/data/release/`;
+// IndexedDB (null without it) keeps the last verified release and exchange rates, revalidated with ETags, so the
+// lists show at once and still work offline. Copies older versions saved in localStorage move over on first use.
+const offlineDb = openOfflineDb();
+const releaseCache = offlineDb.then(db => (db
+    ? offlineReleaseCache(db, storageReleaseCache(localStorage))
+    : storageReleaseCache(localStorage)));
+// Set when a catalogue check could not reach the API at all (as opposed to the API sending a bad release)
+let catalogueOffline = false;
+
+/*
+* Dec 20, 2023 
+*
+* @ reference  https://developer.mozilla.org/en-US/docs/Web/XML/Parsing_and_serializing_XML 
+*
+* Author MDN contributors
+*/
+// Function to parse XML data: maps <record> (or legacy <part>) elements through js/xml-mapper.js.
+// Malformed documents throw; records with missing/bad fields are logged and still shown.
+function parseXmlData(xmlDoc) {
+    const { records, errors } = partsXmlMapper.map(xmlDoc);
+
+    const fatal = errors.find(e => e.index === null);
+    if (fatal) {
+        throw new Error(fatal.message);
+    }
+    errors.forEach(e => console.warn(`XML record #${e.index} (id ${e.id ?? '?'}): ${e.field} ${e.message}`));
+
+    return records;
+}
+
+/*
+* Oct 5, 2023
+*
+* @ reference https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Functions 
+*
+* Author MDN contributors
+*/
+//  Displays computer parts information on the webpage
+// Prices are shown in `currency`; the API already converted them when asked with ?currency=
+// Each panel is a part list (js/part-list.js): values are set as text, never parsed as HTML.
+function displayComputerParts(parts, targetElement, currency = BASE_CURRENCY) {
+    const list = partListFor(targetElement);
+    if (!list) return;
+    if (parts && typeof parts === 'object') {
+        list.setParts(parts, { currency });
+    } else {
+        console.error('Invalid parts data:', parts);
+        list.setError('The parts data could not be read.');
+    }
+}
+
+// One part list per panel, created on first use
+const partLists = new Map();
+const PANEL_LABELS = {
+    '#computer-parts-info-json': 'Parts (JSON)',
+    '#computer-parts-info-xml': 'Parts (XML)'
+};
+
+function partListFor(targetElement) {
+    if (partLists.has(targetElement)) return partLists.get(targetElement);
+    const container = document.querySelector(targetElement);
+
+    // Check if the target element exists
+    if (!container) {
+        console.error('Target element not found:', targetElement);
+        return null;
+    }
+    const list = createPartList(container, { label: PANEL_LABELS[targetElement] || 'Parts' });
+    partLists.set(targetElement, list);
+    return list;
+}
+
+/*
+* Oct 5, 2023
+*
+* @ reference https://developer.mozilla.org/en-US/docs/Web/JavaScript/Guide/Functions 
+*
+* Author MDN contributors
+*/
+// Currency picked on the page (EUR when the page has no picker)
+function selectedCurrency() {
+    return document.getElementById('currency-input')?.value || BASE_CURRENCY;
+}
+
+// Function to perform a search: the form inputs become a /parts query and the server does the filtering.
+// The price range is in the selected currency because the server converts before filtering.
+function performSearch() {
+    // Get user input values
+    const typeInput = document.getElementById('type-input').value.trim();
+    const manufacturerInput = document.getElementById('manufacturer-input').value.trim();
+    const priceInput = document.getElementById('price-input').value.trim();
+
+    // Extract min and max values from the priceInput ("100-250")
+    const [minPrice, maxPrice] = priceInput.split('-').map(val => parseFloat(val.trim()));
+
+    const params = new URLSearchParams();
+    if (typeInput) params.set('type[contains]', typeInput);
+    if (manufacturerInput) params.set('manufacturer[contains]', manufacturerInput);
+    if (!isNaN(minPrice)) params.set('price[gte]', minPrice);
+    if (!isNaN(maxPrice)) params.set('price[lte]', maxPrice);
+    params.set('sort', 'price');
+    const currency = selectedCurrency();
+    params.set('currency', currency);
+
+    partListFor('#computer-parts-info-json')?.setLoading('Searching...');
+    return fetch(`${jsonApiEndpoint}?${params}`)
+        .then(response => {
+            if (!response.ok) {
+                throw new Error(`HTTP error! Status: ${response.status}`);
+            }
+            return response.json();
+        })
+        // Display the filtered data on the webpage
+        .then(data => displayComputerParts(data, '#computer-parts-info-json', currency))
+        .catch(error => {
+            console.error('Error performing search:', error);
+            partListFor('#computer-parts-info-json')?.setError('Search failed. Please try again later.');
+        });
+}
+
+// One line per release file that failed verification; the banner stays hidden while everything verifies
+function showReleaseWarning(name, message) {
+    const banner = document.querySelector('#release-warning');
+    if (!banner) return;
+    let line = [...banner.children].find(li => li.dataset.file === name);
+    if (!line) {
+        line = document.createElement('li');
+        line.dataset.file = name;
+        banner.appendChild(line);
+    }
+    line.textContent = message;
+    banner.hidden = false;
+}
+
+// Text of a release file whose hash matches a manifest signed with the pinned key. When the fresh copy fails
+// (bad signature, changed file, HTTP error) the last verified copy is used and the page says so. An unreachable
+// API is not a verification problem, so it only shows in the freshness line.
+async function fetchReleaseFile(name) {
+    const db = await offlineDb;
+    let unreachable = false;
+    const readBytes = async file => {
+        try {
+            return (await revalidate(db, new URL(file, releaseBase).href)).bytes;
+        } catch (error) {
+            // fetch throws a TypeError when there is no connection; HTTP errors are reported as they are
+            if (error instanceof TypeError) unreachable = true;
+            throw error;
+        }
+    };
+    try {
+        const result = await loadVerifiedReleaseFile(name, { readBytes, publicKey: RELEASE_PUBLIC_KEY, cache: await releaseCache });
+        if (unreachable) {
+            catalogueOffline = true;
+        } else if (!result.verified) {
+            showReleaseWarning(name, `${name} could not be verified (${result.error}). Showing the last verified copy, release ${result.version}.`);
+        }
+        return result.text;
+    } catch (error) {
+        if (unreachable) {
+            catalogueOffline = true;
+            showReleaseWarning(name, `${name} cannot be loaded: the parts API is unreachable and no copy is saved in this browser yet.`);
+        } else {
+            showReleaseWarning(name, `${name} could not be verified (${error.message}) and no verified copy is saved in this browser. Not showing it.`);
+        }
+        throw error;
+    }
+}
+
+// The last verified copy of a release file, without going to the network (null when none is saved)
+async function savedReleaseFile(name) {
+    return (await (await releaseCache).get(name))?.text ?? null;
+}
+
+// "Up to date" / "stale since ..." line, with the count of parts still waiting in the Add Data outbox and of
+// those the last sync sent
+async function showFreshness(state, { sent = 0 } = {}) {
+    const line = document.querySelector('#catalogue-freshness');
+    if (!line) return;
+    const db = await offlineDb;
+    const manifest = await cachedResponse(db, new URL(MANIFEST_FILE, releaseBase).href);
+    const edits = await listEdits(db);
+    line.textContent = freshnessText({
+        state,
+        checkedAt: manifest?.checkedAt,
+        queued: edits.filter(e => e.status === 'pending').length,
+        conflicts: edits.filter(e => e.status === 'conflict').length,
+        sent
+    });
+    line.dataset.state = state;
+    line.hidden = false;
+}
+
+// Status column of the source summary; signed sources also say which release was checked
+function sourceStatus(source) {
+    if (source.error) return `unavailable: ${source.error}`;
+    if (!source.release) return 'ok';
+    return source.release.verified
+        ? `ok (release ${source.release.version}, signature verified)`
+        : `NOT VERIFIED: ${source.release.warning}; using cached release ${source.release.version}`;
+}
+
+// Builds a <table> from header labels and rows of cell values (text only, never HTML)
+function buildTable(headers, rows) {
+    const table = document.createElement('table');
+    table.className = 'data-table';
+    const head = table.createTHead().insertRow();
+    headers.forEach(h => {
+        const th = document.createElement('th');
+        th.textContent = h;
+        head.appendChild(th);
+    });
+    const body = table.createTBody();
+    rows.forEach(cells => {
+        const tr = body.insertRow();
+        cells.forEach(c => { tr.insertCell().textContent = c; });
+    });
+    return table;
+}
+
+// Compare every configured feed (data/sources.json) and list which one disagrees on which field
+async function showSourceConflicts() {
+    const target = document.querySelector('#source-conflicts');
+    const matchBy = document.getElementById('match-by').value;
+    target.textContent = 'Comparing sources...';
+
+    try {
+        const response = await fetch(`${API_BASE}/catalogue/aggregate?view=summary&matchBy=${matchBy}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! Status: ${response.status}`);
+        }
+        const { sources, stats, conflicts } = await response.json();
+
+        target.innerHTML = '';
+        const summary = document.createElement('h2');
+        summary.textContent = `${stats.keys} parts, ${stats.conflicts} conflicting fields`;
+        target.appendChild(summary);
+
+        target.appendChild(buildTable(
+            ['Source', 'Records', 'Fields used', 'Disagreements', 'Status'],
+            sources.map(s => [
+                s.name,
+                s.records,
+                stats.bySource[s.name]?.fieldsWon ?? 0,
+                stats.bySource[s.name]?.disagreements ?? 0,
+                sourceStatus(s)
+            ])
+        ));
+
+        // Provenance: which source each conflicting value came from, and which one was used
+        const shown = conflicts.slice(0, 200);
+        target.appendChild(buildTable(
+            ['Part', 'Field', 'Values by source', 'Used'],
+            shown.map(c => [
+                c.key,
+                c.field,
+                c.values.map(v => `${v.source}: ${v.value}`).join(' | '),
+                c.chosen
+            ])
+        ));
+        if (conflicts.length > shown.length) {
+            const more = document.createElement('p');
+            more.textContent = `...and ${conflicts.length - shown.length} more (node tools/aggregate.js for the full list).`;
+            target.appendChild(more);
+        }
+    } catch (error) {
+        console.error('Error comparing sources:', error);
+        target.textContent = 'Could not compare sources. Is the parts API running?';
+    }
+}
+
+// Banner listing parts at or below their reorder threshold; stays hidden when nothing is low
+async function showLowStockBanner() {
+    const banner = document.querySelector('#low-stock-banner');
+    try {
+        const response = await fetch(`${API_BASE}/alerts`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! Status: ${response.status}`);
+        }
+        const { alerts } = await response.json();
+        banner.innerHTML = '';
+        banner.hidden = alerts.length === 0;
+        if (!alerts.length) return;
+
+        const title = document.createElement('strong');
+        title.textContent = `${alerts.length} part${alerts.length === 1 ? '' : 's'} low on stock`;
+        banner.appendChild(title);
+        const list = document.createElement('ul');
+        alerts.slice(0, 10).forEach(a => {
+            const li = document.createElement('li');
+            li.textContent = `#${a.partId} ${a.name} (${a.manufacturer}): ${a.quantity} left, reorder at ${a.threshold}`;
+            list.appendChild(li);
+        });
+        if (alerts.length > 10) {
+            const li = document.createElement('li');
+            li.textContent = `...and ${alerts.length - 10} more`;
+            list.appendChild(li);
+        }
+        banner.appendChild(list);
+    } catch (error) {
+        console.error('Error fetching stock alerts:', error);
+        banner.hidden = true;
+    }
+}
+
+// Step line of a part's quantity over time, rebuilt from its stock movements, with the reorder level dashed
+async function visualizeStockHistory() {
+    const target = document.querySelector('#stock-history');
+    const id = document.getElementById('history-part-id').value;
+    if (!id) return;
+    target.textContent = 'Loading stock history...';
+
+    try {
+        const response = await fetch(`${API_BASE}/parts/${encodeURIComponent(id)}/stock-history`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! Status: ${response.status}`);
+        }
+        const { partId, quantity, threshold, points } = await response.json();
+        target.innerHTML = '';
+        if (!points.length) {
+            target.textContent = `Part ${partId} has no stock movements yet.`;
+            return;
+        }
+
+        // Carry the last level forward to now so the line ends at the current quantity
+        const series = points.map(p => ({ at: new Date(p.at), quantity: p.quantity }));
+        series.push({ at: new Date(), quantity });
+
+        const width = 600, height = 250;
+        const margin = { top: 20, right: 20, bottom: 30, left: 40 };
+        const x = d3.scaleTime()
+            .domain(d3.extent(series, d => d.at))
+            .range([margin.left, width - margin.right]);
+        const y = d3.scaleLinear()
+            .domain([0, Math.max(d3.max(series, d => d.quantity), threshold) || 1]).nice()
+            .range([height - margin.bottom, margin.top]);
+
+        const svg = d3.select(target)
+            .append('svg')
+            .attr('width', width)
+            .attr('height', height);
+
+        svg.append('g')
+            .attr('transform', `translate(0,${height - margin.bottom})`)
+            .call(d3.axisBottom(x).ticks(5));
+        svg.append('g')
+            .attr('transform', `translate(${margin.left},0)`)
+            .call(d3.axisLeft(y).ticks(5));
+
+        svg.append('line')
+            .attr('x1', margin.left)
+            .attr('x2', width - margin.right)
+            .attr('y1', y(threshold))
+            .attr('y2', y(threshold))
+            .attr('stroke', '#e0a800')
+            .attr('stroke-dasharray', '4 3');
+
+        svg.append('path')
+            .datum(series)
+            .attr('fill', 'none')
+            .attr('stroke', 'blue')
+            .attr('stroke-width', 2)
+            .attr('d', d3.line().curve(d3.curveStepAfter).x(d => x(d.at)).y(d => y(d.quantity)));
+
+        svg.append('text')
+            .attr('x', margin.left)
+            .attr('y', 14)
+            .text(`Part ${partId}: ${quantity} in stock, reorder at ${threshold}`);
+    } catch (error) {
+        console.error('Error fetching stock history:', error);
+        target.textContent = 'Could not load stock history. Check the part ID and that the parts API is running.';
+    }
+}
+
+// script.js is loaded as a module, so inline onclick handlers need it on window
+window.performSearch = performSearch;
+window.showSourceConflicts = showSourceConflicts;
+window.visualizeStockHistory = visualizeStockHistory;
+
+document.addEventListener('DOMContentLoaded', async function () {
+    registerOfflineWorker();
+    showLowStockBanner();
+    partListFor('#computer-parts-info-json')?.setLoading();
+    partListFor('#computer-parts-info-xml')?.setLoading();
+    // Saved copies first, so the lists appear at once (and offline); the network check then replaces them
+    await showSavedCatalogue();
+    await loadCatalogue();
+    await sendQueuedParts();
+    window.addEventListener('online', async () => {
+        await loadCatalogue();
+        await sendQueuedParts();
+    });
+});
+
+// Renders the last verified release from IndexedDB without any network request
+async function showSavedCatalogue() {
+    try {
+        const json = await savedReleaseFile('data.json');
+        if (json) {
+            const jsonData = await inSelectedCurrency(JSON.parse(json), { savedOnly: true });
+            displayComputerParts(jsonData, '#computer-parts-info-json', selectedCurrency());
+            visualizeData(jsonData);
+        }
+        const xml = await savedReleaseFile('data.xml');
+        if (xml) displayComputerParts(parseXmlText(xml), '#computer-parts-info-xml');
+    } catch (error) {
+        console.warn('Saved catalogue not shown:', error);
+    }
+    await showFreshness('checking');
+}
+
+// Revalidates the release with the API and redraws both panels
+async function loadCatalogue() {
+    catalogueOffline = false;
+    // The panels load independently, so a bad XML release does not hide the JSON list
+    try {
+        // Fetch JSON data
+        const jsonData = await fetchJsonData();
+        // Display and visualize JSON data
+        displayComputerParts(jsonData, '#computer-parts-info-json', selectedCurrency());
+        visualizeData(jsonData);
+    } catch (error) {
+        console.error('Error:', error);
+        partListFor('#computer-parts-info-json')?.setError('Error fetching JSON data. Please try again later.');
+    }
+    try {
+        // Fetch XML data
+        const xmlData = await fetchXmlData();
+        // Display XML data
+        displayComputerParts(xmlData, '#computer-parts-info-xml');
+    } catch (error) {
+        console.error('Error:', error);
+        partListFor('#computer-parts-info-xml')?.setError('Error fetching XML data. Please try again later.');
+    }
+    await showFreshness(catalogueOffline ? 'stale' : 'fresh');
+}
+
+// Parts added on the Add Data page while the API was unreachable go out from whichever parts page is open next
+async function sendQueuedParts() {
+    const { sent } = await syncQueuedParts(await offlineDb, API_BASE);
+    await showFreshness(catalogueOffline ? 'stale' : 'fresh', { sent: sent.length });
+}
+
+/*
+* January 25, 2023
+*
+*@ reference https://dmitripavlutin.com/javascript-fetch-async-await/
+* 
+* Author  Dmitri Pavlutin
+*/
+// async Fetches the verified data.json release
+async function fetchJsonData() {
+    return inSelectedCurrency(JSON.parse(await fetchReleaseFile('data.json')));
+}
+
+// Prices are stored in EUR, so other currencies use the API's rates: fresh ones when the API answers, otherwise the
+// saved table. savedOnly skips the network, for the first render from the saved catalogue.
+async function inSelectedCurrency(parts, { savedOnly = false } = {}) {
+    const currency = selectedCurrency();
+    if (currency === BASE_CURRENCY) return parts;
+
+    const db = await offlineDb;
+    const url = `${API_BASE}/currencies`;
+    let entry = null;
+    if (!savedOnly) {
+        try {
+            entry = await revalidate(db, url);
+        } catch (error) {
+            console.warn('Exchange rates not refreshed:', error);
+        }
+    }
+    entry ??= await cachedResponse(db, url);
+    if (!entry) {
+        throw new Error('No exchange rates available');
+    }
+    const rates = parseRates(JSON.parse(new TextDecoder().decode(entry.bytes)));
+    return parts.map(part => (typeof part.price === 'number'
+        ? { ...part, price: convert(part.price, BASE_CURRENCY, currency, rates) }
+        : part));
+}
+
+function parseXmlText(text) {
+    const parser = new DOMParser();
+    const xmlDoc = parser.parseFromString(text, 'application/xml');
+    return parseXmlData(xmlDoc);
+}
+
+/*
+* January 25, 2023
+*
+*@ reference https://dmitripavlutin.com/javascript-fetch-async-await/
+* 
+* Author  Dmitri Pavlutin
+*/
+// async Fetches the verified data.xml release
+async function fetchXmlData() {
+    try {
+        return parseXmlText(await fetchReleaseFile('data.xml'));
+    } catch (error) {
+        console.error('Error fetching XML data:', error);
+        throw error; // Propagate the error to the caller
+    }
+}
+
+/*
+* NOVEMBER 24, 2021
+*
+*@ reference https://www.freecodecamp.org/news/d3js-tutorial-data-visualization-for-beginners/
+*
+* Author  Spruce Emmanuel 
+*/
+// Units in stock per manufacturer (records carry `quantity`), grouped the same way as the dashboard's chart
+function visualizeData(data) {
+    const target = document.querySelector('#stock-overview');
+    if (!target) return;
+    target.innerHTML = '';
+    const groups = stockByManufacturer(data);
+    if (!groups.length) return;
+
+    const width = 600, barHeight = 22;
+    const margin = { top: 24, right: 60, bottom: 10, left: 120 };
+    const height = margin.top + groups.length * barHeight + margin.bottom;
+    const x = d3.scaleLinear()
+        .domain([0, d3.max(groups, g => g.value) || 1])
+        .range([margin.left, width - margin.right]);
+
+    const svg = d3.select(target)
+        .append('svg')
+        .attr('width', width)
+        .attr('height', height);
+
+    svg.append('text')
+        .attr('x', margin.left)
+        .attr('y', 16)
+        .text('Units in stock by manufacturer');
+
+    const rows = svg.selectAll('g.bar')
+        .data(groups)
+        .enter()
+        .append('g')
+        .attr('class', 'bar')
+        .attr('transform', (d, i) => `translate(0,${margin.top + i * barHeight})`);
+
+    rows.append('rect')
+        .attr('x', margin.left)
+        .attr('width', d => x(d.value) - margin.left)
+        .attr('height', barHeight - 4)
+        .attr('fill', 'blue');
+    rows.append('text')
+        .attr('x', margin.left - 6)
+        .attr('y', barHeight / 2)
+        .attr('text-anchor', 'end')
+        .text(d => d.label);
+    rows.append('text')
+        .attr('x', d => x(d.value) + 4)
+        .attr('y', barHeight / 2)
+        .text(d => d.value);
+}
+
+// Adding data: ImportJson.html posts to /parts, or queues the part in IndexedDB while the API is unreachable
+// (sendQueuedParts above). Storage behind the API is pluggable
+// (JSON file, SQLite or in-memory) — see server/storage and README-api.md.
+
+
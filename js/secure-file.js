@@ -0,0 +1,491 @@
+// FILE: /js/secure-file.js
+// Purpose: `.secure` containers — v2 streaming format (encrypt + decrypt) and decryption of v1 JSON packages
+//
+// v2 layout:
+//   MAGIC (8 bytes "SECURE\0\2") | header length (uint32 BE) | header (UTF-8 JSON) | chunk records…
+//   header: { v: 2, fileId, chunkSize, name, mime, keys: [slot], mac }
+//     slot (password): { type: 'password', kdf, salt, iv, ct } — the 32-byte file key, AES-GCM-wrapped under
+//                      HKDF(KDF(password, salt), 'secure-v2-wrap') with fileId as associated data
+//     slot (ecdh):     { type: 'ecdh', recipient, label, epk, iv, ct } — same, under HKDF(ECDH(ephemeral, recipient))
+//                      where recipient = SHA-256 fingerprint of the recipient's SPKI and epk = ephemeral SPKI
+//     mac: HMAC-SHA-256 over v, fileId, chunkSize, name and mime, keyed from the file key
+//   record: nonce (12) | AES-GCM(chunk) (length + 16); every chunk but the last holds exactly chunkSize bytes,
+//           the last holds 0…chunkSize. Associated data = fileId | chunk index (uint32 BE) | final flag (1 byte),
+//           so reordered, dropped, duplicated or truncated chunks fail to decrypt.
+// Payload keys come from the random file key via HKDF; passwords and recipients only unwrap it, so key slots
+// can be added or removed (rewrapSecureStream) without touching the chunks. Any one slot opens the file.
+
+import {
+    b64, ub64, enc, dec, randomBytes, concatBytes, hkdfBits, hmacRaw,
+    deriveEncAndMac, aesGcmEncryptBytes, aesGcmDecryptBytes, importRawAesKey, hmacVerify,
+    kdfBits, normalizeKdf, kdfLabel, DEFAULT_KDF, LEGACY_KDF,
+    genEcdhKeyPair, importEcdhSpki, ecdhBits, exportSpki, keyFingerprint, publicSpkiOf
+} from './crypto-core.js';
+
+export const SECURE_MAGIC = new Uint8Array([0x53, 0x45, 0x43, 0x55, 0x52, 0x45, 0x00, 0x02]);   // "SECURE\0\2"
+export const DEFAULT_CHUNK_SIZE = 1024 * 1024;
+const MIN_CHUNK_SIZE = 4 * 1024;
+const MAX_CHUNK_SIZE = 16 * 1024 * 1024;
+const MAX_HEADER = 1024 * 1024;
+const NONCE = 12;
+const TAG = 16;
+const PREFIX = SECURE_MAGIC.length + 4;
+
+export class SecureFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SecureFileError';
+    }
+}
+
+const INTEGRITY = 'Integrity check failed (bad password or tampered file)';
+
+// 1 = v1 JSON package, 2 = v2 container, 0 = not a .secure file (looks at the first bytes only)
+export function secureFormatVersion(bytes) {
+    if (bytes.length >= SECURE_MAGIC.length && SECURE_MAGIC.every((b, i) => bytes[i] === b)) return 2;
+    const start = dec.decode(bytes.subarray(0, 64)).trimStart();
+    return /^\{\s*"v"\s*:\s*"1"/.test(start) ? 1 : 0;
+}
+
+// ---- keys -------------------------------------------------------------------------------------------------
+
+async function payloadKeys(fileKeyRaw) {
+    const chunkKey = await importRawAesKey(await hkdfBits(fileKeyRaw, 'secure-v2-chunks'));
+    const macKey = await hkdfBits(fileKeyRaw, 'secure-v2-header');
+    return { chunkKey, macKey };
+}
+
+function headerMacInput(header) {
+    return enc.encode(JSON.stringify([header.v, header.fileId, header.chunkSize, header.name, header.mime]));
+}
+
+async function passwordWrapKey(password, salt, kdf) {
+    return importRawAesKey(await hkdfBits(await kdfBits(password, salt, kdf), 'secure-v2-wrap'));
+}
+
+export async function passwordSlot(password, fileKeyRaw, fileId, kdf = DEFAULT_KDF) {
+    const params = normalizeKdf(kdf);
+    const salt = randomBytes(16);
+    const wrapKey = await passwordWrapKey(password, salt, params);
+    const { iv, ciphertext: ct } = await aesGcmEncryptBytes(fileKeyRaw, wrapKey, fileId);
+    return { type: 'password', kdf: params, salt: b64(salt), iv: b64(iv), ct: b64(ct) };
+}
+
+// Tries every password slot; -> the raw file key, or null when the password opens none of them
+export async function unwrapWithPassword(header, password) {
+    const fileId = ub64(header.fileId);
+    for (const slot of header.keys.filter(k => k.type === 'password')) {
+        const wrapKey = await passwordWrapKey(password, ub64(slot.salt), normalizeKdf(slot.kdf));
+        try {
+            return await aesGcmDecryptBytes(ub64(slot.iv), ub64(slot.ct), wrapKey, fileId);
+        } catch {
+            // wrong password for this slot
+        }
+    }
+    return null;
+}
+
+async function ecdhWrapKey(shared, fileId, recipient, epk) {
+    return importRawAesKey(await hkdfBits(shared, `secure-v2-ecdh|${recipient}|${epk}`, 256, fileId));
+}
+
+// A fresh ephemeral key pair per slot, so slots for the same recipient in different files are unrelated
+export async function recipientSlot(spki, fileKeyRaw, fileId, label = '') {
+    const publicKey = await importEcdhSpki(spki);
+    const recipient = await keyFingerprint(spki);
+    const ephemeral = await genEcdhKeyPair();
+    const epk = b64(await exportSpki(ephemeral.publicKey));
+    const wrapKey = await ecdhWrapKey(await ecdhBits(ephemeral.privateKey, publicKey), fileId, recipient, epk);
+    const { iv, ciphertext: ct } = await aesGcmEncryptBytes(fileKeyRaw, wrapKey, fileId);
+    return { type: 'ecdh', recipient, label: String(label).slice(0, 80), epk, iv: b64(iv), ct: b64(ct) };
+}
+
+// -> the raw file key, or null when the key is not one of the file's recipients
+export async function unwrapWithPrivateKey(header, privateKey) {
+    const fileId = ub64(header.fileId);
+    const own = await keyFingerprint(await publicSpkiOf(privateKey));
+    for (const slot of header.keys.filter(k => k.type === 'ecdh' && k.recipient === own)) {
+        const shared = await ecdhBits(privateKey, await importEcdhSpki(ub64(slot.epk)));
+        const wrapKey = await ecdhWrapKey(shared, fileId, slot.recipient, slot.epk);
+        try {
+            return await aesGcmDecryptBytes(ub64(slot.iv), ub64(slot.ct), wrapKey, fileId);
+        } catch {
+            // damaged slot
+        }
+    }
+    return null;
+}
+
+// secret: a password string, or { password?, privateKey? } (an ECDH CryptoKey, see importEcdhPkcs8)
+function normalizeSecret(secret) {
+    return typeof secret === 'string' ? { password: secret } : secret || {};
+}
+
+// -> the raw file key from whichever slot the secret opens, verified against the header MAC
+async function unlockFileKey(header, secret) {
+    const { password, privateKey } = normalizeSecret(secret);
+    let fileKeyRaw = null;
+    if (privateKey) fileKeyRaw = await unwrapWithPrivateKey(header, privateKey);
+    if (!fileKeyRaw && password) fileKeyRaw = await unwrapWithPassword(header, password);
+    if (!fileKeyRaw) {
+        throw new SecureFileError(privateKey && !password ? 'This private key is not a recipient of the file' : INTEGRITY);
+    }
+    await verifyHeader(header, fileKeyRaw);
+    return fileKeyRaw;
+}
+
+// What can open a file, for display: [{ id: 'password' | fingerprint, type, label, kdf? }]
+export function describeKeySlots(header) {
+    return header.keys.map(k => (k.type === 'password'
+        ? { id: 'password', type: 'password', label: 'Password', kdf: k.kdf }
+        : { id: k.recipient, type: k.type, label: k.label || '' }));
+}
+
+// ---- header -----------------------------------------------------------------------------------------------
+
+function encodeHeader(header) {
+    const json = enc.encode(JSON.stringify(header));
+    const prefix = new Uint8Array(PREFIX);
+    prefix.set(SECURE_MAGIC);
+    new DataView(prefix.buffer).setUint32(SECURE_MAGIC.length, json.length);
+    return concatBytes(prefix, json);
+}
+
+function parseHeader(json) {
+    let header;
+    try {
+        header = JSON.parse(dec.decode(json));
+    } catch {
+        throw new SecureFileError('Damaged .secure header');
+    }
+    const { v, fileId, chunkSize, keys } = header || {};
+    if (v !== 2) throw new SecureFileError(`Unsupported .secure version ${v}`);
+    if (typeof fileId !== 'string' || !Array.isArray(keys) || typeof header.mac !== 'string'
+        || !Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE || chunkSize > MAX_CHUNK_SIZE) {
+        throw new SecureFileError('Damaged .secure header');
+    }
+    return header;
+}
+
+export async function sealHeader(header, fileKeyRaw) {
+    const { macKey } = await payloadKeys(fileKeyRaw);
+    return { ...header, mac: b64(await hmacRaw(macKey, headerMacInput(header))) };
+}
+
+export async function verifyHeader(header, fileKeyRaw) {
+    const { macKey } = await payloadKeys(fileKeyRaw);
+    const expected = await hmacRaw(macKey, headerMacInput(header));
+    const actual = ub64(header.mac);
+    if (expected.length !== actual.length || expected.some((b, i) => b !== actual[i])) throw new SecureFileError(INTEGRITY);
+}
+
+// ---- chunks -----------------------------------------------------------------------------------------------
+
+function chunkAad(fileId, index, final) {
+    const aad = new Uint8Array(fileId.length + 5);
+    aad.set(fileId);
+    const view = new DataView(aad.buffer);
+    view.setUint32(fileId.length, index);
+    view.setUint8(fileId.length + 4, final ? 1 : 0);
+    return aad;
+}
+
+async function sealChunk(chunkKey, fileId, index, final, plaintext) {
+    if (index > 0xffffffff) throw new SecureFileError('File too large for the .secure format');
+    const { iv, ciphertext } = await aesGcmEncryptBytes(plaintext, chunkKey, chunkAad(fileId, index, final));
+    return concatBytes(iv, ciphertext);
+}
+
+async function openChunk(chunkKey, fileId, index, final, record) {
+    try {
+        return await aesGcmDecryptBytes(record.subarray(0, NONCE), record.subarray(NONCE), chunkKey, chunkAad(fileId, index, final));
+    } catch {
+        throw new SecureFileError(final ? 'File is truncated or damaged' : `Chunk ${index} is damaged or out of place`);
+    }
+}
+
+// ---- v2 encrypt -------------------------------------------------------------------------------------------
+
+// ReadableStream of plaintext -> ReadableStream of a v2 container. Holds at most one chunk in memory.
+// password may be empty when there are recipients: [{ spki, label? }] (SPKI bytes of EC P-256 public keys).
+export function encryptSecureStream(source, password, {
+    name = 'file', mime = '', kdf = DEFAULT_KDF, chunkSize = DEFAULT_CHUNK_SIZE, recipients = []
+} = {}) {
+    if (!Number.isInteger(chunkSize) || chunkSize < MIN_CHUNK_SIZE || chunkSize > MAX_CHUNK_SIZE) {
+        throw new SecureFileError(`chunkSize must be ${MIN_CHUNK_SIZE}…${MAX_CHUNK_SIZE} bytes`);
+    }
+    if (!password && !recipients.length) throw new SecureFileError('A password or at least one recipient is needed');
+    const fileId = randomBytes(16);
+    let chunkKey;
+    let index = 0;
+    let pending = new Uint8Array(0);
+
+    return source.pipeThrough(new TransformStream({
+        async start(controller) {
+            const fileKeyRaw = randomBytes(32);
+            ({ chunkKey } = await payloadKeys(fileKeyRaw));
+            const header = await sealHeader({
+                v: 2,
+                fileId: b64(fileId),
+                chunkSize,
+                name,
+                mime,
+                keys: [
+                    ...password ? [await passwordSlot(password, fileKeyRaw, fileId, kdf)] : [],
+                    ...await Promise.all(recipients.map(r => recipientSlot(r.spki, fileKeyRaw, fileId, r.label)))
+                ]
+            }, fileKeyRaw);
+            controller.enqueue(encodeHeader(header));
+        },
+        // A chunk is only written once more data follows, so the real last one can carry the final flag
+        async transform(data, controller) {
+            pending = concatBytes(pending, data instanceof Uint8Array ? data : new Uint8Array(data));
+            let offset = 0;
+            while (pending.length - offset > chunkSize) {
+                controller.enqueue(await sealChunk(chunkKey, fileId, index++, false, pending.subarray(offset, offset + chunkSize)));
+                offset += chunkSize;
+            }
+            pending = pending.slice(offset);
+        },
+        async flush(controller) {
+            controller.enqueue(await sealChunk(chunkKey, fileId, index++, true, pending));
+        }
+    }));
+}
+
+// ---- decrypt (v1 and v2) ----------------------------------------------------------------------------------
+
+// Buffered reads of exact sizes from a byte stream
+function byteReader(source) {
+    const reader = source.getReader();
+    let buffered = new Uint8Array(0);
+    let done = false;
+    return {
+        get buffered() { return buffered; },
+        get done() { return done; },
+        // Reads until at least n bytes are buffered or the stream ends; -> whether n bytes are there
+        async fill(n) {
+            const parts = [buffered];
+            let size = buffered.length;
+            while (size < n && !done) {
+                const { value, done: end } = await reader.read();
+                if (end) done = true;
+                else { parts.push(value); size += value.length; }
+            }
+            if (parts.length > 1) buffered = concatBytes(...parts);
+            return buffered.length >= n;
+        },
+        take(n) {
+            const out = buffered.subarray(0, n);
+            buffered = buffered.subarray(n);
+            return out;
+        },
+        async rest() {
+            const parts = [buffered];
+            while (!done) {
+                const { value, done: end } = await reader.read();
+                if (end) done = true;
+                else parts.push(value);
+            }
+            buffered = new Uint8Array(0);
+            return concatBytes(...parts);
+        },
+        // Whatever is buffered, else the next piece from the stream; null at the end
+        async next() {
+            if (buffered.length) return this.take(buffered.length);
+            if (done) return null;
+            const { value, done: end } = await reader.read();
+            if (end) { done = true; return null; }
+            return value;
+        },
+        cancel(reason) {
+            return reader.cancel(reason);
+        }
+    };
+}
+
+// Stream of a v2 container after the header: plaintext, verified chunk by chunk
+function decryptRecords(input, chunkKey, fileId, chunkSize) {
+    const recordSize = NONCE + chunkSize + TAG;
+    let index = 0;
+    return new ReadableStream({
+        async pull(controller) {
+            try {
+                // More than one full record buffered means the first one is not the last
+                if (await input.fill(recordSize + 1)) {
+                    controller.enqueue(await openChunk(chunkKey, fileId, index++, false, input.take(recordSize)));
+                    return;
+                }
+                const record = input.take(input.buffered.length);
+                if (record.length < NONCE + TAG) throw new SecureFileError('File is truncated or damaged');
+                controller.enqueue(await openChunk(chunkKey, fileId, index++, true, record));
+                controller.close();
+            } catch (e) {
+                controller.error(e);
+                input.cancel(e).catch(() => {});
+            }
+        },
+        cancel(reason) {
+            return input.cancel(reason);
+        }
+    });
+}
+
+// MAC input for v1 packages: ones that record their KDF also authenticate it; older ones (no `kdf`) don't
+export function v1MacInput(kdf, salt, iv, ct, kiv, kct) {
+    const header = kdf ? concatBytes(enc.encode('v1'), enc.encode(kdfLabel(kdf))) : enc.encode('v1');
+    return concatBytes(header, salt, iv, ct, kiv, kct);
+}
+
+// v1: one JSON document, whole file in memory -> { name, mime, bytes }
+export async function decryptSecureV1(password, text) {
+    let pkg;
+    try {
+        pkg = JSON.parse(text);
+    } catch {
+        throw new SecureFileError('Not a .secure file');
+    }
+    const salt = ub64(pkg.salt),
+          iv   = ub64(pkg.iv),
+          ct   = ub64(pkg.ciphertext),
+          kiv  = ub64(pkg.key_iv),
+          kct  = ub64(pkg.key_ct);
+
+    // Files from before KDF settings were recorded used LEGACY_KDF
+    const kdf = pkg.kdf ? normalizeKdf(pkg.kdf) : null;
+    const { aesKey, macKey } = await deriveEncAndMac(password, salt, kdf || LEGACY_KDF);
+
+    // Verify HMAC, then decrypt file key, then file
+    if (!await hmacVerify(macKey, v1MacInput(kdf, salt, iv, ct, kiv, kct), ub64(pkg.hmac))) throw new SecureFileError(INTEGRITY);
+    const rawFileKey = await aesGcmDecryptBytes(kiv, kct, aesKey);
+    const bytes = await aesGcmDecryptBytes(iv, ct, await importRawAesKey(rawFileKey));
+    return { name: pkg.name, mime: pkg.mime, bytes };
+}
+
+// For a store that keeps files opaque (server/routes/secure.js): checks that `bytes`, the start of an upload,
+// hold a well-formed v2 header. -> { header, length } (length = header end, where chunk records start), or null
+// while `bytes` is still too short to tell. Throws SecureFileError when it is not a v2 container.
+export function peekSecureHeader(bytes) {
+    if (bytes.length < PREFIX) return null;
+    if (secureFormatVersion(bytes) !== 2) throw new SecureFileError('Not a .secure v2 file');
+    const length = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength).getUint32(SECURE_MAGIC.length);
+    if (length > MAX_HEADER) throw new SecureFileError('Damaged .secure header');
+    if (bytes.length < PREFIX + length) return null;
+    const header = parseHeader(bytes.slice(PREFIX, PREFIX + length));
+    if (!header.keys.length) throw new SecureFileError('Damaged .secure header');
+    return { header, length: PREFIX + length };
+}
+
+// Reads a v2 container's header from `input` (a byteReader); -> the header, not yet verified
+async function readHeader(input) {
+    if (!await input.fill(PREFIX)) throw new SecureFileError('File is truncated or damaged');
+    input.take(SECURE_MAGIC.length);
+    const length = new DataView(input.take(4).slice().buffer).getUint32(0);
+    if (length > MAX_HEADER) throw new SecureFileError('Damaged .secure header');
+    if (!await input.fill(length)) throw new SecureFileError('File is truncated or damaged');
+    return parseHeader(input.take(length).slice());
+}
+
+// Any .secure file -> { version, name, mime, stream } once the password or private key has been checked.
+// v2 streams; v1 is read whole (that format has no chunks) and handed out as a one-chunk stream.
+export async function openSecureStream(source, secret) {
+    const { password } = normalizeSecret(secret);
+    const input = byteReader(source);
+    await input.fill(64);
+    const version = secureFormatVersion(input.buffered);
+
+    if (version === 1) {
+        if (!password) {
+            input.cancel().catch(() => {});
+            throw new SecureFileError('This is a v1 .secure file; it only opens with its password');
+        }
+        const { name, mime, bytes } = await decryptSecureV1(password, dec.decode(await input.rest()));
+        const stream = new ReadableStream({ start(c) { c.enqueue(bytes); c.close(); } });
+        return { version, name, mime, stream };
+    }
+    if (version !== 2) {
+        input.cancel().catch(() => {});
+        throw new SecureFileError('Not a .secure file');
+    }
+
+    const header = await readHeader(input);
+    let fileKeyRaw;
+    try {
+        fileKeyRaw = await unlockFileKey(header, secret);
+    } catch (e) {
+        input.cancel().catch(() => {});
+        throw e;
+    }
+    const { chunkKey } = await payloadKeys(fileKeyRaw);
+    return {
+        version,
+        name: header.name,
+        mime: header.mime,
+        stream: decryptRecords(input, chunkKey, ub64(header.fileId), header.chunkSize)
+    };
+}
+
+// ---- key slots --------------------------------------------------------------------------------------------
+
+// v2 header only (nothing decrypted): -> { header, slots } for showing who can open a file
+export async function readSecureHeader(source) {
+    const input = byteReader(source);
+    try {
+        await input.fill(64);
+        if (secureFormatVersion(input.buffered) !== 2) throw new SecureFileError('Only v2 .secure files have recipients; re-encrypt v1 files first');
+        const header = await readHeader(input);
+        return { header, slots: describeKeySlots(header) };
+    } finally {
+        input.cancel().catch(() => {});
+    }
+}
+
+// Adds and removes key slots on a v2 file: unlocks the file key with `secret`, writes a new header and copies
+// the chunk records through unchanged. remove: slot ids from describeKeySlots ('password' or a fingerprint);
+// add: [{ spki, label? }]; password: a new password slot (replacing any old one).
+export async function rewrapSecureStream(source, secret, { add = [], remove = [], password, kdf = DEFAULT_KDF } = {}) {
+    const input = byteReader(source);
+    await input.fill(64);
+    if (secureFormatVersion(input.buffered) !== 2) {
+        input.cancel().catch(() => {});
+        throw new SecureFileError('Only v2 .secure files have recipients; re-encrypt v1 files first');
+    }
+    let header;
+    let keys;
+    try {
+        header = await readHeader(input);
+        const fileKeyRaw = await unlockFileKey(header, secret);
+        const fileId = ub64(header.fileId);
+        const dropped = new Set(password ? [...remove, 'password'] : remove);
+        const added = await Promise.all(add.map(r => recipientSlot(r.spki, fileKeyRaw, fileId, r.label)));
+        const addedIds = new Set(added.map(k => k.recipient));
+        keys = [
+            ...header.keys.filter(k => !dropped.has(k.type === 'password' ? 'password' : k.recipient) && !addedIds.has(k.recipient)),
+            ...password ? [await passwordSlot(password, fileKeyRaw, fileId, kdf)] : [],
+            ...added
+        ];
+        if (!keys.length) throw new SecureFileError('Removing every password and recipient would make the file unreadable');
+    } catch (e) {
+        input.cancel().catch(() => {});
+        throw e;
+    }
+
+    const updated = { ...header, keys };
+    return {
+        header: updated,
+        slots: describeKeySlots(updated),
+        stream: new ReadableStream({
+            start(controller) {
+                controller.enqueue(encodeHeader(updated));
+            },
+            async pull(controller) {
+                const piece = await input.next();
+                if (piece) controller.enqueue(piece.slice());
+                else controller.close();
+            },
+            cancel(reason) {
+                return input.cancel(reason);
+            }
+        })
+    };
+}
@@ -0,0 +1,171 @@
+// FILE: /js/signature.js
+// Purpose: detached `.sig` files — signature envelopes with metadata, a trusted-keys keyring, and legacy raw signatures
+//
+// Envelope (UTF-8 JSON):
+//   { type: 'signature', v: 1, alg: 'ECDSA-P256-SHA256', signer, sha256, size, signedAt, comment, sig }
+//     signer:   SHA-256 fingerprint of the signer's SPKI (keyFingerprint)
+//     sha256:   hex digest of the signed file; size: its length in bytes
+//     signedAt: ISO timestamp from the signer's clock; comment: free text, may be ''
+//     sig:      base64 raw ECDSA P-256 signature over canonicalSignedData(envelope)
+// The signature covers the metadata, not the file itself; the file is bound through its hash.
+// Legacy `.sig` files are the bare 64-byte signature over the file bytes, as sign-verify.html used to write.
+//
+// Keyring: [{ fingerprint, label, spki (base64), addedAt }] — public keys the user has chosen to trust.
+// Functions here return new arrays; the page decides where to keep them.
+
+import {
+    b64, ub64, enc, dec, sha256, toHex, ecdsaSign, ecdsaVerify, importSpki, exportSpki, keyFingerprint, publicSpkiOf
+} from './crypto-core.js';
+
+export const SIGNATURE_ALG = 'ECDSA-P256-SHA256';
+// Where sign-verify.html keeps the keyring (password-manager backups carry it too)
+export const KEYRING_STORAGE_KEY = 'sv-trusted-keys';
+const MAX_COMMENT = 500;
+const MAX_LABEL = 80;
+const RAW_SIGNATURE = 64;
+
+export class SignatureError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SignatureError';
+    }
+}
+
+// Fixed field order and JSON string escaping, so signer and verifier hash the same bytes
+export function canonicalSignedData({ v, alg, signer, sha256: digest, size, signedAt, comment }) {
+    return enc.encode(JSON.stringify(['signature', v, alg, signer, digest, size, signedAt, comment]));
+}
+
+// privateKey: ECDSA P-256 CryptoKey imported as extractable (its public half names the signer)
+export async function createSignature(privateKey, bytes, { comment = '', signedAt = new Date() } = {}) {
+    const text = String(comment).trim();
+    if (text.length > MAX_COMMENT) throw new SignatureError(`Comment must be at most ${MAX_COMMENT} characters`);
+    const envelope = {
+        type: 'signature',
+        v: 1,
+        alg: SIGNATURE_ALG,
+        signer: await keyFingerprint(await publicSpkiOf(privateKey)),
+        sha256: toHex(await sha256(bytes)),
+        size: bytes.length,
+        signedAt: new Date(signedAt).toISOString(),
+        comment: text
+    };
+    return { ...envelope, sig: b64(await ecdsaSign(privateKey, canonicalSignedData(envelope))) };
+}
+
+export function encodeSignature(envelope) {
+    return enc.encode(`${JSON.stringify(envelope, null, 2)}\n`);
+}
+
+// -> { format: 'envelope', envelope } | { format: 'raw', sig }
+// A raw signature is random bytes and can happen to start with "{", so 64 bytes that are not JSON are raw.
+export function parseSignature(bytes) {
+    let envelope;
+    try {
+        envelope = dec.decode(bytes).trimStart().startsWith('{') ? JSON.parse(dec.decode(bytes)) : undefined;
+    } catch {
+        if (bytes.length !== RAW_SIGNATURE) throw new SignatureError('Damaged signature file');
+    }
+    if (envelope === undefined) {
+        if (bytes.length !== RAW_SIGNATURE) throw new SignatureError('Not a signature file');
+        return { format: 'raw', sig: bytes };
+    }
+    const { type, v, alg, signer, sha256: digest, size, signedAt, comment, sig } = envelope || {};
+    if (type !== 'signature') throw new SignatureError('Not a signature file');
+    if (v !== 1) throw new SignatureError(`Unsupported signature version ${v}`);
+    if (alg !== SIGNATURE_ALG) throw new SignatureError(`Unsupported signature algorithm "${alg}"`);
+    if (![signer, digest, signedAt, comment, sig].every(f => typeof f === 'string') || !Number.isInteger(size)
+        || !/^[0-9a-f]{64}$/.test(signer) || !/^[0-9a-f]{64}$/.test(digest)) {
+        throw new SignatureError('Damaged signature file');
+    }
+    return { format: 'envelope', envelope };
+}
+
+// ---- keyring ----------------------------------------------------------------------------------------------
+
+// Adds (or relabels) a public key; throws when the bytes are not a P-256 SPKI key
+export async function trustKey(keyring, spki, label = '') {
+    try {
+        await importSpki(spki);
+    } catch {
+        throw new SignatureError('Not a P-256 public key (.spki)');
+    }
+    const fingerprint = await keyFingerprint(spki);
+    const existing = keyring.find(k => k.fingerprint === fingerprint);
+    const key = {
+        fingerprint,
+        label: String(label).trim().slice(0, MAX_LABEL) || existing?.label || fingerprint.slice(0, 16),
+        spki: b64(spki),
+        addedAt: existing?.addedAt || new Date().toISOString()
+    };
+    return { keyring: existing ? keyring.map(k => (k === existing ? key : k)) : [...keyring, key], key };
+}
+
+export function untrustKey(keyring, fingerprint) {
+    return keyring.filter(k => k.fingerprint !== fingerprint);
+}
+
+// Tolerates whatever was stored: entries that are not well-formed are dropped
+export function openKeyring(data) {
+    return Array.isArray(data)
+        ? data.filter(k => k && typeof k.spki === 'string' && /^[0-9a-f]{64}$/.test(k.fingerprint ?? ''))
+        : [];
+}
+
+// ---- verification -----------------------------------------------------------------------------------------
+
+// Keys to try: the keyring, then an extra public key (e.g. one just imported) that is not in it
+async function candidateKeys(keyring, publicKey) {
+    const list = await Promise.all(keyring.map(async entry => ({ fingerprint: entry.fingerprint, entry, key: await importSpki(ub64(entry.spki)) })));
+    if (publicKey) {
+        const fingerprint = await keyFingerprint(await exportSpki(publicKey));
+        if (!list.some(c => c.fingerprint === fingerprint)) list.push({ fingerprint, entry: null, key: publicKey });
+    }
+    return list;
+}
+
+// -> { valid, format, signer, trusted, key, signedAt, comment, reason }
+//    signer: fingerprint of the key that signed (or claims to have signed); key: its keyring entry, if any.
+//    Signatures by keys outside the keyring can still be `valid` (with `publicKey`), but `trusted` is false.
+export async function verifySignature(bytes, sigBytes, { keyring = [], publicKey = null } = {}) {
+    const parsed = parseSignature(sigBytes);
+    const candidates = await candidateKeys(keyring, publicKey);
+    const result = (valid, candidate, reason = '', extra = {}) => ({
+        valid,
+        format: parsed.format,
+        signer: candidate?.fingerprint ?? null,
+        trusted: valid && Boolean(candidate?.entry),
+        key: candidate?.entry ?? null,
+        signedAt: null,
+        comment: '',
+        reason,
+        ...extra
+    });
+
+    if (parsed.format === 'raw') {
+        if (!candidates.length) return result(false, null, 'Old-style signature: import the public key or add it to your keyring');
+        for (const candidate of candidates) {
+            if (await ecdsaVerify(candidate.key, bytes, parsed.sig)) return result(true, candidate);
+        }
+        return result(false, null, 'No known key made this signature, or the file has changed');
+    }
+
+    const { envelope } = parsed;
+    const details = { signedAt: envelope.signedAt, comment: envelope.comment };
+    const candidate = candidates.find(c => c.fingerprint === envelope.signer)
+        ?? { fingerprint: envelope.signer, entry: null, key: null };
+    if (!candidate.key) return result(false, candidate, 'Signed by a key that is not in your keyring', details);
+    if (envelope.size !== bytes.length || envelope.sha256 !== toHex(await sha256(bytes))) {
+        return result(false, candidate, 'The file does not match the signed SHA-256', details);
+    }
+    let sig;
+    try {
+        sig = ub64(envelope.sig);
+    } catch {
+        throw new SignatureError('Damaged signature file');
+    }
+    if (!await ecdsaVerify(candidate.key, canonicalSignedData(envelope), sig)) {
+        return result(false, candidate, 'Signature does not match its metadata (tampered .sig)', details);
+    }
+    return result(true, candidate, '', details);
+}
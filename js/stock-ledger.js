@@ -0,0 +1,70 @@
+// FILE: /js/stock-ledger.js
+// Purpose: stock movement rules, quantity-over-time series and low-stock checks (shared by server and pages)
+
+// sign: +1 adds stock, -1 removes it, 0 = caller gives a signed quantity
+export const MOVEMENT_TYPES = {
+    opening: { sign: 1, system: true },   // balance carried over when the ledger starts
+    receipt: { sign: 1 },
+    sale: { sign: -1 },
+    return: { sign: 1 },
+    adjustment: { sign: 0 }
+};
+
+export const DEFAULT_REORDER_THRESHOLD = 5;
+
+// API input { partId, type, quantity, reason } -> { movement: { partId, type, delta, reason }, errors }
+// receipt/sale/return take a positive count; adjustment takes a signed, non-zero quantity and needs a reason.
+export function toMovement(input, { allowSystem = false } = {}) {
+    const errors = [];
+    const { partId, type, quantity } = input || {};
+    // Own keys only: "constructor" must not pass as a movement type
+    const rule = Object.hasOwn(MOVEMENT_TYPES, type) ? MOVEMENT_TYPES[type] : null;
+    const reason = typeof input?.reason === 'string' ? input.reason.trim() : '';
+
+    if (!Number.isInteger(partId) || partId < 1) errors.push({ path: 'partId', message: 'must be a positive integer' });
+    if (!rule || (rule.system && !allowSystem)) {
+        errors.push({ path: 'type', message: `must be one of ${Object.keys(MOVEMENT_TYPES).filter(t => allowSystem || !MOVEMENT_TYPES[t].system).join(', ')}` });
+    }
+    if (!Number.isInteger(quantity) || quantity === 0) errors.push({ path: 'quantity', message: 'must be a non-zero integer' });
+    else if (rule && rule.sign !== 0 && quantity < 0) errors.push({ path: 'quantity', message: `must be positive for ${type}` });
+    if (type === 'adjustment' && !reason) errors.push({ path: 'reason', message: 'is required for adjustments' });
+
+    if (errors.length) return { movement: null, errors };
+    return {
+        movement: { partId, type, delta: rule.sign === 0 ? quantity : rule.sign * quantity, reason: reason || type },
+        errors
+    };
+}
+
+function byTime(a, b) {
+    return a.createdAt.localeCompare(b.createdAt) || a.id - b.id;
+}
+
+// Movements of one part -> [{ at, quantity, delta, type, reason }], quantity being the running total
+export function quantityOverTime(movements) {
+    let quantity = 0;
+    return [...movements].sort(byTime).map(m => {
+        quantity += m.delta;
+        return { at: m.createdAt, quantity, delta: m.delta, type: m.type, reason: m.reason };
+    });
+}
+
+export function currentQuantity(movements) {
+    return movements.reduce((sum, m) => sum + m.delta, 0);
+}
+
+// Parts at or below their reorder threshold, emptiest first
+export function lowStockAlerts(parts, thresholds = {}, defaultThreshold = DEFAULT_REORDER_THRESHOLD) {
+    return parts
+        .map(p => ({ part: p, threshold: thresholds[p.id] ?? defaultThreshold }))
+        .filter(({ part, threshold }) => part.quantity <= threshold)
+        .map(({ part, threshold }) => ({
+            partId: part.id,
+            name: part.name,
+            type: part.type,
+            manufacturer: part.manufacturer,
+            quantity: part.quantity,
+            threshold
+        }))
+        .sort((a, b) => a.quantity - b.quantity || a.partId - b.partId);
+}
@@ -0,0 +1,123 @@
+// FILE: /js/xml-mapper.js
+// Purpose: configurable XML -> part record mapper; takes a DOMParser Document (browser) or an XML string (anywhere)
+
+import { parseXml } from './xml.js';
+import { SPEC_PROPERTIES } from './part-schema.js';
+
+// field -> { path: 'a/b' or ['first/choice', 'fallback'], type: 'string'|'number'|'integer', required }
+export const PART_XML_MAPPING = {
+    records: ['record', 'part'],   // <part> is the legacy feed layout
+    fields: {
+        'id': { path: 'id', type: 'integer', required: true },
+        'type': { path: 'type', required: true },
+        'name': { path: 'name', required: true },
+        'manufacturer': { path: 'manufacturer', required: true },
+        'price': { path: 'price', type: 'number', required: true },
+        'quantity': { path: ['quantity', 'stock'], type: 'integer', required: true },
+        // <specifications><cores>, <socket>, ... — optional here; validatePart decides what each type needs
+        ...Object.fromEntries(Object.entries(SPEC_PROPERTIES).map(([key, schema]) => [
+            `specifications.${key}`,
+            { path: `specifications/${key}`, ...(schema.type === 'string' ? {} : { type: schema.type }) }
+        ]))
+    }
+};
+
+// The mapper only needs names, element children and text, so DOM and js/xml.js trees share one walker
+const domAdapter = {
+    name: n => n.localName || n.nodeName,
+    children: n => Array.from(n.children || []),
+    text: n => n.textContent
+};
+
+const treeAdapter = {
+    name: n => n.name,
+    children: n => n.children,
+    text: n => n.text
+};
+
+function setPath(obj, dotted, value) {
+    const keys = dotted.split('.');
+    let target = obj;
+    keys.slice(0, -1).forEach(k => { target = target[k] = target[k] || {}; });
+    target[keys[keys.length - 1]] = value;
+}
+
+function convert(text, type) {
+    const raw = text.trim();
+    if (type === 'number' || type === 'integer') {
+        const n = Number(raw);
+        if (raw === '' || !Number.isFinite(n)) return { error: `"${raw}" is not a number` };
+        if (type === 'integer' && !Number.isInteger(n)) return { error: `"${raw}" is not an integer` };
+        return { value: n };
+    }
+    return { value: raw };
+}
+
+export function createXmlMapper(mapping = PART_XML_MAPPING) {
+    const recordNames = [].concat(mapping.records);
+
+    // Parse strings ourselves; detect DOMParser's <parsererror> on Documents
+    function open(source) {
+        if (typeof source === 'string') {
+            try {
+                return { root: parseXml(source), adapter: treeAdapter };
+            } catch (e) {
+                return { error: e.message };
+            }
+        }
+        const doc = source;
+        const parserError = doc.getElementsByTagName?.('parsererror')[0];
+        if (parserError) return { error: parserError.textContent.trim() || 'parsererror' };
+        return { root: doc.documentElement, adapter: domAdapter };
+    }
+
+    function findRecords(node, adapter, out = []) {
+        for (const child of adapter.children(node)) {
+            if (recordNames.includes(adapter.name(child))) out.push(child);
+            else findRecords(child, adapter, out);
+        }
+        return out;
+    }
+
+    function resolve(node, path, adapter) {
+        let current = node;
+        for (const step of path.split('/')) {
+            current = adapter.children(current).find(c => adapter.name(c) === step);
+            if (!current) return null;
+        }
+        return current;
+    }
+
+    // -> { records, errors: [{ index, id, field, message }] }; index is null for document-level errors
+    function map(source) {
+        const { root, adapter, error } = open(source);
+        if (error) return { records: [], errors: [{ index: null, id: null, field: null, message: `Malformed XML: ${error}` }] };
+
+        const nodes = recordNames.includes(adapter.name(root)) ? [root] : findRecords(root, adapter);
+        const records = [];
+        const errors = [];
+
+        nodes.forEach((node, index) => {
+            const record = {};
+            const recordErrors = [];
+            for (const [field, spec] of Object.entries(mapping.fields)) {
+                const el = [].concat(spec.path).map(p => resolve(node, p, adapter)).find(Boolean);
+                if (!el) {
+                    if (spec.required) recordErrors.push({ field, message: 'missing' });
+                    continue;
+                }
+                const { value, error: convertError } = convert(adapter.text(el) ?? '', spec.type);
+                if (convertError) recordErrors.push({ field, message: convertError });
+                else setPath(record, field, value);
+            }
+            records.push(record);
+            recordErrors.forEach(e => errors.push({ index, id: record.id ?? null, ...e }));
+        });
+
+        return { records, errors };
+    }
+
+    return { map };
+}
+
+export const partsXmlMapper = createXmlMapper();
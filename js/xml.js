@@ -0,0 +1,149 @@
+// FILE: /js/xml.js
+// Purpose: tiny dependency-free XML parser/serializer (elements, attributes, text, CDATA) for Node and browsers
+
+export class XmlParseError extends Error {
+    constructor(message, position) {
+        super(position === undefined ? message : `${message} (at offset ${position})`);
+        this.name = 'XmlParseError';
+        this.position = position;
+    }
+}
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+function decodeEntities(text, offset) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);?/gi, (match, name, at) => {
+        if (!match.endsWith(';')) throw new XmlParseError(`Unterminated entity "${match}"`, offset + at);
+        if (name[0] === '#') {
+            const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        if (!(name in ENTITIES)) throw new XmlParseError(`Unknown entity "&${name};"`, offset + at);
+        return ENTITIES[name];
+    });
+}
+
+export function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+const NAME = /[A-Za-z_][\w.:-]*/y;
+const ATTR_VALUE = /\s*=\s*("([^"]*)"|'([^']*)')/y;
+
+// Sticky match at a fixed offset, without slicing the (possibly large) document
+function matchAt(re, text, at) {
+    re.lastIndex = at;
+    return re.exec(text);
+}
+
+// Parse a document -> root element { name, attributes, children: [element], text }
+// `text` is the concatenated character data directly inside the element.
+export function parseXml(source) {
+    const text = String(source).replace(/^\uFEFF/, '');
+    let i = 0;
+    let root = null;
+    const stack = [];
+
+    const fail = msg => { throw new XmlParseError(msg, i); };
+    const skip = (open, close) => {
+        const end = text.indexOf(close, i + open.length);
+        if (end === -1) fail(`Unterminated ${open}`);
+        const body = text.slice(i + open.length, end);
+        i = end + close.length;
+        return body;
+    };
+
+    while (i < text.length) {
+        const current = stack[stack.length - 1];
+
+        if (text[i] !== '<') {
+            const next = text.indexOf('<', i);
+            const chunk = text.slice(i, next === -1 ? text.length : next);
+            if (current) current.text += decodeEntities(chunk, i);
+            else if (chunk.trim()) fail('Text outside the root element');
+            i = next === -1 ? text.length : next;
+            continue;
+        }
+
+        if (text.startsWith('<?', i)) { skip('<?', '?>'); continue; }
+        if (text.startsWith('<!--', i)) { skip('<!--', '-->'); continue; }
+        if (text.startsWith('<![CDATA[', i)) {
+            if (!current) fail('CDATA outside the root element');
+            current.text += skip('<![CDATA[', ']]>');
+            continue;
+        }
+        if (text.startsWith('<!DOCTYPE', i)) {
+            const bracket = text.indexOf('[', i), close = text.indexOf('>', i);
+            skip('<!DOCTYPE', bracket !== -1 && bracket < close ? ']>' : '>');
+            continue;
+        }
+
+        if (text.startsWith('</', i)) {
+            i += 2;
+            const name = (matchAt(NAME, text, i) || fail('Malformed closing tag'))[0];
+            i += name.length;
+            while (/\s/.test(text[i])) i++;
+            if (text[i] !== '>') fail(`Malformed closing tag </${name}`);
+            i++;
+            if (!current) fail(`Unexpected closing tag </${name}>`);
+            if (current.name !== name) fail(`Expected </${current.name}> but found </${name}>`);
+            stack.pop();
+            continue;
+        }
+
+        // opening tag
+        i++;
+        const name = (matchAt(NAME, text, i) || fail('Malformed tag'))[0];
+        i += name.length;
+        const el = { name, attributes: {}, children: [], text: '' };
+        for (;;) {
+            while (/\s/.test(text[i])) i++;
+            if (text.startsWith('/>', i)) { i += 2; el.selfClosing = true; break; }
+            if (text[i] === '>') { i++; break; }
+            const attr = matchAt(NAME, text, i);
+            if (!attr) fail(`Malformed attribute in <${name}>`);
+            i += attr[0].length;
+            const m = matchAt(ATTR_VALUE, text, i);
+            if (!m) fail(`Attribute ${attr[0]} needs a quoted value`);
+            el.attributes[attr[0]] = decodeEntities(m[2] ?? m[3], i);
+            i += m[0].length;
+        }
+
+        if (current) current.children.push(el);
+        else if (root) fail('More than one root element');
+        else root = el;
+        if (!el.selfClosing) stack.push(el);
+    }
+
+    if (stack.length) throw new XmlParseError(`Unclosed element <${stack[stack.length - 1].name}>`, text.length);
+    if (!root) throw new XmlParseError('Document has no root element', 0);
+    return root;
+}
+
+// Plain object -> child elements; arrays repeat the element, null/undefined are left out
+export function objectToXml(name, value) {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(v => objectToXml(name, v)).join('');
+    if (typeof value === 'object') {
+        const inner = Object.entries(value).map(([k, v]) => objectToXml(k, v)).join('');
+        return `<${name}>${inner}</${name}>`;
+    }
+    return `<${name}>${escapeXml(value)}</${name}>`;
+}
+
+// Element tree -> plain object (all leaves are strings; repeated children become arrays)
+export function elementToObject(el) {
+    if (!el.children.length) return el.text;
+    const out = {};
+    for (const child of el.children) {
+        const value = elementToObject(child);
+        if (!(child.name in out)) out[child.name] = value;
+        else if (Array.isArray(out[child.name])) out[child.name].push(value);
+        else out[child.name] = [out[child.name], value];
+    }
+    return out;
+}
@@ -0,0 +1,59 @@
+// FILE: /server/catalogue-aggregation.js
+// Purpose: run the multi-source aggregation from a sources config (data/sources.json) in Node
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { loadSources } from '../js/catalogue-sources.js';
+import { aggregate } from '../js/aggregate.js';
+
+// Last verified copy of each signed release file, one JSON file per source/file under `dir`
+export function fileReleaseCache(dir) {
+    const file = key => path.join(dir, `${encodeURIComponent(key)}.json`);
+    return {
+        async get(key) {
+            try {
+                return JSON.parse(await readFile(file(key), 'utf8'));
+            } catch {
+                return null;
+            }
+        },
+        async set(key, entry) {
+            await mkdir(dir, { recursive: true });
+            await writeFile(file(key), JSON.stringify(entry));
+        }
+    };
+}
+
+export async function loadSourcesConfig(file) {
+    const config = JSON.parse(await readFile(file, 'utf8'));
+    if (!Array.isArray(config.sources) || !config.sources.length) throw new Error(`${file}: "sources" must be a non-empty array`);
+    return config;
+}
+
+// Local source paths are relative to `root` (the repo root)
+export async function aggregateFromConfig(config, {
+    root, matchBy, precedence,
+    releaseCache = fileReleaseCache(path.join(root, 'data', 'private', 'release-cache'))
+} = {}) {
+    const readText = p => readFile(path.resolve(root, p), 'utf8');
+    const readBytes = async p => new Uint8Array(await readFile(path.resolve(root, p)));
+    const loaded = await loadSources(config.sources, { readText, readBytes, releaseCache });
+    const usable = loaded.filter(s => !s.error);
+
+    const result = aggregate(usable, {
+        matchBy: matchBy || config.matchBy,
+        precedence: precedence || config.precedence
+    });
+
+    return {
+        sources: loaded.map(s => ({
+            name: s.name,
+            url: s.url,
+            records: s.records.length,
+            recordErrors: s.errors.filter(e => e.index !== null).length,
+            error: s.error,
+            ...(s.release && { release: s.release })
+        })),
+        ...result
+    };
+}
@@ -0,0 +1,34 @@
+// FILE: /server/exchange-rates.js
+// Purpose: loads the local exchange-rate file (data/exchange-rates.json) and re-reads it when it changes
+
+import { readFile, stat } from 'node:fs/promises';
+import { HttpError } from './http-utils.js';
+import { parseRates, isSupported, convert } from '../js/currency.js';
+
+// Returns an async getter; the file is parsed again only when its mtime moves, so rates can be edited live
+export function createRatesLoader(file) {
+    let cached = null;
+    let cachedMtime = 0;
+    return async function getRates() {
+        const { mtimeMs } = await stat(file);
+        if (!cached || mtimeMs !== cachedMtime) {
+            cached = parseRates(JSON.parse(await readFile(file, 'utf8')));
+            cachedMtime = mtimeMs;
+        }
+        return cached;
+    };
+}
+
+// ?currency=GBP -> 'GBP'; base currency when absent; 400 for codes missing from the table
+export function requestedCurrency(query, rates) {
+    const currency = (query.get('currency') || rates.base).toUpperCase();
+    if (!isSupported(rates, currency)) {
+        throw new HttpError(400, `Unsupported currency ${currency}; available: ${Object.keys(rates.rates).join(', ')}`);
+    }
+    return currency;
+}
+
+export function convertPart(part, currency, rates) {
+    if (currency === rates.base || typeof part.price !== 'number') return part;
+    return { ...part, price: convert(part.price, rates.base, currency, rates) };
+}
@@ -0,0 +1,130 @@
+// FILE: /server/http-utils.js
+// Purpose: small helpers shared by the API routes (errors, JSON bodies, responses)
+
+import { createHash } from 'node:crypto';
+
+export class HttpError extends Error {
+    // headers: extra response headers, e.g. { 'Retry-After': '60' } on a 429
+    constructor(status, message, details, headers) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+        this.details = details;
+        this.headers = headers;
+    }
+}
+
+// Key for rate limits and quotas (the socket address; put a proxy in front and this is the proxy)
+export function clientAddress(req) {
+    return req.socket.remoteAddress || 'unknown';
+}
+
+export function sendJson(res, status, body, headers = {}) {
+    const payload = body === undefined ? '' : JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(payload),
+        ...headers
+    });
+    res.end(payload);
+}
+
+export function sendEmpty(res, status = 204, headers = {}) {
+    res.writeHead(status, headers);
+    res.end();
+}
+
+// Read the raw request body, refusing anything larger than `limit` bytes
+export async function readBody(req, limit = 1024 * 1024) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > limit) throw new HttpError(413, 'Request body too large');
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+}
+
+export async function readJsonBody(req, limit) {
+    const raw = await readBody(req, limit);
+    if (!raw.length) throw new HttpError(400, 'Request body is empty');
+    try {
+        return JSON.parse(raw.toString('utf8'));
+    } catch (e) {
+        throw new HttpError(400, 'Request body is not valid JSON');
+    }
+}
+
+// Query-string date (?since=2024-01-01) -> ISO timestamp; undefined when the parameter is absent
+export function parseTimestamp(value, name) {
+    if (value === null) return undefined;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) throw new HttpError(400, `${name} must be an ISO date or timestamp`);
+    return new Date(time).toISOString();
+}
+
+export function sendText(res, status, text, contentType, headers = {}) {
+    res.writeHead(status, {
+        'Content-Type': `${contentType}; charset=utf-8`,
+        'Content-Length': Buffer.byteLength(text),
+        ...headers
+    });
+    res.end(text);
+}
+
+// Strong validator for a response body: the same bytes always get the same tag
+export function etagFor(payload) {
+    return `"${createHash('sha1').update(payload).digest('base64url')}"`;
+}
+
+// True when If-None-Match names `etag` (weak comparison, as RFC 9110 asks) or is "*"
+export function notModified(req, etag) {
+    const header = req.headers['if-none-match'];
+    if (!header) return false;
+    const bare = tag => tag.trim().replace(/^W\//, '');
+    return header.trim() === '*' || header.split(',').some(tag => bare(tag) === bare(etag));
+}
+
+// sendText with an ETag; a GET whose If-None-Match already names it gets 304 and no body
+export function sendTagged(req, res, status, text, contentType, headers = {}) {
+    const etag = etagFor(text);
+    if (req.method === 'GET' && status === 200 && notModified(req, etag)) {
+        sendEmpty(res, 304, { ...headers, ETag: etag });
+        return;
+    }
+    sendText(res, status, text, contentType, { ...headers, ETag: etag });
+}
+
+// Pick a key of `types` ({ json: 'application/json', ... }) from the Accept header.
+// The first key is the default; null means nothing acceptable (-> 406).
+export function negotiate(req, types) {
+    const keys = Object.keys(types);
+    const header = req.headers.accept;
+    if (!header) return keys[0];
+
+    const ranges = header.split(',')
+        .map((part, order) => {
+            const [range, ...params] = part.trim().split(';').map(s => s.trim());
+            const q = params.find(p => p.startsWith('q='));
+            return { range: range.toLowerCase(), q: q ? parseFloat(q.slice(2)) : 1, order };
+        })
+        .filter(r => r.range && r.q > 0)
+        .sort((a, b) => b.q - a.q || a.order - b.order);
+
+    for (const { range } of ranges) {
+        if (range === '*/*') return keys[0];
+        const match = keys.find(k => {
+            const mime = types[k];
+            return range.endsWith('/*') ? mime.startsWith(range.slice(0, -1)) : mime === range;
+        });
+        if (match) return match;
+    }
+    return null;
+}
+
+// Body format from Content-Type, defaulting to JSON
+export function contentFormat(req, types) {
+    const mime = String(req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    return Object.keys(types).find(k => types[k] === mime) || Object.keys(types)[0];
+}
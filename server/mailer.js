@@ -0,0 +1,51 @@
+// FILE: /server/mailer.js
+// Purpose: pluggable outgoing mail. Every transport has send({ to, subject, text }) -> Promise.
+// There is no SMTP here: `console` prints messages, `file` writes them as .eml files to read or open later.
+// A real provider only needs an object with the same send() method passed to createApp({ mailer }).
+
+import { writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+
+function toEml({ from, to, subject, text }) {
+    return [
+        `From: ${from}`,
+        `To: ${to}`,
+        `Subject: ${subject}`,
+        `Date: ${new Date().toUTCString()}`,
+        'Content-Type: text/plain; charset=utf-8',
+        '',
+        text
+    ].join('\r\n');
+}
+
+export function createConsoleMailer({ from = 'no-reply@localhost', log = console.log } = {}) {
+    return {
+        async send(message) {
+            log(`\n----- mail -----\n${toEml({ from, ...message })}\n----------------`);
+        }
+    };
+}
+
+export function createFileMailer({ dir, from = 'no-reply@localhost' }) {
+    return {
+        async send(message) {
+            await mkdir(dir, { recursive: true });
+            const safeTo = message.to.replace(/[^a-z0-9@._-]/gi, '_');
+            const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${safeTo}.eml`);
+            await writeFile(file, toEml({ from, ...message }), 'utf8');
+            return file;
+        }
+    };
+}
+
+// MAILER=console|file (MAIL_DIR for file)
+export function createMailer({ transport = 'console', dir, from } = {}) {
+    switch (transport) {
+        case 'console':
+            return createConsoleMailer({ from });
+        case 'file':
+            return createFileMailer({ dir, from });
+        default:
+            throw new Error(`Unknown mailer "${transport}" (console or file)`);
+    }
+}
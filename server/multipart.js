@@ -0,0 +1,73 @@
+// FILE: /server/multipart.js
+// Purpose: stream one file field out of a multipart/form-data body without buffering the whole upload
+
+import { HttpError } from './http-utils.js';
+
+// 'multipart/form-data; boundary=----x' -> '----x' (null for other content types)
+export function multipartBoundary(contentType) {
+    const m = /^multipart\/form-data\s*;.*?boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType || '');
+    return m ? m[1] || m[2] : null;
+}
+
+const HEADER_LIMIT = 16 * 1024;
+
+/*
+ * Yields the bytes of the part named `field`; other parts are skipped. Ends after that part, so a client
+ * cannot smuggle a second file behind it. Throws HttpError 400 when the body ends before the field does.
+ */
+export async function* multipartField(body, boundary, field) {
+    const opening = Buffer.from(`--${boundary}`);
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    let buffer = Buffer.alloc(0);
+    let state = 'preamble';   // preamble -> headers -> (body | skip) -> headers ... | done
+    let wanted = false;
+
+    for await (const chunk of body) {
+        buffer = buffer.length ? Buffer.concat([buffer, chunk]) : chunk;
+
+        for (;;) {
+            if (state === 'preamble') {
+                const at = buffer.indexOf(opening);
+                if (at === -1) { buffer = buffer.subarray(Math.max(0, buffer.length - opening.length)); break; }
+                buffer = buffer.subarray(at + opening.length);
+                state = 'boundary';
+            }
+            if (state === 'boundary') {
+                // "--" after a delimiter closes the body; otherwise a CRLF starts the next part's headers
+                if (buffer.length < 2) break;
+                if (buffer[0] === 0x2d && buffer[1] === 0x2d) throw new HttpError(400, `Upload has no "${field}" field`);
+                buffer = buffer.subarray(2);
+                state = 'headers';
+            }
+            if (state === 'headers') {
+                const end = buffer.indexOf('\r\n\r\n');
+                if (end === -1) {
+                    if (buffer.length > HEADER_LIMIT) throw new HttpError(400, 'Malformed multipart body');
+                    break;
+                }
+                const headers = buffer.subarray(0, end).toString('utf8');
+                const name = /content-disposition:[^\r\n]*\bname="([^"]*)"/i.exec(headers)?.[1];
+                wanted = name === field;
+                buffer = buffer.subarray(end + 4);
+                state = 'part';
+            }
+            if (state === 'part') {
+                const at = buffer.indexOf(delimiter);
+                if (at === -1) {
+                    // Keep enough of the tail to recognise a delimiter split across chunks
+                    const keep = Math.min(buffer.length, delimiter.length - 1);
+                    if (wanted && buffer.length > keep) yield buffer.subarray(0, buffer.length - keep);
+                    buffer = buffer.subarray(buffer.length - keep);
+                    break;
+                }
+                if (wanted) {
+                    if (at) yield buffer.subarray(0, at);
+                    return;
+                }
+                buffer = buffer.subarray(at + delimiter.length);
+                state = 'boundary';
+            }
+        }
+    }
+    throw new HttpError(400, `Upload has no complete "${field}" field`);
+}
@@ -0,0 +1,194 @@
+// FILE: /server/parts-query.js
+// Purpose: query language for /parts — typed filters, multi-key sort, offset/cursor pagination, field projection
+
+import { HttpError } from './http-utils.js';
+import { SPEC_PROPERTIES } from '../js/part-schema.js';
+
+// Filterable/sortable fields and how query-string values are coerced for them
+export const FIELD_TYPES = {
+    'id': 'number',
+    'type': 'string',
+    'name': 'string',
+    'manufacturer': 'string',
+    'price': 'number',
+    'quantity': 'number',
+    ...Object.fromEntries(Object.entries(SPEC_PROPERTIES)
+        .map(([key, schema]) => [`specifications.${key}`, schema.type === 'string' ? 'string' : 'number']))
+};
+
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'contains'];
+const RESERVED = ['sort', 'fields', 'limit', 'offset', 'cursor', 'currency'];
+export const MAX_LIMIT = 1000;
+const DEFAULT_CURSOR_LIMIT = 50;
+
+export function getPath(obj, path) {
+    return path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+// Own keys only: "constructor" or "toString" must not pass as fields
+function checkField(field) {
+    if (!Object.hasOwn(FIELD_TYPES, field)) {
+        throw new HttpError(400, `Unknown field "${field}"`, { allowed: Object.keys(FIELD_TYPES) });
+    }
+}
+
+function coerce(field, raw) {
+    if (FIELD_TYPES[field] === 'number') {
+        const n = Number(raw);
+        if (raw === '' || !Number.isFinite(n)) throw new HttpError(400, `${field} expects a number, got "${raw}"`);
+        return n;
+    }
+    return String(raw).toLowerCase();
+}
+
+function parseInteger(name, raw, min) {
+    const n = Number(raw);
+    if (!Number.isInteger(n) || n < min) throw new HttpError(400, `${name} must be an integer >= ${min}`);
+    return n;
+}
+
+// Cursors are opaque to clients: base64url JSON of the last row's sort values + id
+export function encodeCursor(values) {
+    return Buffer.from(JSON.stringify(values)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Array.isArray(values)) return values;
+    } catch { /* fall through */ }
+    throw new HttpError(400, 'Invalid cursor');
+}
+
+// URLSearchParams -> { filters, sort, fields, limit, offset, cursor }
+export function parseQuery(params) {
+    const query = { filters: [], sort: [], fields: null, limit: null, offset: 0, cursor: null };
+
+    for (const [key, raw] of params) {
+        if (RESERVED.includes(key)) continue;
+        const m = /^([\w.]+)(?:\[(\w+)\])?$/.exec(key);
+        if (!m) throw new HttpError(400, `Malformed query parameter "${key}"`);
+        const [, field, op = 'eq'] = m;
+        checkField(field);
+        if (!OPERATORS.includes(op)) throw new HttpError(400, `Unknown operator "${op}"`, { allowed: OPERATORS });
+
+        let value;
+        if (op === 'in') value = raw.split(',').map(v => coerce(field, v.trim()));
+        else if (op === 'contains') value = String(raw).toLowerCase();
+        else value = coerce(field, raw);
+        query.filters.push({ field, op, value });
+    }
+
+    if (params.has('sort')) {
+        query.sort = params.get('sort').split(',').filter(Boolean).map(s => {
+            const desc = s.startsWith('-');
+            const field = desc || s.startsWith('+') ? s.slice(1) : s;
+            checkField(field);
+            return { field, dir: desc ? -1 : 1 };
+        });
+    }
+
+    if (params.has('fields')) {
+        query.fields = params.get('fields').split(',').map(f => f.trim()).filter(Boolean);
+        query.fields.forEach(checkField);
+    }
+
+    if (params.has('offset')) query.offset = parseInteger('offset', params.get('offset'), 0);
+    if (params.has('cursor')) {
+        if (params.has('offset')) throw new HttpError(400, 'Use either offset or cursor, not both');
+        query.cursor = decodeCursor(params.get('cursor'));
+    }
+    if (params.has('limit')) {
+        query.limit = Math.min(parseInteger('limit', params.get('limit'), 1), MAX_LIMIT);
+    } else if (query.cursor) {
+        query.limit = DEFAULT_CURSOR_LIMIT;
+    }
+
+    return query;
+}
+
+function normalise(value) {
+    return typeof value === 'string' ? value.toLowerCase() : value;
+}
+
+function matches(part, { field, op, value }) {
+    const actual = normalise(getPath(part, field));
+    switch (op) {
+        case 'eq': return actual === value;
+        case 'ne': return actual !== value;
+        case 'gt': return actual > value;
+        case 'gte': return actual >= value;
+        case 'lt': return actual < value;
+        case 'lte': return actual <= value;
+        case 'in': return value.includes(actual);
+        case 'contains': return String(actual ?? '').includes(value);
+        default: return false;
+    }
+}
+
+function compareValues(a, b) {
+    if (a === b) return 0;
+    if (a === undefined || a === null) return 1;
+    if (b === undefined || b === null) return -1;
+    if (typeof a === 'string' && typeof b === 'string') return a.localeCompare(b);
+    return a < b ? -1 : 1;
+}
+
+// Sort keys always end with id so ordering (and therefore cursors) is total
+function sortKeys(sort) {
+    return sort.some(s => s.field === 'id') ? sort : [...sort, { field: 'id', dir: 1 }];
+}
+
+function keyValues(part, keys) {
+    return keys.map(k => normalise(getPath(part, k.field)));
+}
+
+function compareKeys(a, b, keys) {
+    for (let i = 0; i < keys.length; i++) {
+        const c = compareValues(a[i], b[i]);
+        if (c !== 0) return c * keys[i].dir;
+    }
+    return 0;
+}
+
+export function project(part, fields) {
+    if (!fields) return part;
+    const out = {};
+    for (const field of fields) {
+        const value = getPath(part, field);
+        if (value === undefined) continue;
+        const path = field.split('.');
+        let target = out;
+        path.slice(0, -1).forEach(k => { target = target[k] = target[k] || {}; });
+        target[path[path.length - 1]] = value;
+    }
+    return out;
+}
+
+// Apply a parsed query to an in-memory list -> { items, total, nextCursor, nextOffset }
+export function runQuery(parts, query) {
+    const keys = sortKeys(query.sort);
+    const rows = parts
+        .filter(p => query.filters.every(f => matches(p, f)))
+        .map(p => ({ part: p, key: keyValues(p, keys) }))
+        .sort((a, b) => compareKeys(a.key, b.key, keys));
+    const total = rows.length;
+
+    let start = query.offset;
+    if (query.cursor) {
+        if (query.cursor.length !== keys.length) throw new HttpError(400, 'Cursor does not match the sort order');
+        start = rows.findIndex(r => compareKeys(r.key, query.cursor, keys) > 0);
+        if (start === -1) start = total;
+    }
+
+    const end = query.limit === null ? total : Math.min(start + query.limit, total);
+    const page = rows.slice(start, end);
+    const hasMore = end < total;
+
+    return {
+        items: page.map(r => project(r.part, query.fields)),
+        total,
+        nextOffset: hasMore && !query.cursor ? end : null,
+        nextCursor: hasMore ? encodeCursor(page[page.length - 1].key) : null
+    };
+}
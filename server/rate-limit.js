@@ -0,0 +1,25 @@
+// FILE: /server/rate-limit.js
+// Purpose: in-memory fixed-window rate limiting per key (client address, username, ...)
+
+export function createRateLimiter({ windowMs = 60_000, max = 20, now = Date.now } = {}) {
+    const windows = new Map();   // key -> { start, count }
+
+    function prune(time) {
+        for (const [key, w] of windows) if (time - w.start >= windowMs) windows.delete(key);
+    }
+
+    // Counts one attempt; { allowed, retryAfter } with retryAfter in whole seconds
+    function hit(key) {
+        const time = now();
+        if (windows.size > 10_000) prune(time);
+        let w = windows.get(key);
+        if (!w || time - w.start >= windowMs) {
+            w = { start: time, count: 0 };
+            windows.set(key, w);
+        }
+        w.count += 1;
+        return { allowed: w.count <= max, retryAfter: Math.ceil((w.start + windowMs - time) / 1000) };
+    }
+
+    return { hit };
+}
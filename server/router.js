@@ -0,0 +1,83 @@
+// FILE: /server/router.js
+// Purpose: minimal method + path router with `:param` segments
+
+import { HttpError, sendJson } from './http-utils.js';
+import { StoreError } from './storage/store-errors.js';
+
+const STORE_ERROR_STATUS = { NOT_FOUND: 404, CONFLICT: 409, INSUFFICIENT_STOCK: 409 };
+
+// A malformed escape such as %E0%A4%A is the client's mistake, not a server error
+function decodeParam(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        throw new HttpError(400, `Malformed URL segment: ${segment}`);
+    }
+}
+
+export function createRouter() {
+    const routes = [];
+
+    function add(method, pattern, handler) {
+        const keys = [];
+        const source = pattern
+            .split('/')
+            .map(seg => {
+                if (!seg.startsWith(':')) return seg.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                keys.push(seg.slice(1));
+                return '([^/]+)';
+            })
+            .join('/');
+        routes.push({ method, regex: new RegExp(`^${source}/?$`), keys, handler });
+    }
+
+    // Returns true when a route handled the request, false when nothing matched
+    async function handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+        let pathMatched = false;
+
+        for (const route of routes) {
+            const m = route.regex.exec(url.pathname);
+            if (!m) continue;
+            pathMatched = true;
+            if (route.method !== req.method) continue;
+
+            try {
+                const params = {};
+                route.keys.forEach((k, i) => { params[k] = decodeParam(m[i + 1]); });
+                await route.handler({ req, res, url, params, query: url.searchParams });
+            } catch (e) {
+                sendError(res, e);
+            }
+            return true;
+        }
+
+        if (pathMatched) {
+            sendError(res, new HttpError(405, `Method ${req.method} not allowed`));
+            return true;
+        }
+        return false;
+    }
+
+    return {
+        get: (p, h) => add('GET', p, h),
+        post: (p, h) => add('POST', p, h),
+        put: (p, h) => add('PUT', p, h),
+        patch: (p, h) => add('PATCH', p, h),
+        delete: (p, h) => add('DELETE', p, h),
+        handle
+    };
+}
+
+export function sendError(res, error) {
+    if (res.headersSent) { res.end(); return; }
+    if (error instanceof StoreError) {
+        error = new HttpError(STORE_ERROR_STATUS[error.code] || 500, error.message, error.details);
+    }
+    if (error instanceof HttpError) {
+        sendJson(res, error.status, { error: error.message, ...(error.details ? { details: error.details } : {}) }, error.headers);
+        return;
+    }
+    console.error(error);
+    sendJson(res, 500, { error: 'Internal server error' });
+}
@@ -0,0 +1,275 @@
+// FILE: /server/routes/accounts.js
+// Purpose: password-manager accounts — register, email activation, challenge/response login, sessions
+//
+// Login never reveals the verifier: POST /login/challenge returns the salt and a one-time nonce,
+// and POST /login checks HMAC(verifier, username|challengeId|nonce) (see js/pm-auth.js).
+// Unknown usernames get a stable decoy salt and the same failure responses, so usernames can't be probed.
+
+import { randomBytes, createHash, createHmac, timingSafeEqual } from 'node:crypto';
+import { HttpError, sendJson, sendEmpty, readJsonBody, clientAddress } from '../http-utils.js';
+import { proofMessage, vaultKdf } from '../../js/pm-auth.js';
+import { normalizeKdf, recommendedKdf, KDF_ALGORITHMS, LEGACY_KDF } from '../../js/crypto-core.js';
+
+const USERNAME = /^[a-z0-9_.-]{3,32}$/i;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const BASE64 = /^[A-Za-z0-9+/]+={0,2}$/;
+// KDF settings an unknown username's login challenge can show (see decoyKdf)
+const DECOY_KDFS = [LEGACY_KDF, ...Object.keys(KDF_ALGORITHMS).map(alg => recommendedKdf(alg))];
+
+export const LOGIN_POLICY = {
+    challengeTtlMs: 2 * 60_000,
+    maxFailures: 5,                      // wrong proofs in a row before the account locks
+    lockMs: 15 * 60_000,
+    activationTtlMs: 24 * 60 * 60_000
+};
+
+function sha256(text) {
+    return createHash('sha256').update(text).digest('hex');
+}
+
+function base64Length(value) {
+    return typeof value === 'string' && BASE64.test(value) ? Buffer.from(value, 'base64').length : -1;
+}
+
+function tooMany(message, retryAfter) {
+    return new HttpError(429, message, undefined, { 'Retry-After': String(Math.max(1, retryAfter)) });
+}
+
+// Encrypted vault as produced by sealVault: { iv, ciphertext } in base64, plus the KDF settings
+// ({ alg, iterations }; vaults registered before they were recorded have none)
+export function checkVault(vault) {
+    if (!vault || typeof vault !== 'object' || base64Length(vault.iv) !== 12 || base64Length(vault.ciphertext) < 16) return false;
+    if (vault.kdf === undefined) return true;
+    try {
+        normalizeKdf(vault.kdf);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+function envelope(vault) {
+    return vault.kdf ? { iv: vault.iv, ciphertext: vault.ciphertext, kdf: normalizeKdf(vault.kdf) } : { iv: vault.iv, ciphertext: vault.ciphertext };
+}
+
+export function bearerToken(req) {
+    return /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1];
+}
+
+function parseRegistration(body) {
+    const errors = [];
+    const { username, email, salt, verifier, vault } = body || {};
+    if (typeof username !== 'string' || !USERNAME.test(username)) errors.push({ path: 'username', message: 'must be 3-32 letters, digits, _ . or -' });
+    if (typeof email !== 'string' || !EMAIL.test(email) || email.length > 254) errors.push({ path: 'email', message: 'must be an email address' });
+    if (base64Length(salt) < 16) errors.push({ path: 'salt', message: 'must be at least 16 bytes, base64' });
+    if (base64Length(verifier) !== 32) errors.push({ path: 'verifier', message: 'must be 32 bytes, base64' });
+    if (!checkVault(vault)) errors.push({ path: 'vault', message: 'must be { iv, ciphertext, kdf? } from AES-GCM, base64, with a supported KDF' });
+    if (errors.length) throw new HttpError(422, 'Registration failed validation', errors);
+    return { username: username.toLowerCase(), email: email.trim(), salt, verifier, vault: envelope(vault) };
+}
+
+// New salt/verifier/vault for a password or KDF change; the vault must say which KDF it was made with
+function parseRekey(body) {
+    const errors = [];
+    const { salt, verifier, vault, baseVersion } = body || {};
+    if (base64Length(salt) < 16) errors.push({ path: 'salt', message: 'must be at least 16 bytes, base64' });
+    if (base64Length(verifier) !== 32) errors.push({ path: 'verifier', message: 'must be 32 bytes, base64' });
+    if (!checkVault(vault) || !vault.kdf) errors.push({ path: 'vault', message: 'must be { iv, ciphertext, kdf } with a supported KDF' });
+    if (!Number.isInteger(baseVersion)) errors.push({ path: 'baseVersion', message: 'must be the vaultVersion the new vault was made from' });
+    if (errors.length) throw new HttpError(422, 'Key change failed validation', errors);
+    return { salt, verifier, vault: envelope(vault), baseVersion };
+}
+
+export function registerAccountRoutes(router, { users, mailer, sessions, publicUrl, limiter, policy = LOGIN_POLICY }) {
+    // Login and key changes both start from a challenge
+    const challenges = new Map();        // challengeId -> { username, nonce, expires }
+    const decoyFailures = new Map();     // lockout bookkeeping for usernames that don't exist
+
+    function limit(req, action) {
+        const { allowed, retryAfter } = limiter.hit(`${action}:${clientAddress(req)}`);
+        if (!allowed) throw tooMany('Too many requests; try again later', retryAfter);
+    }
+
+    async function decoySalt(username) {
+        return createHmac('sha256', await users.getSecret()).update(`salt|${username}`).digest().subarray(0, 16).toString('base64');
+    }
+
+    // One of the settings real accounts report (legacy vaults, or the recommendation for an algorithm),
+    // fixed per username like the salt, so a challenge's KDF doesn't give away that the account is missing
+    async function decoyKdf(username) {
+        const digest = createHmac('sha256', await users.getSecret()).update(`kdf|${username}`).digest();
+        return DECOY_KDFS[digest.readUInt32BE(0) % DECOY_KDFS.length];
+    }
+
+    function lockedFor(state) {
+        return state?.lockedUntil ? Date.parse(state.lockedUntil) - Date.now() : 0;
+    }
+
+    // Same bookkeeping for real and decoy accounts, so lockout behaviour doesn't reveal which is which
+    async function recordFailure(username, account) {
+        const state = account || decoyFailures.get(username) || { failedLogins: 0, lockedUntil: null };
+        const failedLogins = (state.failedLogins || 0) + 1;
+        const lockedUntil = failedLogins >= policy.maxFailures ? new Date(Date.now() + policy.lockMs).toISOString() : null;
+        const next = { failedLogins: lockedUntil ? 0 : failedLogins, lockedUntil };
+        if (account) await users.update(username, next);
+        else decoyFailures.set(username, next);
+        return lockedUntil;
+    }
+
+    async function sendActivation(account, token) {
+        const link = `${publicUrl}/activate?token=${encodeURIComponent(token)}`;
+        await mailer.send({
+            to: account.email,
+            subject: 'Activate your password manager account',
+            text: `Hello ${account.username},\n\nOpen this link to activate your account:\n${link}\n\n`
+                + `The link expires in ${Math.round(policy.activationTtlMs / 3_600_000)} hours. `
+                + 'If you did not register, ignore this message.\n'
+        });
+    }
+
+    router.post('/register', async ({ req, res }) => {
+        limit(req, 'register');
+        const registration = parseRegistration(await readJsonBody(req));
+        const token = randomBytes(24).toString('base64url');
+        const account = await users.create({
+            ...registration,
+            vaultVersion: 1,
+            activated: false,
+            activationTokenHash: sha256(token),
+            activationExpires: new Date(Date.now() + policy.activationTtlMs).toISOString(),
+            failedLogins: 0,
+            lockedUntil: null,
+            createdAt: new Date().toISOString()
+        });
+        if (!account) throw new HttpError(409, 'Username is already taken');
+        await sendActivation(account, token);
+        sendJson(res, 201, { username: account.username, activated: false });
+    });
+
+    // The link from the activation mail; lands back on the login page
+    router.get('/activate', async ({ res, query }) => {
+        const token = query.get('token') || '';
+        const account = token && await users.findByActivationHash(sha256(token));
+        if (!account || Date.parse(account.activationExpires) < Date.now()) {
+            throw new HttpError(400, 'Activation link is invalid or has expired; register again or ask for a new link');
+        }
+        await users.update(account.username, { activated: true, activationTokenHash: null, activationExpires: null });
+        sendEmpty(res, 303, { Location: '/password-manager.html#activated' });
+    });
+
+    // New link for an account that never activated; always 202 so it can't be used to probe usernames
+    router.post('/activate/resend', async ({ req, res }) => {
+        limit(req, 'register');
+        const { username } = await readJsonBody(req) || {};
+        const account = typeof username === 'string' && await users.get(username);
+        if (account && !account.activated) {
+            const token = randomBytes(24).toString('base64url');
+            await users.update(account.username, {
+                activationTokenHash: sha256(token),
+                activationExpires: new Date(Date.now() + policy.activationTtlMs).toISOString()
+            });
+            await sendActivation(account, token);
+        }
+        sendJson(res, 202, { sent: true });
+    });
+
+    router.post('/login/challenge', async ({ req, res }) => {
+        limit(req, 'login');
+        const { username } = await readJsonBody(req) || {};
+        if (typeof username !== 'string' || !USERNAME.test(username)) throw new HttpError(422, 'username is required');
+        const name = username.toLowerCase();
+        const account = await users.get(name);
+
+        const challengeId = randomBytes(12).toString('base64url');
+        const nonce = randomBytes(32).toString('base64');
+        challenges.set(challengeId, { username: name, nonce, expires: Date.now() + policy.challengeTtlMs });
+        for (const [id, c] of challenges) if (c.expires < Date.now()) challenges.delete(id);
+
+        sendJson(res, 200, {
+            challengeId,
+            nonce,
+            salt: account ? account.salt : await decoySalt(name),
+            kdf: account ? vaultKdf(account.vault) : await decoyKdf(name)
+        });
+    });
+
+    // Checks { challengeId, proof } for `username`; wrong proofs count towards the lockout like failed logins.
+    // -> the account; unknown usernames fail exactly like a wrong password
+    async function verifyProof(username, challengeId, proof) {
+        const challenge = challenges.get(challengeId);
+        challenges.delete(challengeId);
+        if (typeof username !== 'string' || !challenge || challenge.expires < Date.now() || challenge.username !== username.toLowerCase()) {
+            throw new HttpError(401, 'Login challenge expired; start again');
+        }
+        const name = challenge.username;
+        const account = await users.get(name);
+
+        const wait = lockedFor(account || decoyFailures.get(name));
+        if (wait > 0) throw tooMany('Account temporarily locked after failed logins', Math.ceil(wait / 1000));
+
+        // Decoy accounts compare against random bytes so timing matches a real check
+        const key = account ? Buffer.from(account.verifier, 'base64') : randomBytes(32);
+        const expected = createHmac('sha256', key).update(proofMessage(name, challengeId, challenge.nonce)).digest();
+        const actual = base64Length(proof) === 32 ? Buffer.from(proof, 'base64') : Buffer.alloc(32);
+        if (!account || !timingSafeEqual(expected, actual)) {
+            const lockedUntil = await recordFailure(name, account);
+            if (lockedUntil) throw tooMany('Account temporarily locked after failed logins', Math.ceil(policy.lockMs / 1000));
+            throw new HttpError(401, 'Bad credentials');
+        }
+
+        if (account.failedLogins || account.lockedUntil) await users.update(name, { failedLogins: 0, lockedUntil: null });
+        return account;
+    }
+
+    router.post('/login', async ({ req, res }) => {
+        limit(req, 'login');
+        const { username, challengeId, proof } = await readJsonBody(req) || {};
+        const account = await verifyProof(username, challengeId, proof);
+        const name = account.username;
+        // Only someone who knows the password learns that the account is not activated yet
+        if (!account.activated) throw new HttpError(403, 'Account not activated. Check your email.');
+
+        const session = sessions.create(name);
+        sendJson(res, 200, {
+            username: account.username,
+            email: account.email,
+            vault: account.vault,
+            vaultVersion: account.vaultVersion,
+            session: session.token,
+            sessionExpires: session.expires
+        });
+    });
+
+    router.post('/logout', async ({ req, res }) => {
+        const token = bearerToken(req);
+        if (token) sessions.revoke(token);
+        sendEmpty(res, 204);
+    });
+
+    // Master-password change and KDF upgrade: a logged-in session plus a fresh proof with the *current* password,
+    // then salt, verifier and re-encrypted vault are swapped in one write. Other sessions are ended.
+    router.post('/account/rekey', async ({ req, res }) => {
+        limit(req, 'login');
+        const username = sessions.get(bearerToken(req));
+        if (!username) throw new HttpError(401, 'Session expired; log in again', undefined, { 'WWW-Authenticate': 'Bearer' });
+        const body = await readJsonBody(req, 4 * 1024 * 1024) || {};
+        const { salt, verifier, vault, baseVersion } = parseRekey(body);
+        await verifyProof(username, body.challengeId, body.proof);
+
+        const result = await users.replaceVault(username, vault, baseVersion, { salt, verifier });
+        if (!result) throw new HttpError(401, 'Account no longer exists');
+        if (result.conflict) {
+            throw new HttpError(409, `Vault was changed elsewhere (now version ${result.conflict.vaultVersion}); reload it first`, {
+                vaultVersion: result.conflict.vaultVersion
+            });
+        }
+        sessions.revokeUser(username);
+        const session = sessions.create(username);
+        sendJson(res, 200, {
+            vaultVersion: result.account.vaultVersion,
+            kdf: vault.kdf,
+            session: session.token,
+            sessionExpires: session.expires
+        });
+    });
+}
@@ -0,0 +1,154 @@
+// FILE: /server/routes/builds.js
+// Purpose: PC build configurator — compatibility checks, saved/shareable builds and quote export
+//
+// A saved build only stores part ids and quantities; prices, stock and compatibility are worked out
+// from the current part records every time it is read.
+
+import { randomBytes, createHash, timingSafeEqual } from 'node:crypto';
+import { HttpError, sendJson, sendText, sendEmpty, readJsonBody, negotiate } from '../http-utils.js';
+import { requestedCurrency, convertPart } from '../exchange-rates.js';
+import { COMPATIBILITY_RULES, BUILD_SLOTS, evaluateBuild } from '../../js/build-rules.js';
+import { QUOTE_FORMATS, createQuote, quoteToCsv, quoteToText } from '../../js/build-quote.js';
+
+const MAX_ITEMS = 20;
+
+function hashToken(token) {
+    return createHash('sha256').update(String(token)).digest('hex');
+}
+
+// { name?, items: [{ partId, quantity? }] } -> { name, items } with repeated part ids merged
+function parseBuildBody(body, { requireItems = true } = {}) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) throw new HttpError(400, 'Build must be a JSON object');
+    const errors = [];
+    const name = body.name === undefined ? 'Untitled build' : body.name;
+    if (typeof name !== 'string' || !name.trim() || name.length > 80) errors.push({ path: 'name', message: 'must be 1-80 characters' });
+
+    const items = new Map();
+    if (!Array.isArray(body.items) || (requireItems && !body.items.length)) {
+        errors.push({ path: 'items', message: 'must be a non-empty array of { partId, quantity }' });
+    } else if (body.items.length > MAX_ITEMS) {
+        errors.push({ path: 'items', message: `must have at most ${MAX_ITEMS} entries` });
+    } else {
+        body.items.forEach((item, i) => {
+            const quantity = item?.quantity ?? 1;
+            if (!Number.isInteger(item?.partId) || item.partId < 1) errors.push({ path: `items[${i}].partId`, message: 'must be a positive integer' });
+            else if (!Number.isInteger(quantity) || quantity < 1 || quantity > 16) errors.push({ path: `items[${i}].quantity`, message: 'must be an integer from 1 to 16' });
+            else items.set(item.partId, (items.get(item.partId) || 0) + quantity);
+        });
+    }
+    if (errors.length) throw new HttpError(422, 'Build failed validation', errors);
+    return { name: name.trim(), items: [...items].map(([partId, quantity]) => ({ partId, quantity })) };
+}
+
+export function registerBuildRoutes(router, { store, getRates }) {
+    // Parts in the build's currency; ids that no longer exist are returned separately
+    async function resolve(items, currency, rates) {
+        const parts = await Promise.all(items.map(i => store.get(i.partId)));
+        const selection = [];
+        const missing = [];
+        items.forEach((item, i) => {
+            if (parts[i]) selection.push({ part: convertPart(parts[i], currency, rates), quantity: item.quantity });
+            else missing.push(item.partId);
+        });
+        return { selection, missing };
+    }
+
+    async function evaluate(items, query) {
+        const rates = await getRates();
+        const currency = requestedCurrency(query, rates);
+        const { selection, missing } = await resolve(items, currency, rates);
+        const evaluation = evaluateBuild(selection);
+        if (missing.length) {
+            evaluation.compatible = false;
+            evaluation.findings.unshift({ rule: 'parts-exist', level: 'error', message: `Parts no longer in the catalogue: ${missing.join(', ')}`, partIds: missing });
+        }
+        return { currency, missing, ...evaluation };
+    }
+
+    async function findBuild(id) {
+        const build = await store.getBuild(id);
+        if (!build) throw new HttpError(404, `Build ${id} not found`);
+        return build;
+    }
+
+    // Saved builds can be read by anyone with the id; changing or deleting one needs the token handed out at creation
+    async function authorize(req, id) {
+        const build = await findBuild(id);
+        const token = req.headers['x-edit-token'];
+        const expected = Buffer.from(build.editTokenHash, 'hex');
+        const actual = Buffer.from(hashToken(token ?? ''), 'hex');
+        if (!token || !timingSafeEqual(expected, actual)) throw new HttpError(403, 'X-Edit-Token does not match this build');
+        return build;
+    }
+
+    function publicBuild(build) {
+        const { editTokenHash, ...rest } = build;
+        return rest;
+    }
+
+    router.get('/builds/rules', async ({ res }) => {
+        sendJson(res, 200, {
+            slots: BUILD_SLOTS,
+            rules: COMPATIBILITY_RULES.map(r => ({ id: r.id, description: r.description }))
+        });
+    });
+
+    // Check a selection without saving it; the configurator calls this on every change
+    router.post('/builds/check', async ({ req, res, query }) => {
+        const { items } = parseBuildBody(await readJsonBody(req), { requireItems: false });
+        sendJson(res, 200, await evaluate(items, query));
+    });
+
+    router.post('/builds', async ({ req, res, query }) => {
+        const { name, items } = parseBuildBody(await readJsonBody(req));
+        const evaluation = await evaluate(items, query);
+        if (evaluation.missing.length) throw new HttpError(422, `Unknown part ids: ${evaluation.missing.join(', ')}`);
+
+        const now = new Date().toISOString();
+        const editToken = randomBytes(18).toString('base64url');
+        const build = await store.saveBuild({
+            id: randomBytes(9).toString('base64url'),
+            name,
+            items,
+            editTokenHash: hashToken(editToken),
+            createdAt: now,
+            updatedAt: now
+        });
+        sendJson(res, 201, { ...publicBuild(build), editToken, ...evaluation }, { Location: `/builds/${build.id}` });
+    });
+
+    router.get('/builds/:id', async ({ res, params, query }) => {
+        const build = await findBuild(params.id);
+        sendJson(res, 200, { ...publicBuild(build), ...await evaluate(build.items, query) });
+    });
+
+    router.put('/builds/:id', async ({ req, res, params, query }) => {
+        const existing = await authorize(req, params.id);
+        const { name, items } = parseBuildBody(await readJsonBody(req));
+        const evaluation = await evaluate(items, query);
+        if (evaluation.missing.length) throw new HttpError(422, `Unknown part ids: ${evaluation.missing.join(', ')}`);
+        const build = await store.saveBuild({ ...existing, name, items, updatedAt: new Date().toISOString() });
+        sendJson(res, 200, { ...publicBuild(build), ...evaluation });
+    });
+
+    router.delete('/builds/:id', async ({ req, res, params }) => {
+        await authorize(req, params.id);
+        await store.deleteBuild(params.id);
+        sendEmpty(res, 204);
+    });
+
+    // Accept: application/json | text/csv | text/plain, or ?format=json|csv|text for plain download links
+    router.get('/builds/:id/quote', async ({ req, res, params, query }) => {
+        const format = query.get('format') || negotiate(req, QUOTE_FORMATS);
+        if (!Object.hasOwn(QUOTE_FORMATS, format)) throw new HttpError(406, `Supported quote formats: ${Object.keys(QUOTE_FORMATS).join(', ')}`);
+
+        const build = await findBuild(params.id);
+        const evaluation = await evaluate(build.items, query);
+        const quote = createQuote(build, evaluation, evaluation.currency);
+        const headers = { Vary: 'Accept' };
+        if (query.get('format')) headers['Content-Disposition'] = `attachment; filename="quote-${build.id}.${format === 'text' ? 'txt' : format}"`;
+
+        if (format === 'json') sendJson(res, 200, quote, headers);
+        else sendText(res, 200, format === 'csv' ? quoteToCsv(quote) : quoteToText(quote), QUOTE_FORMATS[format], headers);
+    });
+}
@@ -0,0 +1,19 @@
+// FILE: /server/routes/catalogue.js
+// Purpose: /catalogue/aggregate — merged view over all configured sources with provenance and conflicts
+
+import { HttpError, sendJson } from '../http-utils.js';
+import { loadSourcesConfig, aggregateFromConfig } from '../catalogue-aggregation.js';
+import { MATCHERS } from '../../js/aggregate.js';
+
+export function registerCatalogueRoutes(router, { sourcesFile, root }) {
+    // ?matchBy=id|name  ?view=summary (drops items, keeps conflicts)
+    router.get('/catalogue/aggregate', async ({ res, query }) => {
+        const matchBy = query.get('matchBy') || undefined;
+        if (matchBy && !Object.hasOwn(MATCHERS, matchBy)) throw new HttpError(400, `matchBy must be one of ${Object.keys(MATCHERS).join(', ')}`);
+
+        const config = await loadSourcesConfig(sourcesFile);
+        const result = await aggregateFromConfig(config, { root, matchBy });
+        if (query.get('view') === 'summary') delete result.items;
+        sendJson(res, 200, result);
+    });
+}
@@ -0,0 +1,162 @@
+// FILE: /server/routes/parts.js
+// Purpose: CRUD endpoints for /parts, same record shape as data/data.json
+
+import { HttpError, sendEmpty, sendTagged, readBody, negotiate, contentFormat } from '../http-utils.js';
+import { parseQuery, runQuery } from '../parts-query.js';
+import { validatePart } from '../../js/part-schema.js';
+import { FORMATS, serialize, deserialize, recordToXml, toCsv } from '../../js/catalogue-format.js';
+import { requestedCurrency, convertPart } from '../exchange-rates.js';
+
+// Validate a request body against the part schema and return it in data.json key order.
+// check(body) -> errors; PATCH passes a narrower one (patchErrors)
+export function toPartRecord(body, check = validatePart) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new HttpError(400, 'Part must be a JSON object');
+    }
+    const errors = check(body);
+    if (errors.length) throw new HttpError(422, 'Part failed validation', errors);
+
+    const { id, type, name, manufacturer, price, quantity, specifications } = body;
+    return {
+        ...(id !== undefined ? { id } : {}),
+        type,
+        name: name.trim(),
+        manufacturer: manufacturer.trim(),
+        price,
+        quantity,
+        specifications: { ...specifications }
+    };
+}
+
+// PATCH semantics: top-level fields replace, `specifications` merges one level deep
+export function mergePart(existing, patch) {
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+        throw new HttpError(400, 'Patch must be a JSON object');
+    }
+    const merged = { ...existing, ...patch };
+    if (patch.specifications) {
+        merged.specifications = { ...existing.specifications, ...patch.specifications };
+    }
+    return merged;
+}
+
+// Rows older than a schema rule can break it (many legacy CPUs and GPUs have cores: 0), so a PATCH is held to
+// the fields it sends and to anything it newly breaks, not to problems the stored record already had
+export function patchErrors(existing, patch, merged) {
+    const touched = path => {
+        const [top, spec] = path.split('.');
+        if (!Object.hasOwn(patch, top)) return false;
+        return top !== 'specifications' || spec === undefined || !isPlainObject(patch.specifications)
+            || Object.hasOwn(patch.specifications, spec);
+    };
+    const label = e => `${e.path}: ${e.message}`;
+    const before = new Set(validatePart(existing).map(label));
+    return validatePart(merged).filter(e => touched(e.path) || !before.has(label(e)));
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+export function parseId(value) {
+    const id = Number(value);
+    if (!Number.isInteger(id) || id < 1) throw new HttpError(400, `Invalid part id: ${value}`);
+    return id;
+}
+
+function responseFormat(req) {
+    const format = negotiate(req, FORMATS);
+    if (!format) throw new HttpError(406, `Supported types: ${Object.values(FORMATS).join(', ')}`);
+    return format;
+}
+
+// JSON by default; application/xml and text/csv bodies must hold exactly one record
+async function readPartBody(req) {
+    const format = contentFormat(req, FORMATS);
+    const raw = (await readBody(req)).toString('utf8');
+    if (!raw.trim()) throw new HttpError(400, 'Request body is empty');
+    let parsed;
+    try {
+        parsed = format === 'json' ? JSON.parse(raw) : deserialize(raw, format);
+    } catch (e) {
+        throw new HttpError(400, `Request body is not valid ${format.toUpperCase()}: ${e.message}`);
+    }
+    if (format === 'json') return parsed;
+    if (parsed.length !== 1) throw new HttpError(400, `Expected one record, got ${parsed.length}`);
+    return parsed[0];
+}
+
+// Responses carry an ETag of their exact body (so one per format and currency); If-None-Match gets a 304
+function sendParts(req, res, status, parts, headers = {}) {
+    const format = responseFormat(req);
+    const body = format === 'json' ? JSON.stringify(parts) : serialize(parts, format);
+    sendTagged(req, res, status, body, FORMATS[format], { Vary: 'Accept', ...headers });
+}
+
+function sendPart(req, res, status, part, headers = {}) {
+    const format = responseFormat(req);
+    const body = format === 'json' ? JSON.stringify(part)
+        : format === 'xml' ? `<?xml version='1.0' encoding='UTF-8'?>\n${recordToXml(part)}`
+        : toCsv([part]);
+    sendTagged(req, res, status, body, FORMATS[format], { Vary: 'Accept', ...headers });
+}
+
+async function findOr404(store, id) {
+    const part = await store.get(id);
+    if (!part) throw new HttpError(404, `Part ${id} not found`);
+    return part;
+}
+
+export function registerPartRoutes(router, { store, getRates }) {
+    // Body stays a plain array; paging info travels in headers so old clients keep working.
+    // ?currency=GBP converts prices before filtering, so price[gte]/price[lte] are in that currency too.
+    router.get('/parts', async ({ req, res, url, query }) => {
+        responseFormat(req);
+        const rates = await getRates();
+        const currency = requestedCurrency(query, rates);
+        const parts = (await store.list()).map(p => convertPart(p, currency, rates));
+        const result = runQuery(parts, parseQuery(query));
+        const headers = { 'X-Total-Count': String(result.total), 'X-Currency': currency };
+        const next = new URLSearchParams(query);
+        if (result.nextCursor) {
+            headers['X-Next-Cursor'] = result.nextCursor;
+            if (result.nextOffset !== null) next.set('offset', result.nextOffset);
+            else next.set('cursor', result.nextCursor);
+            headers.Link = `<${url.pathname}?${next}>; rel="next"`;
+        }
+        sendParts(req, res, 200, result.items, headers);
+    });
+
+    router.get('/parts/:id', async ({ req, res, params, query }) => {
+        const rates = await getRates();
+        const currency = requestedCurrency(query, rates);
+        const part = await findOr404(store, parseId(params.id));
+        sendPart(req, res, 200, convertPart(part, currency, rates), { 'X-Currency': currency });
+    });
+
+    router.post('/parts', async ({ req, res }) => {
+        const part = toPartRecord(await readPartBody(req));
+        const created = await store.create(part);
+        if (!created) throw new HttpError(409, `Part ${part.id} already exists or was deleted`);
+        sendPart(req, res, 201, created, { Location: `/parts/${created.id}` });
+    });
+
+    router.put('/parts/:id', async ({ req, res, params }) => {
+        const id = parseId(params.id);
+        await findOr404(store, id);
+        const part = toPartRecord(await readPartBody(req));
+        sendPart(req, res, 200, await store.replace(id, part));
+    });
+
+    router.patch('/parts/:id', async ({ req, res, params }) => {
+        const id = parseId(params.id);
+        const existing = await findOr404(store, id);
+        const patch = await readPartBody(req);
+        const part = toPartRecord(mergePart(existing, patch), merged => patchErrors(existing, patch, merged));
+        sendPart(req, res, 200, await store.replace(id, part));
+    });
+
+    router.delete('/parts/:id', async ({ res, params }) => {
+        const id = parseId(params.id);
+        if (!await store.remove(id)) throw new HttpError(404, `Part ${id} not found`);
+        sendEmpty(res, 204);
+    });
+}
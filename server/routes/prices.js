@@ -0,0 +1,40 @@
+// FILE: /server/routes/prices.js
+// Purpose: price history with window statistics, and the exchange-rate table used for ?currency=
+
+import { HttpError, sendJson, sendTagged, parseTimestamp } from '../http-utils.js';
+import { parseId } from './parts.js';
+import { requestedCurrency } from '../exchange-rates.js';
+import { convert } from '../../js/currency.js';
+import { priceWindow, priceStats } from '../../js/price-history.js';
+
+export function registerPriceRoutes(router, { store, getRates }) {
+    router.get('/currencies', async ({ req, res }) => {
+        sendTagged(req, res, 200, JSON.stringify(await getRates()), 'application/json');
+    });
+
+    // ?since=&until= limit the window (the price in effect at `since` counts); ?currency=GBP converts every value
+    router.get('/parts/:id/prices', async ({ res, params, query }) => {
+        const id = parseId(params.id);
+        const rates = await getRates();
+        const currency = requestedCurrency(query, rates);
+        const since = parseTimestamp(query.get('since'), 'since');
+        const until = parseTimestamp(query.get('until'), 'until');
+        if (since && until && since > until) throw new HttpError(400, 'since must not be after until');
+
+        const part = await store.get(id);
+        if (!part) throw new HttpError(404, `Part ${id} not found`);
+        const toCurrency = price => convert(price, rates.base, currency, rates);
+        const points = priceWindow(
+            (await store.listPrices(id)).map(p => ({ at: p.recordedAt, price: toCurrency(p.price) })),
+            { since, until }
+        );
+        sendJson(res, 200, {
+            partId: id,
+            currency,
+            current: toCurrency(part.price),
+            window: { since: since ?? null, until: until ?? null },
+            stats: priceStats(points),
+            points
+        });
+    });
+}
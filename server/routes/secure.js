@@ -0,0 +1,201 @@
+// FILE: /server/routes/secure.js
+// Purpose: share `.secure` files — upload an encrypted blob, download it by id until it expires or runs out
+//
+// The server never sees a password or key: it only checks that an upload starts like a `.secure` file
+// (v2 header, or a whole v1 JSON package) and stores the bytes unchanged (server/storage/secure-blob-store.js).
+//   POST   /secure/upload?expires=<seconds>&maxDownloads=<n>   raw body or multipart field "file"
+//          -> 201 { id, size, version, expiresAt, maxDownloads, deleteToken }; the token is only shown once
+//   GET    /secure/download/:id     the blob; counts one download
+//   GET    /secure/:id              status without downloading
+//   DELETE /secure/:id              with X-Delete-Token
+
+import { createHash, randomBytes, timingSafeEqual } from 'node:crypto';
+import { open } from 'node:fs/promises';
+import { once } from 'node:events';
+import { pipeline } from 'node:stream/promises';
+import { HttpError, sendJson, sendEmpty, clientAddress } from '../http-utils.js';
+import { multipartBoundary, multipartField } from '../multipart.js';
+import { secureFormatVersion, peekSecureHeader } from '../../js/secure-file.js';
+
+const MiB = 1024 * 1024;
+
+export const SECURE_POLICY = {
+    maxObjectBytes: 100 * MiB,
+    maxClientBytes: 500 * MiB,           // live objects per uploading address
+    maxTotalBytes: 2048 * MiB,
+    maxV1Bytes: 32 * MiB,                // v1 packages are one JSON document and are parsed whole
+    defaultTtlSeconds: 24 * 3600,
+    maxTtlSeconds: 30 * 24 * 3600,
+    maxDownloads: 1000
+};
+
+const V1_FIELDS = ['salt', 'iv', 'ciphertext', 'key_iv', 'key_ct', 'hmac'];
+const PEEK = 64;
+
+function hashToken(token) {
+    return createHash('sha256').update(String(token)).digest('hex');
+}
+
+function intParam(query, name, { min, max, fallback }) {
+    const raw = query.get(name);
+    if (raw === null || raw === '') return fallback;
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new HttpError(400, `${name} must be an integer from ${min} to ${max}`);
+    }
+    return value;
+}
+
+function notAllowed(message) {
+    return new HttpError(422, `Not a .secure file: ${message}`);
+}
+
+// Writes `source` to `out` while checking the format and the size; -> { size, version }
+async function receive(source, out, room) {
+    let size = 0, version = 0, checked = false;
+    let head = Buffer.alloc(0);
+    const v1 = [];
+
+    for await (const chunk of source) {
+        size += chunk.length;
+        if (size > room.bytes) throw new HttpError(413, room.message, { limit: room.bytes });
+
+        if (!checked) {
+            head = Buffer.concat([head, chunk]);
+            if (!version && head.length >= PEEK) version = secureFormatVersion(head);
+            if (head.length >= PEEK && !version) throw notAllowed('unknown format');
+            if (version === 2) {
+                try {
+                    checked = peekSecureHeader(head) !== null;
+                } catch (e) {
+                    throw notAllowed(e.message);
+                }
+            }
+        }
+        if (version === 1) {
+            if (size > SECURE_POLICY.maxV1Bytes) throw new HttpError(413, `v1 packages are limited to ${SECURE_POLICY.maxV1Bytes / MiB} MiB`);
+            v1.push(chunk);
+        }
+        if (!out.write(chunk)) await once(out, 'drain');
+    }
+    out.end();
+    await once(out, 'finish');
+
+    if (!size) throw notAllowed('empty upload');
+    // Short files never reached PEEK bytes; decide on what there is
+    if (!version) version = secureFormatVersion(head);
+    if (version === 2 && !checked) throw notAllowed('truncated header');
+    if (version === 1) {
+        let pkg;
+        try {
+            pkg = JSON.parse(Buffer.concat(v1).toString('utf8'));
+        } catch {
+            throw notAllowed('damaged v1 package');
+        }
+        if (!V1_FIELDS.every(f => typeof pkg[f] === 'string')) throw notAllowed('damaged v1 package');
+    }
+    if (!version) throw notAllowed('unknown format');
+    return { size, version };
+}
+
+function publicObject(object) {
+    const { id, size, version, createdAt, expiresAt, maxDownloads, downloads } = object;
+    return {
+        id, size, version, createdAt, expiresAt, maxDownloads, downloads,
+        downloadsLeft: maxDownloads === null ? null : Math.max(0, maxDownloads - downloads)
+    };
+}
+
+export function registerSecureRoutes(router, { blobs, limiter, policy = SECURE_POLICY }) {
+    async function findObject(id) {
+        const object = await blobs.get(id);
+        if (!object) throw new HttpError(404, 'No such file, or it has expired or reached its download limit');
+        return object;
+    }
+
+    router.post('/secure/upload', async ({ req, res, query }) => {
+        const address = clientAddress(req);
+        const { allowed, retryAfter } = limiter.hit(`secure-upload:${address}`);
+        if (!allowed) throw new HttpError(429, 'Too many uploads; try again later', undefined, { 'Retry-After': String(Math.max(1, retryAfter)) });
+
+        const ttlSeconds = intParam(query, 'expires', { min: 60, max: policy.maxTtlSeconds, fallback: policy.defaultTtlSeconds });
+        const maxDownloads = intParam(query, 'maxDownloads', { min: 1, max: policy.maxDownloads, fallback: null });
+
+        const type = String(req.headers['content-type'] || 'application/octet-stream');
+        const boundary = multipartBoundary(type);
+        if (!boundary && !/^application\/octet-stream\b/i.test(type)) {
+            throw new HttpError(415, 'Send the file as application/octet-stream or as multipart field "file"');
+        }
+
+        // Quotas are checked against what is stored when the upload starts
+        const owner = hashToken(address);
+        const [total, mine] = await Promise.all([blobs.usage(), blobs.usage(owner)]);
+        const rooms = [
+            { bytes: policy.maxObjectBytes, message: `Files are limited to ${Math.floor(policy.maxObjectBytes / MiB)} MiB` },
+            { bytes: policy.maxClientBytes - mine.bytes, message: 'Your storage quota is used up; delete a file or wait for one to expire' },
+            { bytes: policy.maxTotalBytes - total.bytes, message: 'The server is out of storage space' }
+        ];
+        const room = rooms.reduce((a, b) => (b.bytes < a.bytes ? b : a));
+        if (room.bytes <= 0) throw new HttpError(413, room.message, { limit: 0 });
+        const declared = Number(req.headers['content-length']);
+        if (!boundary && declared > room.bytes) throw new HttpError(413, room.message, { limit: room.bytes });
+
+        const upload = await blobs.openUpload();
+        let stored;
+        try {
+            const { size, version } = await receive(boundary ? multipartField(req, boundary, 'file') : req, upload.stream, room);
+            const deleteToken = randomBytes(18).toString('base64url');
+            const object = await blobs.commit(upload, {
+                size,
+                version,
+                owner,
+                expiresAt: new Date(blobs.now() + ttlSeconds * 1000).toISOString(),
+                maxDownloads,
+                deleteTokenHash: hashToken(deleteToken)
+            });
+            stored = { ...publicObject(object), deleteToken };
+        } catch (e) {
+            await blobs.discard(upload);
+            throw e;
+        }
+        sendJson(res, 201, stored, { Location: `/secure/download/${stored.id}` });
+    });
+
+    router.get('/secure/download/:id', async ({ res, params }) => {
+        const object = await findObject(params.id);
+        // Open before counting: a last download's blob may be deleted while it is still being sent
+        const handle = await open(blobs.blobPath(object.id)).catch(() => null);
+        const claim = handle && await blobs.claimDownload(object.id);
+        if (!claim) {
+            await handle?.close();
+            throw new HttpError(404, 'No such file, or it has expired or reached its download limit');
+        }
+        const left = claim.object.maxDownloads === null ? null : claim.object.maxDownloads - claim.object.downloads - 1;
+        res.writeHead(200, {
+            'Content-Type': 'application/octet-stream',
+            'Content-Length': object.size,
+            'Content-Disposition': `attachment; filename="${object.id}.secure"`,
+            'Cache-Control': 'no-store',
+            ...(left !== null && { 'X-Downloads-Remaining': String(left) })
+        });
+        try {
+            await pipeline(handle.createReadStream(), res);
+        } finally {
+            if (claim.last) await blobs.remove(object.id);
+        }
+    });
+
+    router.get('/secure/:id', async ({ res, params }) => {
+        sendJson(res, 200, publicObject(await findObject(params.id)), { 'Cache-Control': 'no-store' });
+    });
+
+    router.delete('/secure/:id', async ({ req, res, params }) => {
+        const object = await findObject(params.id);
+        const token = req.headers['x-delete-token'];
+        const expected = Buffer.from(object.deleteTokenHash, 'hex');
+        const actual = Buffer.from(hashToken(token ?? ''), 'hex');
+        if (!token || !timingSafeEqual(expected, actual)) throw new HttpError(403, 'X-Delete-Token does not match this file');
+        await blobs.remove(object.id);
+        sendEmpty(res, 204);
+    });
+}
@@ -0,0 +1,89 @@
+// FILE: /server/routes/stock.js
+// Purpose: stock ledger endpoints — movements, per-part history, reorder thresholds and low-stock alerts
+
+import { HttpError, sendJson, readJsonBody, parseTimestamp } from '../http-utils.js';
+import { parseId } from './parts.js';
+import { toMovement, quantityOverTime, lowStockAlerts } from '../../js/stock-ledger.js';
+
+function parseChanges(body) {
+    const changes = body?.changes;
+    if (!Array.isArray(changes) || !changes.length) throw new HttpError(400, 'Body must be { "changes": [{ "id", "delta", "reason"? }] }');
+    return changes.map((c, i) => {
+        if (!Number.isInteger(c?.delta) || c.delta === 0) throw new HttpError(400, `changes[${i}].delta must be a non-zero integer`);
+        if (c.reason !== undefined && typeof c.reason !== 'string') throw new HttpError(400, `changes[${i}].reason must be a string`);
+        return { id: parseId(c.id), delta: c.delta, reason: c.reason?.trim() || undefined };
+    });
+}
+
+// One movement object, or { movements: [...] } for a batch
+function parseMovements(body) {
+    const batch = Array.isArray(body?.movements);
+    const inputs = batch ? body.movements : [body];
+    if (!inputs.length) throw new HttpError(400, 'movements must not be empty');
+
+    const movements = [];
+    const errors = [];
+    inputs.forEach((input, i) => {
+        const result = toMovement(input);
+        if (result.movement) movements.push(result.movement);
+        result.errors.forEach(e => errors.push({ ...e, path: batch ? `movements[${i}].${e.path}` : e.path }));
+    });
+    if (errors.length) throw new HttpError(422, 'Movement failed validation', errors);
+    return movements;
+}
+
+export function registerStockRoutes(router, { store, reorderThreshold }) {
+    // All changes apply or none do: 409 if any part would go below zero, 404 for unknown ids
+    router.post('/stock/adjustments', async ({ req, res }) => {
+        const changes = parseChanges(await readJsonBody(req));
+        sendJson(res, 200, await store.adjustStock(changes));
+    });
+
+    // Receipts, sales, returns and adjustments; same all-or-nothing rules as /stock/adjustments
+    router.post('/stock/movements', async ({ req, res }) => {
+        const movements = parseMovements(await readJsonBody(req));
+        sendJson(res, 201, await store.recordMovements(movements));
+    });
+
+    router.get('/stock/movements', async ({ res, query }) => {
+        const partId = query.has('partId') ? parseId(query.get('partId')) : undefined;
+        sendJson(res, 200, await store.listMovements({
+            partId,
+            since: parseTimestamp(query.get('since'), 'since'),
+            until: parseTimestamp(query.get('until'), 'until')
+        }));
+    });
+
+    router.get('/parts/:id/stock-history', async ({ res, params, query }) => {
+        const id = parseId(params.id);
+        const part = await store.get(id);
+        if (!part) throw new HttpError(404, `Part ${id} not found`);
+        const [movements, thresholds] = await Promise.all([
+            store.listMovements({ partId: id, until: parseTimestamp(query.get('until'), 'until') }),
+            store.getThresholds()
+        ]);
+        sendJson(res, 200, {
+            partId: id,
+            quantity: part.quantity,
+            threshold: thresholds[id] ?? reorderThreshold,
+            points: quantityOverTime(movements)
+        });
+    });
+
+    // { "threshold": n } sets a per-part level; { "threshold": null } falls back to the default
+    router.put('/parts/:id/reorder-threshold', async ({ req, res, params }) => {
+        const id = parseId(params.id);
+        const { threshold } = await readJsonBody(req) || {};
+        if (threshold !== null && (!Number.isInteger(threshold) || threshold < 0)) {
+            throw new HttpError(422, 'threshold must be a non-negative integer or null');
+        }
+        if (!await store.get(id)) throw new HttpError(404, `Part ${id} not found`);
+        await store.setThreshold(id, threshold);
+        sendJson(res, 200, { partId: id, threshold: threshold ?? reorderThreshold, custom: threshold !== null });
+    });
+
+    router.get('/alerts', async ({ res }) => {
+        const [parts, thresholds] = await Promise.all([store.list(), store.getThresholds()]);
+        sendJson(res, 200, { defaultThreshold: reorderThreshold, alerts: lowStockAlerts(parts, thresholds, reorderThreshold) });
+    });
+}
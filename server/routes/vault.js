@@ -0,0 +1,49 @@
+// FILE: /server/routes/vault.js
+// Purpose: encrypted vault sync for logged-in password-manager users (Authorization: Bearer <session>)
+//
+// The server only ever sees { iv, ciphertext, kdf }. Every PUT names the version it was based on; a stale
+// baseVersion gets 409 with the current version so the client can reload or overwrite on purpose.
+
+import { HttpError, sendJson, readJsonBody } from '../http-utils.js';
+import { checkVault, bearerToken } from './accounts.js';
+import { vaultKdf } from '../../js/pm-auth.js';
+
+export function registerVaultRoutes(router, { users, sessions }) {
+    function requireUser(req) {
+        const username = sessions.get(bearerToken(req));
+        if (!username) throw new HttpError(401, 'Session expired; log in again', undefined, { 'WWW-Authenticate': 'Bearer' });
+        return username;
+    }
+
+    router.get('/vault', async ({ req, res }) => {
+        const account = await users.get(requireUser(req));
+        if (!account) throw new HttpError(401, 'Account no longer exists');
+        sendJson(res, 200, { vault: account.vault, vaultVersion: account.vaultVersion, updatedAt: account.vaultUpdatedAt ?? account.createdAt });
+    });
+
+    // { vault: { iv, ciphertext }, baseVersion } -> { vaultVersion, updatedAt }
+    router.put('/vault', async ({ req, res }) => {
+        const username = requireUser(req);
+        const { vault, baseVersion } = await readJsonBody(req, 4 * 1024 * 1024) || {};
+        if (!checkVault(vault)) throw new HttpError(422, 'vault must be { iv, ciphertext } from AES-GCM, base64');
+        if (!Number.isInteger(baseVersion)) throw new HttpError(422, 'baseVersion must be the vaultVersion this change was made on');
+
+        // Same key, so same KDF settings; changing them goes through POST /account/rekey
+        const account = await users.get(username);
+        if (!account) throw new HttpError(401, 'Account no longer exists');
+        const kdf = vaultKdf(account.vault);
+        if (vault.kdf && JSON.stringify(vaultKdf(vault)) !== JSON.stringify(kdf)) {
+            throw new HttpError(422, 'vault.kdf differs from the account; use POST /account/rekey to change it');
+        }
+
+        const result = await users.replaceVault(username, { iv: vault.iv, ciphertext: vault.ciphertext, ...(account.vault.kdf ? { kdf } : {}) }, baseVersion);
+        if (!result) throw new HttpError(401, 'Account no longer exists');
+        if (result.conflict) {
+            throw new HttpError(409, `Vault was changed elsewhere (now version ${result.conflict.vaultVersion})`, {
+                vaultVersion: result.conflict.vaultVersion,
+                updatedAt: result.conflict.vaultUpdatedAt ?? result.conflict.createdAt
+            });
+        }
+        sendJson(res, 200, { vaultVersion: result.account.vaultVersion, updatedAt: result.account.vaultUpdatedAt });
+    });
+}
@@ -0,0 +1,117 @@
+// FILE: /server/server.js
+// Purpose: local Computer Parts API — `node server/server.js`, then open http://localhost:3000
+
+import http from 'node:http';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createRouter, sendError } from './router.js';
+import { createStaticHandler } from './static.js';
+import { HttpError, sendEmpty } from './http-utils.js';
+import { JsonFileStore } from './storage/json-file-store.js';
+import { openStore } from './storage/index.js';
+import { registerPartRoutes } from './routes/parts.js';
+import { registerStockRoutes } from './routes/stock.js';
+import { registerCatalogueRoutes } from './routes/catalogue.js';
+import { registerPriceRoutes } from './routes/prices.js';
+import { registerBuildRoutes } from './routes/builds.js';
+import { registerAccountRoutes } from './routes/accounts.js';
+import { registerVaultRoutes } from './routes/vault.js';
+import { registerSecureRoutes } from './routes/secure.js';
+import { createRatesLoader } from './exchange-rates.js';
+import { JsonUserStore } from './storage/user-store.js';
+import { SecureBlobStore } from './storage/secure-blob-store.js';
+import { createMailer } from './mailer.js';
+import { createSessionStore } from './sessions.js';
+import { createRateLimiter } from './rate-limit.js';
+import { DEFAULT_REORDER_THRESHOLD } from '../js/stock-ledger.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+// Pages opened through live-server (another port) still need to reach the API
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization, If-None-Match, X-Edit-Token, X-Delete-Token',
+    'Access-Control-Expose-Headers': 'Location, Link, Retry-After, ETag, X-Total-Count, X-Next-Cursor, X-Currency, X-Downloads-Remaining'
+};
+
+export function createApp({
+    dataFile = path.join(ROOT, 'data', 'data.json'),
+    store = new JsonFileStore(dataFile),
+    sourcesFile = path.join(ROOT, 'data', 'sources.json'),
+    staticRoot = ROOT,
+    reorderThreshold = DEFAULT_REORDER_THRESHOLD,
+    ratesFile = path.join(ROOT, 'data', 'exchange-rates.json'),
+    usersFile = path.join(ROOT, 'data', 'private', 'pm-users.json'),
+    users = new JsonUserStore(usersFile),
+    mailer = createMailer(),
+    sessions = createSessionStore(),
+    // Per client address, shared by register and login attempts
+    limiter = createRateLimiter({ windowMs: 60_000, max: 20 }),
+    secureDir = path.join(ROOT, 'data', 'private', 'secure-objects'),
+    blobs = new SecureBlobStore(secureDir),
+    uploadLimiter = createRateLimiter({ windowMs: 60_000, max: 30 }),
+    publicUrl = 'http://localhost:3000'
+} = {}) {
+    const router = createRouter();
+    const getRates = createRatesLoader(ratesFile);
+    registerPartRoutes(router, { store, getRates });
+    registerStockRoutes(router, { store, reorderThreshold });
+    registerPriceRoutes(router, { store, getRates });
+    registerBuildRoutes(router, { store, getRates });
+    registerCatalogueRoutes(router, { sourcesFile, root: ROOT });
+    registerAccountRoutes(router, { users, mailer, sessions, limiter, publicUrl });
+    registerVaultRoutes(router, { users, sessions });
+    registerSecureRoutes(router, { blobs, limiter: uploadLimiter });
+    const serveStatic = staticRoot ? createStaticHandler(staticRoot) : null;
+
+    async function handler(req, res) {
+        for (const [k, v] of Object.entries(CORS_HEADERS)) res.setHeader(k, v);
+        if (req.method === 'OPTIONS') { sendEmpty(res, 204); return; }
+
+        try {
+            if (await router.handle(req, res)) return;
+            if (serveStatic && await serveStatic(req, res)) return;
+            throw new HttpError(404, 'Not found');
+        } catch (e) {
+            sendError(res, e);
+        }
+    }
+
+    return { handler, store, users, sessions, router };
+}
+
+// Only listen when run directly, so other scripts can import createApp
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    const port = Number(process.env.PORT) || 3000;
+    let store;
+    try {
+        store = await openStore({
+            driver: process.env.STORE || 'json',
+            dataFile: process.env.DATA_FILE || path.join(ROOT, 'data', 'data.json'),
+            dbFile: process.env.DB_FILE || path.join(ROOT, 'data', 'parts.db')
+        });
+        // Parts that predate the ledger and price history start from their current quantity and price
+        await store.ensureOpeningBalances();
+        await store.ensurePriceHistory();
+    } catch (e) {
+        console.error(`Cannot open parts storage: ${e.message}`);
+        process.exit(1);
+    }
+    const { handler } = createApp({
+        store,
+        sourcesFile: process.env.SOURCES_FILE || undefined,
+        ratesFile: process.env.RATES_FILE || undefined,
+        reorderThreshold: process.env.REORDER_THRESHOLD === undefined ? undefined : Number(process.env.REORDER_THRESHOLD),
+        usersFile: process.env.USERS_FILE || undefined,
+        secureDir: process.env.SECURE_DIR || undefined,
+        mailer: createMailer({
+            transport: process.env.MAILER || 'console',
+            dir: process.env.MAIL_DIR || path.join(ROOT, 'data', 'private', 'outbox')
+        }),
+        publicUrl: process.env.PUBLIC_URL || `http://localhost:${port}`
+    });
+    http.createServer(handler).listen(port, () => {
+        console.log(`Computer Parts API listening on http://localhost:${port}`);
+    });
+}
@@ -0,0 +1,37 @@
+// FILE: /server/sessions.js
+// Purpose: in-memory login sessions (opaque bearer tokens); a restart logs everyone out
+
+import { randomBytes } from 'node:crypto';
+
+export function createSessionStore({ ttlMs = 30 * 60_000, now = Date.now } = {}) {
+    const sessions = new Map();   // token -> { username, expires }
+
+    return {
+        create(username) {
+            const token = randomBytes(24).toString('base64url');
+            const expires = now() + ttlMs;
+            sessions.set(token, { username, expires });
+            return { token, expires: new Date(expires).toISOString() };
+        },
+
+        // Sliding expiry: each use extends the session
+        get(token) {
+            const session = token && sessions.get(token);
+            if (!session) return null;
+            if (session.expires <= now()) {
+                sessions.delete(token);
+                return null;
+            }
+            session.expires = now() + ttlMs;
+            return session.username;
+        },
+
+        revoke(token) {
+            sessions.delete(token);
+        },
+
+        revokeUser(username) {
+            for (const [token, s] of sessions) if (s.username === username) sessions.delete(token);
+        }
+    };
+}
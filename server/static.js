@@ -0,0 +1,74 @@
+// FILE: /server/static.js
+// Purpose: serve the site's HTML/CSS/JS from the repo root so pages and API share an origin
+
+import { createReadStream } from 'node:fs';
+import { stat } from 'node:fs/promises';
+import path from 'node:path';
+import { HttpError, notModified } from './http-utils.js';
+
+const MIME = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.svg': 'image/svg+xml'
+};
+
+// Paths under the site root that must never be served: server-side state (accounts, mail outbox, the stock
+// ledger, price history and saved builds, which the API serves with its own checks), databases, the server code
+// and git metadata
+export const DENY = [
+    /^\/data\/private(\/|$)/,
+    /^\/data\/(stock-ledger|price-history|builds)\.json$/,
+    /^\/server(\/|$)/,
+    /(^|\/)\./,
+    /\.db(-wal|-shm)?$/
+];
+
+// A malformed escape such as %E0%A4%A is the client's mistake, not a server error
+function decodePath(pathname) {
+    try {
+        return decodeURIComponent(pathname);
+    } catch {
+        throw new HttpError(400, `Malformed URL path: ${pathname}`);
+    }
+}
+
+export function createStaticHandler(root, { deny = DENY } = {}) {
+    const base = path.resolve(root);
+
+    return async function serveStatic(req, res) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') return false;
+
+        const { pathname } = new URL(req.url, 'http://localhost');
+        const rel = decodePath(pathname === '/' ? '/index.html' : pathname);
+        if (deny.some(re => re.test(path.posix.normalize(rel)))) return false;
+        const file = path.resolve(base, '.' + rel);
+        // never serve anything outside the site root
+        if (file !== base && !file.startsWith(base + path.sep)) return false;
+
+        let info;
+        try { info = await stat(file); } catch { return false; }
+        if (!info.isFile()) return false;
+
+        // Size and modification time: cheap, and changes whenever the file is rewritten
+        const etag = `W/"${info.size.toString(16)}-${Math.floor(info.mtimeMs).toString(16)}"`;
+        if (notModified(req, etag)) {
+            res.writeHead(304, { ETag: etag });
+            res.end();
+            return true;
+        }
+        res.writeHead(200, {
+            'Content-Type': MIME[path.extname(file).toLowerCase()] || 'application/octet-stream',
+            'Content-Length': info.size,
+            ETag: etag
+        });
+        if (req.method === 'HEAD') { res.end(); return true; }
+        createReadStream(file).pipe(res);
+        return true;
+    };
+}
@@ -0,0 +1,23 @@
+// FILE: /server/storage/files.js
+// Purpose: whole-file JSON persistence helpers shared by the file-backed stores
+
+import { readFile, writeFile, rename, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+
+// Temp file + rename, so readers never see a half-written file
+export async function writeAtomic(file, text) {
+    await mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    await writeFile(tmp, text, 'utf8');
+    await rename(tmp, file);
+}
+
+// Side files are created on first write, so a missing one just means no data yet
+export async function readOptionalJson(file, fallback) {
+    try {
+        return JSON.parse(await readFile(file, 'utf8'));
+    } catch (e) {
+        if (e.code === 'ENOENT') return fallback;
+        throw e;
+    }
+}
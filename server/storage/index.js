@@ -0,0 +1,23 @@
+// FILE: /server/storage/index.js
+// Purpose: pick a parts storage backend — json (default), sqlite or memory
+
+import { readFile } from 'node:fs/promises';
+import { JsonFileStore } from './json-file-store.js';
+import { MemoryStore } from './memory-store.js';
+import { openSqliteStore } from './sqlite-store.js';
+
+export { StoreError } from './store-errors.js';
+
+// driver 'memory' starts from a copy of dataFile when one is given
+export async function openStore({ driver = 'json', dataFile, dbFile } = {}) {
+    switch (driver) {
+        case 'json':
+            return new JsonFileStore(dataFile);
+        case 'sqlite':
+            return openSqliteStore(dbFile);
+        case 'memory':
+            return new MemoryStore(dataFile ? JSON.parse(await readFile(dataFile, 'utf8')) : []);
+        default:
+            throw new Error(`Unknown storage driver "${driver}" (json, sqlite or memory)`);
+    }
+}
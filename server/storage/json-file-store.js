@@ -0,0 +1,75 @@
+// FILE: /server/storage/json-file-store.js
+// Purpose: parts storage backed by a JSON array file (same layout as data/data.json)
+// Stock movements, reorder thresholds and the highest part id given out live next to it in stock-ledger.json,
+// past prices in price-history.json and saved PC builds in builds.json.
+
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { MemoryStore } from './memory-store.js';
+import { writeAtomic, readOptionalJson } from './files.js';
+import { toJson } from '../../js/catalogue-format.js';
+
+export class JsonFileStore extends MemoryStore {
+    constructor(file, {
+        ledgerFile = path.join(path.dirname(file), 'stock-ledger.json'),
+        priceFile = path.join(path.dirname(file), 'price-history.json'),
+        buildsFile = path.join(path.dirname(file), 'builds.json')
+    } = {}) {
+        super();
+        this.file = file;
+        this.ledgerFile = ledgerFile;
+        this.priceFile = priceFile;
+        this.buildsFile = buildsFile;
+        this.parts = null;     // loaded lazily on first access
+        this.writing = Promise.resolve();
+        this.saved = new Map(); // file -> the text it holds, as this store would write it
+    }
+
+    async load() {
+        if (this.parts) return this.parts;
+        const data = JSON.parse(await readFile(this.file, 'utf8'));
+        if (!Array.isArray(data)) throw new Error(`${this.file} does not contain a JSON array`);
+
+        const ledger = await readOptionalJson(this.ledgerFile, { movements: [], thresholds: {} });
+        const history = await readOptionalJson(this.priceFile, { prices: [] });
+        this.movements = ledger.movements || [];
+        this.thresholds = ledger.thresholds || {};
+        this.lastPartId = ledger.lastPartId || 0;
+        this.prices = history.prices || [];
+        this.builds = (await readOptionalJson(this.buildsFile, { builds: [] })).builds || [];
+        this.parts = data;
+        for (const [file, text] of this.serialise()) this.saved.set(file, text);
+        return this.parts;
+    }
+
+    // [file, text] for every file this store writes; side files first, so parts never point at missing history
+    serialise() {
+        return [
+            [this.ledgerFile, JSON.stringify({ movements: this.movements, thresholds: this.thresholds, lastPartId: this.lastPartId })],
+            [this.priceFile, JSON.stringify({ prices: this.prices })],
+            [this.buildsFile, JSON.stringify({ builds: this.builds })],
+            [this.file, toJson(this.parts)]
+        ];
+    }
+
+    // Writes are chained so two requests never interleave; temp file + rename keeps each file whole.
+    // toJson keeps one record per line, like the hand-maintained file. Only files whose content changed are
+    // written, so recording a movement leaves data.json exactly as it was edited by hand.
+    persist() {
+        const files = this.serialise();
+        // A failed write (disk full, EACCES) rejects for its own caller only; the next one still runs
+        const write = this.writing.catch(() => {}).then(async () => {
+            for (const [file, text] of files) {
+                if (this.saved.get(file) === text) continue;
+                await writeAtomic(file, text);
+                this.saved.set(file, text);
+            }
+        });
+        this.writing = write;
+        return write;
+    }
+
+    async close() {
+        await this.writing;
+    }
+}
@@ -0,0 +1,223 @@
+// FILE: /server/storage/memory-store.js
+// Purpose: in-memory parts store (tests, throwaway servers) and the base class for JsonFileStore
+//
+// Storage interface shared by every backend (all methods async):
+//   list()                     -> [part]
+//   get(id)                    -> part | null
+//   create(part)               -> part (id assigned when missing) | null when the id is taken or was a deleted part's
+//   replace(id, part)          -> part | null when missing
+//   remove(id)                 -> boolean (the part's stock movements and prices are kept; its id is never reused)
+//   adjustStock(changes)       -> [part]  changes: [{ id, delta, reason? }], all-or-nothing; throws StoreError
+//   recordMovements(moves)     -> { movements, parts }  moves: [{ partId, type, delta, reason }], all-or-nothing
+//   listMovements(filter)      -> [movement]  filter: { partId?, since?, until? } (ISO timestamps)
+//   ensureOpeningBalances()    -> number of parts that got an 'opening' movement
+//   getThresholds()            -> { [partId]: threshold }
+//   setThreshold(id, n|null)   -> void
+//   listPrices(partId)         -> [{ id, partId, price, recordedAt }] oldest first
+//   ensurePriceHistory()       -> number of parts that got a first price entry
+//   getBuild(id)               -> build | null   build: { id, name, items: [{ partId, quantity }], editTokenHash, createdAt, updatedAt }
+//   saveBuild(build)           -> build (insert or replace by id)
+//   deleteBuild(id)            -> boolean
+//   close()
+//
+// `quantity` on a part always equals the sum of its movement deltas; changing it through create/replace
+// records an 'opening' or 'adjustment' movement so the ledger stays the source of truth.
+// Likewise every price a part has had is kept, in the base currency, with the time it took effect.
+
+import { StoreError } from './store-errors.js';
+
+export class MemoryStore {
+    constructor(parts = [], { movements = [], thresholds = {}, prices = [], builds = [], lastPartId = 0 } = {}) {
+        this.parts = parts.map(p => structuredClone(p));
+        this.lastPartId = lastPartId;   // highest id ever given out, so a deleted part's id (and history) stays its own
+        this.movements = movements.map(m => ({ ...m }));
+        this.thresholds = { ...thresholds };
+        this.prices = prices.map(p => ({ ...p }));
+        this.builds = builds.map(b => structuredClone(b));
+    }
+
+    // Subclasses load lazily and write back after each change
+    async load() { return this.parts; }
+    async persist() {}
+
+    async list() {
+        return (await this.load()).map(p => structuredClone(p));
+    }
+
+    async get(id) {
+        const part = (await this.load()).find(p => p.id === id);
+        return part ? structuredClone(part) : null;
+    }
+
+    async nextId() {
+        const parts = await this.load();
+        const ids = [...parts.map(p => p.id), ...this.movements.map(m => m.partId), ...this.prices.map(p => p.partId)];
+        return ids.reduce((max, id) => Math.max(max, Number(id) || 0), this.lastPartId) + 1;
+    }
+
+    // True while a part has the id, and after it is deleted (its movements and prices still name it)
+    idInUse(id) {
+        return this.parts.some(p => p.id === id)
+            || this.movements.some(m => m.partId === id)
+            || this.prices.some(p => p.partId === id);
+    }
+
+    // Appends without checks; callers validate first
+    appendMovement(partId, type, delta, reason) {
+        const movement = {
+            id: this.movements.reduce((max, m) => Math.max(max, m.id), 0) + 1,
+            partId,
+            type,
+            delta,
+            reason,
+            createdAt: new Date().toISOString()
+        };
+        this.movements.push(movement);
+        return { ...movement };
+    }
+
+    appendPrice(partId, price) {
+        const entry = {
+            id: this.prices.reduce((max, p) => Math.max(max, p.id), 0) + 1,
+            partId,
+            price,
+            recordedAt: new Date().toISOString()
+        };
+        this.prices.push(entry);
+        return { ...entry };
+    }
+
+    async create(part) {
+        const parts = await this.load();
+        const { id, ...fields } = part;
+        const record = { id: id ?? await this.nextId(), ...structuredClone(fields) };
+        if (this.idInUse(record.id)) return null;
+        parts.push(record);
+        this.lastPartId = Math.max(this.lastPartId, record.id);
+        if (record.quantity) this.appendMovement(record.id, 'opening', record.quantity, 'Part created');
+        this.appendPrice(record.id, record.price);
+        await this.persist();
+        return structuredClone(record);
+    }
+
+    async replace(id, part) {
+        const parts = await this.load();
+        const i = parts.findIndex(p => p.id === id);
+        if (i === -1) return null;
+        const { id: _ignored, ...fields } = part;
+        const delta = (fields.quantity ?? 0) - (parts[i].quantity ?? 0);
+        const repriced = fields.price !== parts[i].price;
+        parts[i] = { id, ...structuredClone(fields) };
+        if (delta) this.appendMovement(id, 'adjustment', delta, 'Quantity edited on the part record');
+        if (repriced) this.appendPrice(id, fields.price);
+        await this.persist();
+        return structuredClone(parts[i]);
+    }
+
+    async remove(id) {
+        const parts = await this.load();
+        const i = parts.findIndex(p => p.id === id);
+        if (i === -1) return false;
+        parts.splice(i, 1);
+        this.lastPartId = Math.max(this.lastPartId, id);
+        await this.persist();
+        return true;
+    }
+
+    // Check every movement before applying any, so a failed batch leaves stock untouched
+    async recordMovements(movements) {
+        const parts = await this.load();
+        const next = new Map();
+        for (const { partId, delta } of movements) {
+            const part = parts.find(p => p.id === partId);
+            if (!part) throw new StoreError('NOT_FOUND', `Part ${partId} not found`);
+            const quantity = (next.has(partId) ? next.get(partId) : part.quantity) + delta;
+            if (quantity < 0) {
+                throw new StoreError('INSUFFICIENT_STOCK', `Part ${partId} has ${part.quantity} in stock`, { id: partId, available: part.quantity, delta });
+            }
+            next.set(partId, quantity);
+        }
+        const created = movements.map(m => this.appendMovement(m.partId, m.type, m.delta, m.reason));
+        for (const [id, quantity] of next) parts.find(p => p.id === id).quantity = quantity;
+        await this.persist();
+        return { movements: created, parts: [...next.keys()].map(id => structuredClone(parts.find(p => p.id === id))) };
+    }
+
+    async adjustStock(changes) {
+        const movements = changes.map(c => ({ partId: c.id, type: 'adjustment', delta: c.delta, reason: c.reason || 'Stock adjustment' }));
+        return (await this.recordMovements(movements)).parts;
+    }
+
+    async listMovements({ partId, since, until } = {}) {
+        await this.load();
+        return this.movements
+            .filter(m => (partId === undefined || m.partId === partId)
+                && (!since || m.createdAt >= since)
+                && (!until || m.createdAt <= until))
+            .map(m => ({ ...m }));
+    }
+
+    async ensureOpeningBalances() {
+        const parts = await this.load();
+        const tracked = new Set(this.movements.map(m => m.partId));
+        const missing = parts.filter(p => !tracked.has(p.id) && p.quantity);
+        missing.forEach(p => this.appendMovement(p.id, 'opening', p.quantity, 'Opening balance'));
+        if (missing.length) await this.persist();
+        return missing.length;
+    }
+
+    async getThresholds() {
+        await this.load();
+        return { ...this.thresholds };
+    }
+
+    async setThreshold(id, threshold) {
+        await this.load();
+        if (threshold === null) delete this.thresholds[id];
+        else this.thresholds[id] = threshold;
+        await this.persist();
+    }
+
+    async listPrices(partId) {
+        await this.load();
+        return this.prices
+            .filter(p => p.partId === partId)
+            .sort((a, b) => a.recordedAt.localeCompare(b.recordedAt) || a.id - b.id)
+            .map(p => ({ ...p }));
+    }
+
+    async ensurePriceHistory() {
+        const parts = await this.load();
+        const tracked = new Set(this.prices.map(p => p.partId));
+        const missing = parts.filter(p => !tracked.has(p.id) && typeof p.price === 'number');
+        missing.forEach(p => this.appendPrice(p.id, p.price));
+        if (missing.length) await this.persist();
+        return missing.length;
+    }
+
+    async getBuild(id) {
+        await this.load();
+        const build = this.builds.find(b => b.id === id);
+        return build ? structuredClone(build) : null;
+    }
+
+    async saveBuild(build) {
+        await this.load();
+        const i = this.builds.findIndex(b => b.id === build.id);
+        if (i === -1) this.builds.push(structuredClone(build));
+        else this.builds[i] = structuredClone(build);
+        await this.persist();
+        return structuredClone(build);
+    }
+
+    async deleteBuild(id) {
+        await this.load();
+        const i = this.builds.findIndex(b => b.id === id);
+        if (i === -1) return false;
+        this.builds.splice(i, 1);
+        await this.persist();
+        return true;
+    }
+
+    async close() {}
+}
@@ -0,0 +1,154 @@
+// FILE: /server/storage/migrations.js
+// Purpose: ordered SQLite schema migrations; append new entries, never edit applied ones
+
+export const MIGRATIONS = [
+    {
+        id: 1,
+        name: 'create-parts',
+        up: `
+            CREATE TABLE parts (
+                id             INTEGER PRIMARY KEY,
+                type           TEXT    NOT NULL,
+                name           TEXT    NOT NULL,
+                manufacturer   TEXT    NOT NULL,
+                price          REAL    NOT NULL CHECK (price >= 0),
+                quantity       INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+                specifications TEXT    NOT NULL DEFAULT '{}'
+            );
+            CREATE INDEX parts_type ON parts (type);
+            CREATE INDEX parts_manufacturer ON parts (manufacturer);
+        `
+    },
+    {
+        id: 2,
+        name: 'stock-ledger',
+        // No foreign key on part_id: deleting a part keeps its history
+        up: `
+            CREATE TABLE stock_movements (
+                id         INTEGER PRIMARY KEY,
+                part_id    INTEGER NOT NULL,
+                type       TEXT    NOT NULL CHECK (type IN ('opening', 'receipt', 'sale', 'return', 'adjustment')),
+                delta      INTEGER NOT NULL CHECK (delta <> 0),
+                reason     TEXT    NOT NULL,
+                created_at TEXT    NOT NULL
+            );
+            CREATE INDEX stock_movements_part ON stock_movements (part_id, created_at);
+            CREATE TRIGGER stock_movements_no_update BEFORE UPDATE ON stock_movements
+                BEGIN SELECT RAISE(ABORT, 'stock movements are immutable'); END;
+            CREATE TRIGGER stock_movements_no_delete BEFORE DELETE ON stock_movements
+                BEGIN SELECT RAISE(ABORT, 'stock movements are immutable'); END;
+
+            CREATE TABLE reorder_thresholds (
+                part_id   INTEGER PRIMARY KEY,
+                threshold INTEGER NOT NULL CHECK (threshold >= 0)
+            );
+
+            INSERT INTO stock_movements (part_id, type, delta, reason, created_at)
+                SELECT id, 'opening', quantity, 'Opening balance', strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+                FROM parts WHERE quantity <> 0;
+        `
+    },
+    {
+        id: 3,
+        name: 'price-history',
+        up: `
+            CREATE TABLE price_history (
+                id          INTEGER PRIMARY KEY,
+                part_id     INTEGER NOT NULL,
+                price       REAL    NOT NULL CHECK (price >= 0),
+                recorded_at TEXT    NOT NULL
+            );
+            CREATE INDEX price_history_part ON price_history (part_id, recorded_at);
+            CREATE TRIGGER price_history_no_update BEFORE UPDATE ON price_history
+                BEGIN SELECT RAISE(ABORT, 'price history is immutable'); END;
+            CREATE TRIGGER price_history_no_delete BEFORE DELETE ON price_history
+                BEGIN SELECT RAISE(ABORT, 'price history is immutable'); END;
+
+            INSERT INTO price_history (part_id, price, recorded_at)
+                SELECT id, price, strftime('%Y-%m-%dT%H:%M:%fZ', 'now') FROM parts;
+        `
+    },
+    {
+        id: 4,
+        name: 'builds',
+        // items is JSON [{ partId, quantity }]; parts are looked up when the build is read, so prices stay current
+        up: `
+            CREATE TABLE builds (
+                id              TEXT PRIMARY KEY,
+                name            TEXT NOT NULL,
+                items           TEXT NOT NULL,
+                edit_token_hash TEXT NOT NULL,
+                created_at      TEXT NOT NULL,
+                updated_at      TEXT NOT NULL
+            );
+        `
+    },
+    {
+        id: 5,
+        name: 'parts-autoincrement',
+        // AUTOINCREMENT never hands out a deleted part's id again, so a new part can't inherit its movements,
+        // prices or build items. The counter starts above every id the parts and their history have used.
+        up: `
+            CREATE TABLE parts_new (
+                id             INTEGER PRIMARY KEY AUTOINCREMENT,
+                type           TEXT    NOT NULL,
+                name           TEXT    NOT NULL,
+                manufacturer   TEXT    NOT NULL,
+                price          REAL    NOT NULL CHECK (price >= 0),
+                quantity       INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+                specifications TEXT    NOT NULL DEFAULT '{}'
+            );
+            INSERT INTO parts_new (id, type, name, manufacturer, price, quantity, specifications)
+                SELECT id, type, name, manufacturer, price, quantity, specifications FROM parts;
+            DROP TABLE parts;
+            ALTER TABLE parts_new RENAME TO parts;
+            CREATE INDEX parts_type ON parts (type);
+            CREATE INDEX parts_manufacturer ON parts (manufacturer);
+
+            DELETE FROM sqlite_sequence WHERE name = 'parts';
+            INSERT INTO sqlite_sequence (name, seq)
+                SELECT 'parts', COALESCE(MAX(id), 0) FROM (
+                    SELECT id FROM parts
+                    UNION ALL SELECT part_id FROM stock_movements
+                    UNION ALL SELECT part_id FROM price_history
+                );
+        `
+    }
+];
+
+// Wraps fn in BEGIN IMMEDIATE / COMMIT, rolling back on any throw
+export function transaction(db, fn) {
+    db.exec('BEGIN IMMEDIATE');
+    try {
+        const result = fn();
+        db.exec('COMMIT');
+        return result;
+    } catch (e) {
+        db.exec('ROLLBACK');
+        throw e;
+    }
+}
+
+// Applies pending migrations in order, one transaction each; returns the ids it applied
+export function migrate(db, migrations = MIGRATIONS) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            id         INTEGER PRIMARY KEY,
+            name       TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `);
+    const applied = new Set(db.prepare('SELECT id FROM schema_migrations').all().map(r => r.id));
+    const record = db.prepare('INSERT INTO schema_migrations (id, name, applied_at) VALUES (?, ?, ?)');
+
+    const ran = [];
+    for (const m of [...migrations].sort((a, b) => a.id - b.id)) {
+        if (applied.has(m.id)) continue;
+        transaction(db, () => {
+            db.exec(m.up);
+            record.run(m.id, m.name, new Date().toISOString());
+        });
+        ran.push(m.id);
+    }
+    return ran;
+}
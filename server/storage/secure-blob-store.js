@@ -0,0 +1,125 @@
+// FILE: /server/storage/secure-blob-store.js
+// Purpose: opaque `.secure` uploads on disk (default data/private/secure-objects, never served)
+//
+// <dir>/index.json  { objects: { [id]: object } }
+//   object: { id, size, version, owner, createdAt, expiresAt, maxDownloads, downloads, deleteTokenHash }
+//   owner: SHA-256 of the uploader's address, only used for the per-client quota
+// <dir>/blobs/<id>.secure  the uploaded bytes, exactly as received
+// Expired and used-up objects disappear on the next access or upload; nothing else ever reads the blobs.
+
+import { createWriteStream } from 'node:fs';
+import { rename, unlink, mkdir } from 'node:fs/promises';
+import { randomBytes } from 'node:crypto';
+import { once } from 'node:events';
+import path from 'node:path';
+import { writeAtomic, readOptionalJson } from './files.js';
+
+export class SecureBlobStore {
+    constructor(dir, { now = Date.now } = {}) {
+        this.dir = dir;
+        this.now = now;
+        this.data = null;
+        this.writing = Promise.resolve();
+    }
+
+    get indexFile() {
+        return path.join(this.dir, 'index.json');
+    }
+
+    blobPath(id) {
+        return path.join(this.dir, 'blobs', `${id}.secure`);
+    }
+
+    async load() {
+        if (this.data) return this.data;
+        const data = await readOptionalJson(this.indexFile, { objects: {} });
+        data.objects = data.objects || {};
+        this.data = data;
+        return data;
+    }
+
+    // A failed write (disk full, EACCES) rejects for its own caller only; the next one still runs
+    persist() {
+        const text = JSON.stringify(this.data, null, 2);
+        const write = this.writing.catch(() => {}).then(() => writeAtomic(this.indexFile, text));
+        this.writing = write;
+        return write;
+    }
+
+    isLive(object) {
+        return Date.parse(object.expiresAt) > this.now()
+            && (object.maxDownloads === null || object.downloads < object.maxDownloads);
+    }
+
+    // Drops expired and used-up objects; called before anything counts or hands out objects
+    async purge() {
+        const { objects } = await this.load();
+        const dead = Object.values(objects).filter(o => !this.isLive(o));
+        if (!dead.length) return;
+        for (const o of dead) delete objects[o.id];
+        await this.persist();
+        await Promise.all(dead.map(o => unlink(this.blobPath(o.id)).catch(() => {})));
+    }
+
+    // Live objects and their bytes, overall or for one owner
+    async usage(owner) {
+        await this.purge();
+        const list = Object.values(this.data.objects).filter(o => owner === undefined || o.owner === owner);
+        return { objects: list.length, bytes: list.reduce((sum, o) => sum + o.size, 0) };
+    }
+
+    // A write stream for an upload in progress; commit() or discard() it afterwards
+    async openUpload() {
+        const tmpDir = path.join(this.dir, 'tmp');
+        await mkdir(tmpDir, { recursive: true });
+        await mkdir(path.join(this.dir, 'blobs'), { recursive: true });
+        const file = path.join(tmpDir, `${randomBytes(12).toString('hex')}.part`);
+        return { file, stream: createWriteStream(file, { flags: 'wx' }) };
+    }
+
+    async discard(upload) {
+        // Wait for the descriptor to close, or a stream still opening would recreate the file after unlink
+        if (!upload.stream.closed) {
+            const closed = once(upload.stream, 'close');
+            upload.stream.destroy();
+            await closed.catch(() => {});
+        }
+        await unlink(upload.file).catch(() => {});
+    }
+
+    // Moves a finished upload into place under a fresh id; -> the stored object
+    async commit(upload, meta) {
+        const { objects } = await this.load();
+        const id = randomBytes(12).toString('base64url');
+        await rename(upload.file, this.blobPath(id));
+        objects[id] = { id, downloads: 0, createdAt: new Date(this.now()).toISOString(), ...meta };
+        await this.persist();
+        return structuredClone(objects[id]);
+    }
+
+    async get(id) {
+        await this.purge();
+        const object = Object.hasOwn(this.data.objects, id) ? this.data.objects[id] : null;
+        return object ? structuredClone(object) : null;
+    }
+
+    // Counts one download before it starts, so parallel requests cannot exceed maxDownloads.
+    // -> the object as it was before this download (null when gone); `last` says it was the final allowed one.
+    async claimDownload(id) {
+        const object = await this.get(id);
+        if (!object) return null;
+        const live = this.data.objects[id];
+        live.downloads += 1;
+        await this.persist();
+        return { object, last: live.maxDownloads !== null && live.downloads >= live.maxDownloads };
+    }
+
+    async remove(id) {
+        const { objects } = await this.load();
+        if (!Object.hasOwn(objects, id)) return false;
+        delete objects[id];
+        await this.persist();
+        await unlink(this.blobPath(id)).catch(() => {});
+        return true;
+    }
+}
@@ -0,0 +1,235 @@
+// FILE: /server/storage/sqlite-store.js
+// Purpose: file-backed SQLite parts store on Node's built-in node:sqlite (Node 22.13+), no npm packages
+
+import { StoreError } from './store-errors.js';
+import { migrate, transaction } from './migrations.js';
+
+function rowToPart(row) {
+    return {
+        id: row.id,
+        type: row.type,
+        name: row.name,
+        manufacturer: row.manufacturer,
+        price: row.price,
+        quantity: row.quantity,
+        specifications: JSON.parse(row.specifications)
+    };
+}
+
+function rowToMovement(row) {
+    return { id: row.id, partId: row.part_id, type: row.type, delta: row.delta, reason: row.reason, createdAt: row.created_at };
+}
+
+function rowToPrice(row) {
+    return { id: row.id, partId: row.part_id, price: row.price, recordedAt: row.recorded_at };
+}
+
+function rowToBuild(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        items: JSON.parse(row.items),
+        editTokenHash: row.edit_token_hash,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function partParams(part) {
+    return [part.type, part.name, part.manufacturer, part.price, part.quantity ?? 0, JSON.stringify(part.specifications ?? {})];
+}
+
+export class SqliteStore {
+    constructor(db) {
+        this.db = db;
+        this.sql = {
+            list: db.prepare('SELECT * FROM parts ORDER BY id'),
+            get: db.prepare('SELECT * FROM parts WHERE id = ?'),
+            // A deleted part's id stays taken while its movements or prices name it
+            idInUse: db.prepare(`
+                SELECT 1 FROM parts WHERE id = ?1
+                UNION ALL SELECT 1 FROM stock_movements WHERE part_id = ?1
+                UNION ALL SELECT 1 FROM price_history WHERE part_id = ?1
+                LIMIT 1
+            `),
+            insert: db.prepare('INSERT INTO parts (type, name, manufacturer, price, quantity, specifications) VALUES (?, ?, ?, ?, ?, ?)'),
+            insertWithId: db.prepare('INSERT INTO parts (id, type, name, manufacturer, price, quantity, specifications) VALUES (?, ?, ?, ?, ?, ?, ?)'),
+            update: db.prepare('UPDATE parts SET type = ?, name = ?, manufacturer = ?, price = ?, quantity = ?, specifications = ? WHERE id = ?'),
+            remove: db.prepare('DELETE FROM parts WHERE id = ?'),
+            setQuantity: db.prepare('UPDATE parts SET quantity = ? WHERE id = ?'),
+            insertMovement: db.prepare('INSERT INTO stock_movements (part_id, type, delta, reason, created_at) VALUES (?, ?, ?, ?, ?)'),
+            getMovement: db.prepare('SELECT * FROM stock_movements WHERE id = ?'),
+            listThresholds: db.prepare('SELECT part_id, threshold FROM reorder_thresholds'),
+            setThreshold: db.prepare('INSERT INTO reorder_thresholds (part_id, threshold) VALUES (?, ?) ON CONFLICT (part_id) DO UPDATE SET threshold = excluded.threshold'),
+            clearThreshold: db.prepare('DELETE FROM reorder_thresholds WHERE part_id = ?'),
+            untracked: db.prepare('SELECT * FROM parts WHERE quantity <> 0 AND id NOT IN (SELECT DISTINCT part_id FROM stock_movements)'),
+            insertPrice: db.prepare('INSERT INTO price_history (part_id, price, recorded_at) VALUES (?, ?, ?)'),
+            getPrice: db.prepare('SELECT * FROM price_history WHERE id = ?'),
+            listPrices: db.prepare('SELECT * FROM price_history WHERE part_id = ? ORDER BY recorded_at, id'),
+            unpriced: db.prepare('SELECT * FROM parts WHERE id NOT IN (SELECT DISTINCT part_id FROM price_history)'),
+            getBuild: db.prepare('SELECT * FROM builds WHERE id = ?'),
+            saveBuild: db.prepare(`
+                INSERT INTO builds (id, name, items, edit_token_hash, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)
+                ON CONFLICT (id) DO UPDATE SET name = excluded.name, items = excluded.items, updated_at = excluded.updated_at
+            `),
+            deleteBuild: db.prepare('DELETE FROM builds WHERE id = ?')
+        };
+    }
+
+    // Call inside a transaction
+    appendMovement(partId, type, delta, reason) {
+        const { lastInsertRowid } = this.sql.insertMovement.run(partId, type, delta, reason, new Date().toISOString());
+        return rowToMovement(this.sql.getMovement.get(Number(lastInsertRowid)));
+    }
+
+    // Call inside a transaction
+    appendPrice(partId, price) {
+        const { lastInsertRowid } = this.sql.insertPrice.run(partId, price, new Date().toISOString());
+        return rowToPrice(this.sql.getPrice.get(Number(lastInsertRowid)));
+    }
+
+    async list() {
+        return this.sql.list.all().map(rowToPart);
+    }
+
+    async get(id) {
+        const row = this.sql.get.get(id);
+        return row ? rowToPart(row) : null;
+    }
+
+    async create(part) {
+        return transaction(this.db, () => {
+            if (part.id !== undefined && this.sql.idInUse.get(part.id)) return null;
+            const { lastInsertRowid } = part.id !== undefined
+                ? this.sql.insertWithId.run(part.id, ...partParams(part))
+                : this.sql.insert.run(...partParams(part));
+            const id = Number(lastInsertRowid);
+            if (part.quantity) this.appendMovement(id, 'opening', part.quantity, 'Part created');
+            this.appendPrice(id, part.price);
+            return rowToPart(this.sql.get.get(id));
+        });
+    }
+
+    async replace(id, part) {
+        return transaction(this.db, () => {
+            const before = this.sql.get.get(id);
+            if (!before) return null;
+            this.sql.update.run(...partParams(part), id);
+            const delta = (part.quantity ?? 0) - before.quantity;
+            if (delta) this.appendMovement(id, 'adjustment', delta, 'Quantity edited on the part record');
+            if (part.price !== before.price) this.appendPrice(id, part.price);
+            return rowToPart(this.sql.get.get(id));
+        });
+    }
+
+    async remove(id) {
+        return this.sql.remove.run(id).changes > 0;
+    }
+
+    async recordMovements(movements) {
+        return transaction(this.db, () => {
+            const touched = new Set();
+            const created = [];
+            for (const { partId, type, delta, reason } of movements) {
+                const row = this.sql.get.get(partId);
+                if (!row) throw new StoreError('NOT_FOUND', `Part ${partId} not found`);
+                const quantity = row.quantity + delta;
+                if (quantity < 0) {
+                    throw new StoreError('INSUFFICIENT_STOCK', `Part ${partId} has ${row.quantity} in stock`, { id: partId, available: row.quantity, delta });
+                }
+                this.sql.setQuantity.run(quantity, partId);
+                created.push(this.appendMovement(partId, type, delta, reason));
+                touched.add(partId);
+            }
+            return { movements: created, parts: [...touched].map(id => rowToPart(this.sql.get.get(id))) };
+        });
+    }
+
+    async adjustStock(changes) {
+        const movements = changes.map(c => ({ partId: c.id, type: 'adjustment', delta: c.delta, reason: c.reason || 'Stock adjustment' }));
+        return (await this.recordMovements(movements)).parts;
+    }
+
+    async listMovements({ partId, since, until } = {}) {
+        const where = [];
+        const params = [];
+        if (partId !== undefined) { where.push('part_id = ?'); params.push(partId); }
+        if (since) { where.push('created_at >= ?'); params.push(since); }
+        if (until) { where.push('created_at <= ?'); params.push(until); }
+        const sql = `SELECT * FROM stock_movements ${where.length ? 'WHERE ' + where.join(' AND ') : ''} ORDER BY created_at, id`;
+        return this.db.prepare(sql).all(...params).map(rowToMovement);
+    }
+
+    async ensureOpeningBalances() {
+        return transaction(this.db, () => {
+            const rows = this.sql.untracked.all();
+            rows.forEach(r => this.appendMovement(r.id, 'opening', r.quantity, 'Opening balance'));
+            return rows.length;
+        });
+    }
+
+    async getThresholds() {
+        return Object.fromEntries(this.sql.listThresholds.all().map(r => [r.part_id, r.threshold]));
+    }
+
+    async setThreshold(id, threshold) {
+        if (threshold === null) this.sql.clearThreshold.run(id);
+        else this.sql.setThreshold.run(id, threshold);
+    }
+
+    async listPrices(partId) {
+        return this.sql.listPrices.all(partId).map(rowToPrice);
+    }
+
+    async ensurePriceHistory() {
+        return transaction(this.db, () => {
+            const rows = this.sql.unpriced.all();
+            rows.forEach(r => this.appendPrice(r.id, r.price));
+            return rows.length;
+        });
+    }
+
+    async getBuild(id) {
+        const row = this.sql.getBuild.get(id);
+        return row ? rowToBuild(row) : null;
+    }
+
+    async saveBuild(build) {
+        this.sql.saveBuild.run(build.id, build.name, JSON.stringify(build.items), build.editTokenHash, build.createdAt, build.updatedAt);
+        return this.getBuild(build.id);
+    }
+
+    async deleteBuild(id) {
+        return this.sql.deleteBuild.run(id).changes > 0;
+    }
+
+    // Bulk load for the importer into an empty database; follow with ensureOpeningBalances() and ensurePriceHistory()
+    async importParts(parts) {
+        return transaction(this.db, () => {
+            const upsert = this.db.prepare(`
+                INSERT INTO parts (id, type, name, manufacturer, price, quantity, specifications) VALUES (?, ?, ?, ?, ?, ?, ?)
+                ON CONFLICT (id) DO UPDATE SET type = excluded.type, name = excluded.name, manufacturer = excluded.manufacturer,
+                    price = excluded.price, quantity = excluded.quantity, specifications = excluded.specifications
+            `);
+            for (const part of parts) upsert.run(part.id, ...partParams(part));
+            return parts.length;
+        });
+    }
+
+    async close() {
+        this.db.close();
+    }
+}
+
+export async function openSqliteStore(file) {
+    let sqlite;
+    try {
+        sqlite = await import('node:sqlite');
+    } catch {
+        throw new Error('SQLite storage needs Node 22.13 or newer (built-in node:sqlite)');
+    }
+    const db = new sqlite.DatabaseSync(file);
+    db.exec('PRAGMA journal_mode = WAL');
+    migrate(db);
+    return new SqliteStore(db);
+}
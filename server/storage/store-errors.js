@@ -0,0 +1,12 @@
+// FILE: /server/storage/store-errors.js
+// Purpose: storage-level errors; routes translate them into HTTP statuses
+
+export class StoreError extends Error {
+    // code: 'NOT_FOUND' | 'CONFLICT' | 'INSUFFICIENT_STOCK'
+    constructor(code, message, details) {
+        super(message);
+        this.name = 'StoreError';
+        this.code = code;
+        this.details = details;
+    }
+}
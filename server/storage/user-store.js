@@ -0,0 +1,95 @@
+// FILE: /server/storage/user-store.js
+// Purpose: password-manager accounts in one JSON file (default data/private/pm-users.json, never served)
+//
+// { secret, users: { [username]: account } }
+//   account: { username, email, salt, verifier, vault, vaultVersion, activated, activationTokenHash,
+//              activationExpires, failedLogins, lockedUntil, createdAt, vaultUpdatedAt? }
+// `secret` is generated on first use and keys the decoy salts handed out for unknown usernames.
+// Usernames are stored lower-case, so "Alice" and "alice" are one account.
+
+import { randomBytes } from 'node:crypto';
+import { writeAtomic, readOptionalJson } from './files.js';
+
+export class JsonUserStore {
+    constructor(file) {
+        this.file = file;
+        this.data = null;
+        this.writing = Promise.resolve();
+    }
+
+    async load() {
+        if (this.data) return this.data;
+        const data = await readOptionalJson(this.file, { users: {} });
+        // No prototype, so usernames such as "constructor" or "__proto__" are plain keys like any other
+        data.users = Object.assign(Object.create(null), data.users);
+        if (!data.secret) {
+            data.secret = randomBytes(32).toString('base64');
+            this.data = data;
+            await this.persist();
+        }
+        this.data = data;
+        return data;
+    }
+
+    // A failed write (disk full, EACCES) rejects for its own caller only; the next one still runs
+    persist() {
+        const text = JSON.stringify(this.data, null, 2);
+        const write = this.writing.catch(() => {}).then(() => writeAtomic(this.file, text));
+        this.writing = write;
+        return write;
+    }
+
+    async getSecret() {
+        return (await this.load()).secret;
+    }
+
+    async get(username) {
+        const account = (await this.load()).users[username.toLowerCase()];
+        return account ? structuredClone(account) : null;
+    }
+
+    // null when the username is taken
+    async create(account) {
+        const { users } = await this.load();
+        const key = account.username.toLowerCase();
+        if (users[key]) return null;
+        users[key] = { ...structuredClone(account), username: key };
+        await this.persist();
+        return structuredClone(users[key]);
+    }
+
+    async update(username, changes) {
+        const { users } = await this.load();
+        const key = username.toLowerCase();
+        if (!users[key]) return null;
+        users[key] = { ...users[key], ...structuredClone(changes) };
+        await this.persist();
+        return structuredClone(users[key]);
+    }
+
+    // Compare-and-set on vaultVersion, so two tabs or devices can't silently overwrite each other.
+    // -> { account } when baseVersion was current (version goes up by one), { conflict: account } when it wasn't.
+    // `credentials` ({ salt, verifier }) change in the same write on a password or KDF change.
+    async replaceVault(username, vault, baseVersion, credentials = {}) {
+        const { users } = await this.load();
+        const account = users[username.toLowerCase()];
+        if (!account) return null;
+        if (account.vaultVersion !== baseVersion) return { conflict: structuredClone(account) };
+        Object.assign(account, structuredClone(credentials));
+        account.vault = structuredClone(vault);
+        account.vaultVersion += 1;
+        account.vaultUpdatedAt = new Date().toISOString();
+        await this.persist();
+        return { account: structuredClone(account) };
+    }
+
+    async findByActivationHash(hash) {
+        const { users } = await this.load();
+        const account = Object.values(users).find(u => u.activationTokenHash === hash);
+        return account ? structuredClone(account) : null;
+    }
+
+    async close() {
+        await this.writing;
+    }
+}
@@ -0,0 +1,70 @@
+// FILE: /sw.js
+// Purpose: service worker — keeps the parts pages, their styles and scripts so they open without a network.
+// Registered by js/catalogue-offline.js. The catalogue data is not cached here: the pages keep it in IndexedDB
+// and revalidate it with ETags themselves (js/offline-store.js), so API requests pass straight through.
+//
+// Pages and assets are network first: online you always get the current files, offline the last ones seen.
+// Bump CACHE when the shell list changes; old caches are deleted on activate.
+
+const CACHE = 'parts-shell-v1';
+
+const SHELL = [
+    'index.html',
+    'ComputerComponentLIst.html',
+    'ImportJson.html',
+    'css/style2.css',
+    'css/style3.css',
+    'js/script.js',
+    'js/catalogue-offline.js',
+    'js/offline-store.js',
+    'js/catalogue-release.js',
+    'js/crypto-core.js',
+    'js/release-key.js',
+    'js/currency.js',
+    'js/dashboard.js',
+    'js/part-list.js',
+    'js/part-schema.js',
+    'js/xml-mapper.js',
+    'js/xml.js',
+    'https://d3js.org/d3.v5.min.js'
+];
+
+// Same-origin files worth keeping; everything else (the API, data/) is left to the network
+const ASSET = /(\/|\.(html|css|js|png|jpe?g|gif|svg))$/;
+
+self.addEventListener('install', event => {
+    // One missing file (say the CDN is down) should not stop the rest from being kept
+    event.waitUntil(caches.open(CACHE)
+        .then(cache => Promise.all(SHELL.map(url => cache.add(url).catch(e => console.warn('Not cached:', url, e)))))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys.filter(key => key !== CACHE).map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+function isShellRequest(request) {
+    if (request.method !== 'GET') return false;
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return SHELL.includes(request.url);
+    return !url.pathname.startsWith('/data/') && ASSET.test(url.pathname);
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE);
+    try {
+        const response = await fetch(request);
+        if (response.ok || response.type === 'opaque') await cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+self.addEventListener('fetch', event => {
+    if (isShellRequest(event.request)) event.respondWith(networkFirst(event.request));
+});
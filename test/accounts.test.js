@@ -0,0 +1,79 @@
+// FILE: /test/accounts.test.js
+// Purpose: password-manager accounts — any valid username is an ordinary account key, and unknown ones look real
+// Run: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { mkdtemp, mkdir, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { JsonUserStore } from '../server/storage/user-store.js';
+import { MemoryStore } from '../server/storage/memory-store.js';
+import { createRateLimiter } from '../server/rate-limit.js';
+import { createApp } from '../server/server.js';
+import { LEGACY_KDF, KDF_ALGORITHMS, recommendedKdf } from '../js/crypto-core.js';
+
+async function withUserStore(fn) {
+    const dir = await mkdtemp(path.join(tmpdir(), 'pm-users-'));
+    try {
+        await fn(path.join(dir, 'pm-users.json'));
+    } finally {
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+test('names of Object.prototype members are usernames like any other', () => withUserStore(async file => {
+    const users = new JsonUserStore(file);
+    for (const username of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+        assert.equal(await users.get(username), null, username);
+        const created = await users.create({ username, salt: 's', verifier: 'v', vaultVersion: 0 });
+        assert.equal(created.username, username.toLowerCase());
+        assert.equal(await users.create({ username, salt: 'other' }), null, `${username} is taken`);
+        assert.equal((await users.update(username, { activated: true })).activated, true);
+    }
+    await users.close();
+
+    const reopened = new JsonUserStore(file);
+    assert.deepEqual(Object.keys((await reopened.load()).users), ['constructor', '__proto__', 'tostring', 'hasownproperty']);
+    assert.equal((await reopened.get('__proto__')).salt, 's');
+}));
+
+test('a failed write does not block the account writes after it', () => withUserStore(async file => {
+    const users = new JsonUserStore(file);
+    await users.load();
+    // A directory where the temp file should go makes the next write fail
+    await mkdir(`${file}.tmp`);
+    await assert.rejects(users.create({ username: 'first', salt: 's' }));
+    await rm(`${file}.tmp`, { recursive: true });
+
+    assert.equal((await users.create({ username: 'second', salt: 's' })).username, 'second');
+    await users.close();
+    assert.deepEqual(Object.keys(JSON.parse(await readFile(file, 'utf8')).users), ['first', 'second']);
+}));
+
+test('unknown usernames get a KDF that real accounts use, the same one every time', () => withUserStore(async file => {
+    const limiter = createRateLimiter({ windowMs: 60_000, max: 1000 });
+    const { handler } = createApp({ users: new JsonUserStore(file), store: new MemoryStore(), staticRoot: null, limiter });
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const challenge = async username => (await fetch(`http://127.0.0.1:${server.address().port}/login/challenge`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username })
+    })).json();
+    try {
+        const shapes = [LEGACY_KDF, ...Object.keys(KDF_ALGORITHMS).map(alg => recommendedKdf(alg))].map(k => JSON.stringify(k));
+        const seen = new Set();
+        for (let i = 0; i < 30; i++) {
+            const { salt, kdf } = await challenge(`nobody${i}`);
+            assert.ok(shapes.includes(JSON.stringify(kdf)), JSON.stringify(kdf));
+            const again = await challenge(`NoBody${i}`);
+            assert.deepEqual([again.salt, again.kdf], [salt, kdf]);
+            seen.add(JSON.stringify(kdf));
+        }
+        assert.equal(seen.size, shapes.length, 'decoys use every setting, not only the default');
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}));
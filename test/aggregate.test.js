@@ -0,0 +1,105 @@
+// FILE: /test/aggregate.test.js
+// Purpose: multi-source aggregation — matching, precedence, conflicts and provenance, and the matchBy the API accepts
+// Run: node --test test/
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { aggregate, normaliseName, MATCHERS } from '../js/aggregate.js';
+import { MemoryStore } from '../server/storage/memory-store.js';
+import { createApp } from '../server/server.js';
+
+const shop = { name: 'shop', records: [
+    { id: 1, name: 'Ryzen 7 7700X', manufacturer: 'AMD', price: 300, specifications: { cores: 8 } },
+    { id: 2, name: 'RTX 4060', manufacturer: 'NVIDIA', price: 310 }
+] };
+const feed = { name: 'feed', records: [
+    { id: 1, name: 'Ryzen 7 7700X', manufacturer: 'AMD', price: 280, specifications: { cores: 8, socket: 'AM5' } },
+    { id: 3, name: 'rtx-4060', manufacturer: 'nvidia', price: 299 }
+] };
+
+describe('matching', () => {
+    test('by id, each key merges one record per source', () => {
+        const { items, stats } = aggregate([shop, feed]);
+        assert.deepEqual(items.map(i => [i.key, i.sources]), [['id:1', ['shop', 'feed']], ['id:2', ['shop']], ['id:3', ['feed']]]);
+        assert.deepEqual(items[0].record.specifications, { cores: 8, socket: 'AM5' });
+        assert.equal(stats.keys, 3);
+    });
+
+    test('by name, spelling and case differences still match', () => {
+        assert.equal(normaliseName('MSI GeForce RTX 4060 Ti'), normaliseName('msi  geforce rtx-4060ti'));
+        const { items } = aggregate([shop, feed], { matchBy: 'name' });
+        assert.deepEqual(items.map(i => i.key), ['name:ryzen77700x|amd', 'name:rtx4060|nvidia']);
+        assert.deepEqual(items[1].sources, ['shop', 'feed']);
+    });
+
+    test('repeats within a source are skipped and counted; records without a key stay apart', () => {
+        const noisy = { name: 'noisy', records: [{ id: 1, price: 1 }, { id: 1, price: 2 }, { name: 'no id' }] };
+        const { items, stats } = aggregate([noisy]);
+        assert.equal(stats.duplicatesSkipped, 1);
+        assert.equal(items[0].record.price, 1);
+        assert.equal(items[1].key, 'unmatched:noisy#2');
+    });
+
+    test('only the listed matchers are accepted', () => {
+        assert.deepEqual(Object.keys(MATCHERS), ['id', 'name']);
+        for (const matchBy of ['hasOwnProperty', 'toString', 'constructor', '__proto__', 'sku']) {
+            assert.throws(() => aggregate([shop], { matchBy }), /Unknown matchBy/, matchBy);
+        }
+    });
+});
+
+describe('precedence', () => {
+    test('the first listed source wins, and every disagreement is a conflict with provenance', () => {
+        const { items, conflicts, stats } = aggregate([shop, feed], { precedence: { '*': ['feed', 'shop'] } });
+        assert.equal(items[0].record.price, 280);
+        assert.deepEqual(items[0].provenance, { id: 'feed', name: 'feed', manufacturer: 'feed', price: 'feed', 'specifications.cores': 'feed', 'specifications.socket': 'feed' });
+        assert.deepEqual(conflicts.map(c => [c.key, c.field, c.chosen]), [['id:1', 'price', 'feed']]);
+        assert.equal(stats.bySource.shop.disagreements, 1);
+        assert.deepEqual(stats.byField, { price: 1 });
+    });
+
+    test('per-field rules: min / max for numbers, a source list for the rest', () => {
+        assert.equal(aggregate([shop, feed], { precedence: { price: 'max' } }).items[0].record.price, 300);
+        assert.equal(aggregate([shop, feed], { precedence: { price: 'min' } }).items[0].record.price, 280);
+        const byList = aggregate([shop, feed], { precedence: { '*': ['shop'], price: ['feed'] } }).items[0];
+        assert.deepEqual([byList.record.price, byList.provenance.price, byList.provenance.name], [280, 'feed', 'shop']);
+    });
+
+    test('field names that are Object.prototype members use the default rule', () => {
+        const odd = [{ name: 'a', records: [{ id: 1, constructor: 'x' }] }, { name: 'b', records: [{ id: 1, constructor: 'y' }] }];
+        const { items } = aggregate(odd, { precedence: { '*': ['b'] } });
+        assert.equal(items[0].record.constructor, 'y');
+    });
+});
+
+test('GET /catalogue/aggregate answers 400 for a matchBy that is not listed', async () => {
+    const dir = await mkdtemp(path.join(tmpdir(), 'parts-sources-'));
+    const sourcesFile = path.join(dir, 'sources.json');
+    await writeFile(sourcesFile, JSON.stringify({
+        matchBy: 'id',
+        sources: [{ name: 'local-json', url: 'data/data.json' }, { name: 'local-xml', url: 'data/data.xml' }]
+    }));
+    const { handler } = createApp({ store: new MemoryStore(), staticRoot: null, sourcesFile });
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const get = query => fetch(`http://127.0.0.1:${server.address().port}/catalogue/aggregate${query}`);
+    try {
+        for (const matchBy of ['hasOwnProperty', 'toString', 'constructor', 'sku']) {
+            const response = await get(`?matchBy=${matchBy}`);
+            assert.equal(response.status, 400, matchBy);
+            assert.match((await response.json()).error, /matchBy must be one of id, name/);
+        }
+        const response = await get('?matchBy=name&view=summary');
+        assert.equal(response.status, 200);
+        const summary = await response.json();
+        assert.equal(summary.items, undefined);
+        assert.deepEqual(summary.sources.map(s => s.error ?? null), [null, null]);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        await rm(dir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,152 @@
+// FILE: /test/builds.test.js
+// Purpose: PC builds — compatibility rules, quotes, and the quote download formats
+// Run: node --test test/
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { evaluateBuild } from '../js/build-rules.js';
+import { createQuote, quoteToCsv, quoteToText, QUOTE_VALID_DAYS } from '../js/build-quote.js';
+import { parseCsv } from '../js/csv.js';
+import { MemoryStore } from '../server/storage/memory-store.js';
+import { createApp } from '../server/server.js';
+
+const part = (id, type, specifications, extra = {}) =>
+    ({ id, type, name: `${type} ${id}`, manufacturer: 'Acme', price: 100, quantity: 5, specifications, ...extra });
+
+const PARTS = {
+    cpu: part(1, 'CPU', { cores: 8, clockSpeed: '4 GHz', socket: 'AM5', chipsets: 'B650, X670', powerDraw: 105 }),
+    board: part(2, 'Motherboard', { socket: 'AM5', chipset: 'B650', memoryType: 'DDR5', memorySlots: 4, formFactor: 'ATX' }),
+    ram: part(3, 'RAM', { memoryType: 'DDR5', modules: 2, capacity: '32GB' }),
+    gpu: part(4, 'GPU', { cores: 60, clockSpeed: '2.5 GHz', powerDraw: 300 }),
+    ssd: part(5, 'Storage', { capacity: '1TB' }),
+    psu: part(6, 'PSU', { wattage: 750 }),
+    case: part(7, 'Case', { formFactor: 'ATX' })
+};
+
+const build = (overrides = {}, quantities = {}) => Object.entries({ ...PARTS, ...overrides })
+    .filter(([, p]) => p)
+    .map(([key, p]) => ({ part: p, quantity: quantities[key] ?? 1 }));
+
+const findings = (selection, rule) => evaluateBuild(selection).findings.filter(f => f.rule === rule);
+
+describe('compatibility rules', () => {
+    test('a matching build is compatible and complete', () => {
+        const result = evaluateBuild(build());
+        assert.deepEqual(result.findings, []);
+        assert.equal(result.compatible, true);
+        assert.equal(result.complete, true);
+        assert.equal(result.total, 700);
+    });
+
+    test('slots: too many of a type is an error, a missing required type a warning', () => {
+        assert.deepEqual(findings(build({}, { cpu: 2 }), 'slots').map(f => f.level), ['error']);
+        assert.deepEqual(findings(build({ ssd: null }), 'slots').map(f => [f.level, f.message]), [['warning', 'No Storage selected yet']]);
+        const odd = build({ extra: part(8, 'constructor', {}) });
+        assert.equal(evaluateBuild(odd).compatible, false);
+        assert.match(findings(odd, 'slots')[0].message, /Not a build component: constructor/);
+    });
+
+    test('cpu-socket and cpu-chipset', () => {
+        const intelBoard = { ...PARTS.board, specifications: { ...PARTS.board.specifications, socket: 'LGA1700' } };
+        assert.deepEqual(findings(build({ board: intelBoard }), 'cpu-socket').map(f => f.partIds), [[1, 2]]);
+        const socketless = { ...PARTS.cpu, specifications: { ...PARTS.cpu.specifications, socket: undefined } };
+        assert.equal(findings(build({ cpu: socketless }), 'cpu-socket')[0].level, 'warning');
+        const a620 = { ...PARTS.board, specifications: { ...PARTS.board.specifications, chipset: 'A620' } };
+        assert.equal(findings(build({ board: a620 }), 'cpu-chipset')[0].level, 'error');
+        assert.deepEqual(findings(build({ board: { ...a620, specifications: { ...a620.specifications, chipset: 'x670' } } }), 'cpu-chipset'), []);
+    });
+
+    test('memory type and slots', () => {
+        const ddr4 = { ...PARTS.ram, specifications: { ...PARTS.ram.specifications, memoryType: 'DDR4' } };
+        assert.deepEqual(findings(build({ ram: ddr4 }), 'memory').map(f => f.partIds), [[3]]);
+        assert.match(findings(build({}, { ram: 3 }), 'memory')[0].message, /6 memory modules but .* has 4 slots/);
+    });
+
+    test('psu-wattage: an error below the draw, a warning below the headroom', () => {
+        // 75 + 105 + 300 = 480 W, 576 W recommended
+        const small = { ...PARTS.psu, specifications: { wattage: 450 } };
+        const tight = { ...PARTS.psu, specifications: { wattage: 550 } };
+        assert.deepEqual(findings(build({ psu: small }), 'psu-wattage').map(f => f.level), ['error']);
+        assert.deepEqual(findings(build({ psu: tight }), 'psu-wattage').map(f => [f.level, f.message]), [['warning', 'Estimated draw 480 W; a 576 W PSU is recommended']]);
+        const unlisted = { ...PARTS.gpu, specifications: { cores: 60, clockSpeed: '2.5 GHz' } };
+        assert.equal(findings(build({ gpu: unlisted }), 'psu-wattage')[0].level, 'warning');
+    });
+
+    test('form-factor: a board fits a case its size or larger', () => {
+        const itxCase = { ...PARTS.case, specifications: { formFactor: 'Mini-ITX' } };
+        const itxBoard = { ...PARTS.board, specifications: { ...PARTS.board.specifications, formFactor: 'Mini-ITX' } };
+        assert.equal(findings(build({ case: itxCase }), 'form-factor')[0].level, 'error');
+        assert.deepEqual(findings(build({ board: itxBoard }), 'form-factor'), []);
+    });
+
+    test('availability counts how many whole builds stock allows', () => {
+        const result = evaluateBuild(build({}, { ram: 2 }));
+        assert.equal(result.available, true);
+        assert.equal(result.buildable, 2);
+        const short = evaluateBuild(build({}, { ssd: 6 }));
+        assert.deepEqual([short.available, short.buildable, short.compatible], [false, 0, true]);
+    });
+});
+
+describe('quotes', () => {
+    const issuedAt = new Date('2025-03-01T12:00:00Z');
+    const quote = createQuote({ id: 'b1', name: 'Gaming' }, evaluateBuild(build({ case: null })), 'EUR', issuedAt);
+
+    test('createQuote lists every line, the total and when it expires', () => {
+        assert.equal(quote.lines.length, 6);
+        assert.equal(quote.lines[0].description, 'Acme CPU 1');
+        assert.equal(quote.total, 600);
+        assert.equal(Date.parse(quote.validUntil) - issuedAt.getTime(), QUOTE_VALID_DAYS * 86400000);
+        assert.equal(quote.compatible, true);
+    });
+
+    test('CSV has one row per line plus the total', () => {
+        const rows = parseCsv(quoteToCsv(quote));
+        assert.deepEqual(rows[0], ['partId', 'type', 'description', 'quantity', 'unitPrice', 'lineTotal', 'inStock']);
+        assert.deepEqual(rows[1], ['1', 'CPU', 'Acme CPU 1', '1', '100', '100', 'yes']);
+        assert.deepEqual(rows.at(-1), ['', '', 'Total (EUR)', '', '', '600', 'yes']);
+    });
+
+    test('text names the build, the dates and the total', () => {
+        const text = quoteToText(quote);
+        assert.match(text, /^Quote for build "Gaming" \(b1\)\nIssued 2025-03-01, valid until 2025-03-15\n/);
+        assert.match(text, /Total +€600\.00\n$/);
+    });
+});
+
+test('GET /builds/:id/quote serves the listed formats only', async () => {
+    const store = new MemoryStore(Object.values(PARTS));
+    const { handler } = createApp({ store, staticRoot: null });
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+        const created = await (await fetch(`${base}/builds`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: 'Gaming', items: Object.values(PARTS).map(p => ({ partId: p.id })) })
+        })).json();
+        const quote = (query, headers = {}) => fetch(`${base}/builds/${created.id}/quote${query}`, { headers });
+
+        const csv = await quote('?format=csv');
+        assert.equal(csv.status, 200);
+        assert.match(csv.headers.get('content-type'), /^text\/csv/);
+        assert.equal(csv.headers.get('content-disposition'), `attachment; filename="quote-${created.id}.csv"`);
+        await csv.text();
+
+        const text = await quote('', { Accept: 'text/plain' });
+        assert.match(text.headers.get('content-type'), /^text\/plain/);
+        assert.match(await text.text(), /^Quote for build "Gaming"/);
+        assert.equal((await (await quote('')).json()).buildId, created.id);
+
+        for (const format of ['constructor', 'toString', '__proto__', 'xml']) {
+            const refused = await quote(`?format=${format}`);
+            assert.equal(refused.status, 406, format);
+            assert.equal(refused.headers.get('content-disposition'), null);
+            await refused.text();
+        }
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
@@ -0,0 +1,41 @@
+// FILE: /test/catalogue-format.test.js
+// Purpose: catalogue conversions — JSON → CSV/XML → JSON gives back the same records
+// Run: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { fromJson, toCsv, fromCsv, toXml, fromXml } from '../js/catalogue-format.js';
+import { parseCsv, writeCsv } from '../js/csv.js';
+import { validatePart } from '../js/part-schema.js';
+
+const parts = fromJson(await readFile(new URL('../data/data.json', import.meta.url), 'utf8'));
+
+test('data/data.json survives a CSV round trip unchanged', () => {
+    const back = fromCsv(toCsv(parts));
+    assert.equal(back.length, parts.length);
+    assert.deepEqual(back, parts);
+    const failing = list => list.filter(p => validatePart(p).length).length;
+    assert.equal(failing(back), failing(parts));
+});
+
+test('data/data.json survives an XML round trip unchanged', () => {
+    assert.deepEqual(fromXml(toXml(parts)), parts);
+});
+
+test('an empty CSV cell is a missing field, a quoted one an empty string', () => {
+    const csv = 'id,type,name,manufacturer,price,quantity,specifications.cores,specifications.socket\r\n'
+        + '1,CPU,"",AMD,10,1,4,\r\n'
+        + '2,CPU,X,AMD,10,1,4,AM5\r\n';
+    const [first, second] = fromCsv(csv);
+    assert.deepEqual(first, { id: 1, type: 'CPU', name: '', manufacturer: 'AMD', price: 10, quantity: 1, specifications: { cores: 4 } });
+    assert.equal(second.specifications.socket, 'AM5');
+    assert.deepEqual(fromCsv(toCsv([first, second])), [first, second]);
+});
+
+test('parseCsv reads both kinds of empty cell as "" unless told otherwise', () => {
+    assert.equal(writeCsv([['', undefined, 'a']]), '"",,a\r\n');
+    assert.deepEqual(parseCsv('"",,a\r\n'), [['', '', 'a']]);
+    assert.deepEqual(parseCsv('"",,a\r\n', { missing: null }), [['', null, 'a']]);
+    assert.deepEqual(parseCsv('a,""'), [['a', '']]);
+});
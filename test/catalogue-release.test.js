@@ -0,0 +1,136 @@
+// FILE: /test/catalogue-release.test.js
+// Purpose: signed catalogue releases — manifest signatures, file hashes, the pinned key and rollback protection
+// Run: node --test test/
+
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { enc, genEcdsaKeyPair, exportSpki, b64 } from '../js/crypto-core.js';
+import {
+    createReleaseManifest, verifyReleaseManifest, verifyReleaseFile, loadVerifiedReleaseFile, storageReleaseCache,
+    ReleaseError, MANIFEST_FILE
+} from '../js/catalogue-release.js';
+import { RELEASE_PUBLIC_KEY } from '../js/release-key.js';
+
+const DATA = '[{"id":1,"type":"CPU","name":"Ryzen"}]';
+
+let key, spki, otherSpki;
+
+before(async () => {
+    key = await genEcdsaKeyPair();
+    spki = await exportSpki(key.publicKey);
+    otherSpki = await exportSpki((await genEcdsaKeyPair()).publicKey);
+});
+
+const release = (version, publishedAt, data = DATA) =>
+    createReleaseManifest(key.privateKey, { 'data.json': data }, { version, publishedAt });
+
+// readBytes over an in-memory release, as the page and the server read a published directory
+const published = (manifest, data = DATA) => ({
+    readBytes: async name => enc.encode(name === MANIFEST_FILE ? JSON.stringify(manifest) : data)
+});
+
+// storageReleaseCache over a Map, standing in for localStorage
+function memoryStorage() {
+    const items = new Map();
+    return { getItem: k => items.get(k) ?? null, setItem: (k, v) => items.set(k, v) };
+}
+
+describe('manifest', () => {
+    test('a manifest verifies against the key that signed it, as an object or as JSON text', async () => {
+        const manifest = await release('1', '2025-01-01T00:00:00Z');
+        assert.equal((await verifyReleaseManifest(manifest, spki)).version, '1');
+        assert.equal((await verifyReleaseManifest(JSON.stringify(manifest), b64(spki))).version, '1');
+        assert.deepEqual(Object.keys(manifest.files), ['data.json']);
+        assert.equal(manifest.files['data.json'].size, enc.encode(DATA).length);
+    });
+
+    test('a manifest signed by another key is rejected', async () => {
+        const manifest = await release('1', '2025-01-01T00:00:00Z');
+        await assert.rejects(verifyReleaseManifest(manifest, otherSpki), /signed by an unknown key/);
+    });
+
+    test('any edited field breaks the signature', async () => {
+        const manifest = await release('1', '2025-01-01T00:00:00Z');
+        const edits = [
+            { version: '2' },
+            { publishedAt: '2030-01-01T00:00:00.000Z' },
+            { files: { 'data.json': { ...manifest.files['data.json'], size: 1 } } }
+        ];
+        for (const edit of edits) {
+            await assert.rejects(verifyReleaseManifest({ ...manifest, ...edit }, spki), /bad signature/, JSON.stringify(edit));
+        }
+    });
+
+    test('damaged manifests are refused with a ReleaseError', async () => {
+        const manifest = await release('1', '2025-01-01T00:00:00Z');
+        for (const bad of ['{', JSON.stringify({ ...manifest, type: 'other' }), JSON.stringify({ ...manifest, v: 2 }),
+            JSON.stringify({ ...manifest, sig: 42 }), JSON.stringify({ ...manifest, files: { 'data.json': { sha256: 'x', size: 1 } } })]) {
+            await assert.rejects(verifyReleaseManifest(bad, spki), ReleaseError);
+        }
+    });
+
+    test('the published release in data/release verifies against the pinned key', async () => {
+        const dir = new URL('../data/release/', import.meta.url);
+        const manifest = await verifyReleaseManifest(await readFile(new URL(MANIFEST_FILE, dir), 'utf8'), RELEASE_PUBLIC_KEY);
+        for (const name of Object.keys(manifest.files)) {
+            await verifyReleaseFile(manifest, name, new Uint8Array(await readFile(new URL(name, dir))));
+        }
+    });
+});
+
+describe('files', () => {
+    test('a file is accepted only with the exact bytes the manifest lists', async () => {
+        const manifest = await release('1', '2025-01-01T00:00:00Z');
+        await verifyReleaseFile(manifest, 'data.json', DATA);
+        await assert.rejects(verifyReleaseFile(manifest, 'data.json', DATA.replace('Ryzen', 'Ryzan')), /SHA-256 differs/);
+        await assert.rejects(verifyReleaseFile(manifest, 'data.json', `${DATA}\n`), /SHA-256 differs/);
+        await assert.rejects(verifyReleaseFile(manifest, 'data.xml', DATA), /not part of release 1/);
+    });
+});
+
+describe('loadVerifiedReleaseFile', () => {
+    test('a verified file is returned and cached', async () => {
+        const cache = storageReleaseCache(memoryStorage());
+        const manifest = await release('1', '2025-01-01T00:00:00Z');
+        const result = await loadVerifiedReleaseFile('data.json', { ...published(manifest), publicKey: spki, cache });
+        assert.deepEqual(result, { text: DATA, version: '1', verified: true });
+        assert.deepEqual(cache.get('data.json'), { version: '1', publishedAt: manifest.publishedAt, text: DATA });
+    });
+
+    test('a tampered file or the wrong key falls back to the last verified copy', async () => {
+        const cache = storageReleaseCache(memoryStorage());
+        const manifest = await release('1', '2025-01-01T00:00:00Z');
+        await loadVerifiedReleaseFile('data.json', { ...published(manifest), publicKey: spki, cache });
+
+        const tampered = await loadVerifiedReleaseFile('data.json', { ...published(manifest, '[]'), publicKey: spki, cache });
+        assert.deepEqual([tampered.text, tampered.verified], [DATA, false]);
+        assert.match(tampered.error, /SHA-256 differs/);
+
+        const wrongKey = await loadVerifiedReleaseFile('data.json', { ...published(manifest), publicKey: otherSpki, cache });
+        assert.equal(wrongKey.verified, false);
+        assert.match(wrongKey.error, /unknown key/);
+        assert.equal(cache.get('data.json').text, DATA);
+    });
+
+    test('without a cached copy the verification error is thrown', async () => {
+        const manifest = await release('1', '2025-01-01T00:00:00Z');
+        await assert.rejects(loadVerifiedReleaseFile('data.json', { ...published(manifest, '[]'), publicKey: spki }), ReleaseError);
+        await assert.rejects(loadVerifiedReleaseFile('data.json', { ...published(manifest), publicKey: otherSpki, cache: storageReleaseCache(memoryStorage()) }), ReleaseError);
+    });
+
+    test('an older, correctly signed release cannot roll the catalogue back', async () => {
+        const cache = storageReleaseCache(memoryStorage());
+        const current = await release('2', '2025-02-01T00:00:00Z', '[2]');
+        await loadVerifiedReleaseFile('data.json', { ...published(current, '[2]'), publicKey: spki, cache });
+
+        const old = await release('1', '2025-01-01T00:00:00Z', '[1]');
+        const replayed = await loadVerifiedReleaseFile('data.json', { ...published(old, '[1]'), publicKey: spki, cache });
+        assert.deepEqual([replayed.text, replayed.version, replayed.verified], ['[2]', '2', false]);
+        assert.match(replayed.error, /Release 1 is older than the cached 2/);
+
+        const newer = await release('3', '2025-03-01T00:00:00Z', '[3]');
+        assert.deepEqual(await loadVerifiedReleaseFile('data.json', { ...published(newer, '[3]'), publicKey: spki, cache }),
+            { text: '[3]', version: '3', verified: true });
+    });
+});
@@ -0,0 +1,212 @@
+// FILE: /test/crypto-core.test.js
+// Purpose: js/crypto-core.js in Node — published known-answer vectors, ECDSA/ECDH round trips, base64
+// Run: node --test test/
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createDecipheriv, pbkdf2Sync } from 'node:crypto';
+import {
+    b64, ub64, enc, toHex, sha256, pbkdf2Bits, kdfBits, hkdfBits, hmacRaw, deriveEncAndMac, hmac, hmacVerify,
+    importRawAesKey, aesGcmEncryptBytes, aesGcmDecryptBytes, aesGcmEncryptJSON, aesGcmDecryptJSON, pbkdf2Key,
+    normalizeKdf, kdfLabel, kdfIsCurrent, recommendedKdf, DEFAULT_KDF, LEGACY_KDF,
+    genEcdsaKeyPair, ecdsaSign, ecdsaVerify, exportSpki, exportPkcs8, importSpki, importPkcs8,
+    genEcdhKeyPair, ecdhBits, importEcdhSpki, importEcdhPkcs8, publicSpkiOf, keyFingerprint
+} from '../js/crypto-core.js';
+
+const hex = s => Uint8Array.from(s.match(/../g) || [], b => parseInt(b, 16));
+
+describe('base64', () => {
+    // RFC 4648 section 10
+    const vectors = [['', ''], ['f', 'Zg=='], ['fo', 'Zm8='], ['foo', 'Zm9v'], ['foob', 'Zm9vYg=='], ['fooba', 'Zm9vYmE='], ['foobar', 'Zm9vYmFy']];
+
+    test('RFC 4648 vectors', () => {
+        for (const [plain, encoded] of vectors) {
+            assert.equal(b64(enc.encode(plain)), encoded);
+            assert.deepEqual(ub64(encoded), enc.encode(plain));
+        }
+    });
+
+    test('every byte value', () => {
+        const all = Uint8Array.from({ length: 256 }, (_, i) => i);
+        assert.equal(b64(all), Buffer.from(all).toString('base64'));
+        assert.deepEqual(ub64(b64(all)), all);
+    });
+
+    test('multi-MB arrays do not overflow the stack', () => {
+        const big = new Uint8Array(5 * 1024 * 1024 + 1).map((_, i) => (i * 31) & 255);
+        const encoded = b64(big);
+        assert.equal(encoded, Buffer.from(big).toString('base64'));
+        assert.deepEqual(ub64(encoded), big);
+    });
+
+    test('decoding accepts whitespace and missing padding, rejects the rest', () => {
+        assert.deepEqual(ub64('Zm9v\nYmE'), enc.encode('fooba'));
+        assert.deepEqual(ub64(' Zg '), enc.encode('f'));
+        for (const bad of ['Z', 'Zm9v!', 'Zg==Zg==', 'Zm9v-_', 'Zg===']) assert.throws(() => ub64(bad), /Invalid base64/, bad);
+    });
+});
+
+describe('known answers', () => {
+    test('SHA-256 (FIPS 180-2 "abc")', async () => {
+        assert.equal(toHex(await sha256(enc.encode('abc'))), 'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    });
+
+    test('PBKDF2-HMAC-SHA-256', async () => {
+        const salt = enc.encode('salt');
+        assert.equal(toHex(await pbkdf2Bits('password', salt, 1)), '120fb6cffcf8b32c43e7225256c4f837a86548c92ccc35480805987cb70be17b');
+        assert.equal(toHex(await pbkdf2Bits('password', salt, 4096)), 'c5e478d59288c841aa530db6845c4c8d962893a001ce4e11a4963873aa98134a');
+    });
+
+    test('kdfBits matches an independent PBKDF2 for both algorithms', async () => {
+        const salt = hex('000102030405060708090a0b0c0d0e0f');
+        for (const [alg, hash] of [['PBKDF2-SHA-256', 'sha256'], ['PBKDF2-SHA-512', 'sha512']]) {
+            const kdf = { alg, iterations: LEGACY_KDF.iterations };
+            const expected = pbkdf2Sync('correct horse', salt, kdf.iterations, 32, hash);
+            assert.deepEqual(await kdfBits('correct horse', salt, kdf), new Uint8Array(expected), alg);
+        }
+    });
+
+    test('HMAC-SHA-256 (RFC 4231 cases 1 and 2)', async () => {
+        assert.equal(toHex(await hmacRaw(new Uint8Array(20).fill(0x0b), enc.encode('Hi There'))),
+            'b0344c61d8db38535ca8afceaf0bf12b881dc200c9833da726e9376c2e32cff7');
+        assert.equal(toHex(await hmacRaw(enc.encode('Jefe'), enc.encode('what do ya want for nothing?'))),
+            '5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843');
+    });
+
+    test('HKDF-SHA-256 (RFC 5869 case 3: empty salt and info)', async () => {
+        // hkdfBits' default salt is 32 zero bytes, which HKDF treats the same as an empty salt
+        assert.equal(toHex(await hkdfBits(new Uint8Array(22).fill(0x0b), '', 42 * 8)),
+            '8da4e775a563c18f715f802a063c5a31b8a11f5c5ee1879ec3454e5f3c738d2d9d201395faa4b61a96c8');
+    });
+
+    test('AES-256-GCM (GCM spec test cases 13 and 14)', async () => {
+        const key = await importRawAesKey(new Uint8Array(32));
+        const iv = new Uint8Array(12);
+        assert.deepEqual(await aesGcmDecryptBytes(iv, hex('530f8afbc74536b9a963b4f1c4cb738b'), key), new Uint8Array(0));
+        const ct = hex('cea7403d4d606b6e074ec5d3baf39d18' + 'd0d1c8a799996bf0265b98b5d48ab919');
+        assert.deepEqual(await aesGcmDecryptBytes(iv, ct, key), new Uint8Array(16));
+        ct[3] ^= 1;
+        await assert.rejects(aesGcmDecryptBytes(iv, ct, key));
+    });
+});
+
+describe('AES-GCM helpers', () => {
+    const raw = hex('603deb1015ca71be2b73aef0857d77811f352c073b6108d72d9810a30914dff4');
+
+    test('bytes round trip with associated data, readable by an independent implementation', async () => {
+        const key = await importRawAesKey(raw);
+        const aad = enc.encode('header');
+        const { iv, ciphertext } = await aesGcmEncryptBytes(enc.encode('secret'), key, aad);
+        assert.equal(iv.length, 12);
+        assert.equal(ciphertext.length, 6 + 16);
+
+        const decipher = createDecipheriv('aes-256-gcm', raw, iv).setAAD(aad).setAuthTag(ciphertext.subarray(6));
+        assert.equal(Buffer.concat([decipher.update(ciphertext.subarray(0, 6)), decipher.final()]).toString(), 'secret');
+
+        assert.equal(new TextDecoder().decode(await aesGcmDecryptBytes(iv, ciphertext, key, aad)), 'secret');
+        await assert.rejects(aesGcmDecryptBytes(iv, ciphertext, key, enc.encode('other')));
+        await assert.rejects(aesGcmDecryptBytes(iv, ciphertext, key));
+    });
+
+    test('every encryption uses a fresh IV', async () => {
+        const key = await importRawAesKey(raw);
+        const a = await aesGcmEncryptBytes(new Uint8Array(8), key);
+        const b = await aesGcmEncryptBytes(new Uint8Array(8), key);
+        assert.notDeepEqual(a.iv, b.iv);
+        assert.notDeepEqual(a.ciphertext, b.ciphertext);
+    });
+
+    test('JSON round trip under a password key', async () => {
+        const key = await pbkdf2Key('pw', enc.encode('salt-salt-salt-s'), 1000);
+        const box = await aesGcmEncryptJSON({ a: 1, b: ['x'] }, key);
+        assert.deepEqual(await aesGcmDecryptJSON(box, key), { a: 1, b: ['x'] });
+        const ct = ub64(box.ciphertext);
+        ct[0] ^= 0x80;
+        await assert.rejects(aesGcmDecryptJSON({ ...box, ciphertext: b64(ct) }, key));
+    });
+
+    test('deriveEncAndMac: HMAC verifies only the same bytes under the same password', async () => {
+        const salt = new Uint8Array(16).fill(7);
+        const { macKey } = await deriveEncAndMac('pw', salt, LEGACY_KDF);
+        const tag = await hmac(macKey, enc.encode('data'));
+        assert.equal(await hmacVerify(macKey, enc.encode('data'), tag), true);
+        assert.equal(await hmacVerify(macKey, enc.encode('Data'), tag), false);
+        const other = await deriveEncAndMac('pw2', salt, LEGACY_KDF);
+        assert.equal(await hmacVerify(other.macKey, enc.encode('data'), tag), false);
+    });
+});
+
+describe('KDF parameters', () => {
+    test('defaults and labels', () => {
+        assert.deepEqual(normalizeKdf(), LEGACY_KDF);
+        assert.deepEqual(recommendedKdf(), DEFAULT_KDF);
+        assert.equal(kdfLabel(DEFAULT_KDF), 'PBKDF2-SHA-256;iterations=600000');
+        assert.equal(kdfIsCurrent(LEGACY_KDF), false);
+        assert.equal(kdfIsCurrent(recommendedKdf('PBKDF2-SHA-512')), true);
+    });
+
+    test('hostile parameters are rejected', () => {
+        assert.throws(() => normalizeKdf({ alg: 'scrypt', iterations: 1 }), /Unsupported KDF/);
+        for (const alg of ['constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+            assert.throws(() => normalizeKdf({ alg, iterations: 600000 }), /Unsupported KDF/, alg);
+            assert.throws(() => recommendedKdf(alg), /Unsupported KDF/, alg);
+            assert.equal(kdfIsCurrent({ alg, iterations: 600000 }), false, alg);
+        }
+        for (const iterations of [1, 149999, 10000001, 2.5, '600000']) {
+            assert.throws(() => normalizeKdf({ alg: 'PBKDF2-SHA-256', iterations }), /iterations/, String(iterations));
+        }
+    });
+});
+
+describe('ECDSA P-256', () => {
+    test('sign and verify, also after exporting and importing the keys', async () => {
+        const { publicKey, privateKey } = await genEcdsaKeyPair();
+        const data = enc.encode('release 1.0');
+        const sig = await ecdsaSign(privateKey, data);
+        assert.equal(sig.length, 64);
+        assert.equal(await ecdsaVerify(publicKey, data, sig), true);
+
+        const spki = await exportSpki(publicKey);
+        const imported = await importSpki(spki);
+        assert.equal(await ecdsaVerify(imported, data, sig), true);
+
+        const resigned = await ecdsaSign(await importPkcs8(await exportPkcs8(privateKey)), data);
+        assert.equal(await ecdsaVerify(imported, data, resigned), true);
+    });
+
+    test('changed data, a changed signature or another key fail', async () => {
+        const { publicKey, privateKey } = await genEcdsaKeyPair();
+        const other = await genEcdsaKeyPair();
+        const data = enc.encode('release 1.0');
+        const sig = await ecdsaSign(privateKey, data);
+        assert.equal(await ecdsaVerify(publicKey, enc.encode('release 1.1'), sig), false);
+        const bent = sig.slice();
+        bent[10] ^= 1;
+        assert.equal(await ecdsaVerify(publicKey, data, bent), false);
+        assert.equal(await ecdsaVerify(other.publicKey, data, sig), false);
+    });
+
+    test('publicSpkiOf and fingerprints', async () => {
+        const { publicKey, privateKey } = await genEcdsaKeyPair();
+        const spki = await exportSpki(publicKey);
+        assert.deepEqual(await publicSpkiOf(privateKey), spki);
+        const fingerprint = await keyFingerprint(spki);
+        assert.match(fingerprint, /^[0-9a-f]{64}$/);
+        assert.equal(fingerprint, toHex(await sha256(spki)));
+    });
+});
+
+describe('ECDH P-256', () => {
+    test('both sides agree, also through exported keys', async () => {
+        const alice = await genEcdhKeyPair();
+        const bob = await genEcdhKeyPair();
+        const ab = await ecdhBits(alice.privateKey, bob.publicKey);
+        assert.equal(ab.length, 32);
+        assert.deepEqual(await ecdhBits(bob.privateKey, alice.publicKey), ab);
+
+        const bobPrivate = await importEcdhPkcs8(await exportPkcs8(bob.privateKey));
+        const alicePublic = await importEcdhSpki(await exportSpki(alice.publicKey));
+        assert.deepEqual(await ecdhBits(bobPrivate, alicePublic), ab);
+        assert.deepEqual(await publicSpkiOf(bobPrivate), await exportSpki(bob.publicKey));
+    });
+});
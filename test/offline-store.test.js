@@ -0,0 +1,183 @@
+// FILE: /test/offline-store.test.js
+// Purpose: the offline cache — ETag revalidation, the release cache, and the outbox of parts added while offline
+// Run: node --test test/
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    revalidate, cachedResponse, offlineReleaseCache, queueEdit, listEdits, discardEdit, retryEdit, syncOutbox
+} from '../js/offline-store.js';
+import { syncQueuedParts, freshnessText } from '../js/catalogue-offline.js';
+import { enc, dec } from '../js/crypto-core.js';
+
+// The handle openOfflineDb returns, over Maps instead of IndexedDB
+function memoryDb() {
+    const keys = { responses: 'url', releases: 'name', outbox: 'id' };
+    const stores = { responses: new Map(), releases: new Map(), outbox: new Map() };
+    let nextId = 1;
+    return {
+        get: async (name, key) => structuredClone(stores[name].get(key) ?? null),
+        put: async (name, value) => {
+            const key = value[keys[name]] ?? (name === 'outbox' ? nextId++ : undefined);
+            stores[name].set(key, structuredClone({ ...value, [keys[name]]: key }));
+            return key;
+        },
+        delete: async (name, key) => { stores[name].delete(key); },
+        all: async name => structuredClone([...stores[name].values()])
+    };
+}
+
+// A fetch that answers from `handler(url, init)` and records every call
+function fakeFetch(handler) {
+    const calls = [];
+    const fetch = async (url, init = {}) => {
+        calls.push({ url, ...init, body: init.body === undefined ? undefined : JSON.parse(init.body) });
+        return handler(url, init);
+    };
+    return { fetch, calls };
+}
+
+const json = (status, body, headers = {}) =>
+    new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json', ...headers } });
+
+describe('revalidate', () => {
+    const URL_ = 'http://api.test/currencies';
+
+    test('saves the response with its ETag, then keeps the saved bytes on 304', async () => {
+        const db = memoryDb();
+        const { fetch, calls } = fakeFetch((url, init) => (init.headers['If-None-Match'] === '"v1"'
+            ? new Response(null, { status: 304 })
+            : new Response('{"rates":1}', { status: 200, headers: { ETag: '"v1"' } })));
+
+        const first = await revalidate(db, URL_, { fetch });
+        assert.deepEqual([dec.decode(first.bytes), first.etag, first.changed], ['{"rates":1}', '"v1"', true]);
+        const second = await revalidate(db, URL_, { fetch });
+        assert.deepEqual([dec.decode(second.bytes), second.changed, second.savedAt], ['{"rates":1}', false, first.savedAt]);
+        assert.equal(calls[1].headers['If-None-Match'], '"v1"');
+        assert.equal(calls[1].cache, 'no-store');
+    });
+
+    test('a failed check throws and leaves the saved copy as it was', async () => {
+        const db = memoryDb();
+        await revalidate(db, URL_, { fetch: async () => new Response('{"rates":1}', { status: 200 }) });
+        const saved = await cachedResponse(db, URL_);
+
+        await assert.rejects(revalidate(db, URL_, { fetch: async () => new Response('', { status: 503 }) }), /Status: 503/);
+        await assert.rejects(revalidate(db, URL_, { fetch: async () => { throw new TypeError('Failed to fetch'); } }), TypeError);
+        assert.deepEqual(await cachedResponse(db, URL_), saved);
+    });
+
+    test('works without a database, just without a saved copy', async () => {
+        const result = await revalidate(null, URL_, { fetch: async () => new Response('x', { status: 200 }) });
+        assert.equal(dec.decode(result.bytes), 'x');
+        assert.equal(await cachedResponse(null, URL_), null);
+    });
+});
+
+test('offlineReleaseCache moves legacy entries over the first time they are read', async () => {
+    const db = memoryDb();
+    const entry = { version: '1', publishedAt: '2025-01-01T00:00:00.000Z', text: '[]' };
+    const legacy = { get: async name => (name === 'data.json' ? entry : null) };
+    const cache = offlineReleaseCache(db, legacy);
+    assert.deepEqual(await cache.get('data.json'), entry);
+    assert.deepEqual(await db.get('releases', 'data.json'), { ...entry, name: 'data.json' });
+    assert.equal(await cache.get('data.xml'), null);
+});
+
+describe('outbox', () => {
+    const part = name => ({ type: 'CPU', name, manufacturer: 'AMD', price: 100, quantity: 1, specifications: {} });
+    const queue = (db, name) => queueEdit(db, { method: 'POST', url: 'http://api.test/parts', body: part(name), summary: name });
+
+    test('queued edits are listed oldest first; retry clears the conflict and forces the next send', async () => {
+        const db = memoryDb();
+        const first = await queue(db, 'A');
+        await queue(db, 'B');
+        assert.deepEqual((await listEdits(db)).map(e => [e.summary, e.status]), [['A', 'pending'], ['B', 'pending']]);
+
+        await db.put('outbox', { ...first, status: 'conflict', conflict: { status: 409 } });
+        const retried = await retryEdit(db, first.id);
+        assert.deepEqual([retried.status, retried.force, retried.conflict], ['pending', true, undefined]);
+        await discardEdit(db, first.id);
+        assert.deepEqual((await listEdits(db)).map(e => e.summary), ['B']);
+        assert.equal(await retryEdit(db, first.id), null);
+        assert.deepEqual(await listEdits(null), []);
+    });
+
+    test('sent edits leave the queue; refused ones stay as conflicts', async () => {
+        const db = memoryDb();
+        for (const name of ['ok', 'invalid', 'also ok']) await queue(db, name);
+        const { fetch } = fakeFetch((url, init) => (JSON.parse(init.body).name === 'invalid'
+            ? json(422, { error: 'Validation failed', details: [{ path: 'price' }] })
+            : json(201, { id: 7, ...JSON.parse(init.body) })));
+
+        const outcome = await syncOutbox(db, { fetch });
+        assert.deepEqual(outcome.sent.map(s => [s.edit.summary, s.result.id]), [['ok', 7], ['also ok', 7]]);
+        assert.deepEqual(outcome.conflicts.map(e => [e.summary, e.conflict.status, e.conflict.message]), [['invalid', 422, 'Validation failed']]);
+        assert.deepEqual((await listEdits(db)).map(e => [e.summary, e.status]), [['invalid', 'conflict']]);
+
+        // A conflict is not sent again until it is retried
+        const again = await syncOutbox(db, { fetch: () => assert.fail('nothing to send') });
+        assert.deepEqual([again.sent, again.conflicts.length], [[], 1]);
+    });
+
+    test('an unreachable or failing API leaves that edit and every later one pending', async () => {
+        for (const fail of [async () => { throw new TypeError('Failed to fetch'); }, async () => json(503, {})]) {
+            const db = memoryDb();
+            for (const name of ['A', 'B', 'C']) await queue(db, name);
+            const { fetch, calls } = fakeFetch(fail);
+            const outcome = await syncOutbox(db, { fetch });
+            assert.equal(calls.length, 1);
+            assert.deepEqual(outcome.pending.map(e => e.summary), ['A', 'B', 'C']);
+            assert.deepEqual((await listEdits(db)).map(e => e.status), ['pending', 'pending', 'pending']);
+        }
+    });
+
+    test('check() holds an edit back as a conflict; forced edits skip it', async () => {
+        const db = memoryDb();
+        const held = await queue(db, 'dup');
+        const { fetch, calls } = fakeFetch(async () => json(201, { id: 9 }));
+        const check = async () => ({ message: 'added meanwhile', existing: { id: 3 } });
+
+        const outcome = await syncOutbox(db, { fetch, check });
+        assert.equal(calls.length, 0);
+        assert.deepEqual([outcome.conflicts[0].conflict.message, outcome.conflicts[0].conflict.existing], ['added meanwhile', { id: 3 }]);
+
+        await retryEdit(db, held.id);
+        const forced = await syncOutbox(db, { fetch, check });
+        assert.deepEqual(forced.sent.map(s => s.result.id), [9]);
+    });
+
+    test('onSent runs for each accepted edit, in queue order', async () => {
+        const db = memoryDb();
+        for (const name of ['A', 'B']) await queue(db, name);
+        const seen = [];
+        await syncOutbox(db, {
+            fetch: async (url, init) => json(201, { id: seen.length + 1, ...JSON.parse(init.body) }),
+            onSent: (edit, result) => { seen.push([edit.summary, result.id]); }
+        });
+        assert.deepEqual(seen, [['A', 1], ['B', 2]]);
+    });
+
+    test('syncQueuedParts sends one of two identical queued parts and holds back the other', async () => {
+        const db = memoryDb();
+        await queue(db, 'Twin');
+        await queue(db, 'Twin');
+        await queue(db, 'Other');
+        const { fetch, calls } = fakeFetch(async (url, init = {}) => (init.method === 'POST'
+            ? json(201, { id: 100 + calls.length, ...JSON.parse(init.body) })
+            : new Response(enc.encode('[]'), { status: 200 })));
+
+        const outcome = await syncQueuedParts(db, 'http://api.test', { fetch });
+        assert.deepEqual(calls.filter(c => c.method === 'POST').map(c => c.body.name), ['Twin', 'Other']);
+        assert.deepEqual(outcome.sent.map(s => s.edit.summary), ['Twin', 'Other']);
+        assert.deepEqual(outcome.conflicts.map(e => e.summary), ['Twin']);
+        assert.match(outcome.conflicts[0].conflict.message, /^Part #\d+ with this type, name and manufacturer was added meanwhile$/);
+        assert.equal(calls.filter(c => !c.method).length, 1, 'the parts list is fetched once per sync');
+    });
+});
+
+test('freshnessText reports what the last sync sent', () => {
+    assert.equal(freshnessText({ state: 'fresh', sent: 2, queued: 1 }), 'Catalogue up to date. 2 added parts sent. 1 added part waiting to be sent.');
+    assert.equal(freshnessText({ state: 'fresh', sent: 1 }), 'Catalogue up to date. 1 added part sent.');
+    assert.equal(freshnessText({ state: 'fresh' }), 'Catalogue up to date.');
+});
@@ -0,0 +1,151 @@
+// FILE: /test/parts-query.test.js
+// Purpose: the /parts query language — filters, multi-key sort, offset and cursor paging, field projection
+// Run: node --test test/
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { parseQuery, runQuery, FIELD_TYPES, MAX_LIMIT } from '../server/parts-query.js';
+import { MemoryStore } from '../server/storage/memory-store.js';
+import { createApp } from '../server/server.js';
+
+const part = (id, type, manufacturer, price, cores) =>
+    ({ id, type, name: `${type} ${id}`, manufacturer, price, quantity: id, specifications: { cores, clockSpeed: '3 GHz' } });
+
+const PARTS = [
+    part(1, 'CPU', 'AMD', 300, 8),
+    part(2, 'GPU', 'NVIDIA', 500, 60),
+    part(3, 'CPU', 'Intel', 250, 6),
+    part(4, 'CPU', 'amd', 180, 6),
+    part(5, 'GPU', 'AMD', 450, 64),
+    part(6, 'CPU', 'Intel', 300, 16)
+];
+
+const run = search => runQuery(PARTS, parseQuery(new URLSearchParams(search)));
+const ids = search => run(search).items.map(p => p.id);
+
+describe('parseQuery', () => {
+    test('unknown fields, operators and malformed values answer 400', () => {
+        const status = search => {
+            try {
+                parseQuery(new URLSearchParams(search));
+                return 200;
+            } catch (e) {
+                return e.status;
+            }
+        };
+        for (const search of ['colour=red', 'constructor=x', 'toString[eq]=x', 'sort=colour', 'sort=-__proto__', 'fields=id,colour',
+            'price[between]=1', 'price[gte]=cheap', 'price=', 'limit=0', 'offset=-1', 'cursor=!!', 'cursor=e30', 'offset=1&cursor=W10']) {
+            assert.equal(status(search), 400, search);
+        }
+        assert.equal(parseQuery(new URLSearchParams(`limit=${MAX_LIMIT + 1}`)).limit, MAX_LIMIT);
+    });
+
+    test('an unknown field lists the ones that exist', () => {
+        assert.throws(() => parseQuery(new URLSearchParams('colour=red')), e => {
+            assert.equal(e.message, 'Unknown field "colour"');
+            assert.deepEqual(e.details.allowed, Object.keys(FIELD_TYPES));
+            return true;
+        });
+    });
+
+    test('values are coerced to the field type', () => {
+        assert.deepEqual(parseQuery(new URLSearchParams('price[gte]=100&type=CPU&specifications.cores[in]=6, 8')).filters, [
+            { field: 'price', op: 'gte', value: 100 },
+            { field: 'type', op: 'eq', value: 'cpu' },
+            { field: 'specifications.cores', op: 'in', value: [6, 8] }
+        ]);
+    });
+});
+
+describe('filters', () => {
+    test('price[gte] and price[lte] bound the range, inclusive', () => {
+        assert.deepEqual(ids('price[gte]=250&price[lte]=450'), [1, 3, 5, 6]);
+        assert.deepEqual(ids('price[gte]=500'), [2]);
+        assert.deepEqual(ids('price[lte]=180'), [4]);
+        assert.deepEqual(ids('price[gt]=250&price[lt]=450'), [1, 6]);
+    });
+
+    test('strings match regardless of case; ne, in and contains', () => {
+        assert.deepEqual(ids('manufacturer=AMD'), [1, 4, 5]);
+        assert.deepEqual(ids('type[ne]=cpu'), [2, 5]);
+        assert.deepEqual(ids('manufacturer[in]=intel,nvidia'), [2, 3, 6]);
+        assert.deepEqual(ids('name[contains]=gpu'), [2, 5]);
+        assert.deepEqual(ids('specifications.cores[gte]=16&type=CPU'), [6]);
+    });
+});
+
+describe('sort', () => {
+    test('several keys, each ascending or descending, with id breaking ties', () => {
+        assert.deepEqual(ids('sort=-price'), [2, 5, 1, 6, 3, 4]);
+        assert.deepEqual(ids('sort=-price,-id'), [2, 5, 6, 1, 3, 4]);
+        assert.deepEqual(ids('sort=type,specifications.cores,-price'), [3, 4, 1, 6, 2, 5]);
+        assert.deepEqual(ids('sort=manufacturer,price'), [4, 1, 5, 3, 6, 2]);
+    });
+});
+
+describe('paging', () => {
+    test('offset and limit report the total and the next offset', () => {
+        const first = run('sort=price&limit=4');
+        assert.deepEqual([first.items.map(p => p.id), first.total, first.nextOffset], [[4, 3, 1, 6], 6, 4]);
+        const last = run('sort=price&limit=4&offset=4');
+        assert.deepEqual([last.items.map(p => p.id), last.nextOffset, last.nextCursor], [[5, 2], null, null]);
+    });
+
+    test('a cursor walks every page once, in order', () => {
+        const seen = [];
+        let search = 'sort=-price,type&limit=2';
+        for (let page = 0; page < 10; page++) {
+            const result = run(search);
+            assert.equal(result.nextOffset, page ? null : 2);
+            seen.push(...result.items.map(p => p.id));
+            if (!result.nextCursor) break;
+            search = `sort=-price,type&limit=2&cursor=${result.nextCursor}`;
+        }
+        assert.deepEqual(seen, ids('sort=-price,type'));
+        assert.equal(new Set(seen).size, PARTS.length);
+    });
+
+    test('a cursor from a different sort order is refused', () => {
+        const { nextCursor } = run('sort=price&limit=2');
+        assert.throws(() => run(`sort=price,type&cursor=${nextCursor}`), { status: 400, message: 'Cursor does not match the sort order' });
+    });
+});
+
+test('fields projects each item to the listed fields, nested ones included', () => {
+    assert.deepEqual(run('fields=id,price,specifications.cores&sort=-id&limit=2').items, [
+        { id: 6, price: 300, specifications: { cores: 16 } },
+        { id: 5, price: 450, specifications: { cores: 64 } }
+    ]);
+    assert.deepEqual(run('fields=name,specifications.socket&id=1').items, [{ name: 'CPU 1' }]);
+});
+
+test('GET /parts pages through the headers it sends', async () => {
+    const { handler } = createApp({ store: new MemoryStore(PARTS), staticRoot: null });
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    try {
+        const bad = await fetch(`${base}/parts?colour=red`);
+        assert.equal(bad.status, 400);
+        assert.equal((await bad.json()).error, 'Unknown field "colour"');
+
+        // The first page links on by offset; starting from its X-Next-Cursor, the links carry cursors
+        const search = '/parts?type=cpu&sort=-price,manufacturer&fields=id,price&limit=1';
+        const first = await fetch(base + search);
+        assert.match(first.headers.get('link'), /^<\/parts\?.*&limit=1&offset=1>; rel="next"$/);
+        const seen = await first.json();
+        let url = `${search}&cursor=${first.headers.get('x-next-cursor')}`;
+        while (url) {
+            const response = await fetch(base + url);
+            assert.equal(response.status, 200);
+            assert.equal(response.headers.get('x-total-count'), '4');
+            seen.push(...await response.json());
+            url = /^<([^>]+)>; rel="next"$/.exec(response.headers.get('link') ?? '')?.[1];
+            if (url) assert.match(url, /cursor=/);
+        }
+        assert.deepEqual(seen, [{ id: 1, price: 300 }, { id: 6, price: 300 }, { id: 3, price: 250 }, { id: 4, price: 180 }]);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
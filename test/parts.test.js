@@ -0,0 +1,29 @@
+// FILE: /test/parts.test.js
+// Purpose: part validation — own schema keys only, and PATCH checks against records that predate a rule
+// Run: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validatePart } from '../js/part-schema.js';
+import { mergePart, patchErrors } from '../server/routes/parts.js';
+
+const legacy = { id: 111, type: 'GPU', name: 'Old card', manufacturer: 'AMD', price: 267.71, quantity: 71, specifications: { cores: 0, clockSpeed: '3.8 GHz' } };
+const errorsFor = patch => patchErrors(legacy, patch, mergePart(legacy, patch)).map(e => e.path);
+
+test('inherited names are not schema properties', () => {
+    const part = { ...legacy, specifications: { cores: 4, clockSpeed: '3 GHz', constructor: 'x', toString: 'y' } };
+    assert.deepEqual(validatePart(part).map(e => e.path), ['specifications.constructor', 'specifications.toString']);
+    assert.deepEqual(validatePart({ ...part, type: 'constructor', specifications: {} }).map(e => e.path), ['type']);
+});
+
+test('a PATCH is not failed for what the stored record already broke', () => {
+    assert.ok(validatePart(legacy).length);
+    assert.deepEqual(errorsFor({ price: 250 }), []);
+    assert.deepEqual(errorsFor({ specifications: { clockSpeed: '4 GHz' } }), []);
+});
+
+test('a PATCH is failed for the fields it sends and for what it newly breaks', () => {
+    assert.deepEqual(errorsFor({ specifications: { cores: 0 } }), ['specifications.cores']);
+    assert.deepEqual(errorsFor({ price: -1 }), ['price']);
+    assert.ok(errorsFor({ type: 'PSU' }).includes('specifications.wattage'));
+});
@@ -0,0 +1,186 @@
+// FILE: /test/password-manager.test.js
+// Purpose: password manager without the page — vault entries and merging, backups, and imports from other managers
+// Run: node --test test/
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    createVault, addEntry, updateEntry, removeEntry, searchEntries, mergeVaults, addEntries, restoreVault
+} from '../js/pm-vault.js';
+import { createBackup, openBackup, backupKey, BackupError } from '../js/pm-backup.js';
+import { importPasswords } from '../js/pm-import.js';
+import { LEGACY_KDF, genEcdsaKeyPair, exportPkcs8 } from '../js/crypto-core.js';
+
+// The lowest KDF setting openBackup accepts keeps these tests quick
+const KDF = LEGACY_KDF;
+
+const login = (site, extra = {}) => ({ site, username: 'me', password: `pw-${site}`, ...extra });
+
+function vaultOf(...inputs) {
+    return inputs.reduce((vault, input) => addEntry(vault, input).vault, createVault());
+}
+
+describe('vault', () => {
+    test('entries are validated, trimmed and searchable', () => {
+        const { vault, entry } = addEntry(createVault(), { site: ' Example ', username: 'me', password: ' x ', tags: 'Work, mail,work' });
+        assert.deepEqual([entry.site, entry.password, entry.tags], ['Example', ' x ', ['work', 'mail']]);
+        assert.throws(() => addEntry(vault, { site: '', password: 'x' }), /site is required/);
+        assert.throws(() => addEntry(vault, { site: 42, password: 'x' }), /site must be text/);
+
+        const more = addEntry(vault, login('bank', { notes: 'savings' })).vault;
+        assert.deepEqual(searchEntries(more.entries, '').map(e => e.site), ['bank', 'Example']);
+        assert.deepEqual(searchEntries(more.entries, '#work').map(e => e.site), ['Example']);
+        assert.deepEqual(searchEntries(more.entries, 'SAV').map(e => e.site), ['bank']);
+        assert.deepEqual(searchEntries(more.entries, 'pw-bank'), [], 'passwords are never searched');
+    });
+
+    test('mergeVaults: matching ids keep the later edit, entries on one side only are kept', () => {
+        const base = vaultOf(login('a'), login('b'));
+        const [a, b] = base.entries;
+        const older = { ...a, password: 'old', updatedAt: '2000-01-01T00:00:00.000Z' };
+        const newer = { ...b, password: 'new', updatedAt: '2999-01-01T00:00:00.000Z' };
+        const incoming = { version: 1, entries: [older, newer, { ...login('c'), id: 'c1', updatedAt: '2025-01-01T00:00:00.000Z' }] };
+
+        const { vault, added, updated } = mergeVaults(removeEntry(base, a.id), incoming);
+        assert.deepEqual([added, updated], [2, 1]);
+        assert.deepEqual(vault.entries.map(e => [e.site, e.password]), [['b', 'new'], ['a', 'old'], ['c', 'pw-c']]);
+
+        const kept = mergeVaults(base, { entries: [older] });
+        assert.deepEqual([kept.added, kept.updated, kept.vault.entries[0].password], [0, 0, 'pw-a']);
+    });
+
+    test('addEntries gives new ids, skips exact duplicates and reports invalid inputs', () => {
+        const vault = vaultOf(login('a'));
+        const result = addEntries(vault, [{ ...login('a'), site: 'A' }, login('a', { password: 'other' }), { site: 'x' }, { site: ['x'], password: 'y' }]);
+        assert.deepEqual([result.added, result.duplicates], [1, 1]);
+        assert.deepEqual(result.invalid.map(i => i.message), ['password is required', 'site must be text; site is required']);
+        assert.equal(new Set(result.vault.entries.map(e => e.id)).size, 2);
+    });
+
+    test('restoreVault keeps ids and dates of valid entries and leaves the rest out', () => {
+        const [good] = vaultOf(login('a')).entries;
+        const { vault, invalid } = restoreVault({ entries: [good, { ...good, id: 'x', site: 42 }, { site: 'no id', password: 'p' }] });
+        assert.deepEqual(vault.entries[0], good);
+        assert.equal(vault.entries[1].site, 'no id');
+        assert.equal(typeof vault.entries[1].id, 'string');
+        assert.deepEqual(invalid.map(i => [i.entry.id, i.message]), [['x', 'site must be text; site is required']]);
+        assert.throws(() => restoreVault({ entries: 'nope' }), /not a vault/);
+    });
+});
+
+describe('backup', () => {
+    const contents = async () => {
+        const base = vaultOf(login('a'), login('b', { tags: ['x'] }));
+        const { vault } = updateEntry(base, base.entries[0].id, login('a', { notes: 'edited' }));
+        const pkcs8 = await exportPkcs8((await genEcdsaKeyPair()).privateKey);
+        return {
+            vault,
+            keys: [await backupKey('signing.pk8', pkcs8)],
+            trustedKeys: [{ name: 'Alice', fingerprint: 'ab'.repeat(32) }],
+            settings: { 'pm-autolock-minutes': '10' }
+        };
+    };
+
+    test('round trip: vault, keys, trusted keys and settings come back as they were', async () => {
+        const original = await contents();
+        const text = await createBackup(original, 'backup password', KDF);
+        assert.deepEqual(Object.keys(JSON.parse(text)), ['type', 'v', 'createdAt', 'kdf', 'salt', 'iv', 'ciphertext', 'mac']);
+        assert.ok(!text.includes('pw-a'), 'nothing readable without the password');
+
+        const restored = await openBackup(text, 'backup password');
+        assert.deepEqual(restored.vault, original.vault);
+        assert.deepEqual([restored.keys, restored.trustedKeys, restored.settings], [original.keys, original.trustedKeys, original.settings]);
+        assert.deepEqual(restored.invalid, []);
+        assert.equal(restored.createdAt, JSON.parse(text).createdAt);
+        await assert.rejects(backupKey('notes.txt', new TextEncoder().encode('not a key')), BackupError);
+    });
+
+    test('a wrong password or an edited MAC-covered field is refused before decrypting', async () => {
+        const text = await createBackup(await contents(), 'backup password', KDF);
+        await assert.rejects(openBackup(text, 'wrong password'), { name: 'BackupError', message: 'Wrong password or damaged backup file' });
+
+        const file = JSON.parse(text);
+        const flip = value => (value[0] === 'A' ? 'B' : 'A') + value.slice(1);
+        const edits = [
+            { createdAt: '2000-01-01T00:00:00.000Z' },
+            { iv: flip(file.iv) },
+            { ciphertext: flip(file.ciphertext) },
+            { mac: flip(file.mac) }
+        ];
+        for (const edit of edits) {
+            await assert.rejects(openBackup(JSON.stringify({ ...file, ...edit }), 'backup password'),
+                /Wrong password or damaged backup file/, Object.keys(edit)[0]);
+        }
+        await assert.rejects(openBackup(JSON.stringify({ ...file, kdf: { alg: 'constructor', iterations: 1 } }), 'backup password'), /Unsupported KDF/);
+        await assert.rejects(openBackup('{', 'x'), /Not a backup file/);
+        await assert.rejects(openBackup(JSON.stringify({ ...file, v: 2 }), 'x'), /Unsupported backup version 2/);
+        await assert.rejects(openBackup(JSON.stringify({ ...file, salt: 1 }), 'x'), /Damaged backup file/);
+    });
+
+    test('restored entries are validated, so a damaged one cannot break search', async () => {
+        const [good] = vaultOf(login('a')).entries;
+        const bad = { ...good, id: 'bad', site: { not: 'text' } };
+        const text = await createBackup({ vault: { version: 1, entries: [good, bad] } }, 'pw', KDF);
+
+        const restored = await openBackup(text, 'pw');
+        assert.deepEqual(restored.vault.entries, [good]);
+        assert.deepEqual(restored.invalid.map(i => [i.entry.id, i.message]), [['bad', 'site must be text; site is required']]);
+        assert.deepEqual(searchEntries(mergeVaults(vaultOf(login('b')), restored.vault).vault.entries, 'a').map(e => e.site), ['a']);
+    });
+});
+
+describe('import', () => {
+    test('CSV columns are matched by name, whatever the exporter calls them', () => {
+        const bitwarden = 'folder,favorite,type,name,notes,fields,reprompt,login_uri,login_username,login_password,login_totp\n'
+            + 'Email/Work,,login,Mail,,,0,https://mail.example.com/login,me@example.com,secret,\n'
+            + ',,note,Just a note,text,,0,,,,\n';
+        const result = importPasswords(bitwarden, 'bitwarden.csv');
+        assert.equal(result.format, 'Bitwarden CSV');
+        assert.deepEqual(result.entries, [{
+            site: 'Mail', username: 'me@example.com', password: 'secret',
+            notes: 'URL: https://mail.example.com/login', tags: ['Email', 'Work']
+        }]);
+        assert.deepEqual(result.skipped, [{ row: 3, reason: 'not a login (note)' }]);
+
+        const chrome = importPasswords('name,url,username,password\n,https://www.shop.example/,bob,pw\nno-pass,https://x.example/,bob,\n', 'c.csv');
+        assert.equal(chrome.format, 'Chrome / Edge CSV');
+        assert.deepEqual(chrome.entries.map(e => [e.site, e.username, e.notes]), [['shop.example', 'bob', '']]);
+        assert.deepEqual(chrome.skipped, [{ row: 3, reason: 'no password' }]);
+
+        const keepass = importPasswords('"Group","Title","Username","Password","URL","Notes"\n"Root/Banking","Bank","me","pw","","n"\n', 'k.csv');
+        assert.equal(keepass.format, 'KeePass CSV');
+        assert.deepEqual(keepass.entries, [{ site: 'Bank', username: 'me', password: 'pw', notes: 'n', tags: ['Banking'] }]);
+
+        assert.throws(() => importPasswords('site,user\nx,y\n', 'x.csv'), /No password column/);
+        assert.throws(() => importPasswords('', 'x.csv'), /empty/);
+    });
+
+    test('JSON: Bitwarden, this vault\'s own shape, and arrays of rows', () => {
+        const bitwarden = JSON.stringify({
+            folders: [{ id: 'f1', name: 'Social' }],
+            items: [
+                { type: 1, name: 'Chat', folderId: 'f1', notes: null, login: { username: 'u', password: 'p', uris: [{ uri: 'https://chat.example' }] } },
+                { type: 2, name: 'Card' }
+            ]
+        });
+        const fromBitwarden = importPasswords(bitwarden, 'export.json');
+        assert.equal(fromBitwarden.format, 'Bitwarden JSON');
+        assert.deepEqual(fromBitwarden.entries, [{ site: 'Chat', username: 'u', password: 'p', notes: 'URL: https://chat.example', tags: ['Social'] }]);
+        assert.deepEqual(fromBitwarden.skipped, [{ row: 2, reason: 'not a login (type 2)' }]);
+
+        const own = importPasswords(JSON.stringify({ entries: [{ site: 'a', username: 'me', password: 'x', notes: 'n', tags: ['t1', 't2'] }] }));
+        assert.deepEqual([own.format, own.entries], ['Vault JSON', [{ site: 'a', username: 'me', password: 'x', notes: 'n', tags: ['t1', 't2'] }]]);
+
+        const rows = importPasswords('[{"Title":"T","Login":"l","Password":"p","Category":"c"}]', 'rows.txt');
+        assert.deepEqual([rows.format, rows.entries], ['JSON', [{ site: 'T', username: 'l', password: 'p', notes: '', tags: ['c'] }]]);
+
+        assert.throws(() => importPasswords('{"encrypted":true}', 'x.json'), /encrypted export/);
+        assert.throws(() => importPasswords('{"other":1}', 'x.json'), /Unrecognised JSON export/);
+    });
+
+    test('imported rows go through addEntries', () => {
+        const { entries } = importPasswords('name,url,username,password\na,,me,pw-a\nB,,me,pw-B\n', 'c.csv');
+        const result = addEntries(vaultOf(login('a')), entries);
+        assert.deepEqual([result.added, result.duplicates], [1, 1]);
+    });
+});
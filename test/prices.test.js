@@ -0,0 +1,46 @@
+// FILE: /test/prices.test.js
+// Purpose: price history and saved builds stay with the part they were recorded for, even after it is deleted
+// Run: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { MemoryStore } from '../server/storage/memory-store.js';
+import { createApp } from '../server/server.js';
+
+const CPU = { type: 'CPU', name: 'Old', manufacturer: 'AMD', price: 99, quantity: 4, specifications: { cores: 8, clockSpeed: '4 GHz', socket: 'AM5' } };
+
+async function withApp(fn) {
+    const { handler } = createApp({ store: new MemoryStore(), staticRoot: null });
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const call = async (method, url, body) => {
+        const response = await fetch(base + url, {
+            method,
+            headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        return { status: response.status, body: response.status === 204 ? null : await response.json() };
+    };
+    try {
+        await fn(call);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+}
+
+test('a part created after a delete starts its own price history', () => withApp(async call => {
+    const old = (await call('POST', '/parts', CPU)).body;
+    const build = (await call('POST', '/builds', { name: 'Mine', items: [{ partId: old.id }] })).body;
+    assert.equal((await call('DELETE', `/parts/${old.id}`)).status, 204);
+
+    const created = (await call('POST', '/parts', { ...CPU, name: 'New', price: 50 })).body;
+    assert.notEqual(created.id, old.id);
+    assert.deepEqual((await call('GET', `/parts/${created.id}/prices`)).body.points.map(p => p.price), [50]);
+    assert.equal((await call('GET', `/parts/${old.id}/prices`)).status, 404);
+
+    const saved = (await call('GET', `/builds/${build.id}`)).body;
+    assert.deepEqual(saved.missing, [old.id]);
+    assert.equal(saved.compatible, false);
+}));
@@ -0,0 +1,215 @@
+// FILE: /test/secure-file.test.js
+// Purpose: js/secure-file.js in Node — .secure round trips and the tampering each format must catch
+// Run: node --test test/
+
+import { test, describe, before } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    encryptSecureStream, openSecureStream, readSecureHeader, rewrapSecureStream, peekSecureHeader,
+    secureFormatVersion, v1MacInput, SecureFileError, SECURE_MAGIC
+} from '../js/secure-file.js';
+import {
+    b64, enc, randomBytes, deriveEncAndMac, hmac, aesGcmEncryptBytes, genFileKey, exportRawKey,
+    genEcdhKeyPair, exportSpki, LEGACY_KDF
+} from '../js/crypto-core.js';
+
+// The lowest iteration count the format accepts, to keep the suite quick
+const KDF = LEGACY_KDF;
+const CHUNK = 4096;
+
+const streamOf = bytes => new Blob([bytes]).stream();
+const readAll = async stream => new Uint8Array(await new Response(stream).arrayBuffer());
+
+async function encrypt(bytes, password, options = {}) {
+    return readAll(encryptSecureStream(streamOf(bytes), password, { name: 'notes.txt', mime: 'text/plain', kdf: KDF, chunkSize: CHUNK, ...options }));
+}
+
+async function decrypt(bytes, secret) {
+    const { version, name, mime, stream } = await openSecureStream(streamOf(bytes), secret);
+    return { version, name, mime, bytes: await readAll(stream) };
+}
+
+// Where the chunk records start, and the header JSON itself
+function splitHeader(file) {
+    const length = new DataView(file.buffer, file.byteOffset).getUint32(SECURE_MAGIC.length);
+    const start = SECURE_MAGIC.length + 4;
+    return { header: JSON.parse(new TextDecoder().decode(file.subarray(start, start + length))), body: start + length };
+}
+
+function withHeader(file, header) {
+    const json = enc.encode(JSON.stringify(header));
+    const out = new Uint8Array(SECURE_MAGIC.length + 4 + json.length + file.length - splitHeader(file).body);
+    out.set(SECURE_MAGIC);
+    new DataView(out.buffer).setUint32(SECURE_MAGIC.length, json.length);
+    out.set(json, SECURE_MAGIC.length + 4);
+    out.set(file.subarray(splitHeader(file).body), SECURE_MAGIC.length + 4 + json.length);
+    return out;
+}
+
+// A v1 package the way the old secure-storage page wrote them
+async function makeV1(password, bytes, kdf = null) {
+    const salt = randomBytes(16);
+    const { aesKey, macKey } = await deriveEncAndMac(password, salt, kdf || LEGACY_KDF);
+    const fileKey = await genFileKey();
+    const { iv, ciphertext } = await aesGcmEncryptBytes(bytes, fileKey);
+    const { iv: kiv, ciphertext: kct } = await aesGcmEncryptBytes(await exportRawKey(fileKey), aesKey);
+    const mac = await hmac(macKey, v1MacInput(kdf, salt, iv, ciphertext, kiv, kct));
+    return JSON.stringify({
+        v: '1', name: 'old.txt', mime: 'text/plain', ...(kdf && { kdf }),
+        salt: b64(salt), iv: b64(iv), ciphertext: b64(ciphertext), key_iv: b64(kiv), key_ct: b64(kct), hmac: b64(mac)
+    });
+}
+
+describe('.secure v2', () => {
+    // Three full chunks and a partial one
+    const plain = new Uint8Array(CHUNK * 3 + 100).map((_, i) => (i * 13) & 255);
+    let file;
+    before(async () => { file = await encrypt(plain, 'pw'); });
+
+    test('round trip keeps bytes, name and type', async () => {
+        assert.equal(secureFormatVersion(file), 2);
+        assert.deepEqual(await decrypt(file, 'pw'), { version: 2, name: 'notes.txt', mime: 'text/plain', bytes: plain });
+    });
+
+    test('empty files and exact chunk multiples', async () => {
+        for (const size of [0, CHUNK, CHUNK * 2]) {
+            const bytes = new Uint8Array(size).fill(1);
+            assert.deepEqual((await decrypt(await encrypt(bytes, 'pw'), 'pw')).bytes, bytes, `size ${size}`);
+        }
+    });
+
+    test('wrong password', async () => {
+        await assert.rejects(decrypt(file, 'PW'), SecureFileError);
+    });
+
+    test('a flipped bit in any chunk', async () => {
+        const { body } = splitHeader(file);
+        const record = 12 + CHUNK + 16;
+        for (const at of [body + 20, body + record + 5, body + 3 * record + 40]) {
+            const bad = file.slice();
+            bad[at] ^= 1;
+            await assert.rejects(decrypt(bad, 'pw'), SecureFileError, `offset ${at}`);
+        }
+    });
+
+    test('dropped, reordered and duplicated chunks, and truncation', async () => {
+        const { body } = splitHeader(file);
+        const record = 12 + CHUNK + 16;
+        const head = file.subarray(0, body);
+        const records = [0, 1, 2].map(i => file.subarray(body + i * record, body + (i + 1) * record));
+        const last = file.subarray(body + 3 * record);
+        const join = (...parts) => new Uint8Array(Buffer.concat(parts));
+
+        const cases = {
+            'last chunk dropped': join(head, ...records),
+            'middle chunk dropped': join(head, records[0], records[2], last),
+            'chunks swapped': join(head, records[1], records[0], records[2], last),
+            'chunk duplicated': join(head, records[0], records[0], records[1], records[2], last),
+            'cut mid-chunk': file.subarray(0, file.length - 50),
+            'extra bytes': join(file, new Uint8Array(30))
+        };
+        for (const [name, bad] of Object.entries(cases)) {
+            await assert.rejects(decrypt(bad, 'pw'), SecureFileError, name);
+        }
+    });
+
+    test('header changes: name, chunk size, a removed key slot', async () => {
+        const { header } = splitHeader(file);
+        await assert.rejects(decrypt(withHeader(file, { ...header, name: 'evil.exe' }), 'pw'), SecureFileError);
+        await assert.rejects(decrypt(withHeader(file, { ...header, chunkSize: CHUNK * 2 }), 'pw'));
+        await assert.rejects(decrypt(withHeader(file, { ...header, keys: [] }), 'pw'), SecureFileError);
+        // A header that is not JSON at all
+        const garbled = file.slice();
+        garbled[SECURE_MAGIC.length + 4] = 0x41;
+        await assert.rejects(decrypt(garbled, 'pw'), SecureFileError);
+    });
+
+    test('a KDF downgrade in the header is refused before any work is done', async () => {
+        const { header } = splitHeader(file);
+        const keys = header.keys.map(k => ({ ...k, kdf: { ...k.kdf, iterations: 1 } }));
+        await assert.rejects(decrypt(withHeader(file, { ...header, keys }), 'pw'), /iterations/);
+    });
+
+    test('peekSecureHeader sees the header without a key', () => {
+        assert.equal(peekSecureHeader(file.subarray(0, 10)), null);
+        const { header, length } = peekSecureHeader(file);
+        assert.equal(length, splitHeader(file).body);
+        assert.equal(header.name, 'notes.txt');
+        assert.throws(() => peekSecureHeader(enc.encode('{"v":"1","salt":"…"}'.padEnd(64))), SecureFileError);
+    });
+});
+
+describe('.secure v2 recipients', () => {
+    test('either recipient opens it; others and tampered slots do not', async () => {
+        const alice = await genEcdhKeyPair();
+        const bob = await genEcdhKeyPair();
+        const eve = await genEcdhKeyPair();
+        const recipients = [
+            { spki: await exportSpki(alice.publicKey), label: 'alice' },
+            { spki: await exportSpki(bob.publicKey), label: 'bob' }
+        ];
+        const plain = enc.encode('for alice and bob');
+        const file = await encrypt(plain, '', { recipients });
+
+        assert.deepEqual((await decrypt(file, { privateKey: alice.privateKey })).bytes, plain);
+        assert.deepEqual((await decrypt(file, { privateKey: bob.privateKey })).bytes, plain);
+        await assert.rejects(decrypt(file, { privateKey: eve.privateKey }), SecureFileError);
+        await assert.rejects(decrypt(file, 'pw'), SecureFileError);
+
+        const { header } = splitHeader(file);
+        const keys = header.keys.map(k => (k.label === 'alice' ? { ...k, epk: header.keys[1].epk } : k));
+        await assert.rejects(decrypt(withHeader(file, { ...header, keys }), { privateKey: alice.privateKey }), SecureFileError);
+    });
+
+    test('rewrapping adds and removes slots and keeps the chunks', async () => {
+        const bob = await genEcdhKeyPair();
+        const bobSpki = await exportSpki(bob.publicKey);
+        const plain = enc.encode('shared later');
+        const file = await encrypt(plain, 'pw');
+
+        const added = await rewrapSecureStream(streamOf(file), 'pw', { add: [{ spki: bobSpki, label: 'bob' }] });
+        const shared = await readAll(added.stream);
+        assert.deepEqual(shared.subarray(splitHeader(shared).body), file.subarray(splitHeader(file).body));
+        assert.deepEqual((await decrypt(shared, { privateKey: bob.privateKey })).bytes, plain);
+        const { slots } = await readSecureHeader(streamOf(shared));
+        assert.deepEqual(slots, added.slots);
+        assert.equal(slots.length, 2);
+
+        const bobOnly = await readAll((await rewrapSecureStream(streamOf(shared), 'pw', { remove: ['password'] })).stream);
+        await assert.rejects(decrypt(bobOnly, 'pw'), SecureFileError);
+        assert.deepEqual((await decrypt(bobOnly, { privateKey: bob.privateKey })).bytes, plain);
+    });
+});
+
+describe('.secure v1 packages', () => {
+    test('old packages, with and without recorded KDF settings, still open', async () => {
+        const plain = enc.encode('from the old page');
+        for (const kdf of [null, { alg: 'PBKDF2-SHA-512', iterations: LEGACY_KDF.iterations }]) {
+            const text = await makeV1('pw', plain, kdf);
+            assert.equal(secureFormatVersion(enc.encode(text)), 1);
+            assert.deepEqual(await decrypt(enc.encode(text), 'pw'), { version: 1, name: 'old.txt', mime: 'text/plain', bytes: plain });
+        }
+    });
+
+    test('tampering and wrong passwords fail the HMAC', async () => {
+        const text = await makeV1('pw', enc.encode('x'), KDF);
+        const pkg = JSON.parse(text);
+        await assert.rejects(decrypt(enc.encode(text), 'PW'), /Integrity check failed/);
+
+        const ct = Buffer.from(pkg.ciphertext, 'base64');
+        ct[0] ^= 1;
+        const cases = {
+            ciphertext: { ...pkg, ciphertext: ct.toString('base64') },
+            'key slot': { ...pkg, key_iv: b64(randomBytes(12)) },
+            // The recorded KDF is authenticated: changing it changes the MAC input
+            kdf: { ...pkg, kdf: { alg: 'PBKDF2-SHA-512', iterations: KDF.iterations } }
+        };
+        for (const [name, bad] of Object.entries(cases)) {
+            await assert.rejects(decrypt(enc.encode(JSON.stringify(bad)), 'pw'), /Integrity check failed/, name);
+        }
+    });
+
+    test('v1 needs the password', async () => {
+        await assert.rejects(decrypt(enc.encode(await makeV1('pw', enc.encode('x'))), { privateKey: null }), SecureFileError);
+    });
+});
@@ -0,0 +1,182 @@
+// FILE: /test/secure.test.js
+// Purpose: `.secure` sharing — upload and download limits, expiry, the delete token, quotas and multipart bodies
+// Run: node --test test/
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { mkdtemp, mkdir, readFile, readdir, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createRouter } from '../server/router.js';
+import { createRateLimiter } from '../server/rate-limit.js';
+import { registerSecureRoutes, SECURE_POLICY } from '../server/routes/secure.js';
+import { SecureBlobStore } from '../server/storage/secure-blob-store.js';
+
+// A whole v1 package: the server only checks its shape, never the cryptography
+const PACKAGE = JSON.stringify({ v: '1', salt: 'c2FsdA', iv: 'aXY', ciphertext: 'Y2lwaGVydGV4dA', key_iv: 'a2l2', key_ct: 'a2N0', hmac: 'aG1hYw' });
+const SIZE = Buffer.byteLength(PACKAGE);
+
+async function withSecure(fn, policy = {}) {
+    const dir = await mkdtemp(path.join(tmpdir(), 'secure-objects-'));
+    const clock = { now: Date.parse('2025-03-01T12:00:00Z') };
+    const blobs = new SecureBlobStore(dir, { now: () => clock.now });
+    const router = createRouter();
+    registerSecureRoutes(router, {
+        blobs,
+        limiter: createRateLimiter({ windowMs: 60_000, max: 1000 }),
+        policy: { ...SECURE_POLICY, ...policy }
+    });
+    const server = http.createServer(async (req, res) => {
+        if (!await router.handle(req, res)) { res.writeHead(404); res.end(); }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const call = async (method, url, { body, headers = {} } = {}) => {
+        const response = await fetch(base + url, { method, headers, body });
+        const text = await response.text();
+        const json = response.headers.get('content-type')?.startsWith('application/json') ? JSON.parse(text) : null;
+        return { status: response.status, headers: response.headers, text, body: json };
+    };
+    const upload = (query = '', body = PACKAGE) =>
+        call('POST', `/secure/upload${query}`, { body, headers: { 'Content-Type': 'application/octet-stream' } });
+    try {
+        await fn({ call, upload, clock, blobs, dir });
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+        await rm(dir, { recursive: true, force: true });
+    }
+}
+
+function multipart(boundary, parts, { close = true } = {}) {
+    const body = parts.map(([name, value]) =>
+        `--${boundary}\r\nContent-Disposition: form-data; name="${name}"; filename="${name}.secure"\r\n`
+        + `Content-Type: application/octet-stream\r\n\r\n${value}\r\n`).join('');
+    return body + (close ? `--${boundary}--\r\n` : '');
+}
+
+describe('upload and download', () => {
+    test('an upload can be downloaded byte for byte and reports its status', () => withSecure(async ({ call, upload }) => {
+        const created = await upload('?maxDownloads=3');
+        assert.equal(created.status, 201);
+        assert.equal(created.headers.get('location'), `/secure/download/${created.body.id}`);
+        assert.deepEqual([created.body.size, created.body.version, created.body.downloadsLeft], [SIZE, 1, 3]);
+        assert.equal(typeof created.body.deleteToken, 'string');
+
+        const download = await call('GET', `/secure/download/${created.body.id}`);
+        assert.equal(download.status, 200);
+        assert.equal(download.text, PACKAGE);
+        assert.equal(download.headers.get('x-downloads-remaining'), '2');
+
+        const status = await call('GET', `/secure/${created.body.id}`);
+        assert.deepEqual([status.body.downloads, status.body.downloadsLeft], [1, 2]);
+        assert.equal(status.body.deleteToken, undefined);
+    }));
+
+    test('uploads that are not .secure files are refused', () => withSecure(async ({ upload, call }) => {
+        assert.equal((await upload('', 'just some text')).status, 422);
+        assert.equal((await upload('', '')).status, 422);
+        assert.match((await upload('', '{"v":"1","salt":"x"}')).body.error, /damaged v1 package/);
+        const typed = await call('POST', '/secure/upload', { body: PACKAGE, headers: { 'Content-Type': 'text/plain' } });
+        assert.equal(typed.status, 415);
+        assert.equal((await upload('?expires=10')).status, 400);
+        assert.equal((await upload('?maxDownloads=0')).status, 400);
+    }));
+});
+
+describe('limits', () => {
+    test('maxDownloads: the last allowed download removes the file', () => withSecure(async ({ call, upload, blobs }) => {
+        const { id } = (await upload('?maxDownloads=1')).body;
+        const first = await call('GET', `/secure/download/${id}`);
+        assert.equal(first.status, 200);
+        assert.equal(first.headers.get('x-downloads-remaining'), '0');
+        assert.equal((await call('GET', `/secure/download/${id}`)).status, 404);
+        assert.equal((await call('GET', `/secure/${id}`)).status, 404);
+        assert.deepEqual(await blobs.usage(), { objects: 0, bytes: 0 });
+    }));
+
+    test('expiry: a file is gone once its time is up', () => withSecure(async ({ call, upload, clock }) => {
+        const created = (await upload('?expires=60')).body;
+        assert.equal(Date.parse(created.expiresAt) - clock.now, 60_000);
+        clock.now += 59_000;
+        assert.equal((await call('GET', `/secure/${created.id}`)).status, 200);
+        clock.now += 1_000;
+        assert.equal((await call('GET', `/secure/download/${created.id}`)).status, 404);
+        assert.equal((await call('GET', `/secure/${created.id}`)).status, 404);
+    }));
+
+    test('the per-client quota counts live files only', () => withSecure(async ({ call, upload, clock }) => {
+        const first = (await upload('?expires=60')).body;
+        assert.equal((await upload()).status, 201);
+        const full = await upload();
+        assert.equal(full.status, 413);
+        assert.match(full.body.error, /quota is used up/);
+
+        clock.now += 60_000;
+        assert.equal((await call('GET', `/secure/${first.id}`)).status, 404);
+        assert.equal((await upload()).status, 201);
+    }, { maxClientBytes: SIZE * 2 + 10 }));
+
+    test('a file larger than maxObjectBytes is refused', () => withSecure(async ({ upload }) => {
+        const big = await upload();
+        assert.equal(big.status, 413);
+        assert.deepEqual(big.body.details, { limit: SIZE - 1 });
+    }, { maxObjectBytes: SIZE - 1 }));
+});
+
+test('DELETE /secure/:id needs the token the upload returned', () => withSecure(async ({ call, upload }) => {
+    const { id, deleteToken } = (await upload()).body;
+    assert.equal((await call('DELETE', `/secure/${id}`)).status, 403);
+    assert.equal((await call('DELETE', `/secure/${id}`, { headers: { 'X-Delete-Token': `${deleteToken}x` } })).status, 403);
+    assert.equal((await call('GET', `/secure/${id}`)).status, 200);
+
+    assert.equal((await call('DELETE', `/secure/${id}`, { headers: { 'X-Delete-Token': deleteToken } })).status, 204);
+    assert.equal((await call('GET', `/secure/download/${id}`)).status, 404);
+    assert.equal((await call('DELETE', `/secure/${id}`, { headers: { 'X-Delete-Token': deleteToken } })).status, 404);
+}));
+
+describe('multipart uploads', () => {
+    const send = (call, boundary, body) => call('POST', '/secure/upload', {
+        body,
+        headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` }
+    });
+
+    test('the "file" field is stored, other fields are skipped', () => withSecure(async ({ call }) => {
+        const created = await send(call, 'xyz', multipart('xyz', [['note', 'hello'], ['file', PACKAGE]]));
+        assert.equal(created.status, 201);
+        assert.equal(created.body.size, SIZE);
+        assert.equal((await call('GET', `/secure/download/${created.body.id}`)).text, PACKAGE);
+    }));
+
+    test('malformed bodies answer 400 and leave nothing behind', () => withSecure(async ({ call, blobs, dir }) => {
+        const noFile = await send(call, 'xyz', multipart('xyz', [['note', 'hello']]));
+        assert.equal(noFile.status, 400);
+        assert.match(noFile.body.error, /no "file" field/);
+
+        const truncated = await send(call, 'xyz', multipart('xyz', [['file', PACKAGE]]).slice(0, -20));
+        assert.equal(truncated.status, 400);
+        assert.match(truncated.body.error, /no complete "file" field/);
+
+        const noBoundary = await send(call, 'xyz', 'no boundary anywhere in here');
+        assert.equal(noBoundary.status, 400);
+
+        const endless = await send(call, 'xyz', `--xyz\r\nContent-Disposition: form-data; name="file"${' '.repeat(17 * 1024)}`);
+        assert.equal(endless.status, 400);
+        assert.match(endless.body.error, /Malformed multipart body/);
+
+        assert.deepEqual(await blobs.usage(), { objects: 0, bytes: 0 });
+        assert.deepEqual(await readdir(path.join(dir, 'tmp')), []);
+    }));
+});
+
+test('a failed index write does not block the uploads after it', () => withSecure(async ({ upload, blobs, dir }) => {
+    const first = (await upload()).body;
+    // A directory where the temp file should go makes the next write fail
+    await mkdir(path.join(dir, 'index.json.tmp'));
+    await assert.rejects(blobs.remove(first.id));
+    await rm(path.join(dir, 'index.json.tmp'), { recursive: true });
+
+    const second = (await upload()).body;
+    const index = JSON.parse(await readFile(path.join(dir, 'index.json'), 'utf8'));
+    assert.deepEqual(Object.keys(index.objects), [second.id]);
+}));
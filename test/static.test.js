@@ -0,0 +1,68 @@
+// FILE: /test/static.test.js
+// Purpose: static file handler — server-side state next to the catalogue is never served
+// Run: node --test test/
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createStaticHandler } from '../server/static.js';
+import { sendError } from '../server/router.js';
+
+let root, server, base;
+
+before(async () => {
+    root = await mkdtemp(path.join(tmpdir(), 'parts-static-'));
+    await mkdir(path.join(root, 'data'));
+    for (const name of ['data.json', 'stock-ledger.json', 'price-history.json', 'builds.json']) {
+        await writeFile(path.join(root, 'data', name), '{}');
+    }
+    const serveStatic = createStaticHandler(root);
+    server = http.createServer(async (req, res) => {
+        try {
+            if (await serveStatic(req, res)) return;
+            res.statusCode = 404;
+            res.end();
+        } catch (e) {
+            sendError(res, e);
+        }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await rm(root, { recursive: true, force: true });
+});
+
+const status = async url => (await fetch(base + url)).status;
+
+test('the catalogue itself is served', async () => {
+    assert.equal(await status('/data/data.json'), 200);
+});
+
+test('the stock ledger is not served', async () => {
+    assert.equal(await status('/data/stock-ledger.json'), 404);
+    assert.equal(await status('/data/./stock-ledger.json'), 404);
+    assert.equal(await status('/data/%73tock-ledger.json'), 404);
+});
+
+test('the price history is not served', async () => {
+    assert.equal(await status('/data/price-history.json'), 404);
+    assert.equal(await status('/data//price-history.json'), 404);
+});
+
+test('saved builds, with their edit token hashes, are not served', async () => {
+    assert.equal(await status('/data/builds.json'), 404);
+    assert.equal(await status('/data/%62uilds.json'), 404);
+});
+
+test('a malformed escape in the path is a 400, not a server error', async () => {
+    const response = await fetch(`${base}/%E0%A4%A`);
+    assert.equal(response.status, 400);
+    assert.match((await response.json()).error, /Malformed URL path/);
+    assert.equal(await status('/data/%E0%A4%A.json'), 400);
+});
@@ -0,0 +1,42 @@
+// FILE: /test/stock.test.js
+// Purpose: stock movement rules — listed movement types only, checked before any stock changes
+// Run: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { toMovement } from '../js/stock-ledger.js';
+import { MemoryStore } from '../server/storage/memory-store.js';
+import { createApp } from '../server/server.js';
+
+const PART = { id: 1, type: 'CPU', name: 'A', manufacturer: 'AMD', price: 100, quantity: 5, specifications: { cores: 8, clockSpeed: '4 GHz' } };
+
+test('inherited names are not movement types', () => {
+    for (const type of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+        const { movement, errors } = toMovement({ partId: 1, type, quantity: 1 });
+        assert.equal(movement, null, type);
+        assert.deepEqual(errors.map(e => e.path), ['type'], type);
+    }
+    assert.equal(toMovement({ partId: 1, type: 'opening', quantity: 1 }).movement, null);
+    assert.deepEqual(toMovement({ partId: 1, type: 'sale', quantity: 2 }).movement, { partId: 1, type: 'sale', delta: -2, reason: 'sale' });
+});
+
+test('POST /stock/movements answers 422 for a type that is not listed, and leaves stock alone', async () => {
+    const store = new MemoryStore([structuredClone(PART)]);
+    const { handler } = createApp({ store, staticRoot: null });
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+        const response = await fetch(`http://127.0.0.1:${server.address().port}/stock/movements`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ partId: 1, type: 'constructor', quantity: 3 })
+        });
+        assert.equal(response.status, 422);
+        assert.deepEqual((await response.json()).details.map(e => e.path), ['type']);
+        assert.equal((await store.get(1)).quantity, 5);
+        assert.deepEqual(await store.listMovements(), []);
+    } finally {
+        await new Promise(resolve => server.close(resolve));
+    }
+});
@@ -0,0 +1,210 @@
+// FILE: /test/stores.test.js
+// Purpose: the parts stores — all-or-nothing stock movements on every backend, SQLite migrations, JSON file writes
+// Run: node --test test/   (the SQLite cases need Node 22.13+ for node:sqlite and are skipped before that)
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, writeFile, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { MemoryStore } from '../server/storage/memory-store.js';
+import { JsonFileStore } from '../server/storage/json-file-store.js';
+import { openSqliteStore } from '../server/storage/sqlite-store.js';
+import { migrate, MIGRATIONS } from '../server/storage/migrations.js';
+import { StoreError } from '../server/storage/store-errors.js';
+
+const hasSqlite = Boolean(process.getBuiltinModule?.('node:sqlite'));
+
+const PARTS = [
+    { id: 1, type: 'CPU', name: 'A', manufacturer: 'AMD', price: 100, quantity: 5, specifications: { cores: 8, clockSpeed: '4 GHz' } },
+    { id: 2, type: 'GPU', name: 'B', manufacturer: 'NVIDIA', price: 300, quantity: 2, specifications: { cores: 40, clockSpeed: '2 GHz' } }
+];
+
+// Every backend gets the same parts, then the same checks
+async function seeded(open) {
+    const store = await open();
+    for (const part of PARTS) await store.create(part);
+    return store;
+}
+
+function stockSuite(name, open, options = {}) {
+    describe(name, options, () => {
+        test('a batch applies together, with one movement each', async () => {
+            const store = await seeded(open);
+            const { movements, parts } = await store.recordMovements([
+                { partId: 1, type: 'sale', delta: -2, reason: 'order 1' },
+                { partId: 2, type: 'receipt', delta: 3, reason: 'delivery' },
+                { partId: 1, type: 'return', delta: 1, reason: 'order 1' }
+            ]);
+            assert.equal(movements.length, 3);
+            assert.deepEqual(parts.map(p => [p.id, p.quantity]), [[1, 4], [2, 5]]);
+            assert.equal((await store.get(1)).quantity, 4);
+            await store.close();
+        });
+
+        test('one bad movement leaves every part and the ledger untouched', async () => {
+            const store = await seeded(open);
+            const before = await store.listMovements();
+            await assert.rejects(store.recordMovements([
+                { partId: 2, type: 'receipt', delta: 10, reason: 'delivery' },
+                { partId: 1, type: 'sale', delta: -6, reason: 'too many' }
+            ]), e => e instanceof StoreError && e.code === 'INSUFFICIENT_STOCK');
+            await assert.rejects(store.recordMovements([
+                { partId: 1, type: 'sale', delta: -1, reason: 'fine' },
+                { partId: 99, type: 'sale', delta: -1, reason: 'no such part' }
+            ]), e => e instanceof StoreError && e.code === 'NOT_FOUND');
+            assert.deepEqual((await store.list()).map(p => p.quantity), [5, 2]);
+            assert.deepEqual(await store.listMovements(), before);
+            await store.close();
+        });
+
+        test('adjustStock is all-or-nothing too, counting repeated parts together', async () => {
+            const store = await seeded(open);
+            await assert.rejects(store.adjustStock([{ id: 1, delta: -3 }, { id: 1, delta: -3 }]), StoreError);
+            assert.equal((await store.get(1)).quantity, 5);
+            const parts = await store.adjustStock([{ id: 1, delta: -3 }, { id: 2, delta: 1, reason: 'recount' }]);
+            assert.deepEqual(parts.map(p => p.quantity), [2, 3]);
+            const last = (await store.listMovements({ partId: 2 })).at(-1);
+            assert.deepEqual([last.type, last.delta, last.reason], ['adjustment', 1, 'recount']);
+            await store.close();
+        });
+
+        test('quantity always equals the sum of the ledger', async () => {
+            const store = await seeded(open);
+            await store.adjustStock([{ id: 1, delta: -1 }]);
+            await store.replace(2, { ...PARTS[1], quantity: 9 });
+            for (const part of await store.list()) {
+                const sum = (await store.listMovements({ partId: part.id })).reduce((n, m) => n + m.delta, 0);
+                assert.equal(sum, part.quantity, `part ${part.id}`);
+            }
+            await store.close();
+        });
+
+        test('a deleted part\'s id, with its movements and prices, is never given to a new part', async () => {
+            const store = await seeded(open);
+            await store.adjustStock([{ id: 2, delta: 4 }]);
+            await store.replace(2, { ...PARTS[1], quantity: 6, price: 99 });
+            assert.equal(await store.remove(2), true);
+
+            const { id, ...fields } = PARTS[1];
+            const created = await store.create({ ...fields, quantity: 1, price: 50 });
+            assert.equal(created.id, 3);
+            assert.equal(await store.create({ ...PARTS[1], quantity: 1 }), null);
+            const sum = (await store.listMovements({ partId: 3 })).reduce((n, m) => n + m.delta, 0);
+            assert.equal(sum, 1);
+            assert.deepEqual((await store.listPrices(3)).map(p => p.price), [50]);
+            assert.deepEqual((await store.listPrices(2)).map(p => p.price), [300, 99]);
+            await store.close();
+        });
+    });
+}
+
+stockSuite('MemoryStore', () => new MemoryStore());
+stockSuite('SqliteStore', () => openSqliteStore(':memory:'), { skip: !hasSqlite && 'node:sqlite needs Node 22.13+' });
+
+test('MemoryStore does not reuse the highest id even without history for it', async () => {
+    const store = new MemoryStore([PARTS[0], { ...PARTS[1], id: 5 }]);
+    await store.remove(5);
+    assert.equal((await store.create({ ...PARTS[1], id: undefined })).id, 6);
+    await store.remove(6);
+    assert.equal((await store.create({ ...PARTS[1], id: undefined })).id, 7);
+});
+
+describe('SQLite migrations', { skip: !hasSqlite && 'node:sqlite needs Node 22.13+' }, () => {
+    test('ids used before the AUTOINCREMENT migration stay used', async () => {
+        const { DatabaseSync } = process.getBuiltinModule('node:sqlite');
+        const { SqliteStore } = await import('../server/storage/sqlite-store.js');
+        const db = new DatabaseSync(':memory:');
+        migrate(db, MIGRATIONS.filter(m => m.id < 5));
+        db.exec(`INSERT INTO parts (id, type, name, manufacturer, price) VALUES (1, 'CPU', 'A', 'AMD', 100);
+                 INSERT INTO price_history (part_id, price, recorded_at) VALUES (1, 100, '2024-01-01T00:00:00Z'),
+                                                                            (8, 10, '2024-01-01T00:00:00Z');`);
+        assert.deepEqual(migrate(db), [5]);
+        const store = new SqliteStore(db);
+        assert.equal((await store.get(1)).name, 'A');
+        assert.equal((await store.create({ ...PARTS[1], id: undefined })).id, 9);
+        assert.equal(await store.create({ ...PARTS[1], id: 8 }), null);
+        db.close();
+    });
+
+    test('apply once, in order, and not again', () => {
+        const { DatabaseSync } = process.getBuiltinModule('node:sqlite');
+        const db = new DatabaseSync(':memory:');
+        assert.deepEqual(migrate(db), MIGRATIONS.map(m => m.id).sort((a, b) => a - b));
+        assert.deepEqual(migrate(db), []);
+        db.close();
+    });
+
+    test('a failing migration rolls back and is not recorded', () => {
+        const { DatabaseSync } = process.getBuiltinModule('node:sqlite');
+        const db = new DatabaseSync(':memory:');
+        const broken = [{ id: 1, name: 'half', up: 'CREATE TABLE t (x); INSERT INTO missing VALUES (1);' }];
+        assert.throws(() => migrate(db, broken));
+        assert.deepEqual(db.prepare("SELECT name FROM sqlite_master WHERE name = 't'").all(), []);
+        assert.deepEqual(db.prepare('SELECT id FROM schema_migrations').all(), []);
+        db.close();
+    });
+});
+
+describe('JsonFileStore', () => {
+    test('opening balances and price history leave the parts file as it was', async () => {
+        const dir = await mkdtemp(path.join(tmpdir(), 'parts-store-'));
+        try {
+            const file = path.join(dir, 'data.json');
+            // Hand-edited layout that toJson would not reproduce
+            const text = '[\n  {"id": 1, "type": "CPU", "name": "A", "manufacturer": "AMD", "price": 787.0, "quantity": 5,\n   "specifications": {"cores": 8, "clockSpeed": "4 GHz"}}\n]\n';
+            await writeFile(file, text);
+            const store = new JsonFileStore(file);
+            await store.ensureOpeningBalances();
+            await store.ensurePriceHistory();
+            await store.close();
+            assert.equal(await readFile(file, 'utf8'), text);
+            assert.equal(JSON.parse(await readFile(store.ledgerFile, 'utf8')).movements.length, 1);
+            assert.equal(JSON.parse(await readFile(store.priceFile, 'utf8')).prices.length, 1);
+            await assert.rejects(readFile(store.buildsFile), { code: 'ENOENT' });
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('the highest id given out survives a restart', async () => {
+        const dir = await mkdtemp(path.join(tmpdir(), 'parts-store-'));
+        try {
+            const file = path.join(dir, 'data.json');
+            await writeFile(file, JSON.stringify(PARTS));
+            const store = new JsonFileStore(file);
+            const { id, ...fields } = PARTS[1];
+            assert.equal((await store.create(fields)).id, 3);
+            await store.remove(3);
+            await store.close();
+
+            const reopened = new JsonFileStore(file);
+            assert.equal((await reopened.create(fields)).id, 4);
+            await reopened.close();
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+
+    test('a failed write does not block the writes after it', async () => {
+        const dir = await mkdtemp(path.join(tmpdir(), 'parts-store-'));
+        try {
+            const file = path.join(dir, 'data.json');
+            await writeFile(file, JSON.stringify(PARTS));
+            const store = new JsonFileStore(file, { ledgerFile: path.join(dir, 'ledger.json') });
+            await store.load();
+            // A side file under a regular file cannot be created
+            await writeFile(path.join(dir, 'blocker'), '');
+            store.ledgerFile = path.join(dir, 'blocker', 'ledger.json');
+            await assert.rejects(store.adjustStock([{ id: 1, delta: -1 }]));
+
+            store.ledgerFile = path.join(dir, 'ledger.json');
+            await store.adjustStock([{ id: 2, delta: 1 }]);
+            const saved = JSON.parse(await readFile(file, 'utf8'));
+            assert.deepEqual(saved.map(p => p.quantity), [4, 3]);
+            assert.equal(JSON.parse(await readFile(store.ledgerFile, 'utf8')).movements.length, 2);
+        } finally {
+            await rm(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,44 @@
+// FILE: /test/xml-mapper.test.js
+// Purpose: js/xml-mapper.js in Node — data/data.xml maps cleanly; bad records are reported per record
+// Run: node --test test/
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { partsXmlMapper } from '../js/xml-mapper.js';
+
+test('data/data.xml maps every record, specifications included', async () => {
+    const xml = await readFile(new URL('../data/data.xml', import.meta.url), 'utf8');
+    const { records, errors } = partsXmlMapper.map(xml);
+    assert.deepEqual(errors, []);
+    assert.equal(records.length, 700);
+    assert.deepEqual(records[0], {
+        id: 1, type: 'CPU', name: 'Intel Core i9-10900K', manufacturer: 'NVIDIA', price: 927.08, quantity: 28,
+        specifications: { cores: 5, clockSpeed: '3.8 GHz' }
+    });
+    assert.ok(records.every(r => Number.isInteger(r.specifications?.cores)));
+});
+
+test('missing and unreadable fields are reported against their record', () => {
+    const { records, errors } = partsXmlMapper.map(`<dataset>
+        <record><id>1</id><type>CPU</type><name>ok</name><manufacturer>AMD</manufacturer><price>1</price><quantity>2</quantity></record>
+        <record><id>2</id><type>GPU</type><price>cheap</price><quantity>3</quantity><specifications><cores>x</cores></specifications></record>
+        <part><id>3</id><type>PSU</type><name>legacy</name><manufacturer>Corsair</manufacturer><price>5</price><stock>7</stock></part>
+    </dataset>`);
+    assert.equal(records.length, 3);
+    assert.deepEqual(errors, [
+        { index: 1, id: 2, field: 'name', message: 'missing' },
+        { index: 1, id: 2, field: 'manufacturer', message: 'missing' },
+        { index: 1, id: 2, field: 'price', message: '"cheap" is not a number' },
+        { index: 1, id: 2, field: 'specifications.cores', message: '"x" is not a number' }
+    ]);
+    assert.equal(records[2].quantity, 7);
+});
+
+test('a malformed document is one document-level error', () => {
+    const { records, errors } = partsXmlMapper.map('<dataset><record>');
+    assert.deepEqual(records, []);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].index, null);
+    assert.match(errors[0].message, /^Malformed XML/);
+});
@@ -0,0 +1,46 @@
+// FILE: /tools/aggregate.js
+// Purpose: conflict report across catalogue sources
+//   node tools/aggregate.js [--config data/sources.json] [--match id|name] [--limit 20] [--json]
+
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { loadSourcesConfig, aggregateFromConfig } from '../server/catalogue-aggregation.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function option(name, fallback) {
+    const i = process.argv.indexOf(`--${name}`);
+    return i === -1 ? fallback : process.argv[i + 1];
+}
+
+const configFile = option('config', path.join(ROOT, 'data', 'sources.json'));
+const limit = Number(option('limit', 20));
+
+const config = await loadSourcesConfig(configFile);
+const result = await aggregateFromConfig(config, { root: ROOT, matchBy: option('match') });
+
+if (process.argv.includes('--json')) {
+    console.log(JSON.stringify(result, null, 2));
+    process.exit(0);
+}
+
+console.log('Sources:');
+for (const s of result.sources) {
+    const won = result.stats.bySource[s.name];
+    const detail = s.error
+        ? `FAILED (${s.error})`
+        : `${s.records} records, ${s.recordErrors} record errors, won ${won.fieldsWon} fields, disagreed ${won.disagreements} times`;
+    console.log(`  ${s.name.padEnd(14)} ${detail}`);
+    if (s.release) {
+        console.log(`  ${''.padEnd(14)} release ${s.release.version}${s.release.verified ? ', signature verified' : ` from cache: ${s.release.warning}`}`);
+    }
+}
+
+console.log(`\n${result.stats.keys} merged parts, ${result.stats.conflicts} field conflicts, ${result.stats.duplicatesSkipped} same-source duplicates skipped`);
+for (const [field, n] of Object.entries(result.stats.byField)) console.log(`  ${field}: ${n}`);
+
+if (result.conflicts.length) console.log(`\nFirst ${Math.min(limit, result.conflicts.length)} conflicts:`);
+for (const c of result.conflicts.slice(0, limit)) {
+    const values = c.values.map(v => `${v.source}=${JSON.stringify(v.value)}`).join('  ');
+    console.log(`  ${c.key} ${c.field}: ${values}  -> ${c.chosen}`);
+}
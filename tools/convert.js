@@ -0,0 +1,48 @@
+// FILE: /tools/convert.js
+// Purpose: catalogue converter CLI
+//   node tools/convert.js data/data.json data/data.xml      (formats from the extensions)
+//   node tools/convert.js data/data.xml - --to csv           ("-" = stdout)
+//   cat parts.csv | node tools/convert.js - out.json --from csv
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { serialize, deserialize, formatFromFilename, FORMATS } from '../js/catalogue-format.js';
+
+function option(name) {
+    const i = process.argv.indexOf(`--${name}`);
+    return i === -1 ? null : process.argv[i + 1];
+}
+
+async function readInput(file) {
+    if (file !== '-') return readFile(file, 'utf8');
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+const positional = process.argv.slice(2).filter((a, i, all) => !a.startsWith('--') && !all[i - 1]?.startsWith('--'));
+const [input, output = '-'] = positional;
+
+if (!input) {
+    console.error('Usage: node tools/convert.js <input|-> [output|-] [--from json|xml|csv] [--to json|xml|csv]');
+    process.exit(2);
+}
+
+const from = option('from') || formatFromFilename(input);
+const to = option('to') || formatFromFilename(output);
+for (const [label, fmt] of [['input', from], ['output', to]]) {
+    if (!FORMATS[fmt]) {
+        console.error(`Cannot tell the ${label} format; pass --${label === 'input' ? 'from' : 'to'} ${Object.keys(FORMATS).join('|')}`);
+        process.exit(2);
+    }
+}
+
+try {
+    const parts = deserialize(await readInput(input), from);
+    const text = serialize(parts, to);
+    if (output === '-') process.stdout.write(text.endsWith('\n') ? text : text + '\n');
+    else await writeFile(output, text, 'utf8');
+    if (output !== '-') console.error(`${input} (${from}) -> ${output} (${to}): ${parts.length} records`);
+} catch (e) {
+    console.error(`Conversion failed: ${e.message}`);
+    process.exit(1);
+}
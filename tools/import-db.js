@@ -0,0 +1,65 @@
+// FILE: /tools/import-db.js
+// Purpose: one-shot seed of the SQLite parts database from data/data.json and data/data.xml
+//   node tools/import-db.js [--db data/parts.db] [--json data/data.json] [--xml data/data.xml] [--prefer json|xml] [--reset]
+//
+// Both files share ids but disagree on content, so records are merged by id through js/aggregate.js;
+// --prefer decides which file wins a conflicting field (default json). Needs Node 22.13+ (node:sqlite).
+// Stock movements are immutable, so --reset starts from a fresh database file rather than deleting rows.
+
+import path from 'node:path';
+import { readFile, rm } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { openSqliteStore } from '../server/storage/sqlite-store.js';
+import { loadSources } from '../js/catalogue-sources.js';
+import { aggregate } from '../js/aggregate.js';
+import { validatePart } from '../js/part-schema.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function option(name, fallback) {
+    const i = process.argv.indexOf(`--${name}`);
+    return i === -1 ? fallback : process.argv[i + 1];
+}
+
+const dbFile = option('db', path.join(ROOT, 'data', 'parts.db'));
+const prefer = option('prefer', 'json');
+const reset = process.argv.includes('--reset');
+const sources = [
+    { name: 'json', url: option('json', 'data/data.json') },
+    { name: 'xml', url: option('xml', 'data/data.xml') }
+].filter(s => s.url !== 'none');
+
+const loaded = await loadSources(sources, { readText: p => readFile(path.resolve(ROOT, p), 'utf8') });
+for (const s of loaded) {
+    if (s.error) {
+        console.error(`${s.url}: ${s.error}`);
+        process.exit(1);
+    }
+    console.log(`${s.url}: ${s.records.length} records`);
+}
+
+const order = prefer === 'xml' ? ['xml', 'json'] : ['json', 'xml'];
+const { items, stats } = aggregate(loaded, { matchBy: 'id', precedence: { '*': order } });
+const parts = items.map(i => i.record).filter(p => Number.isInteger(p.id));
+const invalid = parts.filter(p => validatePart(p).length).length;
+
+if (reset) {
+    for (const suffix of ['', '-wal', '-shm']) await rm(dbFile + suffix, { force: true });
+}
+
+const store = await openSqliteStore(dbFile);
+try {
+    const existing = (await store.list()).length;
+    if (existing && !reset) {
+        console.error(`${dbFile} already holds ${existing} parts; pass --reset to replace them`);
+        process.exit(1);
+    }
+    const count = await store.importParts(parts);
+    const opened = await store.ensureOpeningBalances();
+    await store.ensurePriceHistory();
+    console.log(`Imported ${count} parts into ${dbFile} (${stats.conflicts} conflicting fields resolved in favour of ${order[0]})`);
+    console.log(`Recorded ${opened} opening stock movements`);
+    if (invalid) console.log(`${invalid} imported parts fail the schema; see node tools/validate-data.js`);
+} finally {
+    await store.close();
+}
@@ -0,0 +1,64 @@
+// FILE: /tools/sign-release.js
+// Purpose: publish a signed catalogue release (see js/catalogue-release.js)
+//   node tools/sign-release.js --generate-key                 (once: data/private/release.pk8 + .spki, prints the key to pin)
+//   node tools/sign-release.js --version 2024.2               (copies data/data.json + data/data.xml to data/release/, signs)
+//   node tools/sign-release.js --version 2024.2 --key other.pk8 --out dist/release data/data.json
+// The private key stays in data/private/ (never served, never committed); only js/release-key.js is published.
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { genEcdsaKeyPair, exportSpki, exportPkcs8, importPkcs8, b64 } from '../js/crypto-core.js';
+import { createReleaseManifest, MANIFEST_FILE } from '../js/catalogue-release.js';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function option(name, fallback) {
+    const i = process.argv.indexOf(`--${name}`);
+    return i === -1 ? fallback : process.argv[i + 1];
+}
+
+const keyFile = option('key', path.join(ROOT, 'data', 'private', 'release.pk8'));
+
+if (process.argv.includes('--generate-key')) {
+    const { publicKey, privateKey } = await genEcdsaKeyPair();
+    const spki = await exportSpki(publicKey);
+    await mkdir(path.dirname(keyFile), { recursive: true });
+    await writeFile(keyFile, await exportPkcs8(privateKey), { flag: 'wx', mode: 0o600 }).catch(e => {
+        console.error(e.code === 'EEXIST' ? `${keyFile} already exists; move it away first` : e.message);
+        process.exit(1);
+    });
+    await writeFile(keyFile.replace(/\.pk8$/, '') + '.spki', spki);
+    console.log(`Private key: ${keyFile}`);
+    console.log(`Pin this public key in js/release-key.js:\n  export const RELEASE_PUBLIC_KEY = '${b64(spki)}';`);
+    process.exit(0);
+}
+
+const version = option('version');
+const positional = process.argv.slice(2).filter((a, i, all) => !a.startsWith('--') && !all[i - 1]?.startsWith('--'));
+const inputs = positional.length ? positional : [path.join(ROOT, 'data', 'data.json'), path.join(ROOT, 'data', 'data.xml')];
+const outDir = option('out', path.join(ROOT, 'data', 'release'));
+
+if (!version) {
+    console.error('Usage: node tools/sign-release.js --version <version> [--key release.pk8] [--out dir] [files...]');
+    process.exit(2);
+}
+
+let privateKey;
+try {
+    privateKey = await importPkcs8(await readFile(keyFile));
+} catch (e) {
+    console.error(`Cannot read the release key ${keyFile}: ${e.message}\nRun with --generate-key first.`);
+    process.exit(1);
+}
+
+const files = {};
+for (const file of inputs) files[path.basename(file)] = new Uint8Array(await readFile(file));
+
+const manifest = await createReleaseManifest(privateKey, files, { version });
+await mkdir(outDir, { recursive: true });
+for (const [name, bytes] of Object.entries(files)) await writeFile(path.join(outDir, name), bytes);
+await writeFile(path.join(outDir, MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+
+console.log(`Release ${version} signed by ${manifest.signer.slice(0, 16)}… → ${path.relative(ROOT, outDir) || '.'}/`);
+for (const [name, { sha256, size }] of Object.entries(manifest.files)) console.log(`  ${name}  ${size} bytes  sha256 ${sha256}`);
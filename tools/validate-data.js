@@ -0,0 +1,48 @@
+// FILE: /tools/validate-data.js
+// Purpose: offline validator — `node tools/validate-data.js [data/data.json|data/data.xml|parts.csv] [--json]`
+// Exits 1 when any record fails the schema, so it can gate commits to the data files.
+
+import { readFile } from 'node:fs/promises';
+import { qualityReport } from '../js/data-quality.js';
+import { deserialize, formatFromFilename } from '../js/catalogue-format.js';
+
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const file = args.find(a => !a.startsWith('--')) || 'data/data.json';
+
+let parts;
+try {
+    parts = deserialize(await readFile(file, 'utf8'), formatFromFilename(file) || 'json');
+} catch (e) {
+    console.error(`${file}: ${e.message}`);
+    process.exit(2);
+}
+
+const report = qualityReport(parts);
+
+if (asJson) {
+    console.log(JSON.stringify(report, null, 2));
+} else {
+    const s = report.summary;
+    console.log(`${file}: ${s.records} records, ${s.valid} valid, ${s.invalid} invalid`);
+
+    for (const { index, id, errors } of report.invalid) {
+        for (const e of errors) console.log(`  [${index}] id=${id} ${e.path || '(record)'}: ${e.message}`);
+    }
+
+    console.log(`\nName vs manufacturer/type mismatches: ${s.mismatches}`);
+    for (const m of report.mismatches) {
+        console.log(`  id=${m.id} "${m.name}": ${m.field} is ${m.actual}, name suggests ${m.expected}`);
+    }
+
+    console.log(`\nDuplicate ids: ${s.duplicateIds}`);
+    for (const d of report.duplicates.ids) console.log(`  id=${d.id} at indexes ${d.indexes.join(', ')}`);
+
+    console.log(`Duplicate records (same content, different id): ${s.duplicateRecords}`);
+    for (const ids of report.duplicates.records) console.log(`  ids ${ids.join(', ')}`);
+
+    console.log(`\nClock speeds that don't parse: ${s.unparsedClockSpeeds}`);
+    for (const c of report.clockSpeeds) console.log(`  id=${c.id} "${c.value}"`);
+}
+
+process.exit(report.summary.invalid ? 1 : 0);